@@ -1,6 +1,7 @@
 const AWS = require('aws-sdk');
 const bcrypt = require('bcrypt');
 const jwt = require('jsonwebtoken');
+const { validatePassword, toPolicyErrorBody } = require('./utils/passwordPolicy');
 
 const dynamo = new AWS.DynamoDB.DocumentClient();
 const { JWT_SECRET, USERS_TABLE } = process.env;
@@ -64,6 +65,11 @@ const signup = async (event) => {
 
     const { email, password } = body;
 
+    const { violations } = validatePassword(password, { email });
+    if (violations.length > 0) {
+      return jsonResponse(400, toPolicyErrorBody(violations));
+    }
+
     const existing = await getUserByEmail(email);
     if (existing) {
       return jsonResponse(409, { message: 'User already exists' });
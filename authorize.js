@@ -1,6 +1,7 @@
-const jwt = require('jsonwebtoken');
-
-const { JWT_SECRET } = process.env;
+const { getSession, isSessionActive } = require('./utils/sessionStore');
+const { getRole, getCognitoRole } = require('./utils/permissions');
+const { getCognitoJwtVerifier } = require('./utils/cognitoJwtVerifier');
+const { getKeyRing } = require('./utils/jwtKeys');
 
 const extractToken = (event) => {
     const headerToken = event?.authorizationToken || event?.headers?.Authorization || event?.headers?.authorization;
@@ -26,6 +27,22 @@ const generatePolicy = (principalId, effect, resource, context = {}) => ({
     context,
 });
 
+const authorizeCognitoToken = async (token, methodArn) => {
+    const result = await getCognitoJwtVerifier().verify(token);
+    if (!result.success) {
+        console.warn('Cognito token rejected:', result.message);
+        throw 'Unauthorized';
+    }
+
+    const { claims } = result;
+    return generatePolicy(claims.sub, 'Allow', methodArn, {
+        email: claims.email || '',
+        sub: claims.sub,
+        sessionId: '',
+        role: getCognitoRole(claims.groups),
+    });
+};
+
 exports.authorize = async (event) => {
     const token = extractToken(event);
 
@@ -34,18 +51,37 @@ exports.authorize = async (event) => {
         throw 'Unauthorized';
     }
 
-    if (!JWT_SECRET) {
-        console.error('JWT_SECRET is not configured');
+    // Cognito ID/access tokens are verified against the user pool's JWKS
+    if (getCognitoJwtVerifier().isCognitoToken(token)) {
+        return authorizeCognitoToken(token, event.methodArn);
+    }
+
+    let keyRing;
+    try {
+        keyRing = getKeyRing();
+    } catch (error) {
+        console.error('JWT signing keys are not configured', error.message);
         throw 'Unauthorized';
     }
 
     try {
-        const decoded = jwt.verify(token, JWT_SECRET);
-        const principalId = decoded.sub || decoded.email || 'user';
+        const decoded = keyRing.verify(token);
+
+        // Tokens issued with a server-side session are rejected once it's revoked,
+        // and only for the user the session belongs to
+        const session = await getSession(decoded.sid);
+        if (!isSessionActive(session) || session.userId !== decoded.userId) {
+            console.warn('Session missing, expired, revoked or for another user');
+            throw 'Unauthorized';
+        }
+
+        const principalId = decoded.sub || decoded.userId || decoded.email || 'user';
 
         return generatePolicy(principalId, 'Allow', event.methodArn, {
             email: decoded.email || '',
-            sub: decoded.sub || '',
+            sub: decoded.sub || decoded.userId || '',
+            sessionId: decoded.sid,
+            role: getRole(decoded),
         });
     } catch (error) {
         console.error('Authorization failed', error);
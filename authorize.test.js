@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+
+jest.mock('./utils/sessionStore', () => ({
+  ...jest.requireActual('./utils/sessionStore'),
+  getSession: jest.fn(),
+}));
+
+const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+process.env.JWT_SIGNING_KEYS = JSON.stringify([
+  { kid: 'test-key', privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }) },
+]);
+
+const { authorize } = require('./authorize');
+const { getKeyRing } = require('./utils/jwtKeys');
+const { getSession } = require('./utils/sessionStore');
+
+const methodArn = 'arn:aws:execute-api:us-east-1:123456789012:api/GET/users';
+
+const activeSession = (userId) => ({
+  sessionId: 'session-1',
+  userId,
+  revoked: false,
+  expiresAt: Math.floor(Date.now() / 1000) + 3600,
+});
+
+describe('authorize', () => {
+  const token = () => getKeyRing().sign({ userId: 'user-1', email: 'patient@example.com', role: 'patient', sid: 'session-1' }, { expiresIn: 60 });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test("allows a token for the session's user", async () => {
+    getSession.mockResolvedValue(activeSession('user-1'));
+
+    const policy = await authorize({ authorizationToken: `Bearer ${token()}`, methodArn });
+
+    expect(policy.policyDocument.Statement[0].Effect).toBe('Allow');
+    expect(policy.context).toMatchObject({ sub: 'user-1', sessionId: 'session-1', role: 'patient' });
+  });
+
+  test("a token can't ride on another user's session", async () => {
+    getSession.mockResolvedValue(activeSession('user-2'));
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(authorize({ authorizationToken: `Bearer ${token()}`, methodArn })).rejects.toBe('Unauthorized');
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('for another user'));
+    warn.mockRestore();
+    error.mockRestore();
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * User Email Index Backfill Script
+ *
+ * Users created before the email GSI existed have no normalizedEmail
+ * attribute and no EMAIL# uniqueness marker, so login can't find them.
+ * This script adds both to every such user.
+ *
+ * Usage: node backfill-user-emails.js [--dry-run]
+ */
+
+try {
+  require('dotenv').config();
+} catch (e) {
+  console.log('Note: dotenv not installed. Using existing environment variables.');
+}
+
+const AWS = require('aws-sdk');
+const { normalizeEmail, emailLockKey } = require('./utils/userRepository');
+
+const dynamo = new AWS.DynamoDB.DocumentClient({
+  region: process.env.AWS_REGION || 'us-east-1'
+});
+
+const USERS_TABLE = process.env.USERS_TABLE || 'myvision-users';
+const dryRun = process.argv.includes('--dry-run');
+
+const backfillUser = async (user) => {
+  const normalizedEmail = normalizeEmail(user.email);
+
+  try {
+    await dynamo.transactWrite({
+      TransactItems: [
+        {
+          Update: {
+            TableName: USERS_TABLE,
+            Key: { userId: user.userId },
+            UpdateExpression: 'SET normalizedEmail = :email',
+            ConditionExpression: 'attribute_not_exists(normalizedEmail)',
+            ExpressionAttributeValues: { ':email': normalizedEmail }
+          }
+        },
+        {
+          Put: {
+            TableName: USERS_TABLE,
+            Item: {
+              userId: emailLockKey(normalizedEmail),
+              entityType: 'emailLock',
+              ownerUserId: user.userId,
+              createdAt: new Date().toISOString()
+            },
+            ConditionExpression: 'attribute_not_exists(userId)'
+          }
+        }
+      ]
+    }).promise();
+    return 'updated';
+  } catch (error) {
+    if (error.code === 'TransactionCanceledException') {
+      return 'conflict';
+    }
+    throw error;
+  }
+};
+
+async function main() {
+  console.log('\n📇 User Email Index Backfill\n');
+  console.log('='.repeat(60));
+  console.log(`\nTable: ${USERS_TABLE}${dryRun ? ' (dry run)' : ''}\n`);
+
+  const counts = { updated: 0, conflict: 0, skipped: 0 };
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamo.scan({
+      TableName: USERS_TABLE,
+      FilterExpression: 'attribute_exists(email) AND attribute_not_exists(normalizedEmail)',
+      ExclusiveStartKey: lastEvaluatedKey
+    }).promise();
+
+    for (const user of result.Items || []) {
+      if (dryRun) {
+        console.log(`   Would backfill ${user.email} (${user.userId})`);
+        counts.skipped += 1;
+        continue;
+      }
+
+      const outcome = await backfillUser(user);
+      counts[outcome] += 1;
+
+      if (outcome === 'conflict') {
+        console.log(`   ⚠️  ${user.email} (${user.userId}) - email already claimed by another user, resolve manually`);
+      } else {
+        console.log(`   ✅ ${user.email} (${user.userId})`);
+      }
+    }
+
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`\n   Updated: ${counts.updated}`);
+  console.log(`   Conflicts: ${counts.conflict}`);
+  if (dryRun) {
+    console.log(`   Pending (dry run): ${counts.skipped}`);
+  }
+  console.log('\n');
+}
+
+main().catch((error) => {
+  console.error('\n❌ Backfill failed:', error.message);
+  process.exit(1);
+});
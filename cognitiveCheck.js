@@ -1,72 +1,54 @@
-// Make geoip-lite optional to reduce package size
-let geoip;
-try {
-  geoip = require('geoip-lite');
-} catch (e) {
-  console.warn('geoip-lite not available, using fallback location detection');
-  geoip = null;
-}
+// Location drives impossible travel and the new-location signal, so a
+// missing geoip-lite must fail loudly rather than score every login blind
+const geoip = require('geoip-lite');
 const UAParser = require('ua-parser-js');
+const { resolveClientIp } = require('./ipAddress');
+const { IP_RULE_ACTIONS, checkIpRules } = require('./ipRules');
+const { calculateDistance, checkTravelVelocity } = require('./impossibleTravel');
+const { resolveTimezone, analyzeLoginTime, getLoginTimes } = require('./loginTimePattern');
+const { RISK_DECISIONS, recentFailuresSignal, accountAgeSignal, ipReputationSignal, scoreLoginRisk } = require('./riskScore');
 
 /**
  * Extract IP address from Lambda event
+ * X-Forwarded-For is only followed through proxies listed in
+ * TRUSTED_PROXIES (see utils/ipAddress).
  */
 const extractIPAddress = (event) => {
-  // Try multiple sources for IP address
-  return (
-    event?.requestContext?.http?.sourceIp ||
-    event?.requestContext?.identity?.sourceIp ||
-    event?.headers?.['x-forwarded-for']?.split(',')[0] ||
-    event?.headers?.['X-Forwarded-For']?.split(',')[0] ||
-    'unknown'
-  );
+  return resolveClientIp({
+    sourceIp: event?.requestContext?.http?.sourceIp || event?.requestContext?.identity?.sourceIp,
+    forwardedFor: event?.headers?.['x-forwarded-for'] || event?.headers?.['X-Forwarded-For'],
+  });
 };
 
 /**
  * Get geographic location from IP address
+ * lat/lon are null when the lookup has no coordinates.
  */
 const getIPLocation = (ip) => {
+  const unknownLocation = { country: 'unknown', region: 'unknown', city: 'unknown', lat: null, lon: null };
   if (!ip || ip === 'unknown') {
-    return { country: 'unknown', region: 'unknown', city: 'unknown' };
-  }
-  
-  // Use geoip-lite if available, otherwise return unknown
-  if (!geoip) {
-    console.log('GeoIP lookup skipped - geoip-lite not available');
-    return { country: 'unknown', region: 'unknown', city: 'unknown' };
+    return unknownLocation;
   }
   
   const geo = geoip.lookup(ip);
   if (!geo) {
-    return { country: 'unknown', region: 'unknown', city: 'unknown' };
+    return unknownLocation;
   }
   
+  // geoip-lite gives [0, 0] when it only knows the country
+  const [lat, lon] = Array.isArray(geo.ll) ? geo.ll : [];
+  const hasCoordinates = Number.isFinite(lat) && Number.isFinite(lon) && !(lat === 0 && lon === 0);
+  
   return {
     country: geo.country || 'unknown',
     region: geo.region || 'unknown',
     city: geo.city || 'unknown',
     timezone: geo.timezone || 'unknown',
+    lat: hasCoordinates ? lat : null,
+    lon: hasCoordinates ? lon : null,
   };
 };
 
-/**
- * Calculate distance between two locations (in km)
- * Simple Haversine formula implementation
- */
-const calculateDistance = (lat1, lon1, lat2, lon2) => {
-  const R = 6371; // Earth's radius in km
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  
-  const a = 
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-    Math.sin(dLon / 2) * Math.sin(dLon / 2);
-  
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c;
-};
-
 /**
  * Extract device/browser fingerprint from User-Agent
  */
@@ -101,7 +83,7 @@ const isLocationSuspicious = (currentLocation, lastLocation, threshold = 500) =>
   }
   
   // If we have coordinates, check distance
-  if (currentLocation.lat && lastLocation.lat) {
+  if (Number.isFinite(currentLocation.lat) && Number.isFinite(lastLocation.lat)) {
     const distance = calculateDistance(
       currentLocation.lat,
       currentLocation.lon,
@@ -142,29 +124,15 @@ const isDeviceSuspicious = (currentDevice, lastDevice) => {
 
 /**
  * Check if login time pattern is unusual
- * Detects logins at unusual hours based on user's typical pattern
+ * Compares this login's local hour of the week with the user's rolling
+ * login times (see utils/loginTimePattern). Returns the analysis, whose
+ * unusual flag stays false until there are enough previous logins.
  */
-const isTimeSuspicious = (loginHistory) => {
-  if (!loginHistory || loginHistory.length < 3) {
-    return false; // Not enough data to establish pattern
-  }
-  
-  const currentHour = new Date().getHours();
-  
-  // Get typical login hours from history
-  const loginHours = loginHistory.map(login => {
-    const date = new Date(login.timestamp || login.lastLoginTime);
-    return date.getHours();
+const isTimeSuspicious = (userProfile, currentLocation, now = new Date()) => {
+  return analyzeLoginTime(getLoginTimes(userProfile), {
+    at: now.toISOString(),
+    timezone: resolveTimezone(userProfile, currentLocation),
   });
-  
-  // Calculate average login hour
-  const avgHour = loginHours.reduce((a, b) => a + b, 0) / loginHours.length;
-  
-  // Check if current hour deviates significantly (more than 6 hours from average)
-  const deviation = Math.abs(currentHour - avgHour);
-  const normalizedDeviation = Math.min(deviation, 24 - deviation);
-  
-  return normalizedDeviation > 6;
 };
 
 /**
@@ -186,19 +154,54 @@ const checkRateLimit = (attempts, windowMinutes = 15, maxAttempts = 5) => {
   return { limited, remainingAttempts, recentAttempts: recentAttempts.length };
 };
 
+/**
+ * Outcome of an IP rule, which replaces the risk checks entirely
+ */
+const ipRuleResult = (ipRule) => {
+  const denied = ipRule.action === IP_RULE_ACTIONS.DENY;
+  return {
+    riskScore: null,
+    decision: denied ? RISK_DECISIONS.DENY : RISK_DECISIONS.ALLOW,
+    breakdown: [],
+    reasons: denied ? ['Login from a blocked network'] : [],
+    suspicious: denied,
+    denied,
+    ipRule: { ruleId: ipRule.ruleId, cidr: ipRule.cidr, action: ipRule.action, reason: ipRule.reason },
+    travel: null,
+    loginTime: null,
+  };
+};
+
 /**
  * Comprehensive cognitive check for login
+ * An IP allow or deny rule (see utils/ipRules) decides on its own.
+ * Otherwise the login is scored with utils/riskScore: decision is 'allow',
+ * 'step_up' (OTP required) or 'deny', and breakdown explains how the score
+ * was reached. A device the user chose to trust (see utils/trustedDevices)
+ * is always known. Callers that already looked up the IP rule pass it in
+ * (null for no match) so it isn't fetched twice.
  */
-const performCognitiveCheck = (event, userProfile) => {
+const performCognitiveCheck = async (event, userProfile, { trustedDevice = null, ipRule: resolvedIpRule } = {}) => {
   const currentIP = extractIPAddress(event);
+  const ipRule = resolvedIpRule === undefined ? await checkIpRules(currentIP) : resolvedIpRule;
   const currentLocation = getIPLocation(currentIP);
   const currentDevice = getDeviceFingerprint(event);
+  const context = {
+    currentIP,
+    currentLocation,
+    currentDevice,
+    trustedDevice: !!trustedDevice,
+  };
+  
+  if (ipRule) {
+    return { ...ipRuleResult(ipRule), ...context };
+  }
   
   const checks = {
     locationSuspicious: false,
     deviceSuspicious: false,
     timeSuspicious: false,
-    reasons: [],
+    impossibleTravel: false,
   };
   
   // Check location
@@ -207,36 +210,52 @@ const performCognitiveCheck = (event, userProfile) => {
       currentLocation,
       userProfile.lastLoginLocation
     );
-    if (checks.locationSuspicious) {
-      checks.reasons.push('Login from new location');
-    }
   }
   
   // Check device
-  if (userProfile.lastLoginDevice) {
+  if (!trustedDevice && userProfile.lastLoginDevice) {
     checks.deviceSuspicious = isDeviceSuspicious(
       currentDevice,
       userProfile.lastLoginDevice
     );
-    if (checks.deviceSuspicious) {
-      checks.reasons.push('Login from new device or browser');
-    }
   }
   
-  // Check time pattern
-  if (userProfile.loginHistory && userProfile.loginHistory.length >= 3) {
-    checks.timeSuspicious = isTimeSuspicious(userProfile.loginHistory);
-    if (checks.timeSuspicious) {
-      checks.reasons.push('Login at unusual time');
-    }
-  }
+  // Check travel speed since the last login
+  const travel = checkTravelVelocity(
+    { location: userProfile.lastLoginLocation, timestamp: userProfile.lastLoginTime },
+    { location: currentLocation, timestamp: new Date().toISOString() }
+  );
+  checks.impossibleTravel = !!travel && travel.impossible;
+  
+  // Check time pattern (in the user's timezone)
+  const loginTime = isTimeSuspicious(userProfile, currentLocation);
+  checks.timeSuspicious = loginTime.unusual;
+  
+  const risk = scoreLoginRisk({
+    location: { value: checks.locationSuspicious ? 1 : 0 },
+    travelVelocity: checks.impossibleTravel
+      ? { value: 1, detail: `${travel.distanceKm} km at ${travel.speedKmh === null ? 'no elapsed time' : `${travel.speedKmh} km/h`}` }
+      : { value: 0 },
+    device: { value: checks.deviceSuspicious ? 1 : 0 },
+    time: checks.timeSuspicious
+      ? { value: 1, detail: `${loginTime.weekday} ${Math.floor(loginTime.hourOfWeek % 24)}:00 ${loginTime.timezone}, usually around ${Math.floor(loginTime.usualHourOfDay)}:00` }
+      : { value: 0 },
+    ipReputation: ipReputationSignal(currentIP),
+    recentFailures: recentFailuresSignal(userProfile),
+    accountAge: accountAgeSignal(userProfile),
+  });
   
-  checks.suspicious = checks.locationSuspicious || checks.deviceSuspicious || checks.timeSuspicious;
-  checks.currentIP = currentIP;
-  checks.currentLocation = currentLocation;
-  checks.currentDevice = currentDevice;
+  checks.riskScore = risk.score;
+  checks.decision = risk.decision;
+  checks.breakdown = risk.breakdown;
+  checks.reasons = risk.reasons;
+  checks.suspicious = risk.decision !== RISK_DECISIONS.ALLOW;
+  checks.denied = risk.decision === RISK_DECISIONS.DENY;
+  checks.ipRule = null;
+  checks.travel = travel;
+  checks.loginTime = loginTime;
   
-  return checks;
+  return { ...checks, ...context };
 };
 
 module.exports = {
@@ -13,6 +13,8 @@
  */
 
 const AWS = require('aws-sdk');
+const crypto = require('crypto');
+const { getCognitoJwtVerifier } = require('./cognitoJwtVerifier');
 
 // Cognito User Pool Configuration
 const USER_POOL_ID = process.env.COGNITO_USER_POOL_ID;
@@ -188,9 +190,37 @@ const verifyEmail = async (email, code) => {
   }
 };
 
+// Code field Cognito expects for each MFA challenge
+const MFA_CHALLENGE_CODES = {
+  SMS_MFA: 'SMS_MFA_CODE',
+  SOFTWARE_TOKEN_MFA: 'SOFTWARE_TOKEN_MFA_CODE',
+  EMAIL_OTP: 'EMAIL_OTP_CODE'
+};
+
+const toChallengeResult = (result, email) => {
+  if (!MFA_CHALLENGE_CODES[result.ChallengeName]) {
+    return {
+      success: false,
+      error: 'CHALLENGE_NOT_SUPPORTED',
+      message: `Sign-in requires ${result.ChallengeName}, which this app doesn't support.`
+    };
+  }
+
+  return {
+    success: true,
+    challenge: {
+      name: result.ChallengeName,
+      session: result.Session,
+      username: email
+    },
+    message: 'Multi-factor authentication is required.'
+  };
+};
+
 /**
  * Sign in user with email and password
- * Returns JWT tokens (AccessToken, IdToken, RefreshToken)
+ * Returns JWT tokens (AccessToken, IdToken, RefreshToken), or a challenge
+ * when the user has MFA turned on
  * 
  * @param {string} email - User's email address
  * @param {string} password - User's password
@@ -219,6 +249,11 @@ const signInUser = async (email, password) => {
     console.log(`🔐 Signing in user: ${email}`);
     const result = await cognito.initiateAuth(params).promise();
 
+    // MFA is on for this user; finish with respondToMfaChallenge
+    if (result.ChallengeName) {
+      return toChallengeResult(result, email);
+    }
+
     return {
       success: true,
       tokens: {
@@ -346,13 +381,42 @@ const resendVerificationCode = async (email) => {
  * Verify JWT token from Cognito
  * Use this for protecting API endpoints
  * 
+ * The signature and claims are checked locally against the user pool's JWKS,
+ * without calling Cognito. Access tokens don't carry the email; endpoints
+ * that need it call getUserAttributes as well.
+ * 
  * @param {string} token - JWT token (AccessToken or IdToken)
- * @returns {object} - Token verification result with user info
+ * @returns {object} - Token verification result with the token's claims
  */
 const verifyToken = async (token) => {
+  const verification = await getCognitoJwtVerifier().verify(token);
+  if (!verification.success) {
+    return verification;
+  }
+
+  const { claims } = verification;
+  return {
+    success: true,
+    user: {
+      username: claims.username,
+      sub: claims.sub,
+      groups: claims.groups,
+      tokenUse: claims.tokenUse,
+      ...(claims.email ? { email: claims.email, emailVerified: claims.emailVerified } : {})
+    }
+  };
+};
+
+/**
+ * Look up the user's attributes (email) with their access token
+ * 
+ * @param {string} accessToken - AccessToken from login
+ * @returns {object} - User info from Cognito
+ */
+const getUserAttributes = async (accessToken) => {
   try {
     const params = {
-      AccessToken: token
+      AccessToken: accessToken
     };
 
     const result = await cognito.getUser(params).promise();
@@ -374,7 +438,7 @@ const verifyToken = async (token) => {
     };
 
   } catch (error) {
-    console.error('❌ Token Verification Error:', {
+    console.error('❌ Get User Attributes Error:', {
       code: error.code,
       message: error.message,
       statusCode: error.statusCode,
@@ -557,14 +621,213 @@ const signOutUser = async (accessToken) => {
   }
 };
 
+/**
+ * Answer the MFA challenge returned by signInUser
+ * 
+ * @param {object} challenge - { name, session, username } from signInUser
+ * @param {string} code - Code from the SMS, email or authenticator app
+ * @returns {object} - Authentication result with tokens
+ */
+const respondToMfaChallenge = async (challenge, code) => {
+  try {
+    const params = {
+      ClientId: CLIENT_ID,
+      ChallengeName: challenge.name,
+      Session: challenge.session,
+      ChallengeResponses: {
+        USERNAME: challenge.username,
+        [MFA_CHALLENGE_CODES[challenge.name]]: code
+      }
+    };
+
+    const result = await cognito.respondToAuthChallenge(params).promise();
+
+    return {
+      success: true,
+      tokens: {
+        accessToken: result.AuthenticationResult.AccessToken,
+        idToken: result.AuthenticationResult.IdToken,
+        refreshToken: result.AuthenticationResult.RefreshToken,
+        expiresIn: result.AuthenticationResult.ExpiresIn
+      },
+      message: 'Login successful'
+    };
+
+  } catch (error) {
+    console.error('❌ MFA Challenge Error:', {
+      code: error.code,
+      message: error.message,
+      statusCode: error.statusCode,
+      requestId: error.requestId
+    });
+
+    switch (error.code) {
+      case 'CodeMismatchException':
+        return {
+          success: false,
+          error: 'INVALID_CODE',
+          message: 'Invalid code. Please try again.'
+        };
+      case 'ExpiredCodeException':
+      case 'NotAuthorizedException':
+        // Cognito sessions for a challenge last a few minutes
+        return {
+          success: false,
+          error: 'CODE_EXPIRED',
+          message: 'This sign-in has expired. Please login again.'
+        };
+      default:
+        return {
+          success: false,
+          error: 'LOGIN_FAILED',
+          message: 'Login failed. Please try again.'
+        };
+    }
+  }
+};
+
+/**
+ * Revoke a refresh token and the access tokens issued with it
+ * Lets a client log out when its access token has already expired.
+ * 
+ * @param {string} refreshToken - Refresh token from login
+ * @returns {object} - Revocation result
+ */
+const revokeRefreshToken = async (refreshToken) => {
+  try {
+    const params = {
+      ClientId: CLIENT_ID,
+      Token: refreshToken
+    };
+
+    await cognito.revokeToken(params).promise();
+
+    return {
+      success: true,
+      message: 'Signed out successfully.'
+    };
+
+  } catch (error) {
+    console.error('❌ Revoke Token Error:', {
+      code: error.code,
+      message: error.message,
+      statusCode: error.statusCode,
+      requestId: error.requestId
+    });
+    return {
+      success: false,
+      error: 'INVALID_TOKEN',
+      message: 'Invalid or expired refresh token.'
+    };
+  }
+};
+
+/**
+ * Create a user as an administrator (used to migrate existing users)
+ * No invitation is sent; the random temporary password is replaced with
+ * the user's real password on their first sign-in.
+ * 
+ * @param {string} email - User's email address
+ * @param {Array} attributes - [{ Name, Value }] user attributes
+ * @returns {object} - Creation result with the user's sub
+ */
+const adminCreateUser = async (email, attributes) => {
+  if (!isCognitoConfigured()) {
+    return {
+      success: false,
+      error: 'CONFIG_ERROR',
+      message: 'Cognito is not configured. Please run setup-cognito.js script first.'
+    };
+  }
+
+  try {
+    const params = {
+      UserPoolId: USER_POOL_ID,
+      Username: email,
+      UserAttributes: attributes,
+      TemporaryPassword: `${crypto.randomBytes(24).toString('base64url')}aA1!`,
+      MessageAction: 'SUPPRESS'
+    };
+
+    const result = await cognito.adminCreateUser(params).promise();
+    const sub = (result.User.Attributes || []).find((attr) => attr.Name === 'sub');
+
+    return {
+      success: true,
+      userId: sub ? sub.Value : null
+    };
+
+  } catch (error) {
+    if (error.code === 'UsernameExistsException') {
+      return {
+        success: false,
+        error: 'EMAIL_EXISTS',
+        message: 'An account with this email already exists.'
+      };
+    }
+
+    console.error('❌ Admin Create User Error:', {
+      code: error.code,
+      message: error.message,
+      statusCode: error.statusCode,
+      requestId: error.requestId
+    });
+    return {
+      success: false,
+      error: 'CREATE_FAILED',
+      message: error.message
+    };
+  }
+};
+
+/**
+ * Set a user's permanent password as an administrator
+ * 
+ * @param {string} email - User's email address
+ * @param {string} password - New password
+ * @returns {object} - Result
+ */
+const adminSetPassword = async (email, password) => {
+  try {
+    const params = {
+      UserPoolId: USER_POOL_ID,
+      Username: email,
+      Password: password,
+      Permanent: true
+    };
+
+    await cognito.adminSetUserPassword(params).promise();
+
+    return { success: true };
+
+  } catch (error) {
+    console.error('❌ Admin Set Password Error:', {
+      code: error.code,
+      message: error.message,
+      statusCode: error.statusCode,
+      requestId: error.requestId
+    });
+    return {
+      success: false,
+      error: error.code === 'InvalidPasswordException' ? 'INVALID_PASSWORD' : 'SET_PASSWORD_FAILED',
+      message: error.message
+    };
+  }
+};
+
 module.exports = {
   signUpUser,
   verifyEmail,
   signInUser,
   resendVerificationCode,
   verifyToken,
+  getUserAttributes,
   refreshAccessToken,
   forgotPassword,
   confirmForgotPassword,
-  signOutUser
+  signOutUser,
+  respondToMfaChallenge,
+  revokeRefreshToken,
+  adminCreateUser,
+  adminSetPassword
 };
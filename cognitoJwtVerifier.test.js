@@ -0,0 +1,74 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createCognitoJwtVerifier, getIssuer } = require('./utils/cognitoJwtVerifier');
+
+const USER_POOL_ID = 'us-east-1_TestPool';
+const CLIENT_ID = 'test-client-id';
+const ISSUER = getIssuer(USER_POOL_ID);
+
+// Local JWKS fixture: one signing key published under kid "test-key"
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const jwksFixture = {
+  keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'test-key', alg: 'RS256', use: 'sig' }],
+};
+
+const sign = (claims, { kid = 'test-key', key = privateKey, expiresIn = 3600 } = {}) => jwt.sign(
+  { sub: 'user-sub', iss: ISSUER, ...claims },
+  key.export({ type: 'pkcs8', format: 'pem' }),
+  { algorithm: 'RS256', keyid: kid, expiresIn }
+);
+
+const idToken = (claims = {}) => sign({ token_use: 'id', aud: CLIENT_ID, email: 'patient@example.com', email_verified: true, ...claims });
+const accessToken = (claims = {}) => sign({ token_use: 'access', client_id: CLIENT_ID, username: 'patient', ...claims });
+
+describe('cognitoJwtVerifier', () => {
+  let fetchJwks;
+  let verifier;
+
+  beforeEach(() => {
+    fetchJwks = jest.fn(async () => jwksFixture);
+    verifier = createCognitoJwtVerifier({ userPoolId: USER_POOL_ID, clientId: CLIENT_ID, fetchJwks });
+  });
+
+  test('accepts ID and access tokens and caches the JWKS', async () => {
+    const id = await verifier.verify(idToken());
+    const access = await verifier.verify(accessToken());
+
+    expect(id).toMatchObject({ success: true, claims: { sub: 'user-sub', email: 'patient@example.com', tokenUse: 'id' } });
+    expect(access).toMatchObject({ success: true, claims: { username: 'patient', tokenUse: 'access' } });
+    expect(fetchJwks).toHaveBeenCalledTimes(1);
+    expect(fetchJwks).toHaveBeenCalledWith(`${ISSUER}/.well-known/jwks.json`);
+  });
+
+  test('can require a specific token use', async () => {
+    const result = await verifier.verify(idToken(), { tokenUse: 'access' });
+    expect(result.success).toBe(false);
+  });
+
+  test('rejects tokens for another app client', async () => {
+    expect((await verifier.verify(idToken({ aud: 'other-client' }))).success).toBe(false);
+    expect((await verifier.verify(accessToken({ client_id: 'other-client' }))).success).toBe(false);
+  });
+
+  test('rejects tokens from another issuer', async () => {
+    const result = await verifier.verify(idToken({ iss: getIssuer('us-east-1_Other') }));
+    expect(result.success).toBe(false);
+  });
+
+  test('rejects expired tokens', async () => {
+    const result = await verifier.verify(sign({ token_use: 'id', aud: CLIENT_ID }, { expiresIn: -10 }));
+    expect(result).toMatchObject({ success: false, message: 'Token has expired.' });
+  });
+
+  test('rejects tokens signed with a key that is not in the JWKS', async () => {
+    const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+    expect((await verifier.verify(sign({ token_use: 'id', aud: CLIENT_ID }, { key: otherKey }))).success).toBe(false);
+    expect((await verifier.verify(sign({ token_use: 'id', aud: CLIENT_ID }, { key: otherKey, kid: 'unknown' }))).success).toBe(false);
+  });
+
+  test('recognises tokens from its own user pool', () => {
+    expect(verifier.isCognitoToken(idToken())).toBe(true);
+    expect(verifier.isCognitoToken(jwt.sign({ userId: 'u1' }, 'secret'))).toBe(false);
+  });
+});
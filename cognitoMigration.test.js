@@ -0,0 +1,53 @@
+const {
+  getMigrationBlocker,
+  planUserMigration,
+  toAttributeList,
+  buildMigrationResponse,
+} = require('./utils/cognitoMigration');
+
+const user = (overrides = {}) => ({
+  userId: 'u1',
+  email: 'patient@example.com',
+  passwordHash: '$2a$10$hash',
+  isEmailVerified: true,
+  ...overrides,
+});
+
+describe('cognitoMigration', () => {
+  test('deleted, locked and passwordless users are flagged', () => {
+    expect(getMigrationBlocker(user())).toBeNull();
+    expect(getMigrationBlocker(null)).toBe('NOT_FOUND');
+    expect(getMigrationBlocker(user({ deletedAt: '2025-01-01T00:00:00Z' }))).toBe('DELETED');
+    expect(getMigrationBlocker(user({ lockedAt: '2025-01-01T00:00:00Z' }))).toBe('LOCKED');
+    expect(getMigrationBlocker(user({ passwordHash: undefined }))).toBe('NO_PASSWORD');
+    expect(getMigrationBlocker(user({ invitationStatus: 'pending', passwordHash: undefined }))).toBe('INVITED');
+    expect(getMigrationBlocker(user({ invitationStatus: 'accepted' }))).toBeNull();
+  });
+
+  test('plans which users the batch migration creates', () => {
+    expect(planUserMigration(user())).toEqual({ action: 'create', passwordPending: true });
+    expect(planUserMigration(user({ passwordHash: undefined }))).toEqual({ action: 'create', passwordPending: false });
+    expect(planUserMigration(user({ cognitoMigratedAt: '2025-01-01T00:00:00Z' })))
+      .toEqual({ action: 'skip', reason: 'ALREADY_MIGRATED' });
+    expect(planUserMigration(user({ deletedAt: '2025-01-01T00:00:00Z' })))
+      .toEqual({ action: 'skip', reason: 'DELETED' });
+    expect(planUserMigration(user({ invitationStatus: 'pending', passwordHash: undefined })))
+      .toEqual({ action: 'skip', reason: 'INVITED' });
+  });
+
+  test('trigger response carries over email verification', () => {
+    expect(buildMigrationResponse(user({ name: 'Asha' }))).toEqual({
+      userAttributes: { email: 'patient@example.com', email_verified: 'true', name: 'Asha' },
+      finalUserStatus: 'CONFIRMED',
+      messageAction: 'SUPPRESS',
+    });
+    expect(buildMigrationResponse(user({ isEmailVerified: false })).userAttributes.email_verified).toBe('false');
+  });
+
+  test('attribute maps convert to AdminCreateUser lists', () => {
+    expect(toAttributeList({ email: 'patient@example.com', email_verified: 'true' })).toEqual([
+      { Name: 'email', Value: 'patient@example.com' },
+      { Name: 'email_verified', Value: 'true' },
+    ]);
+  });
+});
@@ -49,24 +49,10 @@ const createTransporter = () => {
   });
 };
 
-/**
- * Generate a 6-digit OTP
- */
-const generateOTP = () => {
-  return Math.floor(100000 + Math.random() * 900000).toString();
-};
-
-/**
- * Generate OTP expiry time (5 minutes from now)
- */
-const generateOTPExpiry = () => {
-  return new Date(Date.now() + 5 * 60 * 1000).toISOString();
-};
-
 /**
  * Send OTP email for signup verification
  */
-const sendSignupOTP = async (email, otp) => {
+const sendSignupOTP = async (email, otp, expiresInMinutes = 5) => {
   console.log(`📧 Attempting to send signup OTP to: ${email}`);
   console.log(`EMAIL_FROM configured as: ${process.env.EMAIL_FROM || 'noreply@myvision.com'}`);
   console.log(`AWS_SES_REGION: ${process.env.AWS_SES_REGION || 'not set'}`);
@@ -105,7 +91,7 @@ const sendSignupOTP = async (email, otp) => {
                 <div style="background-color: #f4f4f4; padding: 20px; text-align: center; font-size: 32px; font-weight: bold; letter-spacing: 5px; margin: 20px 0;">
                   ${otp}
                 </div>
-                <p style="color: #666;">This code will expire in <strong>5 minutes</strong>.</p>
+                <p style="color: #666;">This code will expire in <strong>${expiresInMinutes} minutes</strong>.</p>
                 <p style="color: #666;">If you didn't request this, please ignore this email.</p>
                 <hr style="margin: 30px 0; border: none; border-top: 1px solid #ddd;">
                 <p style="color: #999; font-size: 12px;">MyVision - Secure Authentication System</p>
@@ -158,7 +144,7 @@ const sendSignupOTP = async (email, otp) => {
         <div style="background-color: #f4f4f4; padding: 20px; text-align: center; font-size: 32px; font-weight: bold; letter-spacing: 5px; margin: 20px 0;">
           ${otp}
         </div>
-        <p style="color: #666;">This code will expire in <strong>5 minutes</strong>.</p>
+        <p style="color: #666;">This code will expire in <strong>${expiresInMinutes} minutes</strong>.</p>
         <p style="color: #666;">If you didn't request this, please ignore this email.</p>
         <hr style="margin: 30px 0; border: none; border-top: 1px solid #ddd;">
         <p style="color: #999; font-size: 12px;">MyVision - Secure Authentication System</p>
@@ -184,7 +170,7 @@ const sendSignupOTP = async (email, otp) => {
 /**
  * Send OTP email for suspicious login verification
  */
-const sendLoginOTP = async (email, otp, reason) => {
+const sendLoginOTP = async (email, otp, reason, expiresInMinutes = 5) => {
   console.log(`📧 Attempting to send login OTP to: ${email}`);
   console.log(`Reason: ${reason}`);
   
@@ -213,7 +199,7 @@ const sendLoginOTP = async (email, otp, reason) => {
                 <div style="background-color: #f4f4f4; padding: 20px; text-align: center; font-size: 32px; font-weight: bold; letter-spacing: 5px; margin: 20px 0;">
                   ${otp}
                 </div>
-                <p style="color: #666;">This code will expire in <strong>5 minutes</strong>.</p>
+                <p style="color: #666;">This code will expire in <strong>${expiresInMinutes} minutes</strong>.</p>
                 <p style="color: #d9534f;"><strong>If this wasn't you, please secure your account immediately by changing your password.</strong></p>
                 <hr style="margin: 30px 0; border: none; border-top: 1px solid #ddd;">
                 <p style="color: #999; font-size: 12px;">MyVision - Secure Authentication System</p>
@@ -262,7 +248,7 @@ const sendLoginOTP = async (email, otp, reason) => {
         <div style="background-color: #f4f4f4; padding: 20px; text-align: center; font-size: 32px; font-weight: bold; letter-spacing: 5px; margin: 20px 0;">
           ${otp}
         </div>
-        <p style="color: #666;">This code will expire in <strong>5 minutes</strong>.</p>
+        <p style="color: #666;">This code will expire in <strong>${expiresInMinutes} minutes</strong>.</p>
         <p style="color: #d9534f;"><strong>If this wasn't you, please secure your account immediately by changing your password.</strong></p>
         <hr style="margin: 30px 0; border: none; border-top: 1px solid #ddd;">
         <p style="color: #999; font-size: 12px;">MyVision - Secure Authentication System</p>
@@ -282,17 +268,763 @@ const sendLoginOTP = async (email, otp, reason) => {
 };
 
 /**
- * Validate OTP expiry
+ * Send OTP email for password reset
+ */
+const sendPasswordResetOTP = async (email, otp, expiresInMinutes = 5) => {
+  console.log(`📧 Attempting to send password reset OTP to: ${email}`);
+  
+  const transporter = createTransporter();
+  
+  // If using direct SES (no transporter), use AWS SDK directly
+  if (!transporter && process.env.AWS_SES_REGION) {
+    const params = {
+      Source: process.env.EMAIL_FROM || 'noreply@myvision.com',
+      Destination: {
+        ToAddresses: [email]
+      },
+      Message: {
+        Subject: {
+          Data: 'Reset Your Password - MyVision',
+          Charset: 'UTF-8'
+        },
+        Body: {
+          Html: {
+            Data: `
+              <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2 style="color: #333;">Password Reset</h2>
+                <p>We received a request to reset the password for your account. Please use the following OTP to choose a new password:</p>
+                <div style="background-color: #f4f4f4; padding: 20px; text-align: center; font-size: 32px; font-weight: bold; letter-spacing: 5px; margin: 20px 0;">
+                  ${otp}
+                </div>
+                <p style="color: #666;">This code will expire in <strong>${expiresInMinutes} minutes</strong>.</p>
+                <p style="color: #666;">If you didn't request a password reset, you can safely ignore this email. Your password will not change.</p>
+                <hr style="margin: 30px 0; border: none; border-top: 1px solid #ddd;">
+                <p style="color: #999; font-size: 12px;">MyVision - Secure Authentication System</p>
+              </div>
+            `,
+            Charset: 'UTF-8'
+          }
+        }
+      }
+    };
+    
+    try {
+      const result = await ses.sendEmail(params).promise();
+      console.log(`✅ Password reset OTP sent successfully to ${email}`);
+      console.log(`Message ID: ${result.MessageId}`);
+      return { success: true, messageId: result.MessageId };
+    } catch (error) {
+      console.error('❌ Error sending password reset OTP:', {
+        code: error.code,
+        message: error.message,
+        statusCode: error.statusCode,
+        requestId: error.requestId
+      });
+      
+      let errorMessage = error.message;
+      if (error.code === 'MessageRejected') {
+        errorMessage = `Email not verified in AWS SES. Run: node verify-ses-email.js ${process.env.EMAIL_FROM}`;
+      }
+      
+      return { success: false, error: errorMessage, code: error.code };
+    }
+  }
+  
+  // Otherwise use nodemailer transporter
+  const mailOptions = {
+    from: process.env.EMAIL_FROM || 'noreply@myvision.com',
+    to: email,
+    subject: 'Reset Your Password - MyVision',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Password Reset</h2>
+        <p>We received a request to reset the password for your account. Please use the following OTP to choose a new password:</p>
+        <div style="background-color: #f4f4f4; padding: 20px; text-align: center; font-size: 32px; font-weight: bold; letter-spacing: 5px; margin: 20px 0;">
+          ${otp}
+        </div>
+        <p style="color: #666;">This code will expire in <strong>${expiresInMinutes} minutes</strong>.</p>
+        <p style="color: #666;">If you didn't request a password reset, you can safely ignore this email. Your password will not change.</p>
+        <hr style="margin: 30px 0; border: none; border-top: 1px solid #ddd;">
+        <p style="color: #999; font-size: 12px;">MyVision - Secure Authentication System</p>
+      </div>
+    `,
+  };
+  
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log(`✅ Password reset OTP sent successfully to ${email}`);
+    console.log(`Message ID: ${info.messageId}`);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending password reset OTP:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Send account locked email with an unlock link
+ */
+const sendAccountUnlockEmail = async (email, unlockUrl) => {
+  console.log(`📧 Attempting to send account unlock email to: ${email}`);
+  
+  const transporter = createTransporter();
+  
+  // If using direct SES (no transporter), use AWS SDK directly
+  if (!transporter && process.env.AWS_SES_REGION) {
+    const params = {
+      Source: process.env.EMAIL_FROM || 'noreply@myvision.com',
+      Destination: {
+        ToAddresses: [email]
+      },
+      Message: {
+        Subject: {
+          Data: 'Your Account Has Been Locked - MyVision',
+          Charset: 'UTF-8'
+        },
+        Body: {
+          Html: {
+            Data: `
+              <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2 style="color: #d9534f;">Account Locked</h2>
+                <p>Your account was locked after too many failed login attempts.</p>
+                <p>If these attempts were you, use the button below to unlock your account:</p>
+                <div style="text-align: center; margin: 30px 0;">
+                  <a href="${unlockUrl}" style="background-color: #337ab7; color: #fff; padding: 12px 24px; text-decoration: none; border-radius: 4px;">Unlock My Account</a>
+                </div>
+                <p style="color: #666;">This link will expire in <strong>24 hours</strong>. You can also unlock your account by resetting your password.</p>
+                <p style="color: #d9534f;"><strong>If this wasn't you, someone may be trying to guess your password. Please reset it after unlocking.</strong></p>
+                <hr style="margin: 30px 0; border: none; border-top: 1px solid #ddd;">
+                <p style="color: #999; font-size: 12px;">MyVision - Secure Authentication System</p>
+              </div>
+            `,
+            Charset: 'UTF-8'
+          }
+        }
+      }
+    };
+    
+    try {
+      const result = await ses.sendEmail(params).promise();
+      console.log(`✅ Account unlock email sent successfully to ${email}`);
+      console.log(`Message ID: ${result.MessageId}`);
+      return { success: true, messageId: result.MessageId };
+    } catch (error) {
+      console.error('❌ Error sending account unlock email:', {
+        code: error.code,
+        message: error.message,
+        statusCode: error.statusCode,
+        requestId: error.requestId
+      });
+      
+      let errorMessage = error.message;
+      if (error.code === 'MessageRejected') {
+        errorMessage = `Email not verified in AWS SES. Run: node verify-ses-email.js ${process.env.EMAIL_FROM}`;
+      }
+      
+      return { success: false, error: errorMessage, code: error.code };
+    }
+  }
+  
+  // Otherwise use nodemailer transporter
+  const mailOptions = {
+    from: process.env.EMAIL_FROM || 'noreply@myvision.com',
+    to: email,
+    subject: 'Your Account Has Been Locked - MyVision',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #d9534f;">Account Locked</h2>
+        <p>Your account was locked after too many failed login attempts.</p>
+        <p>If these attempts were you, use the button below to unlock your account:</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${unlockUrl}" style="background-color: #337ab7; color: #fff; padding: 12px 24px; text-decoration: none; border-radius: 4px;">Unlock My Account</a>
+        </div>
+        <p style="color: #666;">This link will expire in <strong>24 hours</strong>. You can also unlock your account by resetting your password.</p>
+        <p style="color: #d9534f;"><strong>If this wasn't you, someone may be trying to guess your password. Please reset it after unlocking.</strong></p>
+        <hr style="margin: 30px 0; border: none; border-top: 1px solid #ddd;">
+        <p style="color: #999; font-size: 12px;">MyVision - Secure Authentication System</p>
+      </div>
+    `,
+  };
+  
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log(`✅ Account unlock email sent successfully to ${email}`);
+    console.log(`Message ID: ${info.messageId}`);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending account unlock email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Send OTP to a new email address to confirm an email change
  */
-const isOTPExpired = (otpExpiry) => {
-  if (!otpExpiry) return true;
-  return new Date() > new Date(otpExpiry);
+const sendEmailChangeOTP = async (email, otp, expiresInMinutes = 5) => {
+  console.log(`📧 Attempting to send email change OTP to: ${email}`);
+  
+  const transporter = createTransporter();
+  
+  // If using direct SES (no transporter), use AWS SDK directly
+  if (!transporter && process.env.AWS_SES_REGION) {
+    const params = {
+      Source: process.env.EMAIL_FROM || 'noreply@myvision.com',
+      Destination: {
+        ToAddresses: [email]
+      },
+      Message: {
+        Subject: {
+          Data: 'Confirm Your New Email - MyVision',
+          Charset: 'UTF-8'
+        },
+        Body: {
+          Html: {
+            Data: `
+              <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2 style="color: #333;">Confirm Your New Email</h2>
+                <p>You asked to use this address for your MyVision account. Please use the following OTP to confirm the change:</p>
+                <div style="background-color: #f4f4f4; padding: 20px; text-align: center; font-size: 32px; font-weight: bold; letter-spacing: 5px; margin: 20px 0;">
+                  ${otp}
+                </div>
+                <p style="color: #666;">This code will expire in <strong>${expiresInMinutes} minutes</strong>.</p>
+                <p style="color: #666;">If you didn't request this change, you can safely ignore this email.</p>
+                <hr style="margin: 30px 0; border: none; border-top: 1px solid #ddd;">
+                <p style="color: #999; font-size: 12px;">MyVision - Secure Authentication System</p>
+              </div>
+            `,
+            Charset: 'UTF-8'
+          }
+        }
+      }
+    };
+    
+    try {
+      const result = await ses.sendEmail(params).promise();
+      console.log(`✅ Email change OTP sent successfully to ${email}`);
+      console.log(`Message ID: ${result.MessageId}`);
+      return { success: true, messageId: result.MessageId };
+    } catch (error) {
+      console.error('❌ Error sending email change OTP:', {
+        code: error.code,
+        message: error.message,
+        statusCode: error.statusCode,
+        requestId: error.requestId
+      });
+      
+      let errorMessage = error.message;
+      if (error.code === 'MessageRejected') {
+        errorMessage = `Email not verified in AWS SES. Run: node verify-ses-email.js ${process.env.EMAIL_FROM}`;
+      }
+      
+      return { success: false, error: errorMessage, code: error.code };
+    }
+  }
+  
+  // Otherwise use nodemailer transporter
+  const mailOptions = {
+    from: process.env.EMAIL_FROM || 'noreply@myvision.com',
+    to: email,
+    subject: 'Confirm Your New Email - MyVision',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Confirm Your New Email</h2>
+        <p>You asked to use this address for your MyVision account. Please use the following OTP to confirm the change:</p>
+        <div style="background-color: #f4f4f4; padding: 20px; text-align: center; font-size: 32px; font-weight: bold; letter-spacing: 5px; margin: 20px 0;">
+          ${otp}
+        </div>
+        <p style="color: #666;">This code will expire in <strong>${expiresInMinutes} minutes</strong>.</p>
+        <p style="color: #666;">If you didn't request this change, you can safely ignore this email.</p>
+        <hr style="margin: 30px 0; border: none; border-top: 1px solid #ddd;">
+        <p style="color: #999; font-size: 12px;">MyVision - Secure Authentication System</p>
+      </div>
+    `,
+  };
+  
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log(`✅ Email change OTP sent successfully to ${email}`);
+    console.log(`Message ID: ${info.messageId}`);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending email change OTP:', error);
+    return { success: false, error: error.message };
+  }
 };
 
+/**
+ * Tell the previous address that the account email was changed
+ */
+const sendEmailChangedNotice = async (email, newEmail, revertUrl) => {
+  console.log(`📧 Attempting to send email change notice to: ${email}`);
+  
+  const transporter = createTransporter();
+  
+  // If using direct SES (no transporter), use AWS SDK directly
+  if (!transporter && process.env.AWS_SES_REGION) {
+    const params = {
+      Source: process.env.EMAIL_FROM || 'noreply@myvision.com',
+      Destination: {
+        ToAddresses: [email]
+      },
+      Message: {
+        Subject: {
+          Data: 'Your Email Address Was Changed - MyVision',
+          Charset: 'UTF-8'
+        },
+        Body: {
+          Html: {
+            Data: `
+              <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2 style="color: #333;">Email Address Changed</h2>
+                <p>The email address for your MyVision account was changed to <strong>${newEmail}</strong>.</p>
+                <p>If you made this change, no action is needed.</p>
+                <p style="color: #d9534f;"><strong>If this wasn't you, use the button below to switch back to this address and sign out every device:</strong></p>
+                <div style="text-align: center; margin: 30px 0;">
+                  <a href="${revertUrl}" style="background-color: #d9534f; color: #fff; padding: 12px 24px; text-decoration: none; border-radius: 4px;">Revert Email Change</a>
+                </div>
+                <p style="color: #666;">This link will expire in <strong>7 days</strong>. We also recommend resetting your password.</p>
+                <hr style="margin: 30px 0; border: none; border-top: 1px solid #ddd;">
+                <p style="color: #999; font-size: 12px;">MyVision - Secure Authentication System</p>
+              </div>
+            `,
+            Charset: 'UTF-8'
+          }
+        }
+      }
+    };
+    
+    try {
+      const result = await ses.sendEmail(params).promise();
+      console.log(`✅ Email change notice sent successfully to ${email}`);
+      console.log(`Message ID: ${result.MessageId}`);
+      return { success: true, messageId: result.MessageId };
+    } catch (error) {
+      console.error('❌ Error sending email change notice:', {
+        code: error.code,
+        message: error.message,
+        statusCode: error.statusCode,
+        requestId: error.requestId
+      });
+      
+      let errorMessage = error.message;
+      if (error.code === 'MessageRejected') {
+        errorMessage = `Email not verified in AWS SES. Run: node verify-ses-email.js ${process.env.EMAIL_FROM}`;
+      }
+      
+      return { success: false, error: errorMessage, code: error.code };
+    }
+  }
+  
+  // Otherwise use nodemailer transporter
+  const mailOptions = {
+    from: process.env.EMAIL_FROM || 'noreply@myvision.com',
+    to: email,
+    subject: 'Your Email Address Was Changed - MyVision',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Email Address Changed</h2>
+        <p>The email address for your MyVision account was changed to <strong>${newEmail}</strong>.</p>
+        <p>If you made this change, no action is needed.</p>
+        <p style="color: #d9534f;"><strong>If this wasn't you, use the button below to switch back to this address and sign out every device:</strong></p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${revertUrl}" style="background-color: #d9534f; color: #fff; padding: 12px 24px; text-decoration: none; border-radius: 4px;">Revert Email Change</a>
+        </div>
+        <p style="color: #666;">This link will expire in <strong>7 days</strong>. We also recommend resetting your password.</p>
+        <hr style="margin: 30px 0; border: none; border-top: 1px solid #ddd;">
+        <p style="color: #999; font-size: 12px;">MyVision - Secure Authentication System</p>
+      </div>
+    `,
+  };
+  
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log(`✅ Email change notice sent successfully to ${email}`);
+    console.log(`Message ID: ${info.messageId}`);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending email change notice:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Confirm that an account was deleted and say when its data will be purged
+ */
+const sendAccountDeletionEmail = async (email, purgeAfter) => {
+  console.log(`📧 Attempting to send account deletion email to: ${email}`);
+  
+  const transporter = createTransporter();
+  
+  // If using direct SES (no transporter), use AWS SDK directly
+  if (!transporter && process.env.AWS_SES_REGION) {
+    const params = {
+      Source: process.env.EMAIL_FROM || 'noreply@myvision.com',
+      Destination: {
+        ToAddresses: [email]
+      },
+      Message: {
+        Subject: {
+          Data: 'Your Account Has Been Deleted - MyVision',
+          Charset: 'UTF-8'
+        },
+        Body: {
+          Html: {
+            Data: `
+              <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2 style="color: #333;">Account Deleted</h2>
+                <p>Your MyVision account has been deleted and you have been signed out of every device.</p>
+                <p>Your uploaded files and remaining account data will be permanently removed on <strong>${new Date(purgeAfter).toDateString()}</strong>.</p>
+                <p style="color: #666;">If you need to keep a copy of your data or didn't request this, please contact the clinic before that date.</p>
+                <hr style="margin: 30px 0; border: none; border-top: 1px solid #ddd;">
+                <p style="color: #999; font-size: 12px;">MyVision - Secure Authentication System</p>
+              </div>
+            `,
+            Charset: 'UTF-8'
+          }
+        }
+      }
+    };
+    
+    try {
+      const result = await ses.sendEmail(params).promise();
+      console.log(`✅ Account deletion email sent successfully to ${email}`);
+      console.log(`Message ID: ${result.MessageId}`);
+      return { success: true, messageId: result.MessageId };
+    } catch (error) {
+      console.error('❌ Error sending account deletion email:', {
+        code: error.code,
+        message: error.message,
+        statusCode: error.statusCode,
+        requestId: error.requestId
+      });
+      
+      let errorMessage = error.message;
+      if (error.code === 'MessageRejected') {
+        errorMessage = `Email not verified in AWS SES. Run: node verify-ses-email.js ${process.env.EMAIL_FROM}`;
+      }
+      
+      return { success: false, error: errorMessage, code: error.code };
+    }
+  }
+  
+  // Otherwise use nodemailer transporter
+  const mailOptions = {
+    from: process.env.EMAIL_FROM || 'noreply@myvision.com',
+    to: email,
+    subject: 'Your Account Has Been Deleted - MyVision',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Account Deleted</h2>
+        <p>Your MyVision account has been deleted and you have been signed out of every device.</p>
+        <p>Your uploaded files and remaining account data will be permanently removed on <strong>${new Date(purgeAfter).toDateString()}</strong>.</p>
+        <p style="color: #666;">If you need to keep a copy of your data or didn't request this, please contact the clinic before that date.</p>
+        <hr style="margin: 30px 0; border: none; border-top: 1px solid #ddd;">
+        <p style="color: #999; font-size: 12px;">MyVision - Secure Authentication System</p>
+      </div>
+    `,
+  };
+  
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log(`✅ Account deletion email sent successfully to ${email}`);
+    console.log(`Message ID: ${info.messageId}`);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending account deletion email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Send a single-use sign-in link
+ */
+const sendMagicLinkEmail = async (email, magicLinkUrl, expiresInMinutes = 15) => {
+  console.log(`📧 Attempting to send sign-in link email to: ${email}`);
+  
+  const transporter = createTransporter();
+  
+  // If using direct SES (no transporter), use AWS SDK directly
+  if (!transporter && process.env.AWS_SES_REGION) {
+    const params = {
+      Source: process.env.EMAIL_FROM || 'noreply@myvision.com',
+      Destination: {
+        ToAddresses: [email]
+      },
+      Message: {
+        Subject: {
+          Data: 'Your Sign-In Link - MyVision',
+          Charset: 'UTF-8'
+        },
+        Body: {
+          Html: {
+            Data: `
+              <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2 style="color: #333;">Sign In to MyVision</h2>
+                <p>Use the button below to sign in. No password needed.</p>
+                <div style="text-align: center; margin: 30px 0;">
+                  <a href="${magicLinkUrl}" style="background-color: #337ab7; color: #fff; padding: 12px 24px; text-decoration: none; border-radius: 4px;">Sign In</a>
+                </div>
+                <p style="color: #666;">This link can be used once and will expire in <strong>${expiresInMinutes} minutes</strong>.</p>
+                <p style="color: #666;">If you didn't ask to sign in, you can ignore this email.</p>
+                <hr style="margin: 30px 0; border: none; border-top: 1px solid #ddd;">
+                <p style="color: #999; font-size: 12px;">MyVision - Secure Authentication System</p>
+              </div>
+            `,
+            Charset: 'UTF-8'
+          }
+        }
+      }
+    };
+    
+    try {
+      const result = await ses.sendEmail(params).promise();
+      console.log(`✅ Sign-in link email sent successfully to ${email}`);
+      console.log(`Message ID: ${result.MessageId}`);
+      return { success: true, messageId: result.MessageId };
+    } catch (error) {
+      console.error('❌ Error sending sign-in link email:', {
+        code: error.code,
+        message: error.message,
+        statusCode: error.statusCode,
+        requestId: error.requestId
+      });
+      
+      let errorMessage = error.message;
+      if (error.code === 'MessageRejected') {
+        errorMessage = `Email not verified in AWS SES. Run: node verify-ses-email.js ${process.env.EMAIL_FROM}`;
+      }
+      
+      return { success: false, error: errorMessage, code: error.code };
+    }
+  }
+  
+  // Otherwise use nodemailer transporter
+  const mailOptions = {
+    from: process.env.EMAIL_FROM || 'noreply@myvision.com',
+    to: email,
+    subject: 'Your Sign-In Link - MyVision',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">Sign In to MyVision</h2>
+        <p>Use the button below to sign in. No password needed.</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${magicLinkUrl}" style="background-color: #337ab7; color: #fff; padding: 12px 24px; text-decoration: none; border-radius: 4px;">Sign In</a>
+        </div>
+        <p style="color: #666;">This link can be used once and will expire in <strong>${expiresInMinutes} minutes</strong>.</p>
+        <p style="color: #666;">If you didn't ask to sign in, you can ignore this email.</p>
+        <hr style="margin: 30px 0; border: none; border-top: 1px solid #ddd;">
+        <p style="color: #999; font-size: 12px;">MyVision - Secure Authentication System</p>
+      </div>
+    `,
+  };
+  
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log(`✅ Sign-in link email sent successfully to ${email}`);
+    console.log(`Message ID: ${info.messageId}`);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending sign-in link email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+
+/**
+ * Send a staff invitation link
+ */
+const sendStaffInvitationEmail = async (email, inviteUrl, role, expiresInDays = 7) => {
+  console.log(`📧 Attempting to send staff invitation email to: ${email}`);
+  
+  const transporter = createTransporter();
+  
+  // If using direct SES (no transporter), use AWS SDK directly
+  if (!transporter && process.env.AWS_SES_REGION) {
+    const params = {
+      Source: process.env.EMAIL_FROM || 'noreply@myvision.com',
+      Destination: {
+        ToAddresses: [email]
+      },
+      Message: {
+        Subject: {
+          Data: 'Your Staff Invitation - MyVision',
+          Charset: 'UTF-8'
+        },
+        Body: {
+          Html: {
+            Data: `
+              <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2 style="color: #333;">You're Invited to MyVision</h2>
+                <p>You have been invited to join MyVision as <strong>${role}</strong>.</p>
+                <p>Use the button below to set your password and secure your account with an authenticator app:</p>
+                <div style="text-align: center; margin: 30px 0;">
+                  <a href="${inviteUrl}" style="background-color: #337ab7; color: #fff; padding: 12px 24px; text-decoration: none; border-radius: 4px;">Accept Invitation</a>
+                </div>
+                <p style="color: #666;">This invitation will expire in <strong>${expiresInDays} days</strong>.</p>
+                <p style="color: #666;">If you weren't expecting this invitation, you can ignore this email.</p>
+                <hr style="margin: 30px 0; border: none; border-top: 1px solid #ddd;">
+                <p style="color: #999; font-size: 12px;">MyVision - Secure Authentication System</p>
+              </div>
+            `,
+            Charset: 'UTF-8'
+          }
+        }
+      }
+    };
+    
+    try {
+      const result = await ses.sendEmail(params).promise();
+      console.log(`✅ Staff invitation email sent successfully to ${email}`);
+      console.log(`Message ID: ${result.MessageId}`);
+      return { success: true, messageId: result.MessageId };
+    } catch (error) {
+      console.error('❌ Error sending staff invitation email:', {
+        code: error.code,
+        message: error.message,
+        statusCode: error.statusCode,
+        requestId: error.requestId
+      });
+      
+      let errorMessage = error.message;
+      if (error.code === 'MessageRejected') {
+        errorMessage = `Email not verified in AWS SES. Run: node verify-ses-email.js ${process.env.EMAIL_FROM}`;
+      }
+      
+      return { success: false, error: errorMessage, code: error.code };
+    }
+  }
+  
+  // Otherwise use nodemailer transporter
+  const mailOptions = {
+    from: process.env.EMAIL_FROM || 'noreply@myvision.com',
+    to: email,
+    subject: 'Your Staff Invitation - MyVision',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">You're Invited to MyVision</h2>
+        <p>You have been invited to join MyVision as <strong>${role}</strong>.</p>
+        <p>Use the button below to set your password and secure your account with an authenticator app:</p>
+        <div style="text-align: center; margin: 30px 0;">
+          <a href="${inviteUrl}" style="background-color: #337ab7; color: #fff; padding: 12px 24px; text-decoration: none; border-radius: 4px;">Accept Invitation</a>
+        </div>
+        <p style="color: #666;">This invitation will expire in <strong>${expiresInDays} days</strong>.</p>
+        <p style="color: #666;">If you weren't expecting this invitation, you can ignore this email.</p>
+        <hr style="margin: 30px 0; border: none; border-top: 1px solid #ddd;">
+        <p style="color: #999; font-size: 12px;">MyVision - Secure Authentication System</p>
+      </div>
+    `,
+  };
+  
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log(`✅ Staff invitation email sent successfully to ${email}`);
+    console.log(`Message ID: ${info.messageId}`);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending staff invitation email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+
+/**
+ * Tell an account owner that someone tried to sign up with their email
+ */
+const sendAccountExistsEmail = async (email, loginUrl, resetUrl) => {
+  console.log(`📧 Attempting to send account exists email to: ${email}`);
+  
+  const transporter = createTransporter();
+  
+  // If using direct SES (no transporter), use AWS SDK directly
+  if (!transporter && process.env.AWS_SES_REGION) {
+    const params = {
+      Source: process.env.EMAIL_FROM || 'noreply@myvision.com',
+      Destination: {
+        ToAddresses: [email]
+      },
+      Message: {
+        Subject: {
+          Data: 'Sign-Up Attempt On Your Account - MyVision',
+          Charset: 'UTF-8'
+        },
+        Body: {
+          Html: {
+            Data: `
+              <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+                <h2 style="color: #333;">You Already Have an Account</h2>
+                <p>Someone tried to create a new MyVision account with this email address. Your existing account has not been changed.</p>
+                <p>If this was you, you can <a href="${loginUrl}">sign in</a> instead. If you have forgotten your password, you can <a href="${resetUrl}">reset it</a>.</p>
+                <p style="color: #666;">If this wasn't you, you can ignore this email.</p>
+                <hr style="margin: 30px 0; border: none; border-top: 1px solid #ddd;">
+                <p style="color: #999; font-size: 12px;">MyVision - Secure Authentication System</p>
+              </div>
+            `,
+            Charset: 'UTF-8'
+          }
+        }
+      }
+    };
+    
+    try {
+      const result = await ses.sendEmail(params).promise();
+      console.log(`✅ Account exists email sent successfully to ${email}`);
+      console.log(`Message ID: ${result.MessageId}`);
+      return { success: true, messageId: result.MessageId };
+    } catch (error) {
+      console.error('❌ Error sending account exists email:', {
+        code: error.code,
+        message: error.message,
+        statusCode: error.statusCode,
+        requestId: error.requestId
+      });
+      
+      let errorMessage = error.message;
+      if (error.code === 'MessageRejected') {
+        errorMessage = `Email not verified in AWS SES. Run: node verify-ses-email.js ${process.env.EMAIL_FROM}`;
+      }
+      
+      return { success: false, error: errorMessage, code: error.code };
+    }
+  }
+  
+  // Otherwise use nodemailer transporter
+  const mailOptions = {
+    from: process.env.EMAIL_FROM || 'noreply@myvision.com',
+    to: email,
+    subject: 'Sign-Up Attempt On Your Account - MyVision',
+    html: `
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+        <h2 style="color: #333;">You Already Have an Account</h2>
+        <p>Someone tried to create a new MyVision account with this email address. Your existing account has not been changed.</p>
+        <p>If this was you, you can <a href="${loginUrl}">sign in</a> instead. If you have forgotten your password, you can <a href="${resetUrl}">reset it</a>.</p>
+        <p style="color: #666;">If this wasn't you, you can ignore this email.</p>
+        <hr style="margin: 30px 0; border: none; border-top: 1px solid #ddd;">
+        <p style="color: #999; font-size: 12px;">MyVision - Secure Authentication System</p>
+      </div>
+    `,
+  };
+  
+  try {
+    const info = await transporter.sendMail(mailOptions);
+    console.log(`✅ Account exists email sent successfully to ${email}`);
+    console.log(`Message ID: ${info.messageId}`);
+    return { success: true, messageId: info.messageId };
+  } catch (error) {
+    console.error('Error sending account exists email:', error);
+    return { success: false, error: error.message };
+  }
+};
+
+
 module.exports = {
-  generateOTP,
-  generateOTPExpiry,
   sendSignupOTP,
   sendLoginOTP,
-  isOTPExpired,
+  sendPasswordResetOTP,
+  sendAccountUnlockEmail,
+  sendEmailChangeOTP,
+  sendEmailChangedNotice,
+  sendAccountDeletionEmail,
+  sendMagicLinkEmail,
+  sendStaffInvitationEmail,
+  sendAccountExistsEmail,
 };
@@ -0,0 +1,40 @@
+/**
+ * JWT Signing Key Generator
+ *
+ * Prints a new key entry for JWT_SIGNING_KEYS. ES256 keys are the default:
+ * they are much smaller than RSA keys, which matters because Lambda limits
+ * all environment variables together to 4 KB.
+ *
+ * Usage: node generate-signing-key.js [--alg ES256|RS256] [--kid <id>]
+ */
+
+const crypto = require('crypto');
+
+const getArg = (name) => {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? null : process.argv[index + 1];
+};
+
+const alg = (getArg('--alg') || 'ES256').toUpperCase();
+const kid = getArg('--kid') || `${new Date().toISOString().slice(0, 10)}-${crypto.randomBytes(3).toString('hex')}`;
+
+if (alg !== 'ES256' && alg !== 'RS256') {
+  console.error('❌ --alg must be ES256 or RS256');
+  process.exit(1);
+}
+
+const { privateKey } = alg === 'ES256'
+  ? crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' })
+  : crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+
+const entry = {
+  kid,
+  alg,
+  privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' })
+};
+
+console.log('\n🔑 New JWT signing key\n');
+console.log('Add this entry to the JWT_SIGNING_KEYS array and set JWT_ACTIVE_KID to');
+console.log(`"${kid}" once every instance has it:\n`);
+console.log(JSON.stringify(entry));
+console.log('');
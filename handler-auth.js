@@ -0,0 +1,63 @@
+/**
+ * Stable /auth/* routes backed by the configured auth provider
+ *
+ * AUTH_PROVIDER=dynamodb (default) serves them from the DynamoDB flow in
+ * handler.js, AUTH_PROVIDER=cognito from the Cognito user pool through
+ * handler-cognito.js. Both export the same handler names with the same
+ * request and response shapes, so clients don't change when the backend does.
+ */
+
+const PROVIDERS = {
+  dynamodb: () => require("./handler"),
+  cognito: () => require("./handler-cognito")
+};
+
+// Handlers every provider is expected to export
+const AUTH_HANDLERS = [
+  "signup",
+  "verifyEmail",
+  "resendOTP",
+  "login",
+  "verifyLoginOTP",
+  "refreshToken",
+  "logout",
+  "forgotPassword",
+  "resetPassword",
+  "getUser"
+];
+
+const getProviderName = () => (process.env.AUTH_PROVIDER || "dynamodb").toLowerCase();
+
+// Only the active provider is loaded
+const getProvider = () => {
+  const name = getProviderName();
+  const load = PROVIDERS[name];
+  if (!load) {
+    throw new Error(`Unknown AUTH_PROVIDER "${name}". Expected one of: ${Object.keys(PROVIDERS).join(", ")}`);
+  }
+  return load();
+};
+
+const notSupported = (handlerName) => ({
+  statusCode: 501,
+  headers: {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+  },
+  body: JSON.stringify({
+    message: `${handlerName} is not supported by the ${getProviderName()} auth provider`,
+    error: "NOT_SUPPORTED"
+  })
+});
+
+AUTH_HANDLERS.forEach((handlerName) => {
+  module.exports[handlerName] = async (event, context) => {
+    const provider = getProvider();
+    if (typeof provider[handlerName] !== "function") {
+      return notSupported(handlerName);
+    }
+    return provider[handlerName](event, context);
+  };
+});
@@ -0,0 +1,38 @@
+jest.mock('./handler', () => ({
+  login: jest.fn(async () => ({ statusCode: 200, body: '{"provider":"dynamodb"}' })),
+  verifyLoginOTP: jest.fn(async () => ({ statusCode: 200, body: '{}' })),
+}));
+jest.mock('./handler-cognito', () => ({
+  login: jest.fn(async () => ({ statusCode: 200, body: '{"provider":"cognito"}' })),
+}));
+
+const authHandlers = require('./handler-auth');
+
+describe('handler-auth', () => {
+  afterEach(() => {
+    delete process.env.AUTH_PROVIDER;
+  });
+
+  test('uses the DynamoDB provider by default', async () => {
+    const response = await authHandlers.login({ body: '{}' });
+    expect(JSON.parse(response.body).provider).toBe('dynamodb');
+  });
+
+  test('switches provider from configuration', async () => {
+    process.env.AUTH_PROVIDER = 'cognito';
+    const response = await authHandlers.login({ body: '{}' });
+    expect(JSON.parse(response.body).provider).toBe('cognito');
+  });
+
+  test('returns 501 for handlers the active provider lacks', async () => {
+    process.env.AUTH_PROVIDER = 'cognito';
+    const response = await authHandlers.verifyLoginOTP({ body: '{}' });
+    expect(response.statusCode).toBe(501);
+    expect(JSON.parse(response.body).error).toBe('NOT_SUPPORTED');
+  });
+
+  test('rejects an unknown provider', async () => {
+    process.env.AUTH_PROVIDER = 'ldap';
+    await expect(authHandlers.login({ body: '{}' })).rejects.toThrow('Unknown AUTH_PROVIDER');
+  });
+});
@@ -0,0 +1,648 @@
+const {
+  signUpUser,
+  verifyEmail,
+  signInUser,
+  resendVerificationCode,
+  verifyToken,
+  getUserAttributes,
+  refreshAccessToken,
+  forgotPassword,
+  confirmForgotPassword,
+  signOutUser,
+  respondToMfaChallenge,
+  revokeRefreshToken,
+  adminSetPassword
+} = require("./utils/cognitoAuth");
+const bcrypt = require("bcryptjs");
+const { getUserByEmail, markUserMigratedToCognito } = require("./utils/userRepository");
+const { TRIGGER_SOURCES, getMigrationBlocker, buildMigrationResponse } = require("./utils/cognitoMigration");
+const { getLockoutStatus } = require("./utils/lockoutPolicy");
+const { recordFailedLogin, clearFailedLogins } = require("./utils/loginLockout");
+const { validatePassword, toPolicyErrorBody } = require("./utils/passwordPolicy");
+const { genericSignupBody } = require("./utils/signupPolicy");
+
+// Same CORS headers on every Cognito route
+const headers = {
+  "Content-Type": "application/json",
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Headers": "Content-Type,Authorization",
+  "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+};
+
+// HTTP status for each error code returned by cognitoAuth
+const ERROR_STATUS_CODES = {
+  CONFIG_ERROR: 500,
+  INVALID_PARAMETER: 400,
+  INVALID_PASSWORD: 400,
+  EMAIL_EXISTS: 409,
+  INVALID_CODE: 400,
+  CODE_EXPIRED: 400,
+  ALREADY_VERIFIED: 409,
+  INVALID_CREDENTIALS: 401,
+  EMAIL_NOT_VERIFIED: 403,
+  USER_NOT_FOUND: 404,
+  TOO_MANY_ATTEMPTS: 429,
+  LIMIT_EXCEEDED: 429,
+  INVALID_TOKEN: 401,
+  JWKS_UNAVAILABLE: 503,
+  REFRESH_FAILED: 401,
+  CHALLENGE_NOT_SUPPORTED: 501
+};
+
+const respond = (statusCode, body) => ({
+  statusCode,
+  headers,
+  body: JSON.stringify(body)
+});
+
+// Failed cognitoAuth result -> HTTP response with its error code
+const respondWithError = (result) => {
+  return respond(ERROR_STATUS_CODES[result.error] || 400, {
+    message: result.message,
+    error: result.error,
+    ...(result.needsVerification ? { needsVerification: true } : {})
+  });
+};
+
+const parseBody = (event) => JSON.parse(event.body || "{}");
+
+// Our password policy applies on top of the user pool's own rules
+const rejectWeakPassword = (password, email) => {
+  const { violations } = validatePassword(password, { email });
+  return violations.length > 0 ? respond(400, toPolicyErrorBody(violations)) : null;
+};
+
+const getBearerToken = (event) => {
+  const header = event.headers?.authorization || event.headers?.Authorization;
+  if (!header || !header.startsWith("Bearer ")) return null;
+  return header.slice("Bearer ".length);
+};
+
+// Verified token user with the email; only access tokens need the Cognito lookup
+const getTokenUserWithEmail = async (token) => {
+  const result = await verifyToken(token);
+  if (!result.success || result.user.email) return result;
+
+  const attributes = await getUserAttributes(token);
+  if (!attributes.success) return attributes;
+  return { success: true, user: { ...result.user, ...attributes.user } };
+};
+
+const handleError = (name, err) => {
+  if (err instanceof SyntaxError) {
+    return respond(400, { message: "Request body must be valid JSON", error: "INVALID_PARAMETER" });
+  }
+  console.error(`${name} error:`, err);
+  return respond(500, { message: "Internal Server Error", error: "INTERNAL_ERROR" });
+};
+
+// Checks a password against the user's DynamoDB record, for users moving to Cognito.
+// Wrong passwords count towards the same lockout as the DynamoDB login.
+const verifyLegacyPassword = async (user, password) => {
+  if (getMigrationBlocker(user) || getLockoutStatus(user).locked) return false;
+
+  const valid = await bcrypt.compare(password, user.passwordHash);
+  if (!valid) {
+    await recordFailedLogin(user);
+  } else if (user.failedLoginCount || user.loginAttempts) {
+    await clearFailedLogins(user.userId);
+  }
+  return valid;
+};
+
+// Users pre-created by migrate-users.js only have a random Cognito password;
+// their first sign-in with the old password makes it their Cognito password.
+const signIn = async (email, password) => {
+  const result = await signInUser(email, password);
+  if (result.success || result.error !== "INVALID_CREDENTIALS") return result;
+
+  const user = await getUserByEmail(email);
+  if (!user || !user.cognitoPasswordPending || !(await verifyLegacyPassword(user, password))) {
+    return result;
+  }
+
+  const updated = await adminSetPassword(user.email, password);
+  if (!updated.success) return result;
+
+  await markUserMigratedToCognito(user.userId);
+  return signInUser(email, password);
+};
+
+// The MFA method each Cognito challenge asks for, named as in the DynamoDB flow
+const MFA_METHODS = {
+  SOFTWARE_TOKEN_MFA: "totp",
+  EMAIL_OTP: "email",
+  SMS_MFA: "sms"
+};
+
+// A pending Cognito challenge travels to verifyLoginOTP as the login's sessionId.
+// Cognito's own session string inside it is what proves the password was right.
+const encodeMfaSession = (challenge) => Buffer.from(JSON.stringify(challenge)).toString("base64url");
+
+const decodeMfaSession = (sessionId) => {
+  try {
+    const challenge = JSON.parse(Buffer.from(String(sessionId), "base64url").toString("utf8"));
+    return challenge && challenge.name && challenge.session && challenge.username ? challenge : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+// Same requiresOTP body as the DynamoDB login
+const mfaRequiredBody = (challenge) => ({
+  requiresOTP: true,
+  sessionId: encodeMfaSession(challenge),
+  mfaMethods: [MFA_METHODS[challenge.name]],
+  message: challenge.name === "SOFTWARE_TOKEN_MFA"
+    ? "Multi-factor authentication is required. Please enter the code from your authenticator app."
+    : "Multi-factor authentication is required. Please enter the code we sent you.",
+  reason: ["Multi-factor authentication is enabled for this account"]
+});
+
+/* -------------------- COGNITO SIGNUP -------------------- */
+module.exports.cognitoSignup = async (event) => {
+  try {
+    const { email, password } = parseBody(event);
+
+    if (!email || !password) {
+      return respond(400, { message: "Email and password are required", error: "INVALID_PARAMETER" });
+    }
+
+    const weakPassword = rejectWeakPassword(password, email);
+    if (weakPassword) return weakPassword;
+
+    const result = await signUpUser(email, password);
+    if (!result.success) {
+      return respondWithError(result);
+    }
+
+    return respond(201, {
+      message: result.message,
+      userId: result.userId,
+      userConfirmed: result.userConfirmed,
+      codeDeliveryDetails: result.codeDeliveryDetails
+    });
+
+  } catch (err) {
+    return handleError("Cognito signup", err);
+  }
+};
+
+/* -------------------- COGNITO VERIFY EMAIL -------------------- */
+module.exports.cognitoVerifyEmail = async (event) => {
+  try {
+    const { email, code } = parseBody(event);
+
+    if (!email || !code) {
+      return respond(400, { message: "Email and verification code are required", error: "INVALID_PARAMETER" });
+    }
+
+    const result = await verifyEmail(email, code);
+    if (!result.success) {
+      return respondWithError(result);
+    }
+
+    return respond(200, { message: result.message });
+
+  } catch (err) {
+    return handleError("Cognito verify email", err);
+  }
+};
+
+/* -------------------- COGNITO RESEND CODE -------------------- */
+module.exports.cognitoResendCode = async (event) => {
+  try {
+    const { email } = parseBody(event);
+
+    if (!email) {
+      return respond(400, { message: "Email is required", error: "INVALID_PARAMETER" });
+    }
+
+    const result = await resendVerificationCode(email);
+    if (!result.success) {
+      return respondWithError(result);
+    }
+
+    return respond(200, { message: result.message, codeDeliveryDetails: result.codeDeliveryDetails });
+
+  } catch (err) {
+    return handleError("Cognito resend code", err);
+  }
+};
+
+/* -------------------- COGNITO LOGIN -------------------- */
+module.exports.cognitoLogin = async (event) => {
+  try {
+    const { email, password } = parseBody(event);
+
+    if (!email || !password) {
+      return respond(400, { message: "Email and password are required", error: "INVALID_PARAMETER" });
+    }
+
+    const result = await signIn(email, password);
+    if (!result.success) {
+      // Don't reveal whether the email is registered
+      if (result.error === "USER_NOT_FOUND") {
+        return respond(401, { message: "Incorrect email or password.", error: "INVALID_CREDENTIALS" });
+      }
+      return respondWithError(result);
+    }
+
+    if (result.challenge) {
+      return respond(200, mfaRequiredBody(result.challenge));
+    }
+
+    return respond(200, { message: result.message, ...result.tokens });
+
+  } catch (err) {
+    return handleError("Cognito login", err);
+  }
+};
+
+/* -------------------- COGNITO GET USER -------------------- */
+module.exports.cognitoGetUser = async (event) => {
+  try {
+    const accessToken = getBearerToken(event);
+    if (!accessToken) {
+      return respond(401, { message: "Missing or invalid Authorization header", error: "INVALID_TOKEN" });
+    }
+
+    const result = await getTokenUserWithEmail(accessToken);
+    if (!result.success) {
+      return respondWithError(result);
+    }
+
+    return respond(200, { message: "User fetched successfully", data: result.user });
+
+  } catch (err) {
+    return handleError("Cognito get user", err);
+  }
+};
+
+/* -------------------- COGNITO REFRESH TOKEN -------------------- */
+module.exports.cognitoRefreshToken = async (event) => {
+  try {
+    const { refreshToken } = parseBody(event);
+
+    if (!refreshToken) {
+      return respond(400, { message: "Refresh token is required", error: "INVALID_PARAMETER" });
+    }
+
+    const result = await refreshAccessToken(refreshToken);
+    if (!result.success) {
+      return respondWithError(result);
+    }
+
+    return respond(200, { message: "Token refreshed", ...result.tokens });
+
+  } catch (err) {
+    return handleError("Cognito refresh token", err);
+  }
+};
+
+/* -------------------- COGNITO LOGOUT -------------------- */
+module.exports.cognitoLogout = async (event) => {
+  try {
+    const accessToken = getBearerToken(event);
+    if (!accessToken) {
+      return respond(401, { message: "Missing or invalid Authorization header", error: "INVALID_TOKEN" });
+    }
+
+    const result = await signOutUser(accessToken);
+    if (!result.success) {
+      return respondWithError(result);
+    }
+
+    return respond(200, { message: result.message });
+
+  } catch (err) {
+    return handleError("Cognito logout", err);
+  }
+};
+
+/* -------------------- COGNITO FORGOT PASSWORD -------------------- */
+module.exports.cognitoForgotPassword = async (event) => {
+  try {
+    const { email } = parseBody(event);
+
+    if (!email) {
+      return respond(400, { message: "Email is required", error: "INVALID_PARAMETER" });
+    }
+
+    const result = await forgotPassword(email);
+    if (!result.success) {
+      // Logged only: the response is the same whether or not the account exists
+      console.error("Cognito forgot password failed:", result.message);
+    }
+
+    return respond(200, { message: "If an account exists for this email, a password reset code has been sent." });
+
+  } catch (err) {
+    return handleError("Cognito forgot password", err);
+  }
+};
+
+/* -------------------- COGNITO CONFIRM PASSWORD -------------------- */
+module.exports.cognitoConfirmPassword = async (event) => {
+  try {
+    const { email, code, newPassword } = parseBody(event);
+
+    if (!email || !code || !newPassword) {
+      return respond(400, { message: "Email, code and new password are required", error: "INVALID_PARAMETER" });
+    }
+
+    const weakPassword = rejectWeakPassword(newPassword, email);
+    if (weakPassword) return weakPassword;
+
+    const result = await confirmForgotPassword(email, code, newPassword);
+    if (!result.success) {
+      return respondWithError(result);
+    }
+
+    return respond(200, { message: result.message });
+
+  } catch (err) {
+    return handleError("Cognito confirm password", err);
+  }
+};
+
+/* -------------------- COGNITO USER MIGRATION TRIGGER -------------------- */
+// UserMigration Lambda trigger: Cognito calls it when someone who isn't in the
+// user pool yet signs in or asks for a password reset. Throwing rejects the request.
+module.exports.cognitoUserMigration = async (event) => {
+  const { triggerSource, userName, request } = event;
+
+  if (triggerSource !== TRIGGER_SOURCES.AUTHENTICATION && triggerSource !== TRIGGER_SOURCES.FORGOT_PASSWORD) {
+    throw new Error(`Unsupported trigger source: ${triggerSource}`);
+  }
+
+  const user = await getUserByEmail(userName);
+
+  if (triggerSource === TRIGGER_SOURCES.AUTHENTICATION) {
+    if (!user || !(await verifyLegacyPassword(user, request.password))) {
+      throw new Error("Incorrect email or password.");
+    }
+  } else {
+    // Passwordless (passkey-only) accounts may set a password through the reset
+    const blocker = getMigrationBlocker(user);
+    if (blocker && blocker !== "NO_PASSWORD") {
+      throw new Error("User not found.");
+    }
+  }
+
+  event.response = buildMigrationResponse(user);
+  await markUserMigratedToCognito(user.userId);
+
+  console.log(`User ${user.userId} migrated to Cognito (${triggerSource})`);
+  return event;
+};
+
+/* -------------------- AUTH PROVIDER INTERFACE -------------------- */
+// Same handler names and response shapes as the DynamoDB flow in handler.js,
+// so handler-auth.js can serve the /auth/* routes from either backend.
+
+// Claims of an ID token that was just issued by Cognito (no need to verify it here)
+const readIdTokenClaims = (idToken) => {
+  try {
+    return JSON.parse(Buffer.from(String(idToken).split(".")[1], "base64url").toString("utf8"));
+  } catch (err) {
+    return {};
+  }
+};
+
+module.exports.signup = async (event) => {
+  try {
+    const { email, password } = parseBody(event);
+
+    if (!email || !password) {
+      return respond(400, { message: "Email and password are required", error: "INVALID_PARAMETER" });
+    }
+
+    const weakPassword = rejectWeakPassword(password, email);
+    if (weakPassword) return weakPassword;
+
+    // Same response whether or not the email was already registered
+    const result = await signUpUser(email, password);
+    if (!result.success && result.error !== "EMAIL_EXISTS") {
+      return respondWithError(result);
+    }
+
+    return respond(201, genericSignupBody(email));
+
+  } catch (err) {
+    return handleError("Signup", err);
+  }
+};
+
+module.exports.verifyEmail = async (event) => {
+  try {
+    const { email, otp, code, password } = parseBody(event);
+
+    if (!email || !(otp || code)) {
+      return respond(400, { message: "Email and OTP are required", error: "INVALID_PARAMETER" });
+    }
+
+    const result = await verifyEmail(email, otp || code);
+    if (!result.success) {
+      return respondWithError(result);
+    }
+
+    // Cognito doesn't sign the user in on confirmation; with the password
+    // from signup we can, and answer like the DynamoDB flow
+    const signedIn = password ? await signInUser(email, password) : null;
+    if (!signedIn || !signedIn.success) {
+      return respond(200, { message: "Email verified successfully. Please login.", requiresLogin: true });
+    }
+    if (signedIn.challenge) {
+      return respond(200, mfaRequiredBody(signedIn.challenge));
+    }
+
+    return respond(200, {
+      message: "Email verified successfully",
+      token: signedIn.tokens.accessToken,
+      idToken: signedIn.tokens.idToken,
+      refreshToken: signedIn.tokens.refreshToken,
+      expiresIn: signedIn.tokens.expiresIn
+    });
+
+  } catch (err) {
+    return handleError("Email verification", err);
+  }
+};
+
+module.exports.resendOTP = module.exports.cognitoResendCode;
+
+// Same body as a successful DynamoDB login, plus the ID token
+const loginSuccessBody = (tokens, email) => {
+  const claims = readIdTokenClaims(tokens.idToken);
+  return {
+    message: "Login successful",
+    token: tokens.accessToken,
+    idToken: tokens.idToken,
+    refreshToken: tokens.refreshToken,
+    expiresIn: tokens.expiresIn,
+    user: {
+      userId: claims.sub,
+      email: claims.email || email
+    }
+  };
+};
+
+module.exports.login = async (event) => {
+  try {
+    const { email, password } = parseBody(event);
+
+    if (!email || !password) {
+      return respond(400, { message: "Email and password are required", error: "INVALID_PARAMETER" });
+    }
+
+    const result = await signIn(email, password);
+    if (!result.success) {
+      if (result.error === "USER_NOT_FOUND") {
+        return respond(401, { message: "Invalid credentials", error: "INVALID_CREDENTIALS" });
+      }
+      if (result.error === "EMAIL_NOT_VERIFIED") {
+        return respond(403, { message: "Please verify your email before logging in", error: result.error, requiresEmailVerification: true });
+      }
+      return respondWithError(result);
+    }
+
+    if (result.challenge) {
+      return respond(200, mfaRequiredBody(result.challenge));
+    }
+
+    return respond(200, loginSuccessBody(result.tokens, email));
+
+  } catch (err) {
+    return handleError("Login", err);
+  }
+};
+
+module.exports.verifyLoginOTP = async (event) => {
+  try {
+    const { sessionId, otp, totpCode, recoveryCode } = parseBody(event);
+    const code = otp || totpCode;
+
+    if (!sessionId || !(code || recoveryCode)) {
+      return respond(400, { message: "Session ID and an OTP, authenticator code or recovery code are required", error: "INVALID_PARAMETER" });
+    }
+    if (!code) {
+      return respond(400, { message: "Recovery codes aren't supported with Cognito sign-in", error: "NOT_SUPPORTED" });
+    }
+
+    const challenge = decodeMfaSession(sessionId);
+    if (!challenge) {
+      return respond(400, { message: "Invalid or expired session", error: "INVALID_PARAMETER" });
+    }
+
+    const result = await respondToMfaChallenge(challenge, code);
+    if (!result.success) {
+      return respondWithError(result);
+    }
+
+    return respond(200, loginSuccessBody(result.tokens, challenge.username));
+
+  } catch (err) {
+    return handleError("Verify login OTP", err);
+  }
+};
+
+module.exports.refreshToken = async (event) => {
+  try {
+    const { refreshToken } = parseBody(event);
+
+    if (!refreshToken) {
+      return respond(400, { message: "Refresh token is required", error: "INVALID_PARAMETER" });
+    }
+
+    const result = await refreshAccessToken(refreshToken);
+    if (!result.success) {
+      return respondWithError(result);
+    }
+
+    // Cognito refresh tokens aren't rotated; hand the same one back
+    return respond(200, {
+      message: "Token refreshed",
+      token: result.tokens.accessToken,
+      idToken: result.tokens.idToken,
+      refreshToken,
+      expiresIn: result.tokens.expiresIn
+    });
+
+  } catch (err) {
+    return handleError("Refresh token", err);
+  }
+};
+
+// Like the DynamoDB logout: the access token, or the refresh token once it has expired
+module.exports.logout = async (event) => {
+  try {
+    const accessToken = getBearerToken(event);
+    const { refreshToken } = accessToken ? {} : parseBody(event);
+
+    if (!accessToken && !refreshToken) {
+      return respond(401, { message: "Authorization header or valid refresh token is required", error: "INVALID_TOKEN" });
+    }
+
+    const result = accessToken ? await signOutUser(accessToken) : await revokeRefreshToken(refreshToken);
+    if (!result.success) {
+      return respondWithError(result);
+    }
+
+    return respond(200, { message: "Logged out successfully" });
+
+  } catch (err) {
+    return handleError("Logout", err);
+  }
+};
+
+module.exports.forgotPassword = module.exports.cognitoForgotPassword;
+
+module.exports.resetPassword = async (event) => {
+  try {
+    const { email, otp, code, newPassword } = parseBody(event);
+
+    if (!email || !(otp || code) || !newPassword) {
+      return respond(400, { message: "Email, OTP and new password are required", error: "INVALID_PARAMETER" });
+    }
+
+    const weakPassword = rejectWeakPassword(newPassword, email);
+    if (weakPassword) return weakPassword;
+
+    const result = await confirmForgotPassword(email, otp || code, newPassword);
+    if (!result.success) {
+      return respondWithError(result);
+    }
+
+    return respond(200, { message: "Password reset successfully. Please login with your new password." });
+
+  } catch (err) {
+    return handleError("Reset password", err);
+  }
+};
+
+module.exports.getUser = async (event) => {
+  try {
+    const accessToken = getBearerToken(event);
+    if (!accessToken) {
+      return respond(401, { message: "Missing or invalid Authorization header", error: "INVALID_TOKEN" });
+    }
+
+    const result = await getTokenUserWithEmail(accessToken);
+    if (!result.success) {
+      return respondWithError(result);
+    }
+
+    return respond(200, {
+      message: "User fetched successfully",
+      data: {
+        userId: result.user.sub,
+        email: result.user.email,
+        isEmailVerified: result.user.emailVerified
+      }
+    });
+
+  } catch (err) {
+    return handleError("getUser", err);
+  }
+};
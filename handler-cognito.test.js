@@ -0,0 +1,322 @@
+jest.mock('./utils/cognitoAuth', () => ({
+  signUpUser: jest.fn(),
+  verifyEmail: jest.fn(),
+  signInUser: jest.fn(),
+  resendVerificationCode: jest.fn(),
+  verifyToken: jest.fn(),
+  getUserAttributes: jest.fn(),
+  refreshAccessToken: jest.fn(),
+  forgotPassword: jest.fn(),
+  confirmForgotPassword: jest.fn(),
+  signOutUser: jest.fn(),
+  respondToMfaChallenge: jest.fn(),
+  revokeRefreshToken: jest.fn(),
+  adminSetPassword: jest.fn(),
+}), { virtual: true });
+jest.mock('./utils/userRepository', () => ({
+  ...jest.requireActual('./utils/userRepository'),
+  getUserByEmail: jest.fn(),
+  markUserMigratedToCognito: jest.fn(),
+}));
+jest.mock('./utils/loginLockout', () => ({
+  recordFailedLogin: jest.fn(),
+  clearFailedLogins: jest.fn(),
+}));
+
+const bcrypt = require('bcryptjs');
+const handler = require('./handler-cognito');
+const {
+  signUpUser,
+  verifyEmail,
+  signInUser,
+  refreshAccessToken,
+  forgotPassword,
+  confirmForgotPassword,
+  adminSetPassword,
+  verifyToken,
+  getUserAttributes,
+  signOutUser,
+  respondToMfaChallenge,
+  revokeRefreshToken,
+} = require('./utils/cognitoAuth');
+const { getUserByEmail, markUserMigratedToCognito } = require('./utils/userRepository');
+const { recordFailedLogin, clearFailedLogins } = require('./utils/loginLockout');
+
+const PASSWORD = 'Correct-Horse-42';
+const passwordHash = bcrypt.hashSync(PASSWORD, 4);
+
+const loginEvent = (password) => ({ body: JSON.stringify({ email: 'patient@example.com', password }) });
+const parse = (response) => JSON.parse(response.body);
+
+const invalidCredentials = { success: false, error: 'INVALID_CREDENTIALS', message: 'Incorrect email or password.' };
+const signedIn = {
+  success: true,
+  tokens: { accessToken: 'access', idToken: 'header.e30.signature', refreshToken: 'refresh', expiresIn: 3600 },
+};
+
+// Pre-created by migrate-users.js, still on the random Cognito password
+const pendingUser = (overrides = {}) => ({
+  userId: 'user-1',
+  email: 'patient@example.com',
+  passwordHash,
+  isEmailVerified: true,
+  cognitoPasswordPending: true,
+  ...overrides,
+});
+
+describe('handler-cognito', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('legacy password fallback', () => {
+    test('the old password becomes the Cognito password', async () => {
+      getUserByEmail.mockResolvedValue(pendingUser({ failedLoginCount: 2 }));
+      signInUser.mockResolvedValueOnce(invalidCredentials).mockResolvedValueOnce(signedIn);
+      adminSetPassword.mockResolvedValue({ success: true });
+
+      const response = await handler.login(loginEvent(PASSWORD));
+
+      expect(response.statusCode).toBe(200);
+      expect(parse(response).token).toBe('access');
+      expect(adminSetPassword).toHaveBeenCalledWith('patient@example.com', PASSWORD);
+      expect(markUserMigratedToCognito).toHaveBeenCalledWith('user-1');
+      expect(clearFailedLogins).toHaveBeenCalledWith('user-1');
+      expect(recordFailedLogin).not.toHaveBeenCalled();
+    });
+
+    test('a wrong old password counts towards the lockout', async () => {
+      const user = pendingUser();
+      getUserByEmail.mockResolvedValue(user);
+      signInUser.mockResolvedValue(invalidCredentials);
+
+      const response = await handler.login(loginEvent('wrong'));
+
+      expect(response.statusCode).toBe(401);
+      expect(recordFailedLogin).toHaveBeenCalledWith(user);
+      expect(adminSetPassword).not.toHaveBeenCalled();
+    });
+
+    test('a locked account is not checked at all', async () => {
+      getUserByEmail.mockResolvedValue(pendingUser({ lockoutUntil: new Date(Date.now() + 60 * 1000).toISOString() }));
+      signInUser.mockResolvedValue(invalidCredentials);
+
+      const response = await handler.login(loginEvent(PASSWORD));
+
+      expect(response.statusCode).toBe(401);
+      expect(adminSetPassword).not.toHaveBeenCalled();
+      expect(recordFailedLogin).not.toHaveBeenCalled();
+    });
+
+    test('users already on their Cognito password are left to Cognito', async () => {
+      getUserByEmail.mockResolvedValue(pendingUser({ cognitoPasswordPending: false }));
+      signInUser.mockResolvedValue(invalidCredentials);
+
+      const response = await handler.login(loginEvent('wrong'));
+
+      expect(response.statusCode).toBe(401);
+      expect(recordFailedLogin).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('user info', () => {
+    const bearer = (token) => ({ headers: { Authorization: `Bearer ${token}` } });
+
+    test('ID tokens are answered from their claims', async () => {
+      verifyToken.mockResolvedValue({
+        success: true,
+        user: { username: 'user-1', sub: 'sub-1', groups: [], tokenUse: 'id', email: 'patient@example.com', emailVerified: true },
+      });
+
+      const response = await handler.getUser(bearer('id-token'));
+
+      expect(response.statusCode).toBe(200);
+      expect(parse(response).data).toEqual({ userId: 'sub-1', email: 'patient@example.com', isEmailVerified: true });
+      expect(getUserAttributes).not.toHaveBeenCalled();
+    });
+
+    test('access tokens look the email up in Cognito', async () => {
+      verifyToken.mockResolvedValue({ success: true, user: { username: 'user-1', sub: 'sub-1', groups: ['staff'], tokenUse: 'access' } });
+      getUserAttributes.mockResolvedValue({
+        success: true,
+        user: { username: 'user-1', sub: 'sub-1', email: 'patient@example.com', emailVerified: true },
+      });
+
+      const response = await handler.cognitoGetUser(bearer('access-token'));
+
+      expect(response.statusCode).toBe(200);
+      expect(parse(response).data).toMatchObject({ email: 'patient@example.com', groups: ['staff'] });
+      expect(getUserAttributes).toHaveBeenCalledWith('access-token');
+    });
+
+    test('a JWKS outage is a 503', async () => {
+      verifyToken.mockResolvedValue({ success: false, error: 'JWKS_UNAVAILABLE', message: 'Unable to verify Cognito tokens right now.' });
+
+      const response = await handler.getUser(bearer('access-token'));
+
+      expect(response.statusCode).toBe(503);
+      expect(getUserAttributes).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('auth provider interface', () => {
+    const challenge = { name: 'SOFTWARE_TOKEN_MFA', session: 'cognito-session', username: 'patient@example.com' };
+
+    test('verifyEmail signs the user in when given the password', async () => {
+      verifyEmail.mockResolvedValue({ success: true, message: 'Email verified successfully. You can now login.' });
+      signInUser.mockResolvedValue(signedIn);
+
+      const response = await handler.verifyEmail({ body: JSON.stringify({ email: 'patient@example.com', otp: '123456', password: PASSWORD }) });
+
+      expect(response.statusCode).toBe(200);
+      expect(parse(response)).toEqual({
+        message: 'Email verified successfully',
+        token: 'access',
+        idToken: 'header.e30.signature',
+        refreshToken: 'refresh',
+        expiresIn: 3600,
+      });
+    });
+
+    test('verifyEmail without the password asks the user to login', async () => {
+      verifyEmail.mockResolvedValue({ success: true, message: 'Email verified successfully. You can now login.' });
+
+      const response = await handler.verifyEmail({ body: JSON.stringify({ email: 'patient@example.com', otp: '123456' }) });
+
+      expect(response.statusCode).toBe(200);
+      expect(parse(response).requiresLogin).toBe(true);
+      expect(signInUser).not.toHaveBeenCalled();
+    });
+
+    test('Cognito MFA goes through verifyLoginOTP', async () => {
+      getUserByEmail.mockResolvedValue(null);
+      signInUser.mockResolvedValue({ success: true, challenge, message: 'Multi-factor authentication is required.' });
+      respondToMfaChallenge.mockResolvedValue(signedIn);
+
+      const login = parse(await handler.login(loginEvent(PASSWORD)));
+      expect(login).toMatchObject({ requiresOTP: true, mfaMethods: ['totp'] });
+
+      const response = await handler.verifyLoginOTP({ body: JSON.stringify({ sessionId: login.sessionId, totpCode: '123456' }) });
+
+      expect(response.statusCode).toBe(200);
+      expect(parse(response)).toMatchObject({ message: 'Login successful', token: 'access', refreshToken: 'refresh' });
+      expect(respondToMfaChallenge).toHaveBeenCalledWith(challenge, '123456');
+    });
+
+    test('verifyLoginOTP rejects a session it did not issue', async () => {
+      const response = await handler.verifyLoginOTP({ body: JSON.stringify({ sessionId: 'not-a-session', otp: '123456' }) });
+
+      expect(response.statusCode).toBe(400);
+      expect(respondToMfaChallenge).not.toHaveBeenCalled();
+    });
+
+    test('logout takes the access token or the refresh token', async () => {
+      signOutUser.mockResolvedValue({ success: true });
+      revokeRefreshToken.mockResolvedValue({ success: true });
+
+      const withHeader = await handler.logout({ headers: { Authorization: 'Bearer access' } });
+      const withRefreshToken = await handler.logout({ headers: {}, body: JSON.stringify({ refreshToken: 'refresh' }) });
+      const withNeither = await handler.logout({ headers: {}, body: '{}' });
+
+      expect(parse(withHeader).message).toBe('Logged out successfully');
+      expect(signOutUser).toHaveBeenCalledWith('access');
+      expect(parse(withRefreshToken).message).toBe('Logged out successfully');
+      expect(revokeRefreshToken).toHaveBeenCalledWith('refresh');
+      expect(withNeither.statusCode).toBe(401);
+    });
+  });
+
+  describe('Cognito routes', () => {
+    const post = (body) => ({ body: JSON.stringify(body) });
+
+    test('every response carries the CORS headers', async () => {
+      const responses = await Promise.all([
+        handler.cognitoSignup(post({})),
+        handler.cognitoLogin({ body: '{not json' }),
+        handler.cognitoLogout({ headers: {} }),
+      ]);
+
+      responses.forEach((response) => {
+        expect(response.headers).toMatchObject({ 'Access-Control-Allow-Origin': '*', 'Access-Control-Allow-Headers': 'Content-Type,Authorization' });
+      });
+      expect(responses.map((response) => parse(response).error)).toEqual(['INVALID_PARAMETER', 'INVALID_PARAMETER', 'INVALID_TOKEN']);
+    });
+
+    test('signup applies our password policy before Cognito sees the password', async () => {
+      const weak = await handler.cognitoSignup(post({ email: 'patient@example.com', password: 'short' }));
+      expect(weak.statusCode).toBe(400);
+      expect(signUpUser).not.toHaveBeenCalled();
+
+      signUpUser.mockResolvedValue({ success: true, message: 'Check your email', userId: 'sub-1', userConfirmed: false });
+      const created = await handler.cognitoSignup(post({ email: 'patient@example.com', password: PASSWORD }));
+      expect(created.statusCode).toBe(201);
+      expect(parse(created)).toMatchObject({ userId: 'sub-1', userConfirmed: false });
+    });
+
+    test.each([
+      ['INVALID_CODE', 400],
+      ['CODE_EXPIRED', 400],
+      ['ALREADY_VERIFIED', 409],
+      ['LIMIT_EXCEEDED', 429],
+    ])('verify email maps %s to %i', async (error, statusCode) => {
+      verifyEmail.mockResolvedValue({ success: false, error, message: 'Nope' });
+
+      const response = await handler.cognitoVerifyEmail(post({ email: 'patient@example.com', code: '123456' }));
+
+      expect(response.statusCode).toBe(statusCode);
+      expect(parse(response)).toEqual({ message: 'Nope', error });
+    });
+
+    test("login doesn't reveal whether the email is registered", async () => {
+      signInUser.mockResolvedValue({ success: false, error: 'USER_NOT_FOUND', message: 'No account found with this email.' });
+      getUserByEmail.mockResolvedValue(null);
+
+      const unknown = await handler.cognitoLogin(loginEvent(PASSWORD));
+
+      expect(unknown.statusCode).toBe(401);
+      expect(parse(unknown)).toEqual({ message: 'Incorrect email or password.', error: 'INVALID_CREDENTIALS' });
+    });
+
+    test('login asks unverified users to verify', async () => {
+      signInUser.mockResolvedValue({ success: false, error: 'EMAIL_NOT_VERIFIED', message: 'Please verify your email before logging in.', needsVerification: true });
+
+      const response = await handler.cognitoLogin(loginEvent(PASSWORD));
+
+      expect(response.statusCode).toBe(403);
+      expect(parse(response).needsVerification).toBe(true);
+    });
+
+    test('refresh returns new tokens', async () => {
+      refreshAccessToken.mockResolvedValue({ success: true, tokens: { accessToken: 'access-2', idToken: 'id-2', expiresIn: 3600 } });
+
+      const response = await handler.cognitoRefreshToken(post({ refreshToken: 'refresh' }));
+
+      expect(response.statusCode).toBe(200);
+      expect(parse(response)).toMatchObject({ accessToken: 'access-2', idToken: 'id-2' });
+      expect((await handler.cognitoRefreshToken(post({}))).statusCode).toBe(400);
+    });
+
+    test('forgot password answers the same whether or not the account exists', async () => {
+      const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+      forgotPassword.mockResolvedValueOnce({ success: true }).mockResolvedValueOnce({ success: false, error: 'USER_NOT_FOUND', message: 'No account' });
+
+      const known = await handler.cognitoForgotPassword(post({ email: 'patient@example.com' }));
+      const unknown = await handler.cognitoForgotPassword(post({ email: 'nobody@example.com' }));
+
+      expect(known.statusCode).toBe(200);
+      expect(unknown.body).toBe(known.body);
+      error.mockRestore();
+    });
+
+    test('confirming a new password checks the policy and the code', async () => {
+      const weak = await handler.cognitoConfirmPassword(post({ email: 'patient@example.com', code: '123456', newPassword: 'short' }));
+      expect(weak.statusCode).toBe(400);
+      expect(confirmForgotPassword).not.toHaveBeenCalled();
+
+      confirmForgotPassword.mockResolvedValue({ success: false, error: 'CODE_EXPIRED', message: 'Expired' });
+      const expired = await handler.cognitoConfirmPassword(post({ email: 'patient@example.com', code: '123456', newPassword: PASSWORD }));
+      expect(expired.statusCode).toBe(400);
+      expect(parse(expired).error).toBe('CODE_EXPIRED');
+    });
+  });
+});
@@ -1,22 +1,252 @@
 const AWS = require("aws-sdk");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
 const { v4: uuidv4 } = require("uuid");
-const { generateOTP, generateOTPExpiry, sendSignupOTP, sendLoginOTP, isOTPExpired } = require("./utils/emailService");
-const { extractIPAddress, getIPLocation, getDeviceFingerprint, checkRateLimit, performCognitiveCheck } = require("./utils/cognitiveCheck");
+const { sendSignupOTP, sendLoginOTP, sendPasswordResetOTP, sendEmailChangeOTP, sendEmailChangedNotice, sendAccountDeletionEmail, sendMagicLinkEmail, sendStaffInvitationEmail, sendAccountExistsEmail } = require("./utils/emailService");
+const { getOTPPolicy, isOTPExpired, verifyOTP, createOTP } = require("./utils/otp");
+const { extractIPAddress, getIPLocation, getDeviceFingerprint, performCognitiveCheck } = require("./utils/cognitiveCheck");
+const { normalizeEmail, getUserById, getUserByEmail, createUser, replaceUser, changeUserEmail, listUsersDueForPurge, deleteUser, listInvitedUsers, savePendingLoginSession, getUserByPendingSessionId, deletePendingLoginSession } = require("./utils/userRepository");
+const { generateSecret, verifyTOTP, buildProvisioningURI, generateRecoveryCodes, hashRecoveryCode, findRecoveryCode } = require("./utils/totp");
+const { listPasskeys, deletePasskey, toPasskeySummary, startRegistration, finishRegistration, startAuthentication, finishAuthentication } = require("./utils/passkeys");
+const { getKeyRing, assertSigningConfig } = require("./utils/jwtKeys");
+const { getCognitoJwtVerifier } = require("./utils/cognitoJwtVerifier");
+const { findOrCreateCognitoUser } = require("./utils/cognitoUsers");
+const { ROLES, DEFAULT_ROLE, isValidRole, getRole, hasPermission, missingPermissions } = require("./utils/permissions");
+const { saveChallenge, consumeChallenge } = require("./utils/authChallenges");
+const { getDeviceTokenFromEvent, buildDeviceCookie, trustDevice, findTrustedDevice, touchTrustedDevice, listTrustedDevices, revokeTrustedDevice, toTrustedDeviceSummary } = require("./utils/trustedDevices");
+const { toPublicProfile, validateProfileUpdate } = require("./utils/userProfile");
+const { INVITATION_TTL_DAYS, INVITATION_MAX_ATTEMPTS, INVITABLE_ROLES, INVITATION_STATUS, getInvitationStatus, hasUnacceptedInvitation, canReinvite, newInvitationFields, signInvitationToken, verifyInvitationToken, toInvitationSummary } = require("./utils/staffInvitations");
+const { buildJsonExport, buildZipExport, purgeUserObjects } = require("./utils/accountData");
+const { getLockoutStatus } = require("./utils/lockoutPolicy");
+const { recordFailedLogin, clearFailedLogins } = require("./utils/loginLockout");
+const { IP_RULE_ACTIONS, validateIpRule, listIpRules, checkIpRules, createIpRule, deleteIpRule, toIpRuleSummary } = require("./utils/ipRules");
+const { resolveTimezone, appendLoginTime } = require("./utils/loginTimePattern");
+const { SIGNUP_ACTIONS, planSignup, genericSignupBody } = require("./utils/signupPolicy");
+const { PASSWORD_REUSED, validatePassword, getPasswordHistoryHashes, nextPasswordHistory, toPolicyErrorBody } = require("./utils/passwordPolicy");
+const { createSession, getSession, getSessionForRefreshToken, isSessionActive, revokeSession, revokeUserSessions, rotateRefreshToken } = require("./utils/sessionStore");
+
+// Refuse to start without signing keys or with a missing/default secret
+assertSigningConfig();
 
 const dynamo = new AWS.DynamoDB.DocumentClient();
 const s3 = new AWS.S3();
 
 // Fallback defaults for environment variables
 const USERS_TABLE = process.env.USERS_TABLE || "myvision-users";
-const JWT_SECRET = process.env.JWT_SECRET || "super_secure_fallback_secret";
 const UPLOADS_BUCKET = process.env.UPLOADS_BUCKET || "myvision-uploads";
+const APP_BASE_URL = process.env.APP_BASE_URL || "http://localhost:3000";
 
 // Security constants
-const MAX_OTP_ATTEMPTS = 3;
-const RATE_LIMIT_WINDOW_MINUTES = 15;
-const MAX_LOGIN_ATTEMPTS = 5;
+const ACCESS_TOKEN_TTL_SECONDS = 60 * 60;
+const MAGIC_LINK_TTL_MINUTES = parseInt(process.env.MAGIC_LINK_TTL_MINUTES || "15", 10);
+const MAGIC_LINK_MIN_INTERVAL_SECONDS = 60;
+const EMAIL_REVERT_LINK_TTL_SECONDS = 7 * 24 * 60 * 60;
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || "30", 10);
+
+// Access tokens carry the server-side session ID (sid) so they can be revoked,
+// and the user's role so handlers can check permissions without a lookup
+const signToken = (user, sessionId) => getKeyRing().sign(
+  { userId: user.userId, email: user.email, role: getRole(user), sid: sessionId },
+  { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+);
+
+// Start a server-side session and issue its access + refresh tokens
+const issueSessionTokens = async (user, metadata) => {
+  const { sessionId, refreshToken } = await createSession(user.userId, metadata);
+  return {
+    token: signToken(user, sessionId),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS
+  };
+};
+
+// Distance and speed since the previous login, kept in the history for review
+const travelHistoryFields = (travel) => {
+  return travel
+    ? { distanceKm: travel.distanceKm, speedKmh: travel.speedKmh, impossibleTravel: travel.impossible }
+    : {};
+};
+
+// Append to the login history (last 10 kept) and the longer list of login
+// times used to spot unusual hours, and update the last-login fields
+const recordSuccessfulLogin = async (user, { ip, location, device, travel }) => {
+  const now = new Date().toISOString();
+  const entry = { timestamp: now, ip, location, device, ...travelHistoryFields(travel) };
+  const recentHistory = [...(user.loginHistory || []), entry].slice(-10);
+
+  await dynamo.update({
+    TableName: USERS_TABLE,
+    Key: { userId: user.userId },
+    UpdateExpression: "SET lastLoginTime = :time, lastLoginIP = :ip, lastLoginLocation = :location, lastLoginDevice = :device, loginHistory = :history, loginTimes = :times, updatedAt = :now",
+    ExpressionAttributeValues: {
+      ":time": now,
+      ":ip": ip,
+      ":location": location,
+      ":device": device,
+      ":history": recentHistory,
+      ":times": appendLoginTime(user, { at: now, timezone: resolveTimezone(user, location) }),
+      ":now": now
+    }
+  }).promise();
+};
+
+// Whether a password matches the user's current or a recent one
+const isPasswordReused = async (password, user) => {
+  for (const hash of getPasswordHistoryHashes(user)) {
+    if (await bcrypt.compare(password, hash)) return true;
+  }
+  return false;
+};
+
+// Response for a locked account, or null if the user may try a password
+const getLockoutError = (user) => {
+  const lockout = getLockoutStatus(user);
+
+  if (lockout.permanent) {
+    return {
+      statusCode: 423,
+      body: {
+        message: "Account locked after too many failed login attempts. Check your email for an unlock link or reset your password.",
+        locked: true
+      }
+    };
+  }
+
+  if (lockout.locked) {
+    return {
+      statusCode: 429,
+      body: {
+        message: "Too many failed login attempts. Please try again later.",
+        retryAfter: lockout.retryAfterSeconds
+      }
+    };
+  }
+
+  return null;
+};
+
+// Re-check the password before a sensitive account change. Wrong passwords count
+// towards the login lockout, so a stolen session can't be used to guess it.
+// Returns null when it matches, otherwise { statusCode, body } to respond with.
+const checkCurrentPassword = async (user, password, invalidMessage = "Invalid credentials") => {
+  if (!user.passwordHash) {
+    return {
+      statusCode: 400,
+      body: { message: "This account doesn't have a password. Set one with forgot password first.", error: "PASSWORD_NOT_SET" }
+    };
+  }
+
+  const lockoutError = getLockoutError(user);
+  if (lockoutError) return lockoutError;
+
+  const valid = await bcrypt.compare(password, user.passwordHash);
+  if (!valid) {
+    await recordFailedLogin(user);
+    return { statusCode: 401, body: { message: invalidMessage } };
+  }
+
+  if (user.failedLoginCount || user.loginAttempts) {
+    await clearFailedLogins(user.userId);
+  }
+  return null;
+};
+
+// Hold a login until MFA is passed: stores a pending session (and the email OTP
+// when one is sent) and returns the requiresOTP response body
+const startLoginMFA = async (user, cognitiveCheck) => {
+  const now = new Date().toISOString();
+
+  // An authenticator app replaces the email OTP unless the login is suspicious
+  const totpEnabled = user.totpEnabled === true;
+  const sendEmailOTP = cognitiveCheck.suspicious || !totpEnabled;
+  const mfaMethods = [
+    ...(sendEmailOTP ? ["email"] : []),
+    ...(totpEnabled ? ["totp", "recovery_code"] : [])
+  ];
+  const reasons = cognitiveCheck.suspicious
+    ? cognitiveCheck.reasons
+    : ["Multi-factor authentication is enabled for this account"];
+
+  const { otp, otpHash, otpExpiry, policy } = createOTP("login");
+
+  // Store OTP and create pending session
+  const sessionId = uuidv4();
+  await dynamo.update({
+    TableName: USERS_TABLE,
+    Key: { userId: user.userId },
+    UpdateExpression: "SET loginOTPHash = :otpHash, loginOTPExpiry = :expiry, loginOTPAttempts = :zero, pendingSessionId = :sessionId, pendingSessionData = :sessionData, updatedAt = :now REMOVE loginOTP",
+    ExpressionAttributeValues: {
+      ":otpHash": sendEmailOTP ? otpHash : null,
+      ":expiry": otpExpiry,
+      ":zero": 0,
+      ":sessionId": sessionId,
+      ":sessionData": JSON.stringify({
+        ip: cognitiveCheck.currentIP,
+        location: cognitiveCheck.currentLocation,
+        device: cognitiveCheck.currentDevice,
+        travel: cognitiveCheck.travel,
+        timestamp: now
+      }),
+      ":now": now
+    }
+  }).promise();
+  await savePendingLoginSession(sessionId, user.userId);
+
+  if (sendEmailOTP) {
+    await sendLoginOTP(user.email, otp, reasons.join(', '), policy.ttlMinutes);
+  }
+
+  let message = cognitiveCheck.suspicious
+    ? "Suspicious activity detected."
+    : "Multi-factor authentication is required.";
+  if (!sendEmailOTP) {
+    message += " Please enter the code from your authenticator app.";
+  } else if (totpEnabled) {
+    message += " Please verify the OTP sent to your email or use your authenticator app.";
+  } else {
+    message += " Please verify the OTP sent to your email.";
+  }
+
+  return {
+    requiresOTP: true,
+    sessionId,
+    mfaMethods,
+    message,
+    reason: reasons
+  };
+};
+
+// Log why a login scored high enough to be refused and return the response body.
+// The breakdown stays in the logs so it can't be used to tune an attack.
+const denyRiskyLogin = (user, cognitiveCheck) => {
+  if (cognitiveCheck.ipRule) {
+    console.warn(`⛔ Login for ${user.userId} denied by IP rule ${cognitiveCheck.ipRule.ruleId} (${cognitiveCheck.ipRule.reason})`);
+  } else {
+    console.warn(`⛔ Login for ${user.userId} denied (risk score ${cognitiveCheck.riskScore}):`, JSON.stringify(cognitiveCheck.breakdown));
+  }
+  return {
+    message: "This sign-in was blocked for your security. If it was you, please try again later or contact support.",
+    error: "LOGIN_DENIED"
+  };
+};
+
+// Finish a login that passed every check: login history, trusted device, session tokens
+const completeLogin = async (user, cognitiveCheck, trustedDevice = null) => {
+  await recordSuccessfulLogin(user, {
+    ip: cognitiveCheck.currentIP,
+    location: cognitiveCheck.currentLocation,
+    device: cognitiveCheck.currentDevice,
+    travel: cognitiveCheck.travel
+  });
+
+  if (trustedDevice) {
+    await touchTrustedDevice(trustedDevice.deviceId);
+  }
+
+  return issueSessionTokens(user, {
+    ip: cognitiveCheck.currentIP,
+    device: cognitiveCheck.currentDevice
+  });
+};
 
 /* -------------------- HEALTH CHECK -------------------- */
 module.exports.hello = async () => {
@@ -26,6 +256,20 @@ module.exports.hello = async () => {
   };
 };
 
+/* -------------------- JWKS -------------------- */
+// Public keys other services use to verify our access tokens
+module.exports.jwks = async () => {
+  return {
+    statusCode: 200,
+    headers: {
+      "Content-Type": "application/json",
+      "Access-Control-Allow-Origin": "*",
+      "Cache-Control": "public, max-age=300"
+    },
+    body: JSON.stringify(getKeyRing().getJwks())
+  };
+};
+
 /* -------------------- TEST EMAIL (FOR DEBUGGING) -------------------- */
 module.exports.testEmail = async (event) => {
   const headers = {
@@ -105,13 +349,9 @@ module.exports.resendOTP = async (event) => {
     }
 
     // Get user
-    const result = await dynamo.scan({
-      TableName: USERS_TABLE,
-      FilterExpression: "email = :email",
-      ExpressionAttributeValues: { ":email": email }
-    }).promise();
+    const user = await getUserByEmail(email);
 
-    if (!result.Items || result.Items.length === 0) {
+    if (!user) {
       return { 
         statusCode: 404, 
         headers, 
@@ -119,8 +359,6 @@ module.exports.resendOTP = async (event) => {
       };
     }
 
-    const user = result.Items[0];
-
     // Check if already verified
     if (user.isEmailVerified) {
       return {
@@ -130,17 +368,16 @@ module.exports.resendOTP = async (event) => {
       };
     }
 
-    // Generate new OTP
-    const otp = generateOTP();
-    const otpExpiry = generateOTPExpiry();
+    // Generate new OTP (only its hash is stored)
+    const { otp, otpHash, otpExpiry, policy } = createOTP("signup");
 
     // Update user with new OTP
     await dynamo.update({
       TableName: USERS_TABLE,
       Key: { userId: user.userId },
-      UpdateExpression: "SET otp = :otp, otpExpiry = :expiry, otpAttempts = :zero, updatedAt = :now",
+      UpdateExpression: "SET otpHash = :otpHash, otpExpiry = :expiry, otpAttempts = :zero, updatedAt = :now REMOVE otp",
       ExpressionAttributeValues: {
-        ":otp": otp,
+        ":otpHash": otpHash,
         ":expiry": otpExpiry,
         ":zero": 0,
         ":now": new Date().toISOString()
@@ -148,7 +385,7 @@ module.exports.resendOTP = async (event) => {
     }).promise();
 
     // Send OTP email
-    const emailResult = await sendSignupOTP(email, otp);
+    const emailResult = await sendSignupOTP(email, otp, policy.ttlMinutes);
     
     if (!emailResult.success) {
       console.error("Failed to send OTP email:", {
@@ -199,6 +436,44 @@ module.exports.resendOTP = async (event) => {
 };
 
 /* -------------------- SIGNUP -------------------- */
+// Tell a verified owner someone tried to register their email
+const notifyExistingAccount = async (user) => {
+  await dynamo.update({
+    TableName: USERS_TABLE,
+    Key: { userId: user.userId },
+    UpdateExpression: "SET lastAccountExistsNoticeAt = :now",
+    ExpressionAttributeValues: { ":now": new Date().toISOString() }
+  }).promise();
+
+  return sendAccountExistsEmail(user.email, `${APP_BASE_URL}/login`, `${APP_BASE_URL}/forgot-password`);
+};
+
+// Take over an abandoned unverified signup. The new password waits in
+// pendingPasswordHash until the email is verified; returns false if the
+// account was verified in the meantime.
+const startPendingSignup = async (user, passwordHash, { otpHash, otpExpiry, now }) => {
+  try {
+    await dynamo.update({
+      TableName: USERS_TABLE,
+      Key: { userId: user.userId },
+      UpdateExpression: "SET pendingPasswordHash = :hash, otpHash = :otpHash, otpExpiry = :expiry, otpAttempts = :zero, lastSignupAt = :now, updatedAt = :now REMOVE otp",
+      ConditionExpression: "attribute_exists(userId) AND isEmailVerified = :false",
+      ExpressionAttributeValues: {
+        ":hash": passwordHash,
+        ":otpHash": otpHash,
+        ":expiry": otpExpiry,
+        ":zero": 0,
+        ":now": now,
+        ":false": false
+      }
+    }).promise();
+    return true;
+  } catch (err) {
+    if (err.code === "ConditionalCheckFailedException") return false;
+    throw err;
+  }
+};
+
 module.exports.signup = async (event) => {
   const headers = {
     "Content-Type": "application/json",
@@ -230,106 +505,78 @@ module.exports.signup = async (event) => {
     }
 
     // Password validation
-    if (password.length < 8) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({ message: "Password must be at least 8 characters long" })
-      };
+    const { violations } = validatePassword(password, { email });
+    if (violations.length > 0) {
+      return { statusCode: 400, headers, body: JSON.stringify(toPolicyErrorBody(violations)) };
     }
 
-    // Check if user already exists
-    const existingUser = await dynamo.scan({
-      TableName: USERS_TABLE,
-      FilterExpression: "email = :email",
-      ExpressionAttributeValues: { ":email": email }
-    }).promise();
-
-    let userId;
-    let isUpdatingExisting = false;
+    // Never overwrite an existing account, and answer every signup the same
+    // way so it can't be used to find out which emails are registered
+    const existingUser = await getUserByEmail(email);
+    const plan = planSignup(existingUser);
+    // Hashed on every path so response times don't differ either
+    const passwordHash = await bcrypt.hash(password, 10);
 
-    // If user exists (verified or not), allow re-registration (overwrite account)
-    if (existingUser.Items && existingUser.Items.length > 0) {
-      const user = existingUser.Items[0];
-      console.log(`User ${email} already exists. Allowing re-registration and overwriting account.`);
-      userId = user.userId; // Reuse existing userId
-      isUpdatingExisting = true;
+    if (plan.action === SIGNUP_ACTIONS.IGNORE) {
+      console.log(`Signup for existing account ${existingUser.userId} ignored (${plan.reason})`);
+    } else if (plan.action === SIGNUP_ACTIONS.NOTIFY_EXISTING) {
+      const emailResult = await notifyExistingAccount(existingUser);
+      if (!emailResult.success) {
+        console.error("Failed to send account exists email:", emailResult.error);
+      }
     } else {
-      // New user
-      userId = uuidv4();
-    }
+      const { otp, otpHash, otpExpiry, policy } = createOTP("signup");
+      const now = new Date().toISOString();
 
-    const passwordHash = await bcrypt.hash(password, 10);
-    
-    // Generate OTP for email verification
-    const otp = generateOTP();
-    const otpExpiry = generateOTPExpiry();
-
-    const user = {
-      userId,
-      email,
-      passwordHash,
-      isEmailVerified: false,
-      otp,
-      otpExpiry,
-      otpAttempts: 0,
-      createdAt: isUpdatingExisting ? existingUser.Items[0].createdAt : new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
-
-    await dynamo.put({
-      TableName: USERS_TABLE,
-      Item: user
-    }).promise();
+      if (plan.action === SIGNUP_ACTIONS.CREATE) {
+        // createUser fails if a concurrent signup claimed the email first
+        await createUser({
+          userId: uuidv4(),
+          email,
+          passwordHash,
+          isEmailVerified: false,
+          role: DEFAULT_ROLE,
+          otpHash,
+          otpExpiry,
+          otpAttempts: 0,
+          createdAt: now,
+          updatedAt: now
+        });
+      } else {
+        const replaced = await startPendingSignup(existingUser, passwordHash, { otpHash, otpExpiry, now });
+        if (!replaced) {
+          return { statusCode: 201, headers, body: JSON.stringify(genericSignupBody(email)) };
+        }
+      }
 
-    // Send OTP to email
-    console.log(`📧 Sending signup OTP to ${email}...`);
-    const emailResult = await sendSignupOTP(email, otp);
-    
-    let responseMessage;
-    let responseData = {
-      userId,
-      email,
-      isNewUser: !isUpdatingExisting
-    };
-    
-    if (!emailResult.success) {
-      console.error("Failed to send OTP email:", {
-        error: emailResult.error,
-        code: emailResult.code,
-        emailFrom: process.env.EMAIL_FROM
-      });
-      
-      // Provide helpful error message
-      let errorTip = "";
-      if (emailResult.error && emailResult.error.includes('not verified')) {
-        errorTip = " Run: node verify-ses-email.js " + (process.env.EMAIL_FROM || "your-email@example.com");
+      console.log(`📧 Sending signup OTP to ${email}...`);
+      const emailResult = await sendSignupOTP(email, otp, policy.ttlMinutes);
+
+      if (!emailResult.success) {
+        // The code can't go in the response: that would give away that no account existed
+        console.error("Failed to send OTP email:", {
+          error: emailResult.error,
+          code: emailResult.code,
+          emailFrom: process.env.EMAIL_FROM,
+          tip: "Run: node verify-ses-email.js " + (process.env.EMAIL_FROM || "your-email@example.com")
+        });
+      } else {
+        console.log(`✅ OTP email sent successfully to ${email}`);
       }
-      
-      // If email fails (e.g., SES sandbox mode), include OTP in response for testing
-      responseMessage = `Account created! Email delivery failed: ${emailResult.error}.${errorTip} Your verification code is: ${otp} (Valid for 5 minutes)`;
-      responseData.otp = otp; // Include OTP in response only when email fails
-      responseData.emailError = emailResult.error;
-      responseData.note = "Email not sent. The sender email must be verified in AWS SES.";
-    } else {
-      // Email sent successfully - don't include OTP in response
-      console.log(`✅ OTP email sent successfully to ${email}`);
-      responseMessage = isUpdatingExisting
-        ? "Account refreshed. A new verification code has been sent to your email."
-        : "User registered successfully! Please check your email for the verification code.";
     }
 
     return {
       statusCode: 201,
       headers,
-      body: JSON.stringify({ 
-        message: responseMessage,
-        ...responseData
-      })
+      body: JSON.stringify(genericSignupBody(email))
     };
 
   } catch (err) {
     console.error("Signup error:", err);
+    // Lost a race with a concurrent signup for the same email
+    if (err.code === "EmailAlreadyExistsException") {
+      return { statusCode: 201, headers, body: JSON.stringify(genericSignupBody(JSON.parse(event.body).email)) };
+    }
     return {
       statusCode: 500,
       headers,
@@ -359,18 +606,12 @@ module.exports.verifyEmail = async (event) => {
     }
 
     // Get user
-    const result = await dynamo.scan({
-      TableName: USERS_TABLE,
-      FilterExpression: "email = :email",
-      ExpressionAttributeValues: { ":email": email }
-    }).promise();
+    const user = await getUserByEmail(email);
 
-    if (!result.Items || result.Items.length === 0) {
+    if (!user) {
       return { statusCode: 404, headers, body: JSON.stringify({ message: "User not found" }) };
     }
 
-    const user = result.Items[0];
-
     // Check if already verified
     if (user.isEmailVerified) {
       return {
@@ -380,8 +621,10 @@ module.exports.verifyEmail = async (event) => {
       };
     }
 
+    const { maxAttempts } = getOTPPolicy("signup");
+
     // Check OTP attempts
-    if (user.otpAttempts >= MAX_OTP_ATTEMPTS) {
+    if (user.otpAttempts >= maxAttempts) {
       return {
         statusCode: 429,
         headers,
@@ -399,7 +642,7 @@ module.exports.verifyEmail = async (event) => {
     }
 
     // Verify OTP
-    if (user.otp !== otp) {
+    if (!verifyOTP(otp, user.otpHash)) {
       // Increment failed attempts
       await dynamo.update({
         TableName: USERS_TABLE,
@@ -413,7 +656,7 @@ module.exports.verifyEmail = async (event) => {
         headers,
         body: JSON.stringify({ 
           message: "Invalid OTP",
-          attemptsRemaining: MAX_OTP_ATTEMPTS - (user.otpAttempts + 1)
+          attemptsRemaining: maxAttempts - (user.otpAttempts + 1)
         })
       };
     }
@@ -422,24 +665,33 @@ module.exports.verifyEmail = async (event) => {
     await dynamo.update({
       TableName: USERS_TABLE,
       Key: { userId: user.userId },
-      UpdateExpression: "SET isEmailVerified = :verified, otp = :null, otpExpiry = :null, otpAttempts = :zero, updatedAt = :now",
+      // A password from a later signup only takes effect now the email is verified
+      UpdateExpression: user.pendingPasswordHash
+        ? "SET isEmailVerified = :verified, passwordHash = :hash, otpExpiry = :null, otpAttempts = :zero, updatedAt = :now REMOVE otp, otpHash, pendingPasswordHash"
+        : "SET isEmailVerified = :verified, otpExpiry = :null, otpAttempts = :zero, updatedAt = :now REMOVE otp, otpHash",
       ExpressionAttributeValues: {
         ":verified": true,
         ":null": null,
         ":zero": 0,
-        ":now": new Date().toISOString()
+        ":now": new Date().toISOString(),
+        ...(user.pendingPasswordHash ? { ":hash": user.pendingPasswordHash } : {})
       }
     }).promise();
 
-    // Generate token
-    const token = jwt.sign({ userId: user.userId, email: user.email }, JWT_SECRET, { expiresIn: "1h" });
+    // Generate tokens
+    const { token, refreshToken, expiresIn } = await issueSessionTokens(user, {
+      ip: extractIPAddress(event),
+      device: getDeviceFingerprint(event)
+    });
 
     return {
       statusCode: 200,
       headers,
       body: JSON.stringify({ 
         message: "Email verified successfully",
-        token
+        token,
+        refreshToken,
+        expiresIn
       })
     };
 
@@ -463,7 +715,7 @@ module.exports.login = async (event) => {
   };
 
   try {
-    const { email, password } = JSON.parse(event.body);
+    const { email, password, deviceToken } = JSON.parse(event.body);
 
     if (!email || !password) {
       return {
@@ -473,53 +725,43 @@ module.exports.login = async (event) => {
       };
     }
 
+    // Blocked networks are turned away before the account or password is looked at
+    const ipRule = await checkIpRules(extractIPAddress(event));
+    if (ipRule && ipRule.action === IP_RULE_ACTIONS.DENY) {
+      console.warn(`⛔ Login from ${extractIPAddress(event)} blocked by IP rule ${ipRule.ruleId} (${ipRule.reason})`);
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({ message: "Sign-in from this network is not allowed.", error: "IP_BLOCKED" })
+      };
+    }
+
     // Get user
-    const result = await dynamo.scan({
-      TableName: USERS_TABLE,
-      FilterExpression: "email = :email",
-      ExpressionAttributeValues: { ":email": email }
-    }).promise();
+    const user = await getUserByEmail(email);
 
-    if (!result.Items || result.Items.length === 0) {
+    // Passwordless accounts and staff who haven't accepted their invitation can't use a password
+    if (!user || user.deletedAt || !user.passwordHash || hasUnacceptedInvitation(user)) {
       return { statusCode: 401, headers, body: JSON.stringify({ message: "Invalid credentials" }) };
     }
 
-    const user = result.Items[0];
-
-    // Rate limiting check
-    const loginAttempts = user.loginAttempts || [];
-    const rateLimitCheck = checkRateLimit(loginAttempts, RATE_LIMIT_WINDOW_MINUTES, MAX_LOGIN_ATTEMPTS);
-    
-    if (rateLimitCheck.limited) {
-      return {
-        statusCode: 429,
-        headers,
-        body: JSON.stringify({ 
-          message: "Too many login attempts. Please try again later.",
-          retryAfter: RATE_LIMIT_WINDOW_MINUTES * 60
-        })
-      };
+    // Lockout check (before the password is even looked at)
+    const lockoutError = getLockoutError(user);
+    if (lockoutError) {
+      return { statusCode: lockoutError.statusCode, headers, body: JSON.stringify(lockoutError.body) };
     }
 
-    // Record login attempt
-    const now = new Date().toISOString();
-    await dynamo.update({
-      TableName: USERS_TABLE,
-      Key: { userId: user.userId },
-      UpdateExpression: "SET loginAttempts = list_append(if_not_exists(loginAttempts, :empty), :attempt)",
-      ExpressionAttributeValues: {
-        ":empty": [],
-        ":attempt": [now]
-      }
-    }).promise();
-
     // Verify password
     const valid = await bcrypt.compare(password, user.passwordHash);
 
     if (!valid) {
+      await recordFailedLogin(user);
       return { statusCode: 401, headers, body: JSON.stringify({ message: "Invalid credentials" }) };
     }
 
+    if (user.failedLoginCount || user.loginAttempts) {
+      await clearFailedLogins(user.userId);
+    }
+
     // Check if email is verified
     if (!user.isEmailVerified) {
       return {
@@ -532,79 +774,25 @@ module.exports.login = async (event) => {
       };
     }
 
-    // Perform cognitive checks
-    const cognitiveCheck = performCognitiveCheck(event, user);
-
-    if (cognitiveCheck.suspicious) {
-      // Generate OTP for suspicious login
-      const otp = generateOTP();
-      const otpExpiry = generateOTPExpiry();
-      
-      // Store OTP and create pending session
-      const sessionId = uuidv4();
-      await dynamo.update({
-        TableName: USERS_TABLE,
-        Key: { userId: user.userId },
-        UpdateExpression: "SET loginOTP = :otp, loginOTPExpiry = :expiry, loginOTPAttempts = :zero, pendingSessionId = :sessionId, pendingSessionData = :sessionData, updatedAt = :now",
-        ExpressionAttributeValues: {
-          ":otp": otp,
-          ":expiry": otpExpiry,
-          ":zero": 0,
-          ":sessionId": sessionId,
-          ":sessionData": JSON.stringify({
-            ip: cognitiveCheck.currentIP,
-            location: cognitiveCheck.currentLocation,
-            device: cognitiveCheck.currentDevice,
-            timestamp: now
-          }),
-          ":now": now
-        }
-      }).promise();
+    // Perform cognitive checks (a remembered device counts as known)
+    const trustedDevice = await findTrustedDevice(user.userId, getDeviceTokenFromEvent(event, { deviceToken }));
+    const cognitiveCheck = await performCognitiveCheck(event, user, { trustedDevice, ipRule });
 
-      // Send OTP email
-      const reason = cognitiveCheck.reasons.join(', ');
-      await sendLoginOTP(email, otp, reason);
+    if (cognitiveCheck.denied) {
+      return { statusCode: 403, headers, body: JSON.stringify(denyRiskyLogin(user, cognitiveCheck)) };
+    }
 
+    // Users can opt in to MFA on every login; otherwise it's only required when the login looks suspicious
+    if (cognitiveCheck.suspicious || user.mfaRequired === true) {
       return {
         statusCode: 200,
         headers,
-        body: JSON.stringify({ 
-          requiresOTP: true,
-          sessionId,
-          message: "Suspicious activity detected. Please verify the OTP sent to your email.",
-          reason: cognitiveCheck.reasons
-        })
+        body: JSON.stringify(await startLoginMFA(user, cognitiveCheck))
       };
     }
 
-    // Normal login - update login history
-    const loginHistory = user.loginHistory || [];
-    loginHistory.push({
-      timestamp: now,
-      ip: cognitiveCheck.currentIP,
-      location: cognitiveCheck.currentLocation,
-      device: cognitiveCheck.currentDevice
-    });
-
-    // Keep only last 10 logins
-    const recentHistory = loginHistory.slice(-10);
-
-    await dynamo.update({
-      TableName: USERS_TABLE,
-      Key: { userId: user.userId },
-      UpdateExpression: "SET lastLoginTime = :time, lastLoginIP = :ip, lastLoginLocation = :location, lastLoginDevice = :device, loginHistory = :history, updatedAt = :now",
-      ExpressionAttributeValues: {
-        ":time": now,
-        ":ip": cognitiveCheck.currentIP,
-        ":location": cognitiveCheck.currentLocation,
-        ":device": cognitiveCheck.currentDevice,
-        ":history": recentHistory,
-        ":now": now
-      }
-    }).promise();
-
-    // Generate token
-    const token = jwt.sign({ userId: user.userId, email: user.email }, JWT_SECRET, { expiresIn: "1h" });
+    // Normal login - update login history and issue tokens
+    const { token, refreshToken, expiresIn } = await completeLogin(user, cognitiveCheck, trustedDevice);
 
     return { 
       statusCode: 200, 
@@ -612,6 +800,8 @@ module.exports.login = async (event) => {
       body: JSON.stringify({ 
         message: "Login successful", 
         token,
+        refreshToken,
+        expiresIn,
         user: {
           userId: user.userId,
           email: user.email
@@ -635,24 +825,20 @@ module.exports.verifyLoginOTP = async (event) => {
   };
 
   try {
-    const { sessionId, otp } = JSON.parse(event.body);
+    const { sessionId, otp, totpCode, recoveryCode, rememberDevice } = JSON.parse(event.body);
 
-    if (!sessionId || !otp) {
+    if (!sessionId || !(otp || totpCode || recoveryCode)) {
       return {
         statusCode: 400,
         headers,
-        body: JSON.stringify({ message: "Session ID and OTP are required" })
+        body: JSON.stringify({ message: "Session ID and an OTP, authenticator code or recovery code are required" })
       };
     }
 
     // Find user with this session ID
-    const result = await dynamo.scan({
-      TableName: USERS_TABLE,
-      FilterExpression: "pendingSessionId = :sessionId",
-      ExpressionAttributeValues: { ":sessionId": sessionId }
-    }).promise();
+    const user = await getUserByPendingSessionId(sessionId);
 
-    if (!result.Items || result.Items.length === 0) {
+    if (!user) {
       return { 
         statusCode: 404, 
         headers, 
@@ -660,10 +846,10 @@ module.exports.verifyLoginOTP = async (event) => {
       };
     }
 
-    const user = result.Items[0];
+    const { maxAttempts } = getOTPPolicy("login");
 
     // Check OTP attempts
-    if (user.loginOTPAttempts >= MAX_OTP_ATTEMPTS) {
+    if (user.loginOTPAttempts >= maxAttempts) {
       return {
         statusCode: 429,
         headers,
@@ -680,8 +866,22 @@ module.exports.verifyLoginOTP = async (event) => {
       };
     }
 
-    // Verify OTP
-    if (user.loginOTP !== otp) {
+    // Verify whichever factor was submitted: authenticator app, recovery code or email OTP
+    let mfaMethod;
+    let factorValid;
+
+    if (totpCode) {
+      mfaMethod = "totp";
+      factorValid = await consumeTotpCode(user, totpCode);
+    } else if (recoveryCode) {
+      mfaMethod = "recovery_code";
+      factorValid = await consumeRecoveryCode(user, recoveryCode);
+    } else {
+      mfaMethod = "email";
+      factorValid = verifyOTP(otp, user.loginOTPHash);
+    }
+
+    if (!factorValid) {
       // Increment failed attempts
       await dynamo.update({
         TableName: USERS_TABLE,
@@ -694,8 +894,8 @@ module.exports.verifyLoginOTP = async (event) => {
         statusCode: 400,
         headers,
         body: JSON.stringify({ 
-          message: "Invalid OTP",
-          attemptsRemaining: MAX_OTP_ATTEMPTS - (user.loginOTPAttempts + 1)
+          message: mfaMethod === "email" ? "Invalid OTP" : "Invalid authenticator or recovery code",
+          attemptsRemaining: maxAttempts - (user.loginOTPAttempts + 1)
         })
       };
     }
@@ -709,7 +909,8 @@ module.exports.verifyLoginOTP = async (event) => {
       timestamp: now,
       ip: sessionData.ip,
       location: sessionData.location,
-      device: sessionData.device
+      device: sessionData.device,
+      ...travelHistoryFields(sessionData.travel)
     });
 
     const recentHistory = loginHistory.slice(-10);
@@ -717,28 +918,48 @@ module.exports.verifyLoginOTP = async (event) => {
     await dynamo.update({
       TableName: USERS_TABLE,
       Key: { userId: user.userId },
-      UpdateExpression: "SET lastLoginTime = :time, lastLoginIP = :ip, lastLoginLocation = :location, lastLoginDevice = :device, loginHistory = :history, loginOTP = :null, loginOTPExpiry = :null, loginOTPAttempts = :zero, pendingSessionId = :null, pendingSessionData = :null, updatedAt = :now",
+      UpdateExpression: "SET lastLoginTime = :time, lastLoginIP = :ip, lastLoginLocation = :location, lastLoginDevice = :device, loginHistory = :history, loginTimes = :times, loginOTPHash = :null, loginOTPExpiry = :null, loginOTPAttempts = :zero, pendingSessionId = :null, pendingSessionData = :null, updatedAt = :now REMOVE loginOTP",
       ExpressionAttributeValues: {
         ":time": now,
         ":ip": sessionData.ip,
         ":location": sessionData.location,
         ":device": sessionData.device,
         ":history": recentHistory,
+        ":times": appendLoginTime(user, { at: now, timezone: resolveTimezone(user, sessionData.location) }),
         ":null": null,
         ":zero": 0,
         ":now": now
       }
     }).promise();
+    await deletePendingLoginSession(sessionId);
 
-    // Generate token
-    const token = jwt.sign({ userId: user.userId, email: user.email }, JWT_SECRET, { expiresIn: "1h" });
+    // Generate tokens
+    const { token, refreshToken, expiresIn } = await issueSessionTokens(user, {
+      ip: sessionData.ip,
+      device: sessionData.device
+    });
+
+    // Opt-in "remember this device": later logins from it skip the new-device check
+    let trustedDevice = null;
+    if (rememberDevice === true) {
+      trustedDevice = await trustDevice(user.userId, {
+        device: sessionData.device,
+        ip: sessionData.ip,
+        location: sessionData.location
+      });
+    }
 
     return {
       statusCode: 200,
       headers,
+      ...(trustedDevice ? { cookies: [buildDeviceCookie(trustedDevice.deviceToken)] } : {}),
       body: JSON.stringify({ 
         message: "Login verified successfully",
         token,
+        refreshToken,
+        expiresIn,
+        mfaMethod,
+        ...(trustedDevice ? { deviceToken: trustedDevice.deviceToken, deviceTokenExpiresIn: trustedDevice.expiresIn } : {}),
         user: {
           userId: user.userId,
           email: user.email
@@ -756,73 +977,325 @@ module.exports.verifyLoginOTP = async (event) => {
   }
 };
 
-/* -------------------- PROTECTED ROUTE -------------------- */
-const getAuthorizationHeader = (headers = {}) => {
-  const entry = Object.entries(headers).find(
-    ([key]) => key && key.toLowerCase() === "authorization"
-  );
-  if (!entry) return "";
-  return typeof entry[1] === "string" ? entry[1] : String(entry[1] || "");
-};
+/* -------------------- FORGOT PASSWORD -------------------- */
+module.exports.forgotPassword = async (event) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+  };
+
+  // Same response whether or not the account exists, so this can't be used to probe emails
+  const genericResponse = {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ message: "If an account exists for this email, a password reset code has been sent." })
+  };
 
-module.exports.getUser = async (event) => {
   try {
-    const authHeader = getAuthorizationHeader(event.headers);
+    const { email } = JSON.parse(event.body || "{}");
 
-    if (!authHeader) {
-      return { statusCode: 401, body: JSON.stringify({ message: "Missing Authorization header" }) };
+    if (!email) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ message: "Email is required" })
+      };
     }
 
-    const [scheme, token] = authHeader.trim().split(/\s+/);
-    if (!token || scheme.toLowerCase() !== "bearer") {
-      return { statusCode: 401, body: JSON.stringify({ message: "Invalid Authorization format" }) };
-    }
+    // Get user
+    const user = await getUserByEmail(email);
 
-    let decoded;
-    try {
-      decoded = jwt.verify(token, JWT_SECRET);
-    } catch (err) {
-      console.error("JWT verification error:", err);
-      return { statusCode: 403, body: JSON.stringify({ message: "Invalid or expired token" }) };
+    if (!user || user.deletedAt) {
+      return genericResponse;
     }
 
-    const result = await dynamo.get({
+    // Generate reset OTP
+    const { otp, otpHash, otpExpiry, policy } = createOTP("reset");
+
+    await dynamo.update({
       TableName: USERS_TABLE,
-      Key: { userId: decoded.userId }
+      Key: { userId: user.userId },
+      UpdateExpression: "SET resetOTPHash = :otpHash, resetOTPExpiry = :expiry, resetOTPAttempts = :zero, updatedAt = :now REMOVE resetOTP",
+      ExpressionAttributeValues: {
+        ":otpHash": otpHash,
+        ":expiry": otpExpiry,
+        ":zero": 0,
+        ":now": new Date().toISOString()
+      }
     }).promise();
 
-    if (!result.Item) {
-      return { statusCode: 404, body: JSON.stringify({ message: "User not found" }) };
+    const emailResult = await sendPasswordResetOTP(user.email, otp, policy.ttlMinutes);
+
+    if (!emailResult.success) {
+      console.error("Failed to send password reset email:", {
+        error: emailResult.error,
+        code: emailResult.code,
+        emailFrom: process.env.EMAIL_FROM
+      });
     }
 
-    return { statusCode: 200, body: JSON.stringify({ message: "User fetched successfully", data: result.Item }) };
+    return genericResponse;
 
   } catch (err) {
-    console.error("getUser error:", err);
-    return { statusCode: 500, body: JSON.stringify({ message: "Internal Server Error" }) };
+    console.error("Forgot password error:", err);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ message: "Internal Server Error" })
+    };
   }
 };
 
-/* -------------------- FILE UPLOAD -------------------- */
-module.exports.uploadFile = async (event) => {
-  const authHeader = getAuthorizationHeader(event.headers);
+/* -------------------- RESET PASSWORD -------------------- */
+module.exports.resetPassword = async (event) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+  };
 
-  if (!authHeader) {
-    return { statusCode: 401, body: JSON.stringify({ message: "Missing Authorization header" }) };
-  }
+  try {
+    const { email, otp, newPassword } = JSON.parse(event.body || "{}");
 
-  const [scheme, token] = authHeader.trim().split(/\s+/);
-  if (!token || scheme.toLowerCase() !== "bearer") {
-    return { statusCode: 401, body: JSON.stringify({ message: "Invalid Authorization format" }) };
-  }
+    if (!email || !otp || !newPassword) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ message: "Email, OTP and new password are required" })
+      };
+    }
+
+    // Password validation (reuse is checked once the reset code is verified)
+    const { violations } = validatePassword(newPassword, { email });
+    if (violations.length > 0) {
+      return { statusCode: 400, headers, body: JSON.stringify(toPolicyErrorBody(violations)) };
+    }
+
+    // Get user
+    const user = await getUserByEmail(email);
+
+    if (!user || !user.resetOTPHash) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ message: "Invalid or expired reset code" })
+      };
+    }
+
+    const { maxAttempts } = getOTPPolicy("reset");
+
+    // Check OTP attempts
+    if (user.resetOTPAttempts >= maxAttempts) {
+      return {
+        statusCode: 429,
+        headers,
+        body: JSON.stringify({ message: "Maximum OTP attempts exceeded. Please request a new reset code." })
+      };
+    }
+
+    // Check OTP expiry
+    if (isOTPExpired(user.resetOTPExpiry)) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ message: "Reset code has expired. Please request a new one." })
+      };
+    }
+
+    // Verify OTP
+    if (!verifyOTP(otp, user.resetOTPHash)) {
+      // Increment failed attempts
+      await dynamo.update({
+        TableName: USERS_TABLE,
+        Key: { userId: user.userId },
+        UpdateExpression: "SET resetOTPAttempts = resetOTPAttempts + :inc",
+        ExpressionAttributeValues: { ":inc": 1 }
+      }).promise();
+
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ 
+          message: "Invalid OTP",
+          attemptsRemaining: maxAttempts - (user.resetOTPAttempts + 1)
+        })
+      };
+    }
+
+    // The code stays valid, so the user can retry with a different password
+    if (await isPasswordReused(newPassword, user)) {
+      return { statusCode: 400, headers, body: JSON.stringify(toPolicyErrorBody([PASSWORD_REUSED])) };
+    }
+
+    // OTP is valid - set the new password and clear the reset OTP
+    const passwordHash = await bcrypt.hash(newPassword, 10);
+    const now = new Date().toISOString();
+
+    await dynamo.update({
+      TableName: USERS_TABLE,
+      Key: { userId: user.userId },
+      // Proving control of the mailbox also lifts any lockout
+      UpdateExpression: "SET passwordHash = :hash, passwordHistory = :history, passwordChangedAt = :now, resetOTPExpiry = :null, resetOTPAttempts = :zero, failedLoginCount = :zero, updatedAt = :now REMOVE resetOTP, resetOTPHash, lastFailedLoginAt, lockoutUntil, lockedAt, loginAttempts",
+      ExpressionAttributeValues: {
+        ":hash": passwordHash,
+        ":history": nextPasswordHistory(user),
+        ":now": now,
+        ":zero": 0,
+        ":null": null
+      }
+    }).promise();
+
+    // Sign out every existing session so old tokens stop working
+    await revokeUserSessions(user.userId, "password_reset");
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ message: "Password reset successfully. Please login with your new password." })
+    };
+
+  } catch (err) {
+    console.error("Reset password error:", err);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ message: "Internal Server Error" })
+    };
+  }
+};
+
+/* -------------------- PROTECTED ROUTE -------------------- */
+const getAuthorizationHeader = (headers = {}) => {
+  const entry = Object.entries(headers).find(
+    ([key]) => key && key.toLowerCase() === "authorization"
+  );
+  if (!entry) return "";
+  return typeof entry[1] === "string" ? entry[1] : String(entry[1] || "");
+};
+
+// Permission check shared by our own tokens and Cognito tokens
+const checkPermissions = (decoded, permissions) => {
+  const missing = missingPermissions(getRole(decoded), permissions);
+  if (missing.length === 0) return null;
+
+  console.warn(`Permission denied for ${decoded.userId} (${getRole(decoded)}): missing ${missing.join(", ")}`);
+  return { statusCode: 403, message: "You don't have permission to perform this action" };
+};
+
+// Cognito tokens (AUTH_PROVIDER=cognito) are verified against the user pool and
+// mapped to the DynamoDB user, whose role applies. Cognito tracks their
+// sessions, so there's no session record here.
+const authenticateCognitoToken = async (token, permissions) => {
+  const verification = await getCognitoJwtVerifier().verify(token);
+  if (!verification.success) {
+    if (verification.error === "JWKS_UNAVAILABLE") {
+      return { error: { statusCode: 503, message: verification.message } };
+    }
+    console.warn("Cognito token rejected:", verification.message);
+    return { error: { statusCode: 403, message: "Invalid or expired token" } };
+  }
+
+  const user = await findOrCreateCognitoUser(verification.claims, token);
+  if (!user || user.deletedAt) {
+    return { error: { statusCode: 401, message: "No active account matches this token" } };
+  }
+
+  const decoded = {
+    userId: user.userId,
+    email: user.email,
+    role: getRole(user),
+    cognitoSub: verification.claims.sub
+  };
+  const permissionError = checkPermissions(decoded, permissions);
+  if (permissionError) {
+    return { error: permissionError };
+  }
+
+  return { decoded, session: null };
+};
+
+/**
+ * Verify the Bearer token and make sure its session hasn't been revoked.
+ * Handlers pass the permissions they need; the caller's role must grant all of them.
+ * Cognito-issued tokens are accepted too (session is null for them).
+ * Returns { decoded, session } or { error: { statusCode, message } }.
+ */
+const authenticateRequest = async (event, { permissions = [] } = {}) => {
+  const authHeader = getAuthorizationHeader(event.headers);
+
+  if (!authHeader) {
+    return { error: { statusCode: 401, message: "Missing Authorization header" } };
+  }
+
+  const [scheme, token] = authHeader.trim().split(/\s+/);
+  if (!token || scheme.toLowerCase() !== "bearer") {
+    return { error: { statusCode: 401, message: "Invalid Authorization format" } };
+  }
+
+  if (getCognitoJwtVerifier().isCognitoToken(token)) {
+    return authenticateCognitoToken(token, permissions);
+  }
 
   let decoded;
   try {
-    decoded = jwt.verify(token, JWT_SECRET);
+    decoded = getKeyRing().verify(token);
+  } catch (err) {
+    console.error("JWT verification error:", err);
+    return { error: { statusCode: 403, message: "Invalid or expired token" } };
+  }
+
+  const session = await getSession(decoded.sid);
+  if (!isSessionActive(session) || session.userId !== decoded.userId) {
+    return { error: { statusCode: 401, message: "Session has been revoked. Please login again." } };
+  }
+
+  const permissionError = checkPermissions(decoded, permissions);
+  if (permissionError) {
+    return { error: permissionError };
+  }
+
+  return { decoded, session };
+};
+
+module.exports.getUser = async (event) => {
+  try {
+    const auth = await authenticateRequest(event, { permissions: ["profile:read"] });
+    if (auth.error) {
+      return { statusCode: auth.error.statusCode, body: JSON.stringify({ message: auth.error.message }) };
+    }
+    const { decoded } = auth;
+
+    const user = await getUserById(decoded.userId);
+
+    if (!user) {
+      return { statusCode: 404, body: JSON.stringify({ message: "User not found" }) };
+    }
+
+    return { statusCode: 200, body: JSON.stringify({ message: "User fetched successfully", data: toPublicProfile(user) }) };
+
+  } catch (err) {
+    console.error("getUser error:", err);
+    return { statusCode: 500, body: JSON.stringify({ message: "Internal Server Error" }) };
+  }
+};
+
+/* -------------------- FILE UPLOAD -------------------- */
+module.exports.uploadFile = async (event) => {
+  let auth;
+  try {
+    auth = await authenticateRequest(event, { permissions: ["uploads:write:own"] });
   } catch (err) {
-    console.error("JWT verification failed for upload:", err);
-    return { statusCode: 401, body: JSON.stringify({ message: "Invalid or expired token" }) };
+    console.error("Authentication failed for upload:", err);
+    return { statusCode: 500, body: JSON.stringify({ message: "Internal Server Error" }) };
+  }
+
+  if (auth.error) {
+    return { statusCode: auth.error.statusCode, body: JSON.stringify({ message: auth.error.message }) };
   }
+  const { decoded } = auth;
 
   let payload;
   try {
@@ -864,3 +1337,2336 @@ module.exports.uploadFile = async (event) => {
     return { statusCode: 500, body: JSON.stringify({ message: "Internal Server Error" }) };
   }
 };
+
+/* -------------------- REFRESH TOKEN -------------------- */
+module.exports.refreshToken = async (event) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+  };
+
+  try {
+    const { refreshToken } = JSON.parse(event.body || "{}");
+
+    if (!refreshToken) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ message: "Refresh token is required" })
+      };
+    }
+
+    const rotation = await rotateRefreshToken(refreshToken);
+
+    if (!rotation.success) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ message: rotation.message, error: rotation.error })
+      };
+    }
+
+    const user = await getUserById(rotation.session.userId);
+
+    // Deleted and permanently locked accounts can't keep a session alive by refreshing it
+    let revokedReason = null;
+    if (!user) {
+      revokedReason = "user_not_found";
+    } else if (user.deletedAt) {
+      revokedReason = "account_deleted";
+    } else if (getLockoutStatus(user).permanent) {
+      revokedReason = "account_locked";
+    }
+
+    if (revokedReason) {
+      await revokeSession(rotation.session.sessionId, revokedReason);
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ message: "Session has expired or been revoked. Please login again." })
+      };
+    }
+
+    const token = signToken(user, rotation.session.sessionId);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        message: "Token refreshed successfully",
+        token,
+        refreshToken: rotation.refreshToken,
+        expiresIn: ACCESS_TOKEN_TTL_SECONDS
+      })
+    };
+
+  } catch (err) {
+    console.error("Refresh token error:", err);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ message: "Internal Server Error" })
+    };
+  }
+};
+
+/* -------------------- LOGOUT -------------------- */
+module.exports.logout = async (event) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+  };
+
+  try {
+    // Prefer the access token; fall back to the refresh token so an expired
+    // access token doesn't prevent the user from logging out
+    let sessionId;
+
+    if (getAuthorizationHeader(event.headers)) {
+      const auth = await authenticateRequest(event);
+      if (auth.error) {
+        return { statusCode: auth.error.statusCode, headers, body: JSON.stringify({ message: auth.error.message }) };
+      }
+      if (!auth.session) {
+        // Cognito tokens are signed out by the Cognito provider (AUTH_PROVIDER=cognito)
+        return { statusCode: 400, headers, body: JSON.stringify({ message: "Cognito sessions are signed out through the Cognito logout" }) };
+      }
+      sessionId = auth.session.sessionId;
+    } else {
+      const { refreshToken } = JSON.parse(event.body || "{}");
+      const session = refreshToken ? await getSessionForRefreshToken(refreshToken) : null;
+
+      if (!session) {
+        return {
+          statusCode: 401,
+          headers,
+          body: JSON.stringify({ message: "Authorization header or valid refresh token is required" })
+        };
+      }
+      sessionId = session.sessionId;
+    }
+
+    await revokeSession(sessionId, "logout");
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ message: "Logged out successfully" })
+    };
+
+  } catch (err) {
+    console.error("Logout error:", err);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ message: "Internal Server Error" })
+    };
+  }
+};
+
+/* -------------------- LOGOUT ALL SESSIONS -------------------- */
+module.exports.logoutAll = async (event) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+  };
+
+  try {
+    const auth = await authenticateRequest(event);
+    if (auth.error) {
+      return { statusCode: auth.error.statusCode, headers, body: JSON.stringify({ message: auth.error.message }) };
+    }
+
+    const revokedCount = await revokeUserSessions(auth.decoded.userId, "logout_all");
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        message: "Logged out of all sessions",
+        revokedSessions: revokedCount
+      })
+    };
+
+  } catch (err) {
+    console.error("Logout all error:", err);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ message: "Internal Server Error" })
+    };
+  }
+};
+
+/* -------------------- MFA (AUTHENTICATOR APP) -------------------- */
+
+// Accept a TOTP code once; a code already used for a previous login is rejected as a replay
+const consumeTotpCode = async (user, totpCode) => {
+  if (!user.totpEnabled || !user.totpSecret) return false;
+
+  const step = verifyTOTP(user.totpSecret, totpCode);
+  if (step === null) return false;
+
+  try {
+    await dynamo.update({
+      TableName: USERS_TABLE,
+      Key: { userId: user.userId },
+      UpdateExpression: "SET totpLastUsedStep = :step",
+      ConditionExpression: "attribute_not_exists(totpLastUsedStep) OR totpLastUsedStep < :step",
+      ExpressionAttributeValues: { ":step": step }
+    }).promise();
+    return true;
+  } catch (err) {
+    if (err.code === "ConditionalCheckFailedException") return false;
+    throw err;
+  }
+};
+
+// Recovery codes are single use - the matching hash is removed from the user record
+const consumeRecoveryCode = async (user, recoveryCode) => {
+  if (!user.totpEnabled) return false;
+
+  const index = findRecoveryCode(recoveryCode, user.mfaRecoveryCodes || []);
+  if (index === -1) return false;
+
+  try {
+    await dynamo.update({
+      TableName: USERS_TABLE,
+      Key: { userId: user.userId },
+      UpdateExpression: `REMOVE mfaRecoveryCodes[${index}]`,
+      ConditionExpression: `mfaRecoveryCodes[${index}] = :code`,
+      ExpressionAttributeValues: { ":code": user.mfaRecoveryCodes[index] }
+    }).promise();
+    return true;
+  } catch (err) {
+    if (err.code === "ConditionalCheckFailedException") return false;
+    throw err;
+  }
+};
+
+module.exports.setupTotp = async (event) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+  };
+
+  try {
+    const auth = await authenticateRequest(event);
+    if (auth.error) {
+      return { statusCode: auth.error.statusCode, headers, body: JSON.stringify({ message: auth.error.message }) };
+    }
+
+    const user = await getUserById(auth.decoded.userId);
+    if (!user) {
+      return { statusCode: 404, headers, body: JSON.stringify({ message: "User not found" }) };
+    }
+
+    if (user.totpEnabled) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ message: "Authenticator app is already enabled" })
+      };
+    }
+
+    // The secret stays pending until the user proves their app generates valid codes
+    const secret = generateSecret();
+
+    await dynamo.update({
+      TableName: USERS_TABLE,
+      Key: { userId: user.userId },
+      UpdateExpression: "SET totpPendingSecret = :secret, updatedAt = :now",
+      ExpressionAttributeValues: {
+        ":secret": secret,
+        ":now": new Date().toISOString()
+      }
+    }).promise();
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        message: "Scan the QR code with your authenticator app, then confirm with a code from the app.",
+        secret,
+        otpauthUri: buildProvisioningURI(secret, user.email)
+      })
+    };
+
+  } catch (err) {
+    console.error("TOTP setup error:", err);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ message: "Internal Server Error" })
+    };
+  }
+};
+
+module.exports.confirmTotp = async (event) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+  };
+
+  try {
+    const auth = await authenticateRequest(event);
+    if (auth.error) {
+      return { statusCode: auth.error.statusCode, headers, body: JSON.stringify({ message: auth.error.message }) };
+    }
+
+    const { code } = JSON.parse(event.body || "{}");
+    if (!code) {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "Authenticator code is required" }) };
+    }
+
+    const user = await getUserById(auth.decoded.userId);
+    if (!user) {
+      return { statusCode: 404, headers, body: JSON.stringify({ message: "User not found" }) };
+    }
+
+    if (!user.totpPendingSecret) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ message: "No authenticator setup in progress. Please start setup first." })
+      };
+    }
+
+    const step = verifyTOTP(user.totpPendingSecret, code);
+    if (step === null) {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "Invalid authenticator code" }) };
+    }
+
+    // Recovery codes are only ever shown once; we keep salted hashes
+    const recoveryCodes = generateRecoveryCodes();
+    const now = new Date().toISOString();
+
+    await dynamo.update({
+      TableName: USERS_TABLE,
+      Key: { userId: user.userId },
+      UpdateExpression: "SET totpSecret = :secret, totpEnabled = :true, totpEnabledAt = :now, totpLastUsedStep = :step, mfaRecoveryCodes = :codes, updatedAt = :now REMOVE totpPendingSecret",
+      ExpressionAttributeValues: {
+        ":secret": user.totpPendingSecret,
+        ":true": true,
+        ":now": now,
+        ":step": step,
+        ":codes": recoveryCodes.map(hashRecoveryCode)
+      }
+    }).promise();
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        message: "Authenticator app enabled. Store these recovery codes somewhere safe - they won't be shown again.",
+        recoveryCodes
+      })
+    };
+
+  } catch (err) {
+    console.error("TOTP confirm error:", err);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ message: "Internal Server Error" })
+    };
+  }
+};
+
+module.exports.disableTotp = async (event) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+  };
+
+  try {
+    const auth = await authenticateRequest(event);
+    if (auth.error) {
+      return { statusCode: auth.error.statusCode, headers, body: JSON.stringify({ message: auth.error.message }) };
+    }
+
+    const { password } = JSON.parse(event.body || "{}");
+    if (!password) {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "Password is required" }) };
+    }
+
+    const user = await getUserById(auth.decoded.userId);
+    if (!user) {
+      return { statusCode: 404, headers, body: JSON.stringify({ message: "User not found" }) };
+    }
+
+    // The password is the only thing standing between a stolen session and turning MFA off
+    const passwordError = await checkCurrentPassword(user, password);
+    if (passwordError) {
+      return { statusCode: passwordError.statusCode, headers, body: JSON.stringify(passwordError.body) };
+    }
+
+    await dynamo.update({
+      TableName: USERS_TABLE,
+      Key: { userId: user.userId },
+      UpdateExpression: "SET totpEnabled = :false, updatedAt = :now REMOVE totpSecret, totpPendingSecret, totpLastUsedStep, totpEnabledAt, mfaRecoveryCodes",
+      ExpressionAttributeValues: {
+        ":false": false,
+        ":now": new Date().toISOString()
+      }
+    }).promise();
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ message: "Authenticator app disabled" })
+    };
+
+  } catch (err) {
+    console.error("TOTP disable error:", err);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ message: "Internal Server Error" })
+    };
+  }
+};
+
+module.exports.updateMfaSettings = async (event) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+  };
+
+  try {
+    const auth = await authenticateRequest(event);
+    if (auth.error) {
+      return { statusCode: auth.error.statusCode, headers, body: JSON.stringify({ message: auth.error.message }) };
+    }
+
+    const { requireMfa } = JSON.parse(event.body || "{}");
+    if (typeof requireMfa !== "boolean") {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "requireMfa must be true or false" }) };
+    }
+
+    await dynamo.update({
+      TableName: USERS_TABLE,
+      Key: { userId: auth.decoded.userId },
+      UpdateExpression: "SET mfaRequired = :required, updatedAt = :now",
+      ConditionExpression: "attribute_exists(userId)",
+      ExpressionAttributeValues: {
+        ":required": requireMfa,
+        ":now": new Date().toISOString()
+      }
+    }).promise();
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        message: requireMfa
+          ? "Multi-factor authentication will be required on every login"
+          : "Multi-factor authentication will only be required for suspicious logins",
+        requireMfa
+      })
+    };
+
+  } catch (err) {
+    console.error("MFA settings error:", err);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ message: "Internal Server Error" })
+    };
+  }
+};
+
+/* -------------------- PASSKEYS (WEBAUTHN) -------------------- */
+module.exports.passkeyRegisterOptions = async (event) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+  };
+
+  try {
+    const auth = await authenticateRequest(event);
+    if (auth.error) {
+      return { statusCode: auth.error.statusCode, headers, body: JSON.stringify({ message: auth.error.message }) };
+    }
+
+    const user = await getUserById(auth.decoded.userId);
+    if (!user) {
+      return { statusCode: 404, headers, body: JSON.stringify({ message: "User not found" }) };
+    }
+
+    const { challengeId, options } = await startRegistration(user);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ challengeId, options })
+    };
+
+  } catch (err) {
+    console.error("Passkey registration options error:", err);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ message: "Internal Server Error" })
+    };
+  }
+};
+
+module.exports.passkeyRegisterVerify = async (event) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+  };
+
+  try {
+    const auth = await authenticateRequest(event);
+    if (auth.error) {
+      return { statusCode: auth.error.statusCode, headers, body: JSON.stringify({ message: auth.error.message }) };
+    }
+
+    const { challengeId, credential, name } = JSON.parse(event.body || "{}");
+    if (!challengeId || !credential) {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "Challenge ID and credential are required" }) };
+    }
+
+    const user = await getUserById(auth.decoded.userId);
+    if (!user) {
+      return { statusCode: 404, headers, body: JSON.stringify({ message: "User not found" }) };
+    }
+
+    const result = await finishRegistration(user, challengeId, credential, name);
+    if (!result.success) {
+      return {
+        statusCode: result.error === "ALREADY_REGISTERED" ? 409 : 400,
+        headers,
+        body: JSON.stringify({ message: result.message, error: result.error })
+      };
+    }
+
+    return {
+      statusCode: 201,
+      headers,
+      body: JSON.stringify({ message: "Passkey registered successfully", passkey: result.passkey })
+    };
+
+  } catch (err) {
+    console.error("Passkey registration error:", err);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ message: "Internal Server Error" })
+    };
+  }
+};
+
+module.exports.passkeyLoginOptions = async (event) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+  };
+
+  try {
+    const { email } = JSON.parse(event.body || "{}");
+
+    // Without an email (or for an unknown one) the browser offers any discoverable passkey
+    const user = email ? await getUserByEmail(email) : null;
+    const { challengeId, options } = await startAuthentication(user);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ challengeId, options })
+    };
+
+  } catch (err) {
+    console.error("Passkey login options error:", err);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ message: "Internal Server Error" })
+    };
+  }
+};
+
+module.exports.passkeyLoginVerify = async (event) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+  };
+
+  try {
+    const { challengeId, credential } = JSON.parse(event.body || "{}");
+    if (!challengeId || !credential) {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "Challenge ID and credential are required" }) };
+    }
+
+    const result = await finishAuthentication(challengeId, credential);
+    if (!result.success) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ message: result.message, error: result.error })
+      };
+    }
+
+    const user = await getUserById(result.userId);
+    if (!user || user.deletedAt) {
+      return { statusCode: 401, headers, body: JSON.stringify({ message: "Invalid credentials" }) };
+    }
+
+    // A permanent lockout stands until the account is unlocked; the temporary
+    // backoff only slows down password guessing, so it doesn't apply here
+    if (getLockoutStatus(user).permanent) {
+      const lockoutError = getLockoutError(user);
+      return { statusCode: lockoutError.statusCode, headers, body: JSON.stringify(lockoutError.body) };
+    }
+
+    if (!user.isEmailVerified) {
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({ 
+          message: "Please verify your email before logging in",
+          requiresEmailVerification: true
+        })
+      };
+    }
+
+    // A passkey is already a strong, phishing-resistant factor, so suspicious
+    // logins and mfaRequired don't trigger the OTP step. The check still runs
+    // to record the login context, and a denied login is still refused.
+    const cognitiveCheck = await performCognitiveCheck(event, user);
+    if (cognitiveCheck.denied) {
+      return { statusCode: 403, headers, body: JSON.stringify(denyRiskyLogin(user, cognitiveCheck)) };
+    }
+    if (cognitiveCheck.suspicious) {
+      console.log(`Passkey login for ${user.userId} flagged (${cognitiveCheck.reasons.join(", ")}); OTP skipped`);
+    }
+
+    const { token, refreshToken, expiresIn } = await completeLogin(user, cognitiveCheck);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        message: "Login successful",
+        token,
+        refreshToken,
+        expiresIn,
+        authMethod: "passkey",
+        user: {
+          userId: user.userId,
+          email: user.email
+        }
+      })
+    };
+
+  } catch (err) {
+    console.error("Passkey login error:", err);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ message: "Internal Server Error" })
+    };
+  }
+};
+
+module.exports.listPasskeys = async (event) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+  };
+
+  try {
+    const auth = await authenticateRequest(event);
+    if (auth.error) {
+      return { statusCode: auth.error.statusCode, headers, body: JSON.stringify({ message: auth.error.message }) };
+    }
+
+    const passkeys = await listPasskeys(auth.decoded.userId);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ passkeys: passkeys.map(toPasskeySummary) })
+    };
+
+  } catch (err) {
+    console.error("List passkeys error:", err);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ message: "Internal Server Error" })
+    };
+  }
+};
+
+module.exports.deletePasskey = async (event) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+  };
+
+  try {
+    const auth = await authenticateRequest(event);
+    if (auth.error) {
+      return { statusCode: auth.error.statusCode, headers, body: JSON.stringify({ message: auth.error.message }) };
+    }
+
+    const { credentialId } = JSON.parse(event.body || "{}");
+    if (!credentialId) {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "Credential ID is required" }) };
+    }
+
+    const deleted = await deletePasskey(auth.decoded.userId, credentialId);
+    if (!deleted) {
+      return { statusCode: 404, headers, body: JSON.stringify({ message: "Passkey not found" }) };
+    }
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ message: "Passkey removed" })
+    };
+
+  } catch (err) {
+    console.error("Delete passkey error:", err);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ message: "Internal Server Error" })
+    };
+  }
+};
+
+/* -------------------- LIST UPLOADS -------------------- */
+module.exports.listUploads = async (event) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+  };
+
+  try {
+    const auth = await authenticateRequest(event, { permissions: ["uploads:read:own"] });
+    if (auth.error) {
+      return { statusCode: auth.error.statusCode, headers, body: JSON.stringify({ message: auth.error.message }) };
+    }
+
+    // Patients see their own uploads; staff may look up any patient's
+    const requestedUserId = (event.queryStringParameters || {}).userId;
+    const targetUserId = requestedUserId || auth.decoded.userId;
+
+    if (targetUserId !== auth.decoded.userId && !hasPermission(getRole(auth.decoded), "uploads:read:any")) {
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({ message: "You don't have permission to perform this action" })
+      };
+    }
+
+    const files = [];
+    let continuationToken;
+
+    do {
+      const result = await s3.listObjectsV2({
+        Bucket: UPLOADS_BUCKET,
+        Prefix: `${targetUserId}/`,
+        ContinuationToken: continuationToken
+      }).promise();
+
+      for (const object of result.Contents || []) {
+        files.push({
+          key: object.Key,
+          size: object.Size,
+          lastModified: object.LastModified,
+          url: s3.getSignedUrl("getObject", { Bucket: UPLOADS_BUCKET, Key: object.Key, Expires: 300 })
+        });
+      }
+
+      continuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+    } while (continuationToken);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ userId: targetUserId, files })
+    };
+
+  } catch (err) {
+    console.error("List uploads error:", err);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ message: "Internal Server Error" })
+    };
+  }
+};
+
+/* -------------------- CHANGE USER ROLE (ADMIN) -------------------- */
+module.exports.updateUserRole = async (event) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+  };
+
+  try {
+    const auth = await authenticateRequest(event, { permissions: ["users:manage_roles"] });
+    if (auth.error) {
+      return { statusCode: auth.error.statusCode, headers, body: JSON.stringify({ message: auth.error.message }) };
+    }
+
+    const { userId, role } = JSON.parse(event.body || "{}");
+
+    if (!userId || !role) {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "User ID and role are required" }) };
+    }
+
+    if (!isValidRole(role)) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ message: `Role must be one of: ${Object.values(ROLES).join(", ")}` })
+      };
+    }
+
+    // Stops an admin from accidentally removing the last way back in
+    if (userId === auth.decoded.userId) {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "You can't change your own role" }) };
+    }
+
+    const user = await getUserById(userId);
+    if (!user) {
+      return { statusCode: 404, headers, body: JSON.stringify({ message: "User not found" }) };
+    }
+
+    const previousRole = getRole(user);
+
+    await dynamo.update({
+      TableName: USERS_TABLE,
+      Key: { userId },
+      UpdateExpression: "SET #role = :role, roleUpdatedAt = :now, roleUpdatedBy = :admin, updatedAt = :now",
+      ConditionExpression: "attribute_exists(userId)",
+      ExpressionAttributeNames: { "#role": "role" },
+      ExpressionAttributeValues: {
+        ":role": role,
+        ":now": new Date().toISOString(),
+        ":admin": auth.decoded.userId
+      }
+    }).promise();
+
+    // The role is embedded in access tokens, so force the user to sign in again
+    await revokeUserSessions(userId, "role_changed");
+
+    console.log(`Role for ${userId} changed from ${previousRole} to ${role} by ${auth.decoded.userId}`);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ message: "Role updated", userId, role, previousRole })
+    };
+
+  } catch (err) {
+    console.error("Update role error:", err);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ message: "Internal Server Error" })
+    };
+  }
+};
+
+/* -------------------- MAGIC LINK LOGIN -------------------- */
+// Magic links are signed tokens whose jti is a single-use auth challenge
+module.exports.requestMagicLink = async (event) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+  };
+
+  // Same response whether or not the account exists
+  const genericResponse = {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ message: "If an account exists for this email, a sign-in link has been sent." })
+  };
+
+  try {
+    const { email } = JSON.parse(event.body || "{}");
+
+    if (!email) {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "Email is required" }) };
+    }
+
+    const user = await getUserByEmail(email);
+
+    // Unverified accounts finish signup first; locked accounts use their unlock link
+    if (!user || user.deletedAt || !user.isEmailVerified || getLockoutStatus(user).permanent) {
+      return genericResponse;
+    }
+
+    const lastSentAt = user.lastMagicLinkSentAt ? new Date(user.lastMagicLinkSentAt).getTime() : 0;
+    if (Date.now() - lastSentAt < MAGIC_LINK_MIN_INTERVAL_SECONDS * 1000) {
+      return genericResponse;
+    }
+
+    const challengeId = await saveChallenge("magic_link", { userId: user.userId }, MAGIC_LINK_TTL_MINUTES * 60);
+    const token = getKeyRing().sign(
+      { sub: user.userId, jti: challengeId },
+      { audience: "magic-link", expiresIn: MAGIC_LINK_TTL_MINUTES * 60 }
+    );
+
+    await dynamo.update({
+      TableName: USERS_TABLE,
+      Key: { userId: user.userId },
+      UpdateExpression: "SET lastMagicLinkSentAt = :now",
+      ExpressionAttributeValues: { ":now": new Date().toISOString() }
+    }).promise();
+
+    const magicLinkUrl = `${APP_BASE_URL}/magic-link?token=${encodeURIComponent(token)}`;
+    const emailResult = await sendMagicLinkEmail(user.email, magicLinkUrl, MAGIC_LINK_TTL_MINUTES);
+    if (!emailResult.success) {
+      console.error("Failed to send magic link:", emailResult.error);
+    }
+
+    return genericResponse;
+
+  } catch (err) {
+    console.error("Magic link request error:", err);
+    return { statusCode: 500, headers, body: JSON.stringify({ message: "Internal Server Error" }) };
+  }
+};
+
+module.exports.consumeMagicLink = async (event) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+  };
+
+  const invalidLink = {
+    statusCode: 401,
+    headers,
+    body: JSON.stringify({ message: "Sign-in link is invalid, expired or already used" })
+  };
+
+  try {
+    const { token, deviceToken } = JSON.parse(event.body || "{}");
+
+    if (!token) {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "Sign-in token is required" }) };
+    }
+
+    let decoded;
+    try {
+      decoded = getKeyRing().verify(token, { audience: "magic-link" });
+    } catch (err) {
+      return invalidLink;
+    }
+
+    // Single use: the challenge is deleted as it's read
+    const challenge = await consumeChallenge(decoded.jti, "magic_link");
+    if (!challenge || challenge.userId !== decoded.sub) {
+      return invalidLink;
+    }
+
+    const user = await getUserById(challenge.userId);
+    if (!user || user.deletedAt || getLockoutStatus(user).permanent) {
+      return invalidLink;
+    }
+
+    // Risky link usage (new device, location, ...) is challenged like a password login
+    const trustedDevice = await findTrustedDevice(user.userId, getDeviceTokenFromEvent(event, { deviceToken }));
+    const cognitiveCheck = await performCognitiveCheck(event, user, { trustedDevice });
+
+    if (cognitiveCheck.denied) {
+      return { statusCode: 403, headers, body: JSON.stringify(denyRiskyLogin(user, cognitiveCheck)) };
+    }
+
+    if (cognitiveCheck.suspicious || user.mfaRequired === true) {
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify(await startLoginMFA(user, cognitiveCheck))
+      };
+    }
+
+    const { token: accessToken, refreshToken, expiresIn } = await completeLogin(user, cognitiveCheck, trustedDevice);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        message: "Login successful",
+        token: accessToken,
+        refreshToken,
+        expiresIn,
+        user: {
+          userId: user.userId,
+          email: user.email
+        }
+      })
+    };
+
+  } catch (err) {
+    console.error("Magic link login error:", err);
+    return { statusCode: 500, headers, body: JSON.stringify({ message: "Internal Server Error" }) };
+  }
+};
+
+/* -------------------- ACCOUNT UNLOCK -------------------- */
+module.exports.unlockAccount = async (event) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+  };
+
+  try {
+    const { token } = JSON.parse(event.body || "{}");
+
+    if (!token) {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "Unlock token is required" }) };
+    }
+
+    const challenge = await consumeChallenge(token, "account_unlock");
+    if (!challenge) {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "Unlock link is invalid or has expired" }) };
+    }
+
+    await clearFailedLogins(challenge.userId);
+    console.log(`🔓 Account ${challenge.userId} unlocked via email link`);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ message: "Account unlocked. You can now log in." })
+    };
+
+  } catch (err) {
+    console.error("Unlock account error:", err);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ message: "Internal Server Error" })
+    };
+  }
+};
+
+module.exports.adminUnlockUser = async (event) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+  };
+
+  try {
+    const auth = await authenticateRequest(event, { permissions: ["users:unlock"] });
+    if (auth.error) {
+      return { statusCode: auth.error.statusCode, headers, body: JSON.stringify({ message: auth.error.message }) };
+    }
+
+    const { userId } = JSON.parse(event.body || "{}");
+
+    if (!userId) {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "User ID is required" }) };
+    }
+
+    const user = await getUserById(userId);
+    if (!user) {
+      return { statusCode: 404, headers, body: JSON.stringify({ message: "User not found" }) };
+    }
+
+    await clearFailedLogins(userId);
+    console.log(`🔓 Account ${userId} unlocked by ${auth.decoded.userId}`);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ message: "Account unlocked", userId })
+    };
+
+  } catch (err) {
+    console.error("Admin unlock error:", err);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ message: "Internal Server Error" })
+    };
+  }
+};
+
+/* -------------------- CHANGE PASSWORD -------------------- */
+module.exports.changePassword = async (event) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+  };
+
+  try {
+    const auth = await authenticateRequest(event, { permissions: ["profile:update"] });
+    if (auth.error) {
+      return { statusCode: auth.error.statusCode, headers, body: JSON.stringify({ message: auth.error.message }) };
+    }
+
+    const { currentPassword, newPassword } = JSON.parse(event.body || "{}");
+
+    if (!currentPassword || !newPassword) {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "Current password and new password are required" }) };
+    }
+
+    const user = await getUserById(auth.decoded.userId);
+    if (!user) {
+      return { statusCode: 404, headers, body: JSON.stringify({ message: "User not found" }) };
+    }
+
+    const passwordError = await checkCurrentPassword(user, currentPassword, "Current password is incorrect");
+    if (passwordError) {
+      return { statusCode: passwordError.statusCode, headers, body: JSON.stringify(passwordError.body) };
+    }
+
+    const { violations } = validatePassword(newPassword, { email: user.email });
+    if (await isPasswordReused(newPassword, user)) {
+      violations.push(PASSWORD_REUSED);
+    }
+    if (violations.length > 0) {
+      return { statusCode: 400, headers, body: JSON.stringify(toPolicyErrorBody(violations)) };
+    }
+
+    const passwordHash = await bcrypt.hash(newPassword, 10);
+    const now = new Date().toISOString();
+
+    await dynamo.update({
+      TableName: USERS_TABLE,
+      Key: { userId: user.userId },
+      UpdateExpression: "SET passwordHash = :hash, passwordHistory = :history, passwordChangedAt = :now, updatedAt = :now",
+      ExpressionAttributeValues: {
+        ":hash": passwordHash,
+        ":history": nextPasswordHistory(user),
+        ":now": now
+      }
+    }).promise();
+
+    // Keep the caller signed in, sign out everywhere else
+    const revokedSessions = await revokeUserSessions(user.userId, "password_changed", { exceptSessionId: auth.decoded.sid });
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ message: "Password changed", revokedSessions })
+    };
+
+  } catch (err) {
+    console.error("Change password error:", err);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ message: "Internal Server Error" })
+    };
+  }
+};
+
+/* -------------------- CHANGE EMAIL -------------------- */
+module.exports.changeEmail = async (event) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+  };
+
+  try {
+    const auth = await authenticateRequest(event, { permissions: ["profile:update"] });
+    if (auth.error) {
+      return { statusCode: auth.error.statusCode, headers, body: JSON.stringify({ message: auth.error.message }) };
+    }
+
+    const { currentPassword, newEmail } = JSON.parse(event.body || "{}");
+
+    if (!currentPassword || !newEmail) {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "Current password and new email are required" }) };
+    }
+
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(newEmail)) {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "Invalid email format" }) };
+    }
+
+    const user = await getUserById(auth.decoded.userId);
+    if (!user) {
+      return { statusCode: 404, headers, body: JSON.stringify({ message: "User not found" }) };
+    }
+
+    const passwordError = await checkCurrentPassword(user, currentPassword, "Current password is incorrect");
+    if (passwordError) {
+      return { statusCode: passwordError.statusCode, headers, body: JSON.stringify(passwordError.body) };
+    }
+
+    if (normalizeEmail(newEmail) === normalizeEmail(user.email)) {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "That is already your email address" }) };
+    }
+
+    if (await getUserByEmail(newEmail)) {
+      return { statusCode: 409, headers, body: JSON.stringify({ message: "Email is already in use" }) };
+    }
+
+    // The email only changes once the new address is confirmed
+    const { otp, otpHash, otpExpiry, policy } = createOTP("email_change");
+
+    await dynamo.update({
+      TableName: USERS_TABLE,
+      Key: { userId: user.userId },
+      UpdateExpression: "SET pendingEmail = :email, pendingEmailOTPHash = :otpHash, pendingEmailOTPExpiry = :expiry, pendingEmailOTPAttempts = :zero, updatedAt = :now",
+      ExpressionAttributeValues: {
+        ":email": newEmail.trim(),
+        ":otpHash": otpHash,
+        ":expiry": otpExpiry,
+        ":zero": 0,
+        ":now": new Date().toISOString()
+      }
+    }).promise();
+
+    const emailResult = await sendEmailChangeOTP(newEmail.trim(), otp, policy.ttlMinutes);
+
+    if (!emailResult.success) {
+      console.error("Failed to send email change OTP:", {
+        error: emailResult.error,
+        code: emailResult.code,
+        emailFrom: process.env.EMAIL_FROM
+      });
+      return { statusCode: 502, headers, body: JSON.stringify({ message: "Could not send the confirmation code. Please try again." }) };
+    }
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ message: "Confirmation code sent to the new email address", pendingEmail: newEmail.trim() })
+    };
+
+  } catch (err) {
+    console.error("Change email error:", err);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ message: "Internal Server Error" })
+    };
+  }
+};
+
+module.exports.confirmEmailChange = async (event) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+  };
+
+  try {
+    const auth = await authenticateRequest(event, { permissions: ["profile:update"] });
+    if (auth.error) {
+      return { statusCode: auth.error.statusCode, headers, body: JSON.stringify({ message: auth.error.message }) };
+    }
+
+    const { otp } = JSON.parse(event.body || "{}");
+
+    if (!otp) {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "OTP is required" }) };
+    }
+
+    const user = await getUserById(auth.decoded.userId);
+    if (!user || !user.pendingEmail) {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "No email change is pending" }) };
+    }
+
+    const { maxAttempts } = getOTPPolicy("email_change");
+    const attempts = user.pendingEmailOTPAttempts || 0;
+
+    if (attempts >= maxAttempts) {
+      return { statusCode: 429, headers, body: JSON.stringify({ message: "Maximum OTP attempts exceeded. Please request the email change again." }) };
+    }
+
+    if (isOTPExpired(user.pendingEmailOTPExpiry)) {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "OTP has expired. Please request the email change again." }) };
+    }
+
+    if (!verifyOTP(otp, user.pendingEmailOTPHash)) {
+      await dynamo.update({
+        TableName: USERS_TABLE,
+        Key: { userId: user.userId },
+        UpdateExpression: "SET pendingEmailOTPAttempts = if_not_exists(pendingEmailOTPAttempts, :zero) + :inc",
+        ExpressionAttributeValues: { ":zero": 0, ":inc": 1 }
+      }).promise();
+
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ message: "Invalid OTP", attemptsRemaining: maxAttempts - (attempts + 1) })
+      };
+    }
+
+    const previousEmail = user.email;
+    const newEmail = user.pendingEmail;
+
+    try {
+      await changeUserEmail(user.userId, previousEmail, newEmail);
+    } catch (error) {
+      if (error.code === "EmailAlreadyExistsException") {
+        return { statusCode: 409, headers, body: JSON.stringify({ message: "Email is already in use" }) };
+      }
+      throw error;
+    }
+
+    // Let the old address undo the change in case the account was taken over
+    const revertToken = await saveChallenge("email_revert", {
+      userId: user.userId,
+      previousEmail,
+      newEmail
+    }, EMAIL_REVERT_LINK_TTL_SECONDS);
+    const revertUrl = `${APP_BASE_URL}/revert-email?token=${encodeURIComponent(revertToken)}`;
+
+    const noticeResult = await sendEmailChangedNotice(previousEmail, newEmail, revertUrl);
+    if (!noticeResult.success) {
+      console.error("Failed to send email change notice:", { error: noticeResult.error, code: noticeResult.code });
+    }
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ message: "Email address updated", email: newEmail })
+    };
+
+  } catch (err) {
+    console.error("Confirm email change error:", err);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ message: "Internal Server Error" })
+    };
+  }
+};
+
+module.exports.revertEmailChange = async (event) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+  };
+
+  try {
+    const { token } = JSON.parse(event.body || "{}");
+
+    if (!token) {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "Revert token is required" }) };
+    }
+
+    const challenge = await consumeChallenge(token, "email_revert");
+    if (!challenge) {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "Revert link is invalid or has expired" }) };
+    }
+
+    const user = await getUserById(challenge.userId);
+    if (!user || normalizeEmail(user.email) !== normalizeEmail(challenge.newEmail)) {
+      return { statusCode: 409, headers, body: JSON.stringify({ message: "The account email has changed again and can't be reverted with this link" }) };
+    }
+
+    try {
+      await changeUserEmail(user.userId, challenge.newEmail, challenge.previousEmail);
+    } catch (error) {
+      if (error.code === "EmailAlreadyExistsException") {
+        return { statusCode: 409, headers, body: JSON.stringify({ message: "The previous email address is now used by another account" }) };
+      }
+      throw error;
+    }
+
+    // Whoever changed the email may still be signed in
+    await revokeUserSessions(user.userId, "email_reverted");
+    console.warn(`⚠️ Email change for ${user.userId} reverted from ${challenge.newEmail} to ${challenge.previousEmail}`);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ message: "Email change reverted and all devices signed out. Please reset your password." })
+    };
+
+  } catch (err) {
+    console.error("Revert email change error:", err);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ message: "Internal Server Error" })
+    };
+  }
+};
+
+/* -------------------- DATA EXPORT -------------------- */
+module.exports.exportUserData = async (event) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+  };
+
+  try {
+    const auth = await authenticateRequest(event, { permissions: ["profile:read", "uploads:read:own"] });
+    if (auth.error) {
+      return { statusCode: auth.error.statusCode, headers, body: JSON.stringify({ message: auth.error.message }) };
+    }
+
+    const format = ((event.queryStringParameters || {}).format || "json").toLowerCase();
+    if (!["json", "zip"].includes(format)) {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "Format must be json or zip" }) };
+    }
+
+    const user = await getUserById(auth.decoded.userId);
+    if (!user) {
+      return { statusCode: 404, headers, body: JSON.stringify({ message: "User not found" }) };
+    }
+
+    const profile = toPublicProfile(user);
+
+    if (format === "zip") {
+      const bundle = await buildZipExport(user.userId, profile, user);
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ message: "Export ready", format, ...bundle })
+      };
+    }
+
+    const data = await buildJsonExport(user.userId, profile, user);
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ message: "Export ready", format, data })
+    };
+
+  } catch (err) {
+    console.error("Export user data error:", err);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ message: "Internal Server Error" })
+    };
+  }
+};
+
+/* -------------------- ACCOUNT DELETION -------------------- */
+module.exports.deleteAccount = async (event) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+  };
+
+  try {
+    const auth = await authenticateRequest(event, { permissions: ["profile:update"] });
+    if (auth.error) {
+      return { statusCode: auth.error.statusCode, headers, body: JSON.stringify({ message: auth.error.message }) };
+    }
+
+    const { password } = JSON.parse(event.body || "{}");
+    if (!password) {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "Password is required" }) };
+    }
+
+    const user = await getUserById(auth.decoded.userId);
+    if (!user) {
+      return { statusCode: 404, headers, body: JSON.stringify({ message: "User not found" }) };
+    }
+
+    const passwordError = await checkCurrentPassword(user, password);
+    if (passwordError) {
+      return { statusCode: passwordError.statusCode, headers, body: JSON.stringify(passwordError.body) };
+    }
+
+    const now = new Date();
+    const purgeAfter = new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+    // Soft delete: the record stays (and the email stays taken) until the purge job runs
+    await dynamo.update({
+      TableName: USERS_TABLE,
+      Key: { userId: user.userId },
+      UpdateExpression: "SET deletedAt = :now, purgeAfter = :purgeAfter, updatedAt = :now",
+      ConditionExpression: "attribute_not_exists(deletedAt)",
+      ExpressionAttributeValues: {
+        ":now": now.toISOString(),
+        ":purgeAfter": purgeAfter
+      }
+    }).promise();
+
+    await revokeUserSessions(user.userId, "account_deleted");
+
+    const emailResult = await sendAccountDeletionEmail(user.email, purgeAfter);
+    if (!emailResult.success) {
+      console.error("Failed to send account deletion email:", { error: emailResult.error, code: emailResult.code });
+    }
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ message: "Account deleted", purgeAfter })
+    };
+
+  } catch (err) {
+    if (err.code === "ConditionalCheckFailedException") {
+      return { statusCode: 409, headers, body: JSON.stringify({ message: "Account is already deleted" }) };
+    }
+    console.error("Delete account error:", err);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ message: "Internal Server Error" })
+    };
+  }
+};
+
+// Scheduled: permanently remove accounts whose grace period has ended
+module.exports.purgeDeletedAccounts = async () => {
+  const users = await listUsersDueForPurge();
+  let purged = 0;
+
+  for (const user of users) {
+    try {
+      const removedObjects = await purgeUserObjects(user.userId);
+
+      for (const passkey of await listPasskeys(user.userId)) {
+        await deletePasskey(user.userId, passkey.credentialId);
+      }
+
+      for (const trustedDevice of await listTrustedDevices(user.userId)) {
+        await revokeTrustedDevice(user.userId, trustedDevice.deviceId);
+      }
+
+      await deleteUser(user);
+      purged += 1;
+      console.log(`🗑️ Purged account ${user.userId} (${removedObjects} files)`);
+    } catch (err) {
+      // Leave it for the next run
+      console.error(`Purge error for ${user.userId}:`, err);
+    }
+  }
+
+  return { due: users.length, purged };
+};
+
+/* -------------------- TRUSTED DEVICES -------------------- */
+module.exports.listTrustedDevices = async (event) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+  };
+
+  try {
+    const auth = await authenticateRequest(event);
+    if (auth.error) {
+      return { statusCode: auth.error.statusCode, headers, body: JSON.stringify({ message: auth.error.message }) };
+    }
+
+    const trustedDevices = await listTrustedDevices(auth.decoded.userId);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ devices: trustedDevices.map(toTrustedDeviceSummary) })
+    };
+
+  } catch (err) {
+    console.error("List trusted devices error:", err);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ message: "Internal Server Error" })
+    };
+  }
+};
+
+module.exports.revokeTrustedDevice = async (event) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+  };
+
+  try {
+    const auth = await authenticateRequest(event);
+    if (auth.error) {
+      return { statusCode: auth.error.statusCode, headers, body: JSON.stringify({ message: auth.error.message }) };
+    }
+
+    const { deviceId } = JSON.parse(event.body || "{}");
+    if (!deviceId) {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "Device ID is required" }) };
+    }
+
+    const revoked = await revokeTrustedDevice(auth.decoded.userId, deviceId);
+    if (!revoked) {
+      return { statusCode: 404, headers, body: JSON.stringify({ message: "Trusted device not found" }) };
+    }
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ message: "Device is no longer trusted" })
+    };
+
+  } catch (err) {
+    console.error("Revoke trusted device error:", err);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ message: "Internal Server Error" })
+    };
+  }
+};
+
+/* -------------------- UPDATE PROFILE -------------------- */
+module.exports.updateProfile = async (event) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,PATCH,OPTIONS"
+  };
+
+  try {
+    const auth = await authenticateRequest(event, { permissions: ["profile:update"] });
+    if (auth.error) {
+      return { statusCode: auth.error.statusCode, headers, body: JSON.stringify({ message: auth.error.message }) };
+    }
+
+    let input;
+    try {
+      input = JSON.parse(event.body || "{}");
+    } catch (parseError) {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "Request body must be valid JSON" }) };
+    }
+
+    const { updates, removals, errors } = validateProfileUpdate(input);
+    if (Object.keys(errors).length) {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "Invalid profile update", errors }) };
+    }
+
+    const now = new Date().toISOString();
+    const names = {};
+    const values = { ":now": now, ":userId": auth.decoded.userId };
+    const setClauses = ["updatedAt = :now", "updatedBy = :userId"];
+
+    Object.entries(updates).forEach(([field, value]) => {
+      names[`#${field}`] = field;
+      values[`:${field}`] = value;
+      setClauses.push(`#${field} = :${field}`);
+    });
+    removals.forEach((field) => {
+      names[`#${field}`] = field;
+    });
+
+    const result = await dynamo.update({
+      TableName: USERS_TABLE,
+      Key: { userId: auth.decoded.userId },
+      UpdateExpression: `SET ${setClauses.join(", ")}` +
+        (removals.length ? ` REMOVE ${removals.map((field) => `#${field}`).join(", ")}` : ""),
+      ConditionExpression: "attribute_exists(userId) AND attribute_not_exists(deletedAt)",
+      ExpressionAttributeNames: names,
+      ExpressionAttributeValues: values,
+      ReturnValues: "ALL_NEW"
+    }).promise();
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ message: "Profile updated", data: toPublicProfile(result.Attributes) })
+    };
+
+  } catch (err) {
+    if (err.code === "ConditionalCheckFailedException") {
+      return { statusCode: 404, headers, body: JSON.stringify({ message: "User not found" }) };
+    }
+    console.error("Update profile error:", err);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ message: "Internal Server Error" })
+    };
+  }
+};
+
+/* -------------------- STAFF INVITATIONS -------------------- */
+// Email the invite link for the user's current invitation
+const sendInvitation = async (user) => {
+  const token = signInvitationToken(user);
+  const inviteUrl = `${APP_BASE_URL}/accept-invitation?token=${encodeURIComponent(token)}`;
+  return sendStaffInvitationEmail(user.email, inviteUrl, user.role, INVITATION_TTL_DAYS);
+};
+
+// Invited user whose current, pending invitation the token is for
+const findInvitedUser = async (token) => {
+  const invitation = verifyInvitationToken(token);
+  if (!invitation) return null;
+
+  const user = await getUserById(invitation.userId);
+  if (!user || user.invitationId !== invitation.invitationId ||
+      getInvitationStatus(user) !== INVITATION_STATUS.PENDING) {
+    return null;
+  }
+  return user;
+};
+
+// Count a wrong authenticator code; the invitation is revoked once the limit is reached.
+// Returns the attempts left (0 when revoked).
+const recordFailedInvitationCode = async (user) => {
+  const result = await dynamo.update({
+    TableName: USERS_TABLE,
+    Key: { userId: user.userId },
+    UpdateExpression: "SET invitationAttempts = if_not_exists(invitationAttempts, :zero) + :inc, updatedAt = :now",
+    ConditionExpression: "invitationId = :invitationId AND invitationStatus = :pending",
+    ExpressionAttributeValues: {
+      ":zero": 0,
+      ":inc": 1,
+      ":invitationId": user.invitationId,
+      ":pending": INVITATION_STATUS.PENDING,
+      ":now": new Date().toISOString()
+    },
+    ReturnValues: "UPDATED_NEW"
+  }).promise();
+
+  const attempts = result.Attributes.invitationAttempts;
+  if (attempts < INVITATION_MAX_ATTEMPTS) {
+    return INVITATION_MAX_ATTEMPTS - attempts;
+  }
+
+  const now = new Date().toISOString();
+  await dynamo.update({
+    TableName: USERS_TABLE,
+    Key: { userId: user.userId },
+    UpdateExpression: "SET invitationStatus = :revoked, invitationRevokedAt = :now, invitationRevokedReason = :reason, updatedAt = :now REMOVE invitationId, passwordHash, totpPendingSecret",
+    ConditionExpression: "invitationId = :invitationId AND invitationStatus = :pending",
+    ExpressionAttributeValues: {
+      ":revoked": INVITATION_STATUS.REVOKED,
+      ":reason": "too_many_attempts",
+      ":invitationId": user.invitationId,
+      ":pending": INVITATION_STATUS.PENDING,
+      ":now": now
+    }
+  }).promise();
+
+  console.warn(`🔒 Invitation for ${user.userId} revoked after ${attempts} wrong authenticator codes`);
+  return 0;
+};
+
+module.exports.inviteStaff = async (event) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+  };
+
+  try {
+    const auth = await authenticateRequest(event, { permissions: ["users:invite"] });
+    if (auth.error) {
+      return { statusCode: auth.error.statusCode, headers, body: JSON.stringify({ message: auth.error.message }) };
+    }
+
+    const { email, role, name } = JSON.parse(event.body || "{}");
+
+    if (!email || !role) {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "Email and role are required" }) };
+    }
+
+    if (!INVITABLE_ROLES.includes(role)) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ message: `Role must be one of: ${INVITABLE_ROLES.join(", ")}` })
+      };
+    }
+
+    const now = new Date();
+    const existingUser = await getUserByEmail(email);
+
+    // Revoked and expired invitations can be sent again; anything else owns the email
+    if (existingUser && !canReinvite(existingUser)) {
+      return {
+        statusCode: 409,
+        headers,
+        body: JSON.stringify({ message: "An account or pending invitation already exists for this email" })
+      };
+    }
+
+    const invitationFields = {
+      ...newInvitationFields(now),
+      role,
+      invitedBy: auth.decoded.userId,
+      invitedAt: now.toISOString(),
+      updatedAt: now.toISOString()
+    };
+
+    let user;
+    if (existingUser) {
+      // Drop anything left from the earlier invitation's onboarding or revocation
+      const { passwordHash, totpPendingSecret, invitationRevokedAt, invitationRevokedBy, invitationRevokedReason, ...previous } = existingUser;
+      user = await replaceUser({
+        ...previous,
+        ...invitationFields,
+        name: name || existingUser.name
+      });
+    } else {
+      user = await createUser({
+        userId: uuidv4(),
+        email,
+        ...(name ? { name } : {}),
+        isEmailVerified: false,
+        mfaRequired: true,
+        createdAt: now.toISOString(),
+        ...invitationFields
+      });
+    }
+
+    const emailResult = await sendInvitation(user);
+    if (!emailResult.success) {
+      console.error("Failed to send staff invitation:", emailResult.error);
+    }
+
+    console.log(`✉️ ${auth.decoded.userId} invited ${user.userId} as ${role}`);
+
+    return {
+      statusCode: 201,
+      headers,
+      body: JSON.stringify({
+        message: emailResult.success ? "Invitation sent" : "Invitation created, but the email could not be sent. Try resending it.",
+        invitation: toInvitationSummary(user)
+      })
+    };
+
+  } catch (err) {
+    if (err.code === "EmailAlreadyExistsException") {
+      return { statusCode: 409, headers, body: JSON.stringify({ message: "An account or pending invitation already exists for this email" }) };
+    }
+    console.error("Invite staff error:", err);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ message: "Internal Server Error" })
+    };
+  }
+};
+
+module.exports.listInvitations = async (event) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+  };
+
+  try {
+    const auth = await authenticateRequest(event, { permissions: ["users:invite"] });
+    if (auth.error) {
+      return { statusCode: auth.error.statusCode, headers, body: JSON.stringify({ message: auth.error.message }) };
+    }
+
+    const status = event.queryStringParameters && event.queryStringParameters.status;
+    if (status && !Object.values(INVITATION_STATUS).includes(status)) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ message: `Status must be one of: ${Object.values(INVITATION_STATUS).join(", ")}` })
+      };
+    }
+
+    const invitations = (await listInvitedUsers())
+      .map((user) => toInvitationSummary(user))
+      .filter((invitation) => !status || invitation.status === status)
+      .sort((a, b) => String(b.invitedAt).localeCompare(String(a.invitedAt)));
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ invitations })
+    };
+
+  } catch (err) {
+    console.error("List invitations error:", err);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ message: "Internal Server Error" })
+    };
+  }
+};
+
+module.exports.resendInvitation = async (event) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+  };
+
+  try {
+    const auth = await authenticateRequest(event, { permissions: ["users:invite"] });
+    if (auth.error) {
+      return { statusCode: auth.error.statusCode, headers, body: JSON.stringify({ message: auth.error.message }) };
+    }
+
+    const { userId } = JSON.parse(event.body || "{}");
+    if (!userId) {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "User ID is required" }) };
+    }
+
+    const user = await getUserById(userId);
+    const status = getInvitationStatus(user);
+    if (!status) {
+      return { statusCode: 404, headers, body: JSON.stringify({ message: "Invitation not found" }) };
+    }
+
+    if (status !== INVITATION_STATUS.PENDING && status !== INVITATION_STATUS.EXPIRED) {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: `Invitation is already ${status}` }) };
+    }
+
+    // A new invitation ID and expiry; links from earlier emails stop working and
+    // onboarding starts over
+    const invitationFields = newInvitationFields();
+    const now = new Date().toISOString();
+
+    await dynamo.update({
+      TableName: USERS_TABLE,
+      Key: { userId },
+      UpdateExpression: "SET invitationId = :id, invitationStatus = :status, invitationExpiresAt = :expiresAt, invitationAttempts = :attempts, updatedAt = :now REMOVE passwordHash, totpPendingSecret",
+      ConditionExpression: "invitationStatus = :pending",
+      ExpressionAttributeValues: {
+        ":id": invitationFields.invitationId,
+        ":status": invitationFields.invitationStatus,
+        ":expiresAt": invitationFields.invitationExpiresAt,
+        ":attempts": invitationFields.invitationAttempts,
+        ":pending": INVITATION_STATUS.PENDING,
+        ":now": now
+      }
+    }).promise();
+
+    const { passwordHash, totpPendingSecret, ...previous } = user;
+    const updatedUser = { ...previous, ...invitationFields, updatedAt: now };
+    const emailResult = await sendInvitation(updatedUser);
+    if (!emailResult.success) {
+      return {
+        statusCode: 500,
+        headers,
+        body: JSON.stringify({ message: "Failed to send invitation email. Please try again." })
+      };
+    }
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ message: "Invitation resent", invitation: toInvitationSummary(updatedUser) })
+    };
+
+  } catch (err) {
+    if (err.code === "ConditionalCheckFailedException") {
+      return { statusCode: 409, headers, body: JSON.stringify({ message: "Invitation was accepted or revoked in the meantime" }) };
+    }
+    console.error("Resend invitation error:", err);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ message: "Internal Server Error" })
+    };
+  }
+};
+
+module.exports.revokeInvitation = async (event) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+  };
+
+  try {
+    const auth = await authenticateRequest(event, { permissions: ["users:invite"] });
+    if (auth.error) {
+      return { statusCode: auth.error.statusCode, headers, body: JSON.stringify({ message: auth.error.message }) };
+    }
+
+    const { userId } = JSON.parse(event.body || "{}");
+    if (!userId) {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "User ID is required" }) };
+    }
+
+    const user = await getUserById(userId);
+    const status = getInvitationStatus(user);
+    if (!status) {
+      return { statusCode: 404, headers, body: JSON.stringify({ message: "Invitation not found" }) };
+    }
+
+    if (status !== INVITATION_STATUS.PENDING && status !== INVITATION_STATUS.EXPIRED) {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: `Invitation is already ${status}` }) };
+    }
+
+    // The record stays (with its status) so the invitation shows up in the list
+    const now = new Date().toISOString();
+    await dynamo.update({
+      TableName: USERS_TABLE,
+      Key: { userId },
+      UpdateExpression: "SET invitationStatus = :revoked, invitationRevokedAt = :now, invitationRevokedBy = :admin, invitationRevokedReason = :reason, updatedAt = :now REMOVE invitationId, passwordHash, totpPendingSecret",
+      ConditionExpression: "invitationStatus = :pending",
+      ExpressionAttributeValues: {
+        ":revoked": INVITATION_STATUS.REVOKED,
+        ":reason": "admin",
+        ":pending": INVITATION_STATUS.PENDING,
+        ":admin": auth.decoded.userId,
+        ":now": now
+      }
+    }).promise();
+
+    console.log(`Invitation for ${userId} revoked by ${auth.decoded.userId}`);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ message: "Invitation revoked", userId })
+    };
+
+  } catch (err) {
+    if (err.code === "ConditionalCheckFailedException") {
+      return { statusCode: 409, headers, body: JSON.stringify({ message: "Invitation was accepted or revoked in the meantime" }) };
+    }
+    console.error("Revoke invitation error:", err);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ message: "Internal Server Error" })
+    };
+  }
+};
+
+// Step 1 of onboarding: set a password and start authenticator app setup
+module.exports.acceptInvitation = async (event) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+  };
+
+  try {
+    const { token, password } = JSON.parse(event.body || "{}");
+
+    if (!token || !password) {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "Invitation token and password are required" }) };
+    }
+
+    const user = await findInvitedUser(token);
+    if (!user) {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "Invitation link is invalid, revoked or has expired" }) };
+    }
+
+    // The password and authenticator secret are set once; starting over takes a resent invitation
+    if (user.passwordHash) {
+      return {
+        statusCode: 409,
+        headers,
+        body: JSON.stringify({ message: "Your password is already set. Confirm your authenticator app to finish, or ask an administrator to resend the invitation." })
+      };
+    }
+
+    const { violations } = validatePassword(password, { email: user.email });
+    if (violations.length > 0) {
+      return { statusCode: 400, headers, body: JSON.stringify(toPolicyErrorBody(violations)) };
+    }
+
+    const passwordHash = await bcrypt.hash(password, 10);
+    const secret = generateSecret();
+
+    // Nothing is usable yet: the invitation stays pending until MFA is enrolled
+    await dynamo.update({
+      TableName: USERS_TABLE,
+      Key: { userId: user.userId },
+      UpdateExpression: "SET passwordHash = :hash, totpPendingSecret = :secret, updatedAt = :now",
+      ConditionExpression: "invitationId = :invitationId AND invitationStatus = :pending AND attribute_not_exists(passwordHash)",
+      ExpressionAttributeValues: {
+        ":hash": passwordHash,
+        ":secret": secret,
+        ":invitationId": user.invitationId,
+        ":pending": INVITATION_STATUS.PENDING,
+        ":now": new Date().toISOString()
+      }
+    }).promise();
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        message: "Password set. Scan the QR code with your authenticator app, then confirm with a code from the app.",
+        email: user.email,
+        role: user.role,
+        secret,
+        otpauthUri: buildProvisioningURI(secret, user.email)
+      })
+    };
+
+  } catch (err) {
+    if (err.code === "ConditionalCheckFailedException") {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "Invitation link is invalid, revoked or has expired" }) };
+    }
+    console.error("Accept invitation error:", err);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ message: "Internal Server Error" })
+    };
+  }
+};
+
+// Step 2 of onboarding: confirm the authenticator app and activate the account
+module.exports.completeInvitation = async (event) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+  };
+
+  try {
+    const { token, code } = JSON.parse(event.body || "{}");
+
+    if (!token || !code) {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "Invitation token and authenticator code are required" }) };
+    }
+
+    const user = await findInvitedUser(token);
+    if (!user) {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "Invitation link is invalid, revoked or has expired" }) };
+    }
+
+    if (!user.passwordHash || !user.totpPendingSecret) {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "Please set your password first" }) };
+    }
+
+    const step = verifyTOTP(user.totpPendingSecret, code);
+    if (step === null) {
+      const attemptsRemaining = await recordFailedInvitationCode(user);
+      if (attemptsRemaining === 0) {
+        return {
+          statusCode: 429,
+          headers,
+          body: JSON.stringify({ message: "Too many invalid codes. This invitation has been cancelled; ask an administrator to invite you again." })
+        };
+      }
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "Invalid authenticator code", attemptsRemaining }) };
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    const now = new Date().toISOString();
+
+    // Following the emailed link proves the address, so the email counts as verified
+    await dynamo.update({
+      TableName: USERS_TABLE,
+      Key: { userId: user.userId },
+      UpdateExpression: "SET invitationStatus = :accepted, invitationAcceptedAt = :now, isEmailVerified = :true, mfaRequired = :true, totpSecret = :secret, totpEnabled = :true, totpEnabledAt = :now, totpLastUsedStep = :step, mfaRecoveryCodes = :codes, passwordChangedAt = :now, updatedAt = :now REMOVE invitationId, totpPendingSecret",
+      ConditionExpression: "invitationId = :invitationId AND invitationStatus = :pending",
+      ExpressionAttributeValues: {
+        ":accepted": INVITATION_STATUS.ACCEPTED,
+        ":pending": INVITATION_STATUS.PENDING,
+        ":invitationId": user.invitationId,
+        ":true": true,
+        ":secret": user.totpPendingSecret,
+        ":step": step,
+        ":codes": recoveryCodes.map(hashRecoveryCode),
+        ":now": now
+      }
+    }).promise();
+
+    const ip = extractIPAddress(event);
+    const device = getDeviceFingerprint(event);
+    await recordSuccessfulLogin(user, { ip, location: getIPLocation(ip), device });
+
+    const { token: accessToken, refreshToken, expiresIn } = await issueSessionTokens(user, { ip, device });
+
+    console.log(`✅ ${user.userId} accepted their invitation as ${user.role}`);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        message: "Welcome to MyVision. Store these recovery codes somewhere safe - they won't be shown again.",
+        token: accessToken,
+        refreshToken,
+        expiresIn,
+        recoveryCodes,
+        user: {
+          userId: user.userId,
+          email: user.email,
+          role: user.role
+        }
+      })
+    };
+
+  } catch (err) {
+    if (err.code === "ConditionalCheckFailedException") {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "Invitation link is invalid, revoked or has expired" }) };
+    }
+    console.error("Complete invitation error:", err);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ message: "Internal Server Error" })
+    };
+  }
+};
+
+/* -------------------- IP RULES -------------------- */
+module.exports.listIpRules = async (event) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+  };
+
+  try {
+    const auth = await authenticateRequest(event, { permissions: ["security:ip_rules"] });
+    if (auth.error) {
+      return { statusCode: auth.error.statusCode, headers, body: JSON.stringify({ message: auth.error.message }) };
+    }
+
+    const rules = (await listIpRules())
+      .map((rule) => toIpRuleSummary(rule))
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ rules })
+    };
+
+  } catch (err) {
+    console.error("List IP rules error:", err);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ message: "Internal Server Error" })
+    };
+  }
+};
+
+module.exports.addIpRule = async (event) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+  };
+
+  try {
+    const auth = await authenticateRequest(event, { permissions: ["security:ip_rules"] });
+    if (auth.error) {
+      return { statusCode: auth.error.statusCode, headers, body: JSON.stringify({ message: auth.error.message }) };
+    }
+
+    const { rule, errors } = validateIpRule(JSON.parse(event.body || "{}"));
+    if (!rule) {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "Invalid IP rule", errors }) };
+    }
+
+    const created = await createIpRule(rule, auth.decoded.userId);
+    console.log(`IP rule ${created.ruleId} (${created.action} ${created.cidr}) added by ${auth.decoded.userId}`);
+
+    return {
+      statusCode: 201,
+      headers,
+      body: JSON.stringify({ message: "IP rule added", rule: toIpRuleSummary(created) })
+    };
+
+  } catch (err) {
+    console.error("Add IP rule error:", err);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ message: "Internal Server Error" })
+    };
+  }
+};
+
+module.exports.removeIpRule = async (event) => {
+  const headers = {
+    "Content-Type": "application/json",
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Headers": "Content-Type,Authorization",
+    "Access-Control-Allow-Methods": "GET,POST,OPTIONS"
+  };
+
+  try {
+    const auth = await authenticateRequest(event, { permissions: ["security:ip_rules"] });
+    if (auth.error) {
+      return { statusCode: auth.error.statusCode, headers, body: JSON.stringify({ message: auth.error.message }) };
+    }
+
+    const { ruleId } = JSON.parse(event.body || "{}");
+    if (!ruleId) {
+      return { statusCode: 400, headers, body: JSON.stringify({ message: "Rule ID is required" }) };
+    }
+
+    if (!(await deleteIpRule(ruleId))) {
+      return { statusCode: 404, headers, body: JSON.stringify({ message: "IP rule not found" }) };
+    }
+
+    console.log(`IP rule ${ruleId} removed by ${auth.decoded.userId}`);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ message: "IP rule removed", ruleId })
+    };
+
+  } catch (err) {
+    console.error("Remove IP rule error:", err);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({ message: "Internal Server Error" })
+    };
+  }
+};
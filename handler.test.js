@@ -0,0 +1,720 @@
+const crypto = require('crypto');
+
+const mockDynamo = {
+  get: jest.fn(),
+  put: jest.fn(),
+  update: jest.fn(),
+  delete: jest.fn(),
+  query: jest.fn(),
+  scan: jest.fn(),
+  transactWrite: jest.fn(),
+};
+const mockS3 = {
+  listObjectsV2: jest.fn(),
+  getObject: jest.fn(),
+  putObject: jest.fn(),
+  deleteObjects: jest.fn(),
+  getSignedUrl: jest.fn(),
+};
+jest.mock('aws-sdk', () => ({
+  DynamoDB: { DocumentClient: jest.fn(() => mockDynamo) },
+  S3: jest.fn(() => mockS3),
+}));
+
+// Outgoing email and the request fingerprinting/risk checks
+jest.mock('./utils/emailService', () => [
+  'sendSignupOTP',
+  'sendLoginOTP',
+  'sendPasswordResetOTP',
+  'sendAccountUnlockEmail',
+  'sendEmailChangeOTP',
+  'sendEmailChangedNotice',
+  'sendAccountDeletionEmail',
+  'sendMagicLinkEmail',
+  'sendStaffInvitationEmail',
+  'sendAccountExistsEmail',
+].reduce((mocks, name) => ({ ...mocks, [name]: jest.fn(async () => ({ success: true })) }), {}), { virtual: true });
+jest.mock('./utils/cognitiveCheck', () => ({
+  extractIPAddress: jest.fn(() => '203.0.113.10'),
+  getIPLocation: jest.fn(() => ({ country: 'GB', city: 'London' })),
+  getDeviceFingerprint: jest.fn(() => 'test-device'),
+  performCognitiveCheck: jest.fn(),
+}), { virtual: true });
+
+jest.mock('./utils/cognitoAuth', () => ({
+  getUserAttributes: jest.fn(),
+}), { virtual: true });
+
+// WebAuthn ceremonies are covered in passkeys.test.js
+jest.mock('./utils/passkeys', () => ({
+  finishAuthentication: jest.fn(),
+}));
+
+jest.mock('./utils/userRepository', () => ({
+  ...jest.requireActual('./utils/userRepository'),
+  getUserById: jest.fn(),
+  getUserByEmail: jest.fn(),
+}));
+jest.mock('./utils/sessionStore', () => ({
+  ...jest.requireActual('./utils/sessionStore'),
+  getSession: jest.fn(),
+  rotateRefreshToken: jest.fn(),
+  revokeSession: jest.fn(),
+  revokeUserSessions: jest.fn(async () => 0),
+}));
+
+const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+process.env.JWT_SIGNING_KEYS = JSON.stringify([
+  { kid: 'test-key', privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }) },
+]);
+process.env.JWT_SECRET = 'handler-test-secret';
+process.env.COGNITO_USER_POOL_ID = 'us-east-1_TestPool';
+process.env.COGNITO_CLIENT_ID = 'test-client-id';
+
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const handler = require('./handler');
+const { getKeyRing } = require('./utils/jwtKeys');
+const { getIssuer } = require('./utils/cognitoJwtVerifier');
+const { generateSecret, generateTOTP } = require('./utils/totp');
+const { newInvitationFields, signInvitationToken } = require('./utils/staffInvitations');
+const { getUserById, getUserByEmail } = require('./utils/userRepository');
+const { getSession, rotateRefreshToken, revokeSession, revokeUserSessions } = require('./utils/sessionStore');
+const { sendAccountUnlockEmail, sendAccountDeletionEmail, sendPasswordResetOTP, sendMagicLinkEmail, sendLoginOTP } = require('./utils/emailService');
+const { performCognitiveCheck } = require('./utils/cognitiveCheck');
+const { getUserAttributes } = require('./utils/cognitoAuth');
+const { finishAuthentication } = require('./utils/passkeys');
+
+const PASSWORD = 'Correct-Horse-42';
+const passwordHash = bcrypt.hashSync(PASSWORD, 4);
+
+const resolved = (value = {}) => ({ promise: async () => value });
+
+const makeUser = (overrides = {}) => ({
+  userId: 'user-1',
+  email: 'patient@example.com',
+  role: 'patient',
+  passwordHash,
+  isEmailVerified: true,
+  ...overrides,
+});
+
+// Authenticated request for a user with an active session
+const authedEvent = (user, body = {}) => {
+  const token = getKeyRing().sign(
+    { userId: user.userId, email: user.email, role: user.role, sid: 'session-1' },
+    { expiresIn: 60 }
+  );
+  getSession.mockResolvedValue({
+    sessionId: 'session-1',
+    userId: user.userId,
+    revoked: false,
+    expiresAt: Math.floor(Date.now() / 1000) + 3600,
+  });
+  getUserById.mockResolvedValue(user);
+  return { headers: { Authorization: `Bearer ${token}` }, body: JSON.stringify(body) };
+};
+
+const parse = (response) => JSON.parse(response.body);
+
+// UpdateExpressions sent for the users table
+const userUpdates = () => mockDynamo.update.mock.calls
+  .map(([params]) => params)
+  .filter((params) => params.TableName === 'myvision-users');
+
+// The lockout counter is incremented in DynamoDB; its ADD returns the new count
+const storedFailures = (count = 0) => mockDynamo.update.mockImplementation((params) => resolved(
+  params.UpdateExpression.includes('ADD failedLoginCount') ? { Attributes: { failedLoginCount: count + 1 } } : {}
+));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Object.values(mockDynamo).forEach((method) => method.mockImplementation(() => resolved()));
+  Object.values(mockS3).forEach((method) => method.mockImplementation(() => resolved()));
+  storedFailures();
+});
+
+describe('password re-checks', () => {
+  test('changePassword counts a wrong current password towards the lockout', async () => {
+    const user = makeUser({ failedLoginCount: 2, lastFailedLoginAt: new Date().toISOString() });
+    storedFailures(2);
+
+    const response = await handler.changePassword(authedEvent(user, { currentPassword: 'wrong', newPassword: 'N3w-Passphrase!' }));
+
+    expect(response.statusCode).toBe(401);
+    expect(parse(response).message).toBe('Current password is incorrect');
+    const [increment, lockout] = userUpdates();
+    expect(increment.UpdateExpression).toContain('ADD failedLoginCount :one');
+    expect(increment.ReturnValues).toBe('ALL_NEW');
+    expect(lockout.ExpressionAttributeValues[':count']).toBe(3);
+    expect(lockout.ExpressionAttributeValues[':until']).not.toBeNull();
+  });
+
+  test('changeEmail refuses to check the password while the account is locked', async () => {
+    const user = makeUser({ lockoutUntil: new Date(Date.now() + 60 * 1000).toISOString() });
+
+    const response = await handler.changeEmail(authedEvent(user, { currentPassword: PASSWORD, newEmail: 'new@example.com' }));
+
+    expect(response.statusCode).toBe(429);
+    expect(parse(response).retryAfter).toBeGreaterThan(0);
+    expect(getUserByEmail).not.toHaveBeenCalled();
+  });
+
+  test('the last allowed guess locks the account and emails an unlock link', async () => {
+    const user = makeUser({ failedLoginCount: 9, lastFailedLoginAt: new Date().toISOString() });
+    storedFailures(9);
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const response = await handler.changeEmail(authedEvent(user, { currentPassword: 'wrong', newEmail: 'new@example.com' }));
+
+    expect(response.statusCode).toBe(401);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('locked after 10 failed login attempts'));
+    warn.mockRestore();
+    expect(userUpdates()[1].UpdateExpression).toContain('lockedAt = :time');
+    expect(sendAccountUnlockEmail).toHaveBeenCalledWith(user.email, expect.stringContaining('/unlock-account?token='));
+  });
+
+  test('a correct password clears earlier failures', async () => {
+    const user = makeUser({ failedLoginCount: 1, lastFailedLoginAt: new Date().toISOString() });
+    getUserByEmail.mockResolvedValue(null);
+
+    const response = await handler.changeEmail(authedEvent(user, { currentPassword: PASSWORD, newEmail: 'new@example.com' }));
+
+    expect(response.statusCode).toBe(200);
+    expect(userUpdates()[0].UpdateExpression).toContain('failedLoginCount = :zero');
+  });
+
+  test('accounts without a password get a 400 instead of an error', async () => {
+    const user = makeUser({ passwordHash: undefined });
+
+    const response = await handler.changePassword(authedEvent(user, { currentPassword: 'anything', newPassword: 'N3w-Passphrase!' }));
+
+    expect(response.statusCode).toBe(400);
+    expect(parse(response).error).toBe('PASSWORD_NOT_SET');
+  });
+});
+
+describe('disableTotp', () => {
+  const totpUser = (overrides = {}) => makeUser({ totpEnabled: true, totpSecret: 'SECRET', ...overrides });
+
+  test('a wrong password is counted and MFA stays on', async () => {
+    const response = await handler.disableTotp(authedEvent(totpUser(), { password: 'wrong' }));
+
+    expect(response.statusCode).toBe(401);
+    expect(userUpdates()).toHaveLength(1);
+    expect(userUpdates()[0].UpdateExpression).toContain('ADD failedLoginCount :one');
+  });
+
+  test('a locked account cannot turn MFA off, even with the right password', async () => {
+    const response = await handler.disableTotp(authedEvent(totpUser({ lockedAt: new Date().toISOString() }), { password: PASSWORD }));
+
+    expect(response.statusCode).toBe(423);
+    expect(userUpdates()).toHaveLength(0);
+  });
+
+  test('the right password turns MFA off', async () => {
+    const response = await handler.disableTotp(authedEvent(totpUser(), { password: PASSWORD }));
+
+    expect(response.statusCode).toBe(200);
+    expect(userUpdates()[0].UpdateExpression).toContain('totpEnabled = :false');
+  });
+
+  test('passwordless accounts get a 400', async () => {
+    const response = await handler.disableTotp(authedEvent(totpUser({ passwordHash: undefined }), { password: 'anything' }));
+
+    expect(response.statusCode).toBe(400);
+    expect(parse(response).error).toBe('PASSWORD_NOT_SET');
+  });
+});
+
+describe('account data', () => {
+  test('deleteAccount counts a wrong password and keeps the account', async () => {
+    const response = await handler.deleteAccount(authedEvent(makeUser(), { password: 'wrong' }));
+
+    expect(response.statusCode).toBe(401);
+    expect(userUpdates().map((update) => update.UpdateExpression)).not.toContainEqual(expect.stringContaining('deletedAt'));
+    expect(revokeUserSessions).not.toHaveBeenCalled();
+  });
+
+  test('deleteAccount soft-deletes, signs out everywhere and emails the user', async () => {
+    const user = makeUser();
+
+    const response = await handler.deleteAccount(authedEvent(user, { password: PASSWORD }));
+
+    expect(response.statusCode).toBe(200);
+    const [softDelete] = userUpdates();
+    expect(softDelete.UpdateExpression).toContain('deletedAt = :now');
+    expect(softDelete.ConditionExpression).toBe('attribute_not_exists(deletedAt)');
+    expect(revokeUserSessions).toHaveBeenCalledWith(user.userId, 'account_deleted');
+    expect(sendAccountDeletionEmail).toHaveBeenCalledWith(user.email, parse(response).purgeAfter);
+  });
+
+  test('deleteAccount on a passwordless account is a 400', async () => {
+    const response = await handler.deleteAccount(authedEvent(makeUser({ passwordHash: undefined }), { password: 'anything' }));
+
+    expect(response.statusCode).toBe(400);
+    expect(parse(response).error).toBe('PASSWORD_NOT_SET');
+  });
+
+  test('the JSON export lists uploads with download links and no secrets', async () => {
+    const user = makeUser({ loginHistory: [{ timestamp: '2025-01-01T00:00:00Z', ip: '203.0.113.10' }] });
+    mockS3.listObjectsV2.mockImplementation(() => resolved({ Contents: [{ Key: 'user-1/scan.png', Size: 42 }] }));
+    mockS3.getSignedUrl.mockReturnValue('https://signed.example/scan.png');
+
+    const response = await handler.exportUserData(authedEvent(user));
+
+    expect(response.statusCode).toBe(200);
+    const { data } = parse(response);
+    expect(data.profile.email).toBe(user.email);
+    expect(JSON.stringify(data)).not.toContain(user.passwordHash);
+    expect(data.loginHistory.loginHistory).toHaveLength(1);
+    expect(data.uploads).toEqual([expect.objectContaining({ key: 'user-1/scan.png', url: 'https://signed.example/scan.png' })]);
+  });
+});
+
+describe('staff invitations', () => {
+  const invitedUser = (overrides = {}) => makeUser({
+    role: 'receptionist',
+    passwordHash: undefined,
+    ...newInvitationFields(),
+    ...overrides,
+  });
+
+  // A 6-digit code that isn't valid for the secret in the current window
+  const wrongCode = (secret) => {
+    const valid = [-30, 0, 30].map((offset) => generateTOTP(secret, Date.now() + offset * 1000));
+    return ['000000', '111111', '222222', '333333'].find((code) => !valid.includes(code));
+  };
+
+  const completeEvent = (user, code) => ({ body: JSON.stringify({ token: signInvitationToken(user), code }) });
+
+  test('the password can only be set once per invitation', async () => {
+    const user = invitedUser({ passwordHash, totpPendingSecret: generateSecret() });
+    getUserById.mockResolvedValue(user);
+
+    const response = await handler.acceptInvitation({ body: JSON.stringify({ token: signInvitationToken(user), password: 'An0ther-Passphrase!' }) });
+
+    expect(response.statusCode).toBe(409);
+    expect(userUpdates()).toHaveLength(0);
+  });
+
+  test('a wrong authenticator code is counted', async () => {
+    const secret = generateSecret();
+    const user = invitedUser({ passwordHash, totpPendingSecret: secret });
+    getUserById.mockResolvedValue(user);
+    mockDynamo.update.mockImplementation(() => resolved({ Attributes: { invitationAttempts: 1 } }));
+
+    const response = await handler.completeInvitation(completeEvent(user, wrongCode(secret)));
+
+    expect(response.statusCode).toBe(400);
+    expect(parse(response).attemptsRemaining).toBe(4);
+    const [attempt] = userUpdates();
+    expect(attempt.UpdateExpression).toContain('invitationAttempts = if_not_exists(invitationAttempts, :zero) + :inc');
+    expect(attempt.ConditionExpression).toContain('invitationId = :invitationId');
+  });
+
+  test('the invitation is revoked after too many wrong codes', async () => {
+    const secret = generateSecret();
+    const user = invitedUser({ passwordHash, totpPendingSecret: secret, invitationAttempts: 4 });
+    getUserById.mockResolvedValue(user);
+    mockDynamo.update.mockImplementation(() => resolved({ Attributes: { invitationAttempts: 5 } }));
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const response = await handler.completeInvitation(completeEvent(user, wrongCode(secret)));
+
+    expect(response.statusCode).toBe(429);
+    const revoke = userUpdates()[1];
+    expect(revoke.UpdateExpression).toContain('invitationStatus = :revoked');
+    expect(revoke.UpdateExpression).toContain('REMOVE invitationId, passwordHash, totpPendingSecret');
+    expect(revoke.ExpressionAttributeValues[':reason']).toBe('too_many_attempts');
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('revoked after 5 wrong authenticator codes'));
+    warn.mockRestore();
+  });
+
+  test('resending starts onboarding over', async () => {
+    const admin = makeUser({ userId: 'admin-1', role: 'admin' });
+    const event = authedEvent(admin, { userId: 'staff-1' });
+    getUserById.mockImplementation(async (userId) => (userId === 'staff-1'
+      ? invitedUser({ userId: 'staff-1', passwordHash, totpPendingSecret: generateSecret(), invitationAttempts: 3 })
+      : admin));
+
+    const response = await handler.resendInvitation(event);
+
+    expect(response.statusCode).toBe(200);
+    const [resend] = userUpdates();
+    expect(resend.UpdateExpression).toContain('invitationAttempts = :attempts');
+    expect(resend.UpdateExpression).toContain('REMOVE passwordHash, totpPendingSecret');
+    expect(resend.ExpressionAttributeValues[':attempts']).toBe(0);
+  });
+});
+
+describe('login', () => {
+  test('the IP rule is looked up once and handed to the cognitive check', async () => {
+    const office = { ruleId: 'office', cidr: '203.0.113.0/24', action: 'allow', reason: 'Clinic network' };
+    mockDynamo.scan.mockImplementation((params) => resolved(params.TableName === 'myvision-ip-rules' ? { Items: [office] } : {}));
+    getUserByEmail.mockResolvedValue(makeUser());
+    performCognitiveCheck.mockResolvedValue({ denied: true, riskScore: 90, breakdown: {} });
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const response = await handler.login({ body: JSON.stringify({ email: 'patient@example.com', password: PASSWORD }) });
+
+    expect(response.statusCode).toBe(403);
+    const ruleScans = mockDynamo.scan.mock.calls.filter(([params]) => params.TableName === 'myvision-ip-rules');
+    expect(ruleScans).toHaveLength(1);
+    expect(performCognitiveCheck).toHaveBeenCalledWith(expect.anything(), expect.anything(), expect.objectContaining({ ipRule: office }));
+    warn.mockRestore();
+  });
+});
+
+describe('Cognito tokens', () => {
+  // Local JWKS fixture for the test user pool
+  const { privateKey: cognitoKey, publicKey: cognitoPublicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const jwks = { keys: [{ ...cognitoPublicKey.export({ format: 'jwk' }), kid: 'cognito-key', alg: 'RS256', use: 'sig' }] };
+
+  const signCognito = (claims, key = cognitoKey) => jwt.sign(
+    { sub: 'cognito-sub', iss: getIssuer('us-east-1_TestPool'), ...claims },
+    key.export({ type: 'pkcs8', format: 'pem' }),
+    { algorithm: 'RS256', keyid: 'cognito-key', expiresIn: 60 }
+  );
+  const bearer = (token) => ({ headers: { Authorization: `Bearer ${token}` } });
+
+  // The verifier downloads the JWKS with fetch
+  beforeEach(() => {
+    global.fetch = jest.fn(async () => ({ ok: true, json: async () => jwks }));
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  test('an ID token passes a protected route as the matching user', async () => {
+    const user = makeUser();
+    getUserByEmail.mockResolvedValue(user);
+    getUserById.mockResolvedValue(user);
+    const token = signCognito({ token_use: 'id', aud: 'test-client-id', email: 'patient@example.com', email_verified: true });
+
+    const response = await handler.getUser(bearer(token));
+
+    expect(response.statusCode).toBe(200);
+    expect(parse(response).data.email).toBe('patient@example.com');
+    expect(getUserByEmail).toHaveBeenCalledWith('patient@example.com');
+    expect(getUserById).toHaveBeenCalledWith('user-1');
+    expect(getSession).not.toHaveBeenCalled();
+  });
+
+  test('a first access token creates the account with the Cognito group role', async () => {
+    getUserByEmail.mockResolvedValue(null);
+    getUserById.mockImplementation(async (userId) => makeUser({ userId, role: 'optometrist' }));
+    getUserAttributes.mockResolvedValue({ success: true, user: { email: 'new@example.com', emailVerified: true } });
+    const token = signCognito({ token_use: 'access', client_id: 'test-client-id', username: 'cognito-sub', 'cognito:groups': ['optometrist'] });
+
+    const response = await handler.getUser(bearer(token));
+
+    expect(response.statusCode).toBe(200);
+    expect(getUserAttributes).toHaveBeenCalledWith(token);
+    const [{ TransactItems: [{ Put: { Item: created } }] }] = mockDynamo.transactWrite.mock.calls[0];
+    expect(created).toMatchObject({ email: 'new@example.com', role: 'optometrist', isEmailVerified: true, cognitoSub: 'cognito-sub' });
+    expect(getUserById).toHaveBeenCalledWith(created.userId);
+  });
+
+  test("an email-shaped username doesn't claim that account", async () => {
+    getUserByEmail.mockResolvedValue(makeUser({ email: 'victim@example.com', role: 'admin' }));
+    getUserAttributes.mockResolvedValue({ success: true, user: { email: 'attacker@example.com', emailVerified: false } });
+    const token = signCognito({ token_use: 'access', client_id: 'test-client-id', username: 'victim@example.com' });
+
+    const response = await handler.getUser(bearer(token));
+
+    expect(response.statusCode).toBe(401);
+    expect(getUserByEmail).not.toHaveBeenCalled();
+  });
+
+  test('an unverified ID token email is not trusted', async () => {
+    const token = signCognito({ token_use: 'id', aud: 'test-client-id', 'cognito:username': 'victim@example.com', email: 'victim@example.com', email_verified: false });
+
+    const response = await handler.getUser(bearer(token));
+
+    expect(response.statusCode).toBe(401);
+    expect(getUserByEmail).not.toHaveBeenCalled();
+  });
+
+  test('the account role applies, not the Cognito groups', async () => {
+    getUserByEmail.mockResolvedValue(makeUser());
+    const token = signCognito({ token_use: 'id', aud: 'test-client-id', email: 'patient@example.com', email_verified: true, 'cognito:groups': ['admin'] });
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const response = await handler.listIpRules(bearer(token));
+
+    expect(response.statusCode).toBe(403);
+    warn.mockRestore();
+  });
+
+  test('tokens not signed by the user pool are rejected', async () => {
+    const { privateKey: otherKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const token = signCognito({ token_use: 'id', aud: 'test-client-id', email: 'patient@example.com', email_verified: true }, otherKey);
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const response = await handler.getUser(bearer(token));
+
+    expect(response.statusCode).toBe(403);
+    expect(getUserByEmail).not.toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
+
+describe('permissions', () => {
+  const roleChange = (caller) => {
+    const event = authedEvent(caller, { userId: 'user-2', role: 'receptionist' });
+    getUserById.mockImplementation(async (userId) => (userId === 'user-2' ? makeUser({ userId: 'user-2' }) : caller));
+    return event;
+  };
+
+  test.each(['patient', 'optometrist'])('a %s without the permission gets a 403', async (role) => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const response = await handler.updateUserRole(roleChange(makeUser({ role })));
+
+    expect(response.statusCode).toBe(403);
+    expect(userUpdates()).toHaveLength(0);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('missing users:manage_roles'));
+    warn.mockRestore();
+  });
+
+  test('an admin can change roles', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    const response = await handler.updateUserRole(roleChange(makeUser({ role: 'admin' })));
+
+    expect(response.statusCode).toBe(200);
+    expect(parse(response)).toMatchObject({ userId: 'user-2', role: 'receptionist', previousRole: 'patient' });
+    expect(revokeUserSessions).toHaveBeenCalledWith('user-2', 'role_changed');
+    log.mockRestore();
+  });
+});
+
+describe('forgot and reset password', () => {
+  const forgot = (email) => handler.forgotPassword({ body: JSON.stringify({ email }) });
+  const reset = (otp, newPassword = 'N3w-Passphrase!') => handler.resetPassword({
+    body: JSON.stringify({ email: 'patient@example.com', otp, newPassword }),
+  });
+
+  // Request a code for the user and return it with the user as stored afterwards
+  const requestCode = async (overrides = {}) => {
+    getUserByEmail.mockResolvedValue(makeUser(overrides));
+    await forgot('patient@example.com');
+
+    const [, otp] = sendPasswordResetOTP.mock.calls[0];
+    const { ExpressionAttributeValues: stored } = userUpdates()[0];
+    const user = makeUser({ ...overrides, resetOTPHash: stored[':otpHash'], resetOTPExpiry: stored[':expiry'], resetOTPAttempts: 0 });
+    getUserByEmail.mockResolvedValue(user);
+    mockDynamo.update.mockClear();
+    return { otp, user };
+  };
+
+  test('unknown emails get the same answer and no email', async () => {
+    getUserByEmail.mockResolvedValue(null);
+    const unknown = await forgot('nobody@example.com');
+
+    const { otp } = await requestCode();
+    const known = await forgot('patient@example.com');
+
+    expect(unknown.statusCode).toBe(200);
+    expect(unknown.body).toBe(known.body);
+    expect(sendPasswordResetOTP).toHaveBeenCalledTimes(2);
+    expect(sendPasswordResetOTP).toHaveBeenCalledWith('patient@example.com', otp, expect.any(Number));
+  });
+
+  test('only a hash of the code is stored', async () => {
+    const { otp, user } = await requestCode();
+
+    expect(user.resetOTPHash).toBeTruthy();
+    expect(user.resetOTPHash).not.toContain(otp);
+  });
+
+  test('a wrong code is counted', async () => {
+    const { otp } = await requestCode();
+    const wrong = otp === '000000' ? '111111' : '000000';
+
+    const response = await reset(wrong);
+
+    expect(response.statusCode).toBe(400);
+    expect(parse(response).attemptsRemaining).toBeGreaterThanOrEqual(0);
+    expect(userUpdates()[0].UpdateExpression).toBe('SET resetOTPAttempts = resetOTPAttempts + :inc');
+  });
+
+  test('too many wrong codes need a new one', async () => {
+    const { otp, user } = await requestCode();
+    getUserByEmail.mockResolvedValue({ ...user, resetOTPAttempts: 99 });
+
+    const response = await reset(otp);
+
+    expect(response.statusCode).toBe(429);
+    expect(userUpdates()).toHaveLength(0);
+  });
+
+  test('an expired code is refused', async () => {
+    const { otp, user } = await requestCode();
+    getUserByEmail.mockResolvedValue({ ...user, resetOTPExpiry: new Date(Date.now() - 1000).toISOString() });
+
+    const response = await reset(otp);
+
+    expect(response.statusCode).toBe(400);
+    expect(userUpdates()).toHaveLength(0);
+  });
+
+  test('the right code sets the password, lifts the lockout and signs out everywhere', async () => {
+    const { otp } = await requestCode({ failedLoginCount: 10, lockedAt: new Date().toISOString() });
+
+    const response = await reset(otp);
+
+    expect(response.statusCode).toBe(200);
+    const [update] = userUpdates();
+    expect(update.UpdateExpression).toContain('failedLoginCount = :zero');
+    expect(update.UpdateExpression).toContain('REMOVE resetOTP, resetOTPHash, lastFailedLoginAt, lockoutUntil, lockedAt');
+    expect(await bcrypt.compare('N3w-Passphrase!', update.ExpressionAttributeValues[':hash'])).toBe(true);
+    expect(revokeUserSessions).toHaveBeenCalledWith('user-1', 'password_reset');
+  });
+
+  test('the current password is refused as the new one', async () => {
+    const { otp } = await requestCode();
+
+    const response = await reset(otp, PASSWORD);
+
+    expect(response.statusCode).toBe(400);
+    expect(userUpdates()).toHaveLength(0);
+  });
+
+  test('short passwords are refused', async () => {
+    const { otp } = await requestCode();
+
+    const response = await reset(otp, 'short');
+
+    expect(response.statusCode).toBe(400);
+    expect(userUpdates()).toHaveLength(0);
+  });
+});
+
+describe('magic link', () => {
+  const allowed = { denied: false, suspicious: false, currentIP: '203.0.113.10', currentLocation: {}, currentDevice: {}, reasons: [] };
+
+  // Request a link and return its token; the saved challenge is what consuming it deletes
+  const requestLink = async (user = makeUser()) => {
+    getUserByEmail.mockResolvedValue(user);
+    getUserById.mockResolvedValue(user);
+    await handler.requestMagicLink({ body: JSON.stringify({ email: user.email }) });
+
+    const [{ Item: challenge }] = mockDynamo.put.mock.calls.find(([params]) => params.TableName === 'myvision-auth-challenges');
+    mockDynamo.delete.mockImplementationOnce(() => resolved({ Attributes: challenge }));
+    const [, url] = sendMagicLinkEmail.mock.calls[0];
+    return new URL(url).searchParams.get('token');
+  };
+  const consume = (token) => handler.consumeMagicLink({ body: JSON.stringify({ token }) });
+
+  test('unknown, unverified and recently emailed accounts get the same answer and no email', async () => {
+    const answers = [];
+    for (const user of [null, makeUser({ isEmailVerified: false }), makeUser({ lastMagicLinkSentAt: new Date().toISOString() })]) {
+      getUserByEmail.mockResolvedValue(user);
+      answers.push(await handler.requestMagicLink({ body: JSON.stringify({ email: 'patient@example.com' }) }));
+    }
+
+    expect(new Set(answers.map((response) => response.body)).size).toBe(1);
+    expect(answers[0].statusCode).toBe(200);
+    expect(sendMagicLinkEmail).not.toHaveBeenCalled();
+  });
+
+  test('the link signs the user in through the cognitive check', async () => {
+    performCognitiveCheck.mockResolvedValue(allowed);
+    const token = await requestLink();
+
+    const response = await consume(token);
+
+    expect(response.statusCode).toBe(200);
+    expect(parse(response)).toMatchObject({ message: 'Login successful', user: { userId: 'user-1' } });
+    expect(parse(response).refreshToken).toBeTruthy();
+    expect(performCognitiveCheck).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ userId: 'user-1' }), { trustedDevice: null });
+  });
+
+  test('a link works once', async () => {
+    performCognitiveCheck.mockResolvedValue(allowed);
+    const token = await requestLink();
+    await consume(token);
+
+    const again = await consume(token);
+
+    expect(again.statusCode).toBe(401);
+  });
+
+  test('risky link usage is challenged with an OTP', async () => {
+    performCognitiveCheck.mockResolvedValue({ ...allowed, suspicious: true, reasons: ['New location'] });
+    const token = await requestLink();
+
+    const response = await consume(token);
+
+    expect(response.statusCode).toBe(200);
+    expect(parse(response)).toMatchObject({ requiresOTP: true, mfaMethods: ['email'] });
+    expect(sendLoginOTP).toHaveBeenCalled();
+  });
+
+  test('other tokens are not sign-in links', async () => {
+    const accessToken = getKeyRing().sign({ userId: 'user-1', sid: 'session-1' }, { expiresIn: 60 });
+
+    expect((await consume(accessToken)).statusCode).toBe(401);
+    expect(mockDynamo.delete).not.toHaveBeenCalled();
+  });
+});
+
+describe('passkey login', () => {
+  const allowed = { denied: false, suspicious: false, currentIP: '203.0.113.10', currentLocation: {}, currentDevice: {}, reasons: [] };
+  const verify = (user) => {
+    finishAuthentication.mockResolvedValue({ success: true, userId: user.userId, credentialId: 'credential-1' });
+    getUserById.mockResolvedValue(user);
+    performCognitiveCheck.mockResolvedValue(allowed);
+    return handler.passkeyLoginVerify({ body: JSON.stringify({ challengeId: 'challenge-1', credential: { id: 'credential-1' } }) });
+  };
+
+  test('a permanently locked account is refused', async () => {
+    const response = await verify(makeUser({ failedLoginCount: 10, lockedAt: new Date().toISOString() }));
+
+    expect(response.statusCode).toBe(423);
+    expect(parse(response).locked).toBe(true);
+    expect(performCognitiveCheck).not.toHaveBeenCalled();
+    expect(mockDynamo.put).not.toHaveBeenCalled();
+  });
+
+  test('password backoff does not block a passkey, which completes the login', async () => {
+    const response = await verify(makeUser({ failedLoginCount: 4, lockoutUntil: new Date(Date.now() + 60 * 1000).toISOString() }));
+
+    expect(response.statusCode).toBe(200);
+    expect(parse(response)).toMatchObject({ authMethod: 'passkey', user: { userId: 'user-1' } });
+    expect(parse(response).refreshToken).toBeTruthy();
+    expect(userUpdates()[0].UpdateExpression).toContain('loginHistory = :history');
+  });
+});
+
+describe('refresh token', () => {
+  const refresh = (user) => {
+    rotateRefreshToken.mockResolvedValue({ success: true, session: { sessionId: 'session-1', userId: 'user-1' }, refreshToken: 'session-1.next' });
+    getUserById.mockResolvedValue(user);
+    return handler.refreshToken({ body: JSON.stringify({ refreshToken: 'session-1.current' }) });
+  };
+
+  test('issues a new access token for the session', async () => {
+    const response = await refresh(makeUser());
+
+    expect(response.statusCode).toBe(200);
+    expect(parse(response).refreshToken).toBe('session-1.next');
+    expect(getKeyRing().verify(parse(response).token)).toMatchObject({ userId: 'user-1', sid: 'session-1' });
+    expect(revokeSession).not.toHaveBeenCalled();
+  });
+
+  test.each([
+    ['deleted', makeUser({ deletedAt: new Date().toISOString() }), 'account_deleted'],
+    ['permanently locked', makeUser({ lockedAt: new Date().toISOString() }), 'account_locked'],
+    ['missing', null, 'user_not_found'],
+  ])('a %s account loses the session', async (name, user, reason) => {
+    const response = await refresh(user);
+
+    expect(response.statusCode).toBe(401);
+    expect(parse(response).token).toBeUndefined();
+    expect(revokeSession).toHaveBeenCalledWith('session-1', reason);
+  });
+});
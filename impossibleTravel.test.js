@@ -0,0 +1,43 @@
+const { MAX_TRAVEL_SPEED_KMH, calculateDistance, checkTravelVelocity } = require('./utils/impossibleTravel');
+
+describe('impossibleTravel', () => {
+  const london = { lat: 51.5074, lon: -0.1278 };
+  const paris = { lat: 48.8566, lon: 2.3522 };
+  const sydney = { lat: -33.8688, lon: 151.2093 };
+  const at = (hours) => new Date(Date.parse('2025-01-01T00:00:00Z') + hours * 60 * 60 * 1000).toISOString();
+
+  test('calculates great-circle distances', () => {
+    expect(calculateDistance(london.lat, london.lon, paris.lat, paris.lon)).toBeCloseTo(344, 0);
+    expect(calculateDistance(london.lat, london.lon, london.lat, london.lon)).toBe(0);
+  });
+
+  test('flags journeys faster than a plausible speed', () => {
+    const result = checkTravelVelocity({ location: london, timestamp: at(0) }, { location: sydney, timestamp: at(2) });
+
+    expect(result.distanceKm).toBeGreaterThan(16000);
+    expect(result.elapsedHours).toBe(2);
+    expect(result.speedKmh).toBeGreaterThan(MAX_TRAVEL_SPEED_KMH);
+    expect(result.impossible).toBe(true);
+  });
+
+  test('allows journeys that could have been made', () => {
+    const result = checkTravelVelocity({ location: london, timestamp: at(0) }, { location: paris, timestamp: at(3) });
+
+    expect(result.speedKmh).toBe(Math.round(result.distanceKm / 3));
+    expect(result.impossible).toBe(false);
+  });
+
+  test('ignores short hops, even instant ones', () => {
+    const nearby = { lat: london.lat + 0.2, lon: london.lon };
+    const result = checkTravelVelocity({ location: london, timestamp: at(0) }, { location: nearby, timestamp: at(0) });
+
+    expect(result.speedKmh).toBeNull();
+    expect(result.impossible).toBe(false);
+  });
+
+  test('needs coordinates and times for both logins', () => {
+    expect(checkTravelVelocity({ location: { country: 'GB' }, timestamp: at(0) }, { location: paris, timestamp: at(1) })).toBeNull();
+    expect(checkTravelVelocity({ location: london }, { location: paris, timestamp: at(1) })).toBeNull();
+    expect(checkTravelVelocity(null, { location: paris, timestamp: at(1) })).toBeNull();
+  });
+});
@@ -0,0 +1,66 @@
+const { normalizeIp, parseCidr, isIpInRange, parseCidrList, resolveClientIp } = require('./utils/ipAddress');
+
+describe('ipAddress', () => {
+  test('normalizes header values to plain addresses', () => {
+    expect(normalizeIp(' 203.0.113.7:8080 ')).toBe('203.0.113.7');
+    expect(normalizeIp('[2001:DB8::1]:443')).toBe('2001:db8::1');
+    expect(normalizeIp('fe80::1%eth0')).toBe('fe80::1');
+    expect(normalizeIp('::ffff:10.1.2.3')).toBe('10.1.2.3');
+    expect(normalizeIp('unknown')).toBeNull();
+  });
+
+  test('matches IPv4 ranges', () => {
+    const range = parseCidr('10.0.0.0/8');
+
+    expect(isIpInRange('10.255.1.2', range)).toBe(true);
+    expect(isIpInRange('11.0.0.1', range)).toBe(false);
+    expect(isIpInRange('::ffff:10.1.2.3', range)).toBe(true);
+    expect(isIpInRange('203.0.113.7', parseCidr('203.0.113.7'))).toBe(true);
+    expect(isIpInRange('203.0.113.8', parseCidr('203.0.113.7'))).toBe(false);
+  });
+
+  test('matches IPv6 ranges, including compressed and IPv4-tail forms', () => {
+    const range = parseCidr('2001:db8::/32');
+
+    expect(isIpInRange('2001:db8:abcd::1', range)).toBe(true);
+    expect(isIpInRange('2001:db9::1', range)).toBe(false);
+    expect(isIpInRange('10.0.0.1', range)).toBe(false);
+    expect(isIpInRange('64:ff9b::192.0.2.33', parseCidr('64:ff9b::c000:200/120'))).toBe(true);
+    expect(isIpInRange('::1', parseCidr('::1/128'))).toBe(true);
+  });
+
+  test('rejects invalid ranges and ignores host bits', () => {
+    expect(parseCidr('10.0.0.0/33')).toBeNull();
+    expect(parseCidr('10.0.0.0/8/1')).toBeNull();
+    expect(parseCidr('10.0.0.0/x')).toBeNull();
+    expect(parseCidr('example.com/24')).toBeNull();
+    expect(parseCidr('10.1.2.3/8')).toEqual(parseCidr('10.0.0.0/8'));
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    expect(parseCidrList('10.0.0.0/8, nope, 2001:db8::/32')).toHaveLength(2);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('Ignoring invalid CIDR "nope"'));
+    warn.mockRestore();
+  });
+
+  describe('resolveClientIp', () => {
+    const proxies = parseCidrList('10.0.0.0/8, 2001:db8::/32');
+
+    test('ignores X-Forwarded-For from an untrusted connection', () => {
+      expect(resolveClientIp({ sourceIp: '198.51.100.2', forwardedFor: '1.1.1.1' }, proxies)).toBe('198.51.100.2');
+      expect(resolveClientIp({ sourceIp: '10.0.0.5', forwardedFor: '1.1.1.1' }, [])).toBe('10.0.0.5');
+    });
+
+    test('walks back through trusted proxies to the client', () => {
+      const forwardedFor = '1.1.1.1, 203.0.113.9, 10.0.0.7, 2001:db8::5';
+      expect(resolveClientIp({ sourceIp: '10.0.0.5', forwardedFor }, proxies)).toBe('203.0.113.9');
+    });
+
+    test('stops at a malformed hop', () => {
+      expect(resolveClientIp({ sourceIp: '10.0.0.5', forwardedFor: 'garbage, 10.0.0.1' }, proxies)).toBe('10.0.0.1');
+    });
+
+    test('falls back to the header when there is no connecting address', () => {
+      expect(resolveClientIp({ forwardedFor: '203.0.113.1, 198.51.100.4:8080' }, [])).toBe('198.51.100.4');
+      expect(resolveClientIp({}, [])).toBe('unknown');
+    });
+  });
+});
@@ -0,0 +1,125 @@
+const mockDynamo = {
+  scan: jest.fn(),
+  put: jest.fn(),
+};
+jest.mock('aws-sdk', () => ({
+  DynamoDB: { DocumentClient: jest.fn(() => mockDynamo) },
+}));
+
+const { IP_RULE_ACTIONS, findMatchingRule, validateIpRule, toIpRuleSummary } = require('./utils/ipRules');
+
+const resolved = (value = {}) => ({ promise: async () => value });
+const failed = () => ({
+  promise: async () => {
+    throw Object.assign(new Error('Rate exceeded'), { code: 'ProvisionedThroughputExceededException' });
+  },
+});
+
+describe('ipRules', () => {
+  const now = Date.parse('2025-01-01T12:00:00Z');
+  const inSeconds = (seconds) => Math.floor(now / 1000) + seconds;
+  const rule = (ruleId, cidr, action, extra = {}) => ({ ruleId, cidr, action, reason: 'test', ...extra });
+
+  test('the most specific range wins', () => {
+    const rules = [
+      rule('block-range', '203.0.113.0/24', IP_RULE_ACTIONS.DENY),
+      rule('office', '203.0.113.64/28', IP_RULE_ACTIONS.ALLOW),
+    ];
+
+    expect(findMatchingRule('203.0.113.70', rules, now).ruleId).toBe('office');
+    expect(findMatchingRule('203.0.113.5', rules, now).ruleId).toBe('block-range');
+    expect(findMatchingRule('198.51.100.1', rules, now)).toBeNull();
+  });
+
+  test('deny beats allow for the same range', () => {
+    const rules = [
+      rule('allow', '2001:db8::/32', IP_RULE_ACTIONS.ALLOW),
+      rule('deny', '2001:db8::/32', IP_RULE_ACTIONS.DENY),
+    ];
+
+    expect(findMatchingRule('2001:db8::1', rules, now).ruleId).toBe('deny');
+  });
+
+  test('expired rules no longer apply', () => {
+    const rules = [rule('temporary', '10.0.0.0/8', IP_RULE_ACTIONS.DENY, { expiresAt: inSeconds(-1) })];
+
+    expect(findMatchingRule('10.1.1.1', rules, now)).toBeNull();
+    expect(toIpRuleSummary(rules[0], now)).toMatchObject({ active: false, expiresAt: '2025-01-01T11:59:59.000Z' });
+  });
+
+  test('validates new rules', () => {
+    const { rule: valid, errors } = validateIpRule({
+      cidr: ' 2001:DB8::/32 ',
+      action: 'deny',
+      reason: ' Abuse reports ',
+      expiresAt: '2025-02-01T00:00:00Z',
+    }, now);
+
+    expect(errors).toEqual({});
+    expect(valid).toEqual({ cidr: '2001:db8::/32', action: 'deny', reason: 'Abuse reports', expiresAt: Date.parse('2025-02-01T00:00:00Z') / 1000 });
+
+    const invalid = validateIpRule({ cidr: '10.0.0.0/40', action: 'block', reason: '', expiresAt: '2024-01-01T00:00:00Z' }, now);
+    expect(invalid.rule).toBeNull();
+    expect(Object.keys(invalid.errors).sort()).toEqual(['action', 'cidr', 'expiresAt', 'reason']);
+  });
+
+  describe('cached lookups', () => {
+    const blockRule = rule('block', '203.0.113.0/24', IP_RULE_ACTIONS.DENY);
+    let clock;
+    let checkIpRules;
+    let createIpRule;
+    let error;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      mockDynamo.put.mockImplementation(() => resolved());
+      clock = now;
+      jest.spyOn(Date, 'now').mockImplementation(() => clock);
+      error = jest.spyOn(console, 'error').mockImplementation(() => {});
+      // Each test starts with an empty cache
+      jest.isolateModules(() => {
+        ({ checkIpRules, createIpRule } = require('./utils/ipRules'));
+      });
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('a failed refresh keeps enforcing the last rules read', async () => {
+      mockDynamo.scan.mockImplementation(() => resolved({ Items: [blockRule] }));
+      expect((await checkIpRules('203.0.113.5')).ruleId).toBe('block');
+
+      mockDynamo.scan.mockImplementation(failed);
+      clock += 61 * 1000;
+
+      expect((await checkIpRules('203.0.113.5')).ruleId).toBe('block');
+      expect(error).toHaveBeenCalledWith(expect.stringContaining('keeping the last rules read'), expect.any(Error));
+    });
+
+    test('a failed read is retried after the cache period, not on every login', async () => {
+      mockDynamo.scan.mockImplementation(failed);
+
+      expect(await checkIpRules('203.0.113.5')).toBeNull();
+      expect(await checkIpRules('203.0.113.6')).toBeNull();
+      expect(mockDynamo.scan).toHaveBeenCalledTimes(1);
+      expect(error).toHaveBeenCalledWith(expect.stringContaining('not checked against them'), expect.any(Error));
+
+      mockDynamo.scan.mockImplementation(() => resolved({ Items: [blockRule] }));
+      clock += 61 * 1000;
+
+      expect((await checkIpRules('203.0.113.5')).ruleId).toBe('block');
+      expect(mockDynamo.scan).toHaveBeenCalledTimes(2);
+    });
+
+    test('a new rule is read straight away', async () => {
+      mockDynamo.scan.mockImplementation(() => resolved({ Items: [] }));
+      expect(await checkIpRules('203.0.113.5')).toBeNull();
+
+      await createIpRule({ cidr: blockRule.cidr, action: blockRule.action, reason: blockRule.reason }, 'admin-1');
+      mockDynamo.scan.mockImplementation(() => resolved({ Items: [blockRule] }));
+
+      expect((await checkIpRules('203.0.113.5')).ruleId).toBe('block');
+    });
+  });
+});
@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createKeyRing, requireSecret } = require('./utils/jwtKeys');
+
+const pem = (type, options) => {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync(type, options);
+  return {
+    privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    publicKey: publicKey.export({ type: 'spki', format: 'pem' }),
+  };
+};
+
+const ecKey = pem('ec', { namedCurve: 'P-256' });
+const rsaKey = pem('rsa', { modulusLength: 2048 });
+
+describe('jwtKeys', () => {
+  test('signs with the active key and sets its kid', () => {
+    const ring = createKeyRing([{ kid: 'ec-1', privateKey: ecKey.privateKey }]);
+    const token = ring.sign({ userId: 'u1' }, { expiresIn: 60 });
+
+    expect(jwt.decode(token, { complete: true }).header).toMatchObject({ alg: 'ES256', kid: 'ec-1' });
+    expect(ring.verify(token)).toMatchObject({ userId: 'u1' });
+  });
+
+  test('verifies tokens from every key in the ring after rotation', () => {
+    const before = createKeyRing([{ kid: 'rsa-1', privateKey: rsaKey.privateKey }]);
+    const oldToken = before.sign({ userId: 'u1' });
+
+    const after = createKeyRing([
+      { kid: 'ec-2', privateKey: ecKey.privateKey },
+      { kid: 'rsa-1', publicKey: rsaKey.publicKey },
+    ], 'ec-2');
+
+    expect(after.activeKid).toBe('ec-2');
+    expect(after.verify(oldToken)).toMatchObject({ userId: 'u1' });
+    expect(jwt.decode(after.sign({ userId: 'u1' }), { complete: true }).header.kid).toBe('ec-2');
+  });
+
+  test('rejects unknown kids and HS256 tokens', () => {
+    const ring = createKeyRing([{ kid: 'ec-1', privateKey: ecKey.privateKey }]);
+    const other = createKeyRing([{ kid: 'other', privateKey: pem('ec', { namedCurve: 'P-256' }).privateKey }]);
+
+    expect(() => ring.verify(other.sign({ userId: 'u1' }))).toThrow('invalid signing key');
+    expect(() => ring.verify(jwt.sign({ userId: 'u1' }, 'secret', { keyid: 'ec-1' }))).toThrow();
+  });
+
+  test('publishes public keys only', () => {
+    const ring = createKeyRing([
+      { kid: 'ec-1', privateKey: ecKey.privateKey },
+      { kid: 'rsa-1', publicKey: rsaKey.publicKey },
+    ]);
+    const { keys } = ring.getJwks();
+
+    expect(keys.map((key) => [key.kid, key.alg, key.use])).toEqual([['ec-1', 'ES256', 'sig'], ['rsa-1', 'RS256', 'sig']]);
+    keys.forEach((key) => expect(key.d).toBeUndefined());
+  });
+
+  test('refuses missing or unusable configuration', () => {
+    expect(() => createKeyRing([])).toThrow('No JWT signing keys configured');
+    expect(() => createKeyRing([{ kid: 'rsa-1', publicKey: rsaKey.publicKey }])).toThrow('No signing key has a private key');
+    expect(() => createKeyRing([{ kid: 'ec-1', privateKey: ecKey.privateKey, alg: 'RS256' }])).toThrow('must be an RSA key');
+    expect(() => createKeyRing([{ kid: 'ec-1', privateKey: ecKey.privateKey }], 'missing')).toThrow('"missing" is missing');
+  });
+
+  test('refuses missing or default secrets', () => {
+    expect(() => requireSecret('JWT_SECRET', '')).toThrow('JWT_SECRET is not set');
+    expect(() => requireSecret('JWT_SECRET', 'super_secure_fallback_secret')).toThrow('default value');
+    expect(requireSecret('JWT_SECRET', 'a-real-secret')).toBe('a-real-secret');
+  });
+});
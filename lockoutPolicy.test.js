@@ -0,0 +1,34 @@
+const { BACKOFF_THRESHOLD, PERMANENT_LOCK_THRESHOLD, getBackoffSeconds, getLockoutStatus, getFailureCutoff, lockoutAfterFailures } = require('./utils/lockoutPolicy');
+
+describe('lockoutPolicy', () => {
+  const now = Date.parse('2025-01-01T12:00:00Z');
+
+  test('no backoff below the threshold, then doubles', () => {
+    expect(getBackoffSeconds(BACKOFF_THRESHOLD - 1)).toBe(0);
+    expect(getBackoffSeconds(BACKOFF_THRESHOLD)).toBe(30);
+    expect(getBackoffSeconds(BACKOFF_THRESHOLD + 1)).toBe(60);
+    expect(getBackoffSeconds(100)).toBe(3600);
+  });
+
+  test('sets a temporary lockout from the backoff threshold', () => {
+    expect(lockoutAfterFailures(BACKOFF_THRESHOLD - 1, now).lockoutUntil).toBeNull();
+
+    const failure = lockoutAfterFailures(BACKOFF_THRESHOLD, now);
+
+    expect(failure.permanent).toBe(false);
+    expect(getLockoutStatus({ lockoutUntil: failure.lockoutUntil }, now)).toEqual({ locked: true, permanent: false, retryAfterSeconds: 30 });
+    expect(getLockoutStatus({ lockoutUntil: failure.lockoutUntil }, now + 31000).locked).toBe(false);
+  });
+
+  test('forgets failures after the quiet period', () => {
+    expect(getFailureCutoff(now)).toBe('2024-12-31T12:00:00.000Z');
+  });
+
+  test('locks permanently at the permanent threshold', () => {
+    const failure = lockoutAfterFailures(PERMANENT_LOCK_THRESHOLD, now);
+
+    expect(failure.permanent).toBe(true);
+    expect(lockoutAfterFailures(PERMANENT_LOCK_THRESHOLD + 1, now).permanent).toBe(true);
+    expect(getLockoutStatus({ lockedAt: failure.lastFailedLoginAt }, now)).toEqual({ locked: true, permanent: true, retryAfterSeconds: null });
+  });
+});
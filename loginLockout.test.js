@@ -0,0 +1,83 @@
+// In-memory users table; update understands the writes loginLockout makes
+const mockUsers = new Map();
+const mockConditionFailed = () => Object.assign(new Error('The conditional request failed'), { code: 'ConditionalCheckFailedException' });
+
+jest.mock('aws-sdk', () => {
+  const resolved = (run) => ({ promise: async () => run() });
+  const client = {
+    update: ({ Key, UpdateExpression, ConditionExpression, ExpressionAttributeValues: values }) => resolved(() => {
+      const user = mockUsers.get(Key.userId);
+      const recent = !!user.lastFailedLoginAt && user.lastFailedLoginAt > values[':cutoff'];
+
+      if (UpdateExpression.includes('ADD failedLoginCount')) {
+        if (!recent) throw mockConditionFailed();
+        Object.assign(user, { failedLoginCount: user.failedLoginCount + 1, lastFailedLoginAt: values[':time'] });
+        return { Attributes: { ...user } };
+      }
+      if (ConditionExpression.startsWith('attribute_not_exists(lastFailedLoginAt)')) {
+        if (recent) throw mockConditionFailed();
+        Object.assign(user, { failedLoginCount: 1, lastFailedLoginAt: values[':time'] });
+        return {};
+      }
+      if (user.failedLoginCount !== values[':count']) throw mockConditionFailed();
+      Object.assign(user, { lockoutUntil: values[':until'] }, UpdateExpression.includes('lockedAt') ? { lockedAt: values[':time'] } : {});
+      return {};
+    }),
+  };
+  return { DynamoDB: { DocumentClient: jest.fn(() => client) } };
+});
+jest.mock('./utils/authChallenges', () => ({
+  saveChallenge: jest.fn(async () => 'unlock-token'),
+}));
+jest.mock('./utils/emailService', () => ({
+  sendAccountUnlockEmail: jest.fn(async () => ({ success: true })),
+}), { virtual: true });
+
+const { recordFailedLogin } = require('./utils/loginLockout');
+const { PERMANENT_LOCK_THRESHOLD, getLockoutStatus } = require('./utils/lockoutPolicy');
+const { sendAccountUnlockEmail } = require('./utils/emailService');
+
+const storeUser = (fields = {}) => {
+  const user = { userId: 'user-1', email: 'patient@example.com', failedLoginCount: 0, ...fields };
+  mockUsers.set(user.userId, user);
+  return { ...user };
+};
+
+describe('loginLockout', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockUsers.clear();
+  });
+
+  test('parallel guesses each count', async () => {
+    // Every request loaded the account before any failure was stored
+    const loaded = storeUser();
+
+    await Promise.all(Array.from({ length: 5 }, () => recordFailedLogin(loaded)));
+
+    const stored = mockUsers.get('user-1');
+    expect(stored.failedLoginCount).toBe(5);
+    expect(getLockoutStatus(stored).locked).toBe(true);
+  });
+
+  test('failures after the quiet period start counting again', async () => {
+    const loaded = storeUser({ failedLoginCount: 8, lastFailedLoginAt: new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString() });
+
+    const failure = await recordFailedLogin(loaded);
+
+    expect(failure.failedLoginCount).toBe(1);
+    expect(mockUsers.get('user-1').failedLoginCount).toBe(1);
+  });
+
+  test('a parallel burst past the limit locks the account and sends one unlock link', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const loaded = storeUser({ failedLoginCount: PERMANENT_LOCK_THRESHOLD - 2, lastFailedLoginAt: new Date().toISOString() });
+
+    await Promise.all(Array.from({ length: 4 }, () => recordFailedLogin(loaded)));
+
+    expect(getLockoutStatus(mockUsers.get('user-1')).permanent).toBe(true);
+    expect(sendAccountUnlockEmail).toHaveBeenCalledTimes(1);
+    expect(sendAccountUnlockEmail).toHaveBeenCalledWith('patient@example.com', expect.stringContaining('/unlock-account?token=unlock-token'));
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,85 @@
+const {
+  LOGIN_TIME_HISTORY_SIZE,
+  LOGIN_TIME_MIN_SAMPLES,
+  resolveTimezone,
+  getHourOfWeek,
+  analyzeLoginTime,
+  getLoginTimes,
+  appendLoginTime,
+} = require('./utils/loginTimePattern');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Weekday logins around the given UTC hour, for `weeks` weeks from Monday 6 Jan 2025
+const weekdayLogins = (hour, weeks = 3) => {
+  const logins = [];
+  for (let week = 0; week < weeks; week += 1) {
+    for (let day = 0; day < 5; day += 1) {
+      const at = Date.UTC(2025, 0, 6, hour) + (week * 7 + day) * DAY_MS + ((day % 3) - 1) * 30 * 60 * 1000;
+      logins.push({ at: new Date(at).toISOString(), timezone: 'UTC' });
+    }
+  }
+  return logins;
+};
+
+describe('loginTimePattern', () => {
+  test('hour of the week is read in the given timezone', () => {
+    expect(getHourOfWeek('2025-01-06T00:30:00Z', 'UTC')).toBe(0.5);
+    // Monday 00:30 UTC is Monday 06:00 in India
+    expect(getHourOfWeek('2025-01-06T00:30:00Z', 'Asia/Kolkata')).toBe(6);
+    // ... and still Sunday evening in New York
+    expect(getHourOfWeek('2025-01-06T00:30:00Z', 'America/New_York')).toBe(6 * 24 + 19.5);
+  });
+
+  test('the profile timezone wins over the geo lookup', () => {
+    expect(resolveTimezone({ timezone: 'Europe/London' }, { timezone: 'Asia/Kolkata' })).toBe('Europe/London');
+    expect(resolveTimezone({}, { timezone: 'Asia/Kolkata' })).toBe('Asia/Kolkata');
+    expect(resolveTimezone({}, { timezone: 'unknown' })).toBe('UTC');
+  });
+
+  test('needs a minimum number of previous logins', () => {
+    const result = analyzeLoginTime(weekdayLogins(9).slice(0, LOGIN_TIME_MIN_SAMPLES - 1), { at: '2025-02-04T03:00:00Z', timezone: 'UTC' });
+
+    expect(result.unusual).toBe(false);
+    expect(result.sampleSize).toBe(LOGIN_TIME_MIN_SAMPLES - 1);
+  });
+
+  test('flags hours far from the usual ones', () => {
+    const result = analyzeLoginTime(weekdayLogins(9), { at: '2025-02-04T03:00:00Z', timezone: 'UTC' });
+
+    expect(result.unusual).toBe(true);
+    expect(result.weekday).toBe('Tue');
+    expect(result.usualHourOfDay).toBeCloseTo(9, 0);
+  });
+
+  test('allows the usual time of day on another day of the week', () => {
+    expect(analyzeLoginTime(weekdayLogins(9), { at: '2025-02-04T09:30:00Z', timezone: 'UTC' }).unusual).toBe(false);
+    expect(analyzeLoginTime(weekdayLogins(9), { at: '2025-02-08T09:10:00Z', timezone: 'UTC' }).unusual).toBe(false);
+  });
+
+  test('wraps around midnight instead of averaging to noon', () => {
+    const lateLogins = Array.from({ length: 12 }, (_, index) => ({
+      at: new Date(Date.UTC(2025, 0, 6, index % 2 ? 1 : 23) + index * DAY_MS).toISOString(),
+      timezone: 'UTC',
+    }));
+
+    expect(analyzeLoginTime(lateLogins, { at: '2025-02-04T00:00:00Z', timezone: 'UTC' }).unusual).toBe(false);
+    expect(analyzeLoginTime(lateLogins, { at: '2025-02-04T12:00:00Z', timezone: 'UTC' }).unusual).toBe(true);
+  });
+
+  test('compares in local time, so a timezone change shifts the hour', () => {
+    // 09:00 UTC is 14:30 in India: far from the user's usual morning logins
+    expect(analyzeLoginTime(weekdayLogins(9), { at: '2025-02-04T09:00:00Z', timezone: 'Asia/Kolkata' }).unusual).toBe(true);
+  });
+
+  test('keeps a rolling list seeded from the login history', () => {
+    const user = { loginHistory: [{ timestamp: '2025-01-06T09:00:00Z', location: { timezone: 'Asia/Kolkata' } }] };
+    expect(getLoginTimes(user)).toEqual([{ at: '2025-01-06T09:00:00Z', timezone: 'Asia/Kolkata' }]);
+
+    const full = { loginTimes: Array.from({ length: LOGIN_TIME_HISTORY_SIZE }, (_, index) => ({ at: `old-${index}`, timezone: 'UTC' })) };
+    const next = appendLoginTime(full, { at: 'new', timezone: 'UTC' });
+    expect(next).toHaveLength(LOGIN_TIME_HISTORY_SIZE);
+    expect(next[0].at).toBe('old-1');
+    expect(next[next.length - 1].at).toBe('new');
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * DynamoDB -> Cognito User Migration Script
+ *
+ * Pre-creates every user in USERS_TABLE in the Cognito user pool with
+ * AdminCreateUser, carrying over the email and its verification status.
+ * No invitation is sent and no password is reset: a user's first Cognito
+ * sign-in with their existing password makes it their Cognito password.
+ *
+ * Always prints a dry run first; nothing is written without --apply.
+ *
+ * Usage: node migrate-users.js [--apply]
+ */
+
+try {
+  require('dotenv').config();
+} catch (e) {
+  console.log('Note: dotenv not installed. Using existing environment variables.');
+}
+
+const AWS = require('aws-sdk');
+const { adminCreateUser } = require('./utils/cognitoAuth');
+const { markUserMigratedToCognito } = require('./utils/userRepository');
+const { planUserMigration, toCognitoAttributes, toAttributeList } = require('./utils/cognitoMigration');
+
+const dynamo = new AWS.DynamoDB.DocumentClient({
+  region: process.env.AWS_REGION || 'us-east-1'
+});
+
+const USERS_TABLE = process.env.USERS_TABLE || 'myvision-users';
+const apply = process.argv.includes('--apply');
+
+// User records only; EMAIL# and LOGIN_SESSION# marker items have no email attribute
+const scanUsers = async () => {
+  const users = [];
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamo.scan({
+      TableName: USERS_TABLE,
+      FilterExpression: 'attribute_exists(email)',
+      ExclusiveStartKey: lastEvaluatedKey
+    }).promise();
+
+    users.push(...(result.Items || []));
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return users;
+};
+
+const printDryRun = (plans) => {
+  const toCreate = plans.filter(({ plan }) => plan.action === 'create');
+  const skipped = plans.filter(({ plan }) => plan.action === 'skip');
+
+  console.log('\n📋 Dry run\n');
+  toCreate.forEach(({ user, plan }) => {
+    const notes = [
+      user.isEmailVerified ? 'verified' : 'unverified',
+      plan.passwordPending ? null : 'no password, must reset'
+    ].filter(Boolean).join(', ');
+    console.log(`   Would create ${user.email} (${user.userId}) - ${notes}`);
+  });
+  skipped.forEach(({ user, plan }) => {
+    console.log(`   Would skip ${user.email} (${user.userId}) - ${plan.reason}`);
+  });
+
+  const reasons = skipped.reduce((counts, { plan }) => {
+    counts[plan.reason] = (counts[plan.reason] || 0) + 1;
+    return counts;
+  }, {});
+
+  console.log(`\n   To create: ${toCreate.length}`);
+  console.log(`   To skip: ${skipped.length}`);
+  Object.entries(reasons).forEach(([reason, count]) => {
+    console.log(`     ${reason}: ${count}`);
+  });
+};
+
+const migrateUser = async (user, plan) => {
+  const result = await adminCreateUser(user.email, toAttributeList(toCognitoAttributes(user)));
+  if (!result.success) {
+    return result.error === 'EMAIL_EXISTS' ? 'exists' : 'failed';
+  }
+
+  await markUserMigratedToCognito(user.userId, { passwordPending: plan.passwordPending });
+  return 'created';
+};
+
+async function main() {
+  console.log('\n👥 DynamoDB -> Cognito User Migration\n');
+  console.log('='.repeat(60));
+  console.log(`\nTable: ${USERS_TABLE}`);
+  console.log(`User pool: ${process.env.COGNITO_USER_POOL_ID || '(not set)'}`);
+
+  const users = await scanUsers();
+  const plans = users.map((user) => ({ user, plan: planUserMigration(user) }));
+
+  printDryRun(plans);
+
+  if (!apply) {
+    console.log('\nNothing was written. Re-run with --apply to create these users.\n');
+    return;
+  }
+
+  console.log('\n🚀 Creating users\n');
+  const counts = { created: 0, exists: 0, failed: 0 };
+
+  for (const { user, plan } of plans) {
+    if (plan.action !== 'create') continue;
+
+    const outcome = await migrateUser(user, plan);
+    counts[outcome] += 1;
+
+    if (outcome === 'created') {
+      console.log(`   ✅ ${user.email} (${user.userId})`);
+    } else if (outcome === 'exists') {
+      console.log(`   ⚠️  ${user.email} (${user.userId}) - already in the user pool, resolve manually`);
+    } else {
+      console.log(`   ❌ ${user.email} (${user.userId}) - creation failed`);
+    }
+  }
+
+  console.log('\n' + '='.repeat(60));
+  console.log(`\n   Created: ${counts.created}`);
+  console.log(`   Already in user pool: ${counts.exists}`);
+  console.log(`   Failed: ${counts.failed}`);
+  console.log('\n');
+}
+
+main().catch((error) => {
+  console.error('\n❌ Migration failed:', error.message);
+  process.exit(1);
+});
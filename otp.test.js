@@ -0,0 +1,38 @@
+const { getOTPPolicy, generateOTP, hashOTP, verifyOTP, createOTP } = require('./utils/otp');
+
+describe('otp', () => {
+  afterEach(() => {
+    delete process.env.OTP_RESET_LENGTH;
+    delete process.env.OTP_RESET_TTL_MINUTES;
+  });
+
+  test('generates numeric codes of the requested length', () => {
+    expect(generateOTP()).toMatch(/^\d{6}$/);
+    expect(generateOTP(8)).toMatch(/^\d{8}$/);
+  });
+
+  test('stores a salted hash that verifies only the original code', () => {
+    const hash = hashOTP('123456');
+
+    expect(hash).not.toContain('123456');
+    expect(hashOTP('123456')).not.toBe(hash);
+    expect(verifyOTP('123456', hash)).toBe(true);
+    expect(verifyOTP('654321', hash)).toBe(false);
+    expect(verifyOTP('123456', null)).toBe(false);
+    expect(verifyOTP('123456', 'not-a-hash')).toBe(false);
+  });
+
+  test('reads per-purpose policy from the environment', () => {
+    process.env.OTP_RESET_LENGTH = '8';
+    process.env.OTP_RESET_TTL_MINUTES = '15';
+
+    expect(getOTPPolicy('reset')).toEqual({ purpose: 'reset', length: 8, ttlMinutes: 15, maxAttempts: 3 });
+    expect(getOTPPolicy('login').length).toBe(6);
+    expect(() => getOTPPolicy('unknown')).toThrow();
+
+    const { otp, otpHash, otpExpiry } = createOTP('reset');
+    expect(otp).toHaveLength(8);
+    expect(verifyOTP(otp, otpHash)).toBe(true);
+    expect(new Date(otpExpiry).getTime()).toBeGreaterThan(Date.now() + 14 * 60 * 1000);
+  });
+});
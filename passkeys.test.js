@@ -0,0 +1,170 @@
+const mockDynamo = {
+  query: jest.fn(),
+  get: jest.fn(),
+  put: jest.fn(),
+  update: jest.fn(),
+};
+jest.mock('aws-sdk', () => ({
+  DynamoDB: { DocumentClient: jest.fn(() => mockDynamo) },
+}));
+// The ceremonies' cryptography is the library's job; these tests cover what we do around it
+jest.mock('@simplewebauthn/server', () => ({
+  generateRegistrationOptions: jest.fn(async (options) => ({ ...options, challenge: 'registration-challenge' })),
+  verifyRegistrationResponse: jest.fn(),
+  generateAuthenticationOptions: jest.fn(async (options) => ({ ...options, challenge: 'authentication-challenge' })),
+  verifyAuthenticationResponse: jest.fn(),
+}));
+jest.mock('./utils/authChallenges', () => ({
+  saveChallenge: jest.fn(async () => 'challenge-id'),
+  consumeChallenge: jest.fn(),
+}));
+
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse,
+} = require('@simplewebauthn/server');
+const { saveChallenge, consumeChallenge } = require('./utils/authChallenges');
+const { startRegistration, finishRegistration, startAuthentication, finishAuthentication } = require('./utils/passkeys');
+
+const resolved = (value = {}) => ({ promise: async () => value });
+const conditionFailed = () => ({
+  promise: async () => {
+    throw Object.assign(new Error('The conditional request failed'), { code: 'ConditionalCheckFailedException' });
+  },
+});
+
+const user = { userId: 'user-1', email: 'patient@example.com' };
+const storedPasskey = (overrides = {}) => ({
+  credentialId: 'credential-1',
+  userId: 'user-1',
+  publicKey: Buffer.from('public-key').toString('base64url'),
+  counter: 5,
+  transports: ['internal'],
+  ...overrides,
+});
+
+describe('passkeys', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    Object.values(mockDynamo).forEach((method) => method.mockImplementation(() => resolved()));
+  });
+
+  describe('options', () => {
+    test('registration excludes passkeys the user already has', async () => {
+      mockDynamo.query.mockImplementation(() => resolved({ Items: [storedPasskey()] }));
+
+      const { challengeId, options } = await startRegistration(user);
+
+      expect(challengeId).toBe('challenge-id');
+      expect(options).toMatchObject({
+        rpID: 'localhost',
+        userName: 'patient@example.com',
+        attestationType: 'none',
+        excludeCredentials: [{ id: 'credential-1', transports: ['internal'] }],
+        authenticatorSelection: { userVerification: 'required' },
+      });
+      expect(Buffer.from(generateRegistrationOptions.mock.calls[0][0].userID).toString()).toBe('user-1');
+      expect(saveChallenge).toHaveBeenCalledWith('passkey_registration', { userId: 'user-1', challenge: 'registration-challenge' }, 300);
+    });
+
+    test("sign-in is limited to the user's passkeys when we know the user", async () => {
+      mockDynamo.query.mockImplementation(() => resolved({ Items: [storedPasskey()] }));
+
+      await startAuthentication(user);
+      await startAuthentication();
+
+      expect(generateAuthenticationOptions.mock.calls[0][0].allowCredentials).toEqual([{ id: 'credential-1', transports: ['internal'] }]);
+      expect(generateAuthenticationOptions.mock.calls[1][0].allowCredentials).toBeUndefined();
+      expect(saveChallenge).toHaveBeenCalledWith('passkey_authentication', { challenge: 'authentication-challenge' }, 300);
+    });
+  });
+
+  describe('registration', () => {
+    const registrationInfo = {
+      credential: { id: 'credential-2', publicKey: Buffer.from('new-key'), counter: 0, transports: ['usb'] },
+      credentialDeviceType: 'singleDevice',
+      credentialBackedUp: false,
+    };
+
+    test("a challenge issued to someone else can't be used", async () => {
+      consumeChallenge.mockResolvedValue({ userId: 'user-2', challenge: 'registration-challenge' });
+
+      const result = await finishRegistration(user, 'challenge-id', {}, 'Laptop');
+
+      expect(result).toMatchObject({ success: false, error: 'INVALID_CHALLENGE' });
+      expect(verifyRegistrationResponse).not.toHaveBeenCalled();
+    });
+
+    test('stores the verified credential', async () => {
+      consumeChallenge.mockResolvedValue({ userId: 'user-1', challenge: 'registration-challenge' });
+      verifyRegistrationResponse.mockResolvedValue({ verified: true, registrationInfo });
+
+      const result = await finishRegistration(user, 'challenge-id', { id: 'credential-2' }, 'Laptop');
+
+      expect(result).toMatchObject({ success: true, passkey: { credentialId: 'credential-2', name: 'Laptop' } });
+      expect(verifyRegistrationResponse.mock.calls[0][0]).toMatchObject({ expectedChallenge: 'registration-challenge', requireUserVerification: true });
+      const [{ Item, ConditionExpression }] = mockDynamo.put.mock.calls[0];
+      expect(Item).toMatchObject({ userId: 'user-1', publicKey: Buffer.from('new-key').toString('base64url'), counter: 0 });
+      expect(ConditionExpression).toBe('attribute_not_exists(credentialId)');
+    });
+
+    test('the same credential is not registered twice', async () => {
+      consumeChallenge.mockResolvedValue({ userId: 'user-1', challenge: 'registration-challenge' });
+      verifyRegistrationResponse.mockResolvedValue({ verified: true, registrationInfo });
+      mockDynamo.put.mockImplementation(conditionFailed);
+
+      const result = await finishRegistration(user, 'challenge-id', { id: 'credential-2' });
+
+      expect(result).toMatchObject({ success: false, error: 'ALREADY_REGISTERED' });
+    });
+  });
+
+  describe('signature counter', () => {
+    const signIn = (passkey, newCounter) => {
+      consumeChallenge.mockResolvedValue({ challenge: 'authentication-challenge' });
+      mockDynamo.get.mockImplementation(() => resolved({ Item: passkey }));
+      verifyAuthenticationResponse.mockResolvedValue({ verified: true, authenticationInfo: { newCounter } });
+      return finishAuthentication('challenge-id', { id: passkey.credentialId });
+    };
+
+    test('must move forward', async () => {
+      const result = await signIn(storedPasskey({ counter: 5 }), 6);
+
+      expect(result).toEqual({ success: true, userId: 'user-1', credentialId: 'credential-1' });
+      const [params] = mockDynamo.update.mock.calls[0];
+      expect(params.ConditionExpression).toBe('#counter < :newCounter');
+      expect(params.ExpressionAttributeValues[':newCounter']).toBe(6);
+      expect(verifyAuthenticationResponse.mock.calls[0][0].credential).toMatchObject({ id: 'credential-1', counter: 5 });
+    });
+
+    test('authenticators without a counter keep reporting 0', async () => {
+      const result = await signIn(storedPasskey({ counter: 0 }), 0);
+
+      expect(result.success).toBe(true);
+      expect(mockDynamo.update.mock.calls[0][0].ConditionExpression).toBe('#counter = :zero');
+    });
+
+    test('a counter that did not increase looks like a cloned authenticator', async () => {
+      mockDynamo.update.mockImplementation(conditionFailed);
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      const result = await signIn(storedPasskey({ counter: 5 }), 5);
+
+      expect(result).toMatchObject({ success: false, error: 'COUNTER_MISMATCH' });
+      expect(warn).toHaveBeenCalledWith(expect.stringContaining('counter did not increase for credential credential-1'));
+      warn.mockRestore();
+    });
+
+    test('unknown credentials are rejected before verification', async () => {
+      consumeChallenge.mockResolvedValue({ challenge: 'authentication-challenge' });
+      mockDynamo.get.mockImplementation(() => resolved({}));
+
+      const result = await finishAuthentication('challenge-id', { id: 'credential-9' });
+
+      expect(result).toMatchObject({ success: false, error: 'UNKNOWN_CREDENTIAL' });
+      expect(verifyAuthenticationResponse).not.toHaveBeenCalled();
+    });
+  });
+});
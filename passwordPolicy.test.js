@@ -0,0 +1,61 @@
+const {
+  POLICY,
+  estimateStrength,
+  validatePassword,
+  getPasswordHistoryHashes,
+  nextPasswordHistory,
+  toPolicyErrorBody,
+} = require('./utils/passwordPolicy');
+
+const codes = (password, context) => validatePassword(password, context).violations.map(({ code }) => code);
+
+describe('passwordPolicy', () => {
+  test('accepts strong passwords', () => {
+    expect(validatePassword('Cataract-Lens-47', { email: 'asha@example.com' })).toMatchObject({ valid: true, violations: [] });
+    expect(validatePassword('correct horse battery staple').valid).toBe(true);
+  });
+
+  test('enforces length and character classes', () => {
+    expect(codes('xK9#m')).toContain('PASSWORD_TOO_SHORT');
+    expect(codes('x'.repeat(40) + 'é'.repeat(20))).toContain('PASSWORD_TOO_LONG');
+    expect(codes('zmxqkvbwpt')).toContain('PASSWORD_MISSING_CHARACTER_CLASSES');
+    expect(codes('')).toEqual(['PASSWORD_REQUIRED']);
+  });
+
+  test('rejects common and breached passwords, including l33t variants', () => {
+    expect(codes('password123')).toContain('PASSWORD_COMMON');
+    expect(codes('P@ssw0rd')).toContain('PASSWORD_COMMON');
+    expect(codes('Welcome123')).toContain('PASSWORD_COMMON');
+  });
+
+  test('rejects passwords containing the email', () => {
+    expect(codes('Asha.Rao#Clinic47', { email: 'asha.rao@example.com' })).toContain('PASSWORD_CONTAINS_EMAIL');
+    expect(codes('Cataract-Lens-47', { email: 'asha.rao@example.com' })).not.toContain('PASSWORD_CONTAINS_EMAIL');
+  });
+
+  test('scores predictable patterns as weak', () => {
+    expect(estimateStrength('Password1!').score).toBeLessThan(POLICY.minScore);
+    expect(estimateStrength('abcdefgh12').score).toBeLessThan(POLICY.minScore);
+    expect(estimateStrength('1q2w3e4r5t6y').score).toBeLessThan(POLICY.minScore);
+    expect(estimateStrength('aaaaaaaa1A').score).toBeLessThan(POLICY.minScore);
+    expect(estimateStrength('xK9#mQ2vL').score).toBe(4);
+    expect(codes('MyVision123!')).toEqual(['PASSWORD_TOO_WEAK']);
+  });
+
+  test('keeps the last passwords for reuse checks', () => {
+    const user = { passwordHash: 'h5', passwordHistory: ['h4', 'h3', 'h2', 'h1', 'h0'] };
+
+    expect(getPasswordHistoryHashes(user)).toEqual(['h5', 'h4', 'h3', 'h2', 'h1'].slice(0, POLICY.historySize));
+    expect(nextPasswordHistory(user)).toEqual(['h5', 'h4', 'h3', 'h2'].slice(0, POLICY.historySize - 1));
+    expect(getPasswordHistoryHashes({})).toEqual([]);
+  });
+
+  test('error body lists every violation', () => {
+    const { violations } = validatePassword('password');
+    expect(toPolicyErrorBody(violations)).toEqual({
+      message: violations[0].message,
+      error: 'PASSWORD_POLICY_VIOLATION',
+      violations,
+    });
+  });
+});
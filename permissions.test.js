@@ -0,0 +1,44 @@
+const { ROLES, getRole, getCognitoRole, hasPermission, missingPermissions, isStaff } = require('./utils/permissions');
+
+describe('permissions', () => {
+  test('patients only reach their own data', () => {
+    expect(hasPermission(ROLES.PATIENT, 'profile:read')).toBe(true);
+    expect(hasPermission(ROLES.PATIENT, 'uploads:write:own')).toBe(true);
+    expect(hasPermission(ROLES.PATIENT, 'uploads:read:any')).toBe(false);
+    expect(hasPermission(ROLES.PATIENT, 'users:read:any')).toBe(false);
+  });
+
+  test('staff can read any patient but not administer', () => {
+    [ROLES.OPTOMETRIST, ROLES.RECEPTIONIST].forEach((role) => {
+      expect(hasPermission(role, 'users:read:any')).toBe(true);
+      expect(hasPermission(role, 'uploads:read:any')).toBe(true);
+      expect(hasPermission(role, 'users:manage_roles')).toBe(false);
+      expect(hasPermission(role, 'security:ip_rules')).toBe(false);
+      expect(isStaff(role)).toBe(true);
+    });
+    expect(isStaff(ROLES.PATIENT)).toBe(false);
+  });
+
+  test('admins have every permission', () => {
+    ['profile:read', 'uploads:read:any', 'users:manage_roles', 'users:unlock', 'users:invite', 'security:ip_rules']
+      .forEach((permission) => expect(hasPermission(ROLES.ADMIN, permission)).toBe(true));
+  });
+
+  test('lists the permissions a role is missing', () => {
+    expect(missingPermissions(ROLES.RECEPTIONIST, ['profile:read', 'users:invite', 'users:unlock'])).toEqual(['users:invite', 'users:unlock']);
+    expect(missingPermissions(ROLES.ADMIN, ['users:invite'])).toEqual([]);
+    expect(missingPermissions('unknown-role', ['profile:read'])).toEqual(['profile:read']);
+  });
+
+  test('accounts without a known role are patients', () => {
+    expect(getRole({})).toBe(ROLES.PATIENT);
+    expect(getRole({ role: 'superuser' })).toBe(ROLES.PATIENT);
+    expect(getRole({ role: ROLES.OPTOMETRIST })).toBe(ROLES.OPTOMETRIST);
+  });
+
+  test('the first Cognito group that names a role wins', () => {
+    expect(getCognitoRole(['beta-testers', 'optometrist', 'admin'])).toBe(ROLES.OPTOMETRIST);
+    expect(getCognitoRole(['beta-testers'])).toBe(ROLES.PATIENT);
+    expect(getCognitoRole()).toBe(ROLES.PATIENT);
+  });
+});
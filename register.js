@@ -1,5 +1,6 @@
 const bcrypt = require('bcrypt');
 const { createUser, getUserByEmail } = require('../../models/user');
+const { validatePassword, toPolicyErrorBody } = require('../../utils/passwordPolicy');
 
 const jsonResponse = (statusCode, payload) => ({
     statusCode,
@@ -32,6 +33,11 @@ exports.register = async (event) => {
         return jsonResponse(400, { message: 'Email and password are required' });
     }
 
+    const { violations } = validatePassword(password, { email });
+    if (violations.length > 0) {
+        return jsonResponse(400, toPolicyErrorBody(violations));
+    }
+
     try {
         const existingUser = await getUserByEmail(email);
         if (existingUser) {
@@ -0,0 +1,79 @@
+const {
+  SIGNALS,
+  RISK_DECISIONS,
+  loadRiskConfig,
+  recentFailuresSignal,
+  accountAgeSignal,
+  ipReputationSignal,
+  scoreLoginRisk,
+} = require('./utils/riskScore');
+
+describe('riskScore', () => {
+  const now = Date.parse('2025-01-01T12:00:00Z');
+  const config = loadRiskConfig({});
+  const hoursAgo = (hours) => new Date(now - hours * 60 * 60 * 1000).toISOString();
+
+  test('reads weights and thresholds from the environment', () => {
+    const custom = loadRiskConfig({
+      RISK_WEIGHT_IP_REPUTATION: '80',
+      RISK_WEIGHT_TIME: '0',
+      RISK_DENY_SCORE: '70',
+      RISK_IP_DENYLIST: '203.0.113.7, 198.51.100.1',
+    });
+
+    expect(custom.weights.ipReputation).toBe(80);
+    expect(custom.weights.time).toBe(0);
+    expect(custom.weights.location).toBe(config.weights.location);
+    expect(custom.denyScore).toBe(70);
+    expect(custom.ipDenylist).toEqual(['203.0.113.7', '198.51.100.1']);
+    expect(loadRiskConfig({ RISK_STEP_UP_SCORE: 'nope' }).stepUpScore).toBe(config.stepUpScore);
+  });
+
+  test('a single weak signal no longer forces a step-up', () => {
+    expect(scoreLoginRisk({ time: { value: 1 } }, config).decision).toBe(RISK_DECISIONS.ALLOW);
+    expect(scoreLoginRisk({ location: { value: 1 } }, config).decision).toBe(RISK_DECISIONS.STEP_UP);
+  });
+
+  test('denies when enough signals add up', () => {
+    const result = scoreLoginRisk({
+      location: { value: 1 },
+      device: { value: 1 },
+      ipReputation: ipReputationSignal('203.0.113.7', { ...config, ipDenylist: ['203.0.113.7'] }),
+    }, config);
+
+    expect(result.decision).toBe(RISK_DECISIONS.DENY);
+    expect(result.score).toBe(config.weights.location + config.weights.device + config.weights.ipReputation);
+  });
+
+  test('explains the score signal by signal', () => {
+    const result = scoreLoginRisk({ device: { value: 1 }, recentFailures: { value: 0.4, detail: '2 failed attempts' } }, config);
+
+    expect(result.breakdown).toHaveLength(SIGNALS.length);
+    expect(result.breakdown.find(({ signal }) => signal === 'recentFailures')).toEqual({
+      signal: 'recentFailures',
+      value: 0.4,
+      weight: config.weights.recentFailures,
+      points: 12,
+      detail: '2 failed attempts',
+    });
+    expect(result.reasons).toEqual(['Login from new device or browser', 'Recent failed login attempts']);
+  });
+
+  test('recent failures count until the lockout window has passed', () => {
+    expect(recentFailuresSignal({ failedLoginCount: 5, lastFailedLoginAt: hoursAgo(1) }, config, now).value).toBe(1);
+    expect(recentFailuresSignal({ failedLoginCount: 1, lastFailedLoginAt: hoursAgo(1) }, config, now).value).toBe(0.2);
+    expect(recentFailuresSignal({ failedLoginCount: 5, lastFailedLoginAt: hoursAgo(25) }, config, now).value).toBe(0);
+  });
+
+  test('account age risk fades out', () => {
+    expect(accountAgeSignal({ createdAt: hoursAgo(0) }, config, now).value).toBe(1);
+    expect(accountAgeSignal({ createdAt: hoursAgo(24 * 3.5) }, config, now).value).toBeCloseTo(0.5);
+    expect(accountAgeSignal({ createdAt: hoursAgo(24 * 30) }, config, now).value).toBe(0);
+    expect(accountAgeSignal({}, config, now).value).toBe(0);
+  });
+
+  test('an unreadable IP address is half the IP reputation risk', () => {
+    expect(ipReputationSignal('unknown', config).value).toBe(0.5);
+    expect(ipReputationSignal('192.0.2.1', config).value).toBe(0);
+  });
+});
@@ -0,0 +1,107 @@
+// In-memory sessions table; update understands the two writes sessionStore makes
+const mockSessions = new Map();
+const mockConditionFailed = () => Object.assign(new Error('The conditional request failed'), { code: 'ConditionalCheckFailedException' });
+
+jest.mock('aws-sdk', () => {
+  const resolved = (run) => ({ promise: async () => run() });
+  const client = {
+    put: ({ Item }) => resolved(() => {
+      mockSessions.set(Item.sessionId, { ...Item });
+      return {};
+    }),
+    get: ({ Key }) => resolved(() => ({ Item: mockSessions.get(Key.sessionId) })),
+    query: ({ ExpressionAttributeValues }) => resolved(() => ({
+      Items: [...mockSessions.values()].filter((session) => session.userId === ExpressionAttributeValues[':userId']),
+    })),
+    update: ({ Key, UpdateExpression, ExpressionAttributeValues: values }) => resolved(() => {
+      const session = mockSessions.get(Key.sessionId);
+      if (!session) throw mockConditionFailed();
+
+      if (UpdateExpression.startsWith('SET revoked')) {
+        Object.assign(session, { revoked: true, revokedAt: values[':now'], revokedReason: values[':reason'] });
+      } else {
+        if (session.refreshTokenHash !== values[':oldHash'] || session.revoked) throw mockConditionFailed();
+        Object.assign(session, { refreshTokenHash: values[':newHash'], generation: session.generation + 1 });
+      }
+      return {};
+    }),
+  };
+  return { DynamoDB: { DocumentClient: jest.fn(() => client) } };
+});
+
+const {
+  createSession,
+  getSession,
+  getSessionForRefreshToken,
+  isSessionActive,
+  revokeUserSessions,
+  rotateRefreshToken,
+} = require('./utils/sessionStore');
+
+describe('sessionStore', () => {
+  beforeEach(() => {
+    mockSessions.clear();
+  });
+
+  test('a refresh token rotates into a new one', async () => {
+    const { sessionId, refreshToken } = await createSession('user-1', { ip: '203.0.113.10' });
+
+    const rotation = await rotateRefreshToken(refreshToken);
+
+    expect(rotation.success).toBe(true);
+    expect(rotation.refreshToken).toMatch(new RegExp(`^${sessionId}\\.`));
+    expect(rotation.refreshToken).not.toBe(refreshToken);
+    expect((await getSession(sessionId)).generation).toBe(1);
+  });
+
+  test('rotating invalidates the old refresh token', async () => {
+    const { refreshToken } = await createSession('user-1');
+    const rotation = await rotateRefreshToken(refreshToken);
+
+    expect(await getSessionForRefreshToken(refreshToken)).toBeNull();
+    expect(await getSessionForRefreshToken(rotation.refreshToken)).toMatchObject({ userId: 'user-1' });
+  });
+
+  test('presenting a rotated token revokes the whole session', async () => {
+    const { sessionId, refreshToken } = await createSession('user-1');
+    const rotation = await rotateRefreshToken(refreshToken);
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const reuse = await rotateRefreshToken(refreshToken);
+
+    expect(reuse).toMatchObject({ success: false, error: 'REFRESH_TOKEN_REUSED' });
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining(`reuse detected for session ${sessionId}`));
+    expect(await getSession(sessionId)).toMatchObject({ revoked: true, revokedReason: 'refresh_token_reuse' });
+    // The legitimate holder's newer token dies with it
+    expect(await rotateRefreshToken(rotation.refreshToken)).toMatchObject({ success: false, error: 'SESSION_REVOKED' });
+    warn.mockRestore();
+  });
+
+  test('malformed and unknown refresh tokens are rejected', async () => {
+    expect(await rotateRefreshToken('no-separator')).toMatchObject({ error: 'INVALID_REFRESH_TOKEN' });
+    expect(await rotateRefreshToken('unknown-session.secret')).toMatchObject({ error: 'INVALID_REFRESH_TOKEN' });
+    expect(await rotateRefreshToken(undefined)).toMatchObject({ error: 'INVALID_REFRESH_TOKEN' });
+  });
+
+  test('expired sessions are not active', () => {
+    const now = Math.floor(Date.now() / 1000);
+
+    expect(isSessionActive({ revoked: false, expiresAt: now + 60 })).toBe(true);
+    expect(isSessionActive({ revoked: false, expiresAt: now - 1 })).toBe(false);
+    expect(isSessionActive({ revoked: true, expiresAt: now + 60 })).toBe(false);
+    expect(isSessionActive(null)).toBe(false);
+  });
+
+  test('logging out everywhere can keep the current session', async () => {
+    const current = await createSession('user-1');
+    const other = await createSession('user-1');
+    const someoneElse = await createSession('user-2');
+
+    const revoked = await revokeUserSessions('user-1', 'password_changed', { exceptSessionId: current.sessionId });
+
+    expect(revoked).toBe(1);
+    expect(isSessionActive(await getSession(current.sessionId))).toBe(true);
+    expect(await getSession(other.sessionId)).toMatchObject({ revoked: true, revokedReason: 'password_changed' });
+    expect(isSessionActive(await getSession(someoneElse.sessionId))).toBe(true);
+  });
+});
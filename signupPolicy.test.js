@@ -0,0 +1,53 @@
+const {
+  SIGNUP_REPLACE_COOLDOWN_MINUTES,
+  SIGNUP_ACTIONS,
+  planSignup,
+  genericSignupBody,
+} = require('./utils/signupPolicy');
+
+const NOW = Date.parse('2024-06-01T12:00:00Z');
+const minutesAgo = (minutes) => new Date(NOW - minutes * 60 * 1000).toISOString();
+
+describe('signupPolicy', () => {
+  test('new emails are created', () => {
+    expect(planSignup(null, NOW)).toEqual({ action: SIGNUP_ACTIONS.CREATE });
+  });
+
+  test('verified accounts are never replaced, only notified', () => {
+    const user = { userId: 'u1', isEmailVerified: true, createdAt: minutesAgo(10000) };
+
+    expect(planSignup(user, NOW).action).toBe(SIGNUP_ACTIONS.NOTIFY_EXISTING);
+    expect(planSignup({ ...user, lastAccountExistsNoticeAt: minutesAgo(5) }, NOW))
+      .toEqual({ action: SIGNUP_ACTIONS.IGNORE, reason: 'NOTICE_THROTTLED' });
+    expect(planSignup({ ...user, lastAccountExistsNoticeAt: minutesAgo(20) }, NOW).action)
+      .toBe(SIGNUP_ACTIONS.NOTIFY_EXISTING);
+  });
+
+  test('unverified accounts can be replaced once the cooldown has passed', () => {
+    const user = { userId: 'u1', isEmailVerified: false, createdAt: minutesAgo(SIGNUP_REPLACE_COOLDOWN_MINUTES - 1) };
+
+    expect(planSignup(user, NOW)).toEqual({ action: SIGNUP_ACTIONS.IGNORE, reason: 'COOLDOWN' });
+    expect(planSignup({ ...user, createdAt: minutesAgo(SIGNUP_REPLACE_COOLDOWN_MINUTES) }, NOW).action)
+      .toBe(SIGNUP_ACTIONS.REPLACE_PENDING);
+  });
+
+  test('the cooldown restarts with every replacing signup', () => {
+    const user = {
+      userId: 'u1',
+      isEmailVerified: false,
+      createdAt: minutesAgo(SIGNUP_REPLACE_COOLDOWN_MINUTES * 3),
+      lastSignupAt: minutesAgo(1),
+    };
+
+    expect(planSignup(user, NOW).reason).toBe('COOLDOWN');
+  });
+
+  test('deleted and invited accounts are left alone', () => {
+    expect(planSignup({ userId: 'u1', isEmailVerified: true, deletedAt: minutesAgo(1) }, NOW).reason).toBe('DELETED');
+    expect(planSignup({ userId: 'u1', invitationStatus: 'pending', createdAt: minutesAgo(10000) }, NOW).reason).toBe('INVITED');
+  });
+
+  test('the response does not depend on the account', () => {
+    expect(Object.keys(genericSignupBody('a@example.com'))).toEqual(['message', 'email']);
+  });
+});
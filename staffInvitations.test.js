@@ -0,0 +1,70 @@
+const crypto = require('crypto');
+
+const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+process.env.JWT_SIGNING_KEYS = JSON.stringify([
+  { kid: 'test-key', privateKey: privateKey.export({ type: 'pkcs8', format: 'pem' }) },
+]);
+
+const {
+  INVITATION_STATUS,
+  getInvitationStatus,
+  hasUnacceptedInvitation,
+  canReinvite,
+  newInvitationFields,
+  signInvitationToken,
+  verifyInvitationToken,
+  toInvitationSummary,
+} = require('./utils/staffInvitations');
+
+const invitedUser = (overrides = {}) => ({
+  userId: 'u1',
+  email: 'staff@example.com',
+  role: 'receptionist',
+  ...newInvitationFields(),
+  ...overrides,
+});
+
+describe('staffInvitations', () => {
+  test('pending invitations read as expired once past their expiry', () => {
+    const user = invitedUser();
+    const expiresAt = new Date(user.invitationExpiresAt).getTime();
+
+    expect(getInvitationStatus(user, expiresAt - 1000)).toBe(INVITATION_STATUS.PENDING);
+    expect(getInvitationStatus(user, expiresAt)).toBe(INVITATION_STATUS.EXPIRED);
+    expect(getInvitationStatus({ userId: 'patient' })).toBeNull();
+  });
+
+  test('only accepted invitations allow sign-in', () => {
+    expect(hasUnacceptedInvitation(invitedUser())).toBe(true);
+    expect(hasUnacceptedInvitation(invitedUser({ invitationStatus: 'revoked' }))).toBe(true);
+    expect(hasUnacceptedInvitation(invitedUser({ invitationStatus: 'accepted' }))).toBe(false);
+    expect(hasUnacceptedInvitation({ userId: 'patient' })).toBe(false);
+  });
+
+  test('revoked and expired invitations can be sent again', () => {
+    expect(canReinvite(invitedUser())).toBe(false);
+    expect(canReinvite(invitedUser({ invitationStatus: 'revoked' }))).toBe(true);
+    expect(canReinvite(invitedUser({ invitationExpiresAt: new Date(Date.now() - 1000).toISOString() }))).toBe(true);
+    expect(canReinvite(invitedUser({ invitationStatus: 'accepted' }))).toBe(false);
+    expect(canReinvite({ userId: 'patient' })).toBe(false);
+  });
+
+  test('invite tokens name the user and the current invitation', () => {
+    const user = invitedUser();
+    const token = signInvitationToken(user);
+
+    expect(verifyInvitationToken(token)).toEqual({ userId: 'u1', invitationId: user.invitationId });
+    expect(verifyInvitationToken(`${token}x`)).toBeNull();
+    expect(verifyInvitationToken('not-a-token')).toBeNull();
+  });
+
+  test('resending issues a new invitation ID and resets the attempt counter', () => {
+    expect(newInvitationFields().invitationId).not.toBe(newInvitationFields().invitationId);
+    expect(newInvitationFields().invitationAttempts).toBe(0);
+  });
+
+  test('summaries say why an invitation was revoked', () => {
+    const summary = toInvitationSummary(invitedUser({ invitationStatus: 'revoked', invitationRevokedReason: 'too_many_attempts' }));
+    expect(summary).toMatchObject({ status: 'revoked', revokedReason: 'too_many_attempts' });
+  });
+});
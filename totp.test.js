@@ -0,0 +1,67 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTOTP,
+  verifyTOTP,
+  buildProvisioningURI,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  findRecoveryCode,
+} = require("./utils/totp");
+
+// RFC 6238 Appendix B uses the ASCII secret "12345678901234567890" (SHA-1)
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"));
+
+describe("base32", () => {
+  test("round-trips arbitrary bytes", () => {
+    const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253, 254, 255]);
+    expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+  });
+
+  test("generates secrets from the base32 alphabet", () => {
+    expect(generateSecret()).toMatch(/^[A-Z2-7]{32}$/);
+  });
+});
+
+describe("TOTP", () => {
+  test.each([
+    [59, "287082"],
+    [1111111109, "081804"],
+    [1234567890, "005924"],
+    [2000000000, "279037"],
+  ])("matches the RFC 6238 vector at T=%i", (seconds, expected) => {
+    expect(generateTOTP(RFC_SECRET, seconds * 1000)).toBe(expected);
+  });
+
+  test("accepts codes within the drift window and returns their step", () => {
+    const time = 1111111109 * 1000;
+    const previous = generateTOTP(RFC_SECRET, time - 30000);
+    expect(verifyTOTP(RFC_SECRET, previous, { time })).toBe(Math.floor(time / 30000) - 1);
+  });
+
+  test("rejects codes outside the window and malformed input", () => {
+    const time = 1111111109 * 1000;
+    expect(verifyTOTP(RFC_SECRET, generateTOTP(RFC_SECRET, time - 90000), { time })).toBeNull();
+    expect(verifyTOTP(RFC_SECRET, "12345", { time })).toBeNull();
+    expect(verifyTOTP(RFC_SECRET, "abcdef", { time })).toBeNull();
+  });
+
+  test("builds an otpauth provisioning URI", () => {
+    const uri = buildProvisioningURI("JBSWY3DPEHPK3PXP", "patient@example.com", "MyVision");
+    expect(uri).toBe(
+      "otpauth://totp/MyVision%3Apatient%40example.com?secret=JBSWY3DPEHPK3PXP&issuer=MyVision&algorithm=SHA1&digits=6&period=30"
+    );
+  });
+});
+
+describe("recovery codes", () => {
+  test("are found by their salted hash regardless of formatting", () => {
+    const codes = generateRecoveryCodes();
+    const hashed = codes.map(hashRecoveryCode);
+
+    expect(codes).toHaveLength(10);
+    expect(findRecoveryCode(codes[3].toLowerCase().replace("-", ""), hashed)).toBe(3);
+    expect(findRecoveryCode("AAAAA-AAAAA", hashed)).toBe(-1);
+  });
+});
@@ -0,0 +1,84 @@
+const mockDynamo = {
+  put: jest.fn(),
+  get: jest.fn(),
+};
+jest.mock('aws-sdk', () => ({
+  DynamoDB: { DocumentClient: jest.fn(() => mockDynamo) },
+}));
+
+process.env.JWT_SECRET = 'trusted-devices-test-secret';
+
+const { getDeviceTokenFromEvent, buildDeviceCookie, trustDevice, findTrustedDevice } = require('./utils/trustedDevices');
+
+const resolved = (value = {}) => ({ promise: async () => value });
+
+describe('trustedDevices', () => {
+  // Items written by trustDevice, served back by get
+  let stored;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    stored = new Map();
+    mockDynamo.put.mockImplementation(({ Item }) => {
+      stored.set(Item.deviceId, Item);
+      return resolved();
+    });
+    mockDynamo.get.mockImplementation(({ Key }) => resolved({ Item: stored.get(Key.deviceId) }));
+  });
+
+  const trust = () => trustDevice('user-1', { device: { browser: 'Firefox', os: 'Linux' }, ip: '203.0.113.10' });
+
+  test('a device token finds the device it was issued for', async () => {
+    const { deviceId, deviceToken } = await trust();
+
+    const trustedDevice = await findTrustedDevice('user-1', deviceToken);
+
+    expect(trustedDevice).toMatchObject({ deviceId, userId: 'user-1', name: 'Firefox on Linux' });
+  });
+
+  test("another user's device token is rejected", async () => {
+    const { deviceToken } = await trust();
+
+    expect(await findTrustedDevice('user-2', deviceToken)).toBeNull();
+    expect(mockDynamo.get).not.toHaveBeenCalled();
+  });
+
+  test('a forged signature is rejected', async () => {
+    const { deviceId, deviceToken } = await trust();
+    const signature = deviceToken.slice(deviceId.length + 1);
+    const forged = `${deviceId}.${signature.slice(0, -1)}${signature.endsWith('A') ? 'B' : 'A'}`;
+
+    expect(await findTrustedDevice('user-1', forged)).toBeNull();
+    expect(await findTrustedDevice('user-1', `${deviceId}.short`)).toBeNull();
+    expect(await findTrustedDevice('user-1', deviceId)).toBeNull();
+    expect(mockDynamo.get).not.toHaveBeenCalled();
+  });
+
+  test('expired and revoked devices are not trusted', async () => {
+    const { deviceId, deviceToken } = await trust();
+
+    stored.get(deviceId).expiresAt = Math.floor(Date.now() / 1000) - 1;
+    expect(await findTrustedDevice('user-1', deviceToken)).toBeNull();
+
+    stored.delete(deviceId);
+    expect(await findTrustedDevice('user-1', deviceToken)).toBeNull();
+  });
+
+  test('reads the device token from the body, then the cookie', () => {
+    const cookieEvent = { headers: { cookie: 'theme=dark; myvision_device=device-1.sig==; lang=en' } };
+
+    expect(getDeviceTokenFromEvent(cookieEvent)).toBe('device-1.sig==');
+    expect(getDeviceTokenFromEvent(cookieEvent, { deviceToken: 'device-2.sig' })).toBe('device-2.sig');
+    // HTTP API payload v2 passes cookies as an array
+    expect(getDeviceTokenFromEvent({ cookies: ['myvision_device=device-3.sig'] })).toBe('device-3.sig');
+    expect(getDeviceTokenFromEvent({ headers: { Cookie: 'other=1' } })).toBeNull();
+    expect(getDeviceTokenFromEvent({})).toBeNull();
+  });
+
+  test('the device cookie is HttpOnly and scoped to the site', () => {
+    const cookie = buildDeviceCookie('device-1.sig');
+
+    expect(cookie).toMatch(/^myvision_device=device-1\.sig; Max-Age=2592000;/);
+    expect(cookie).toContain('HttpOnly; Secure; SameSite=Strict');
+  });
+});
@@ -0,0 +1,60 @@
+const { toPublicProfile, validateProfileUpdate } = require('./utils/userProfile');
+
+describe('userProfile', () => {
+  test('only whitelisted fields are serialized', () => {
+    const profile = toPublicProfile({
+      userId: 'u1',
+      email: 'patient@example.com',
+      name: 'Asha',
+      passwordHash: 'hash',
+      hashedPassword: 'hash',
+      otpHash: 'salt:hash',
+      loginAttempts: ['2025-01-01T00:00:00Z'],
+      pendingSessionData: '{}',
+      totpSecret: 'SECRET',
+    });
+
+    expect(profile).toEqual({ userId: 'u1', email: 'patient@example.com', name: 'Asha' });
+  });
+
+  test('accepts valid editable fields and trims strings', () => {
+    const { updates, removals, errors } = validateProfileUpdate({
+      name: '  Asha Rao ',
+      phone: '+91 98765 43210',
+      dateOfBirth: '1990-05-17',
+      preferredLanguage: 'en-IN',
+      timezone: 'Asia/Kolkata',
+      communicationPreferences: { channels: ['email', 'sms'], marketing: false },
+    });
+
+    expect(errors).toEqual({});
+    expect(removals).toEqual([]);
+    expect(updates.name).toBe('Asha Rao');
+    expect(updates.communicationPreferences).toEqual({ channels: ['email', 'sms'], marketing: false });
+  });
+
+  test('null clears optional fields but not the name', () => {
+    const { removals, errors } = validateProfileUpdate({ phone: null, name: null });
+
+    expect(removals).toEqual(['phone']);
+    expect(errors.name).toBeDefined();
+  });
+
+  test('rejects invalid values and fields that are not editable', () => {
+    const { errors } = validateProfileUpdate({
+      phone: '12',
+      dateOfBirth: '2020-02-31',
+      preferredLanguage: 'english',
+      timezone: 'Mars/Olympus_Mons',
+      communicationPreferences: { fax: true },
+      role: 'admin',
+    });
+
+    expect(Object.keys(errors).sort()).toEqual(['communicationPreferences', 'dateOfBirth', 'phone', 'preferredLanguage', 'role', 'timezone']);
+  });
+
+  test('rejects future birth dates and empty updates', () => {
+    expect(validateProfileUpdate({ dateOfBirth: '2999-01-01' }).errors.dateOfBirth).toBeDefined();
+    expect(validateProfileUpdate({}).errors.body).toBeDefined();
+  });
+});
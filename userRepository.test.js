@@ -0,0 +1,115 @@
+// In-memory users table: transactWrite checks every condition before applying
+// anything, like DynamoDB, for the conditions userRepository uses
+const mockItems = new Map();
+
+jest.mock('aws-sdk', () => {
+  const resolved = (run) => ({ promise: async () => run() });
+  const canceled = () => Object.assign(new Error('Transaction cancelled'), { code: 'TransactionCanceledException' });
+
+  const conditionHolds = (condition, existing, values = {}) => {
+    if (!condition) return true;
+    if (condition === 'attribute_not_exists(userId)') return !existing;
+    if (condition === 'attribute_not_exists(userId) OR ownerUserId = :userId') {
+      return !existing || existing.ownerUserId === values[':userId'];
+    }
+    if (condition === 'normalizedEmail = :current') return !!existing && existing.normalizedEmail === values[':current'];
+    throw new Error(`Unexpected condition ${condition}`);
+  };
+
+  const client = {
+    get: ({ Key }) => resolved(() => ({ Item: mockItems.get(Key.userId) })),
+    query: ({ ExpressionAttributeValues }) => resolved(() => ({
+      Items: [...mockItems.values()].filter((item) => item.normalizedEmail === ExpressionAttributeValues[':email']),
+    })),
+    transactWrite: ({ TransactItems }) => resolved(() => {
+      const writes = TransactItems.map((entry) => {
+        const [kind, params] = Object.entries(entry)[0];
+        const userId = kind === 'Put' ? params.Item.userId : params.Key.userId;
+        return { kind, params, userId };
+      });
+
+      if (!writes.every(({ params, userId }) => conditionHolds(params.ConditionExpression, mockItems.get(userId), params.ExpressionAttributeValues))) {
+        throw canceled();
+      }
+
+      writes.forEach(({ kind, params, userId }) => {
+        if (kind === 'Put') mockItems.set(userId, { ...params.Item });
+        if (kind === 'Delete') mockItems.delete(userId);
+        if (kind === 'Update') {
+          const values = params.ExpressionAttributeValues;
+          Object.assign(mockItems.get(userId), { email: values[':email'], normalizedEmail: values[':normalized'] });
+        }
+      });
+      return {};
+    }),
+  };
+  return { DynamoDB: { DocumentClient: jest.fn(() => client) } };
+});
+
+const { emailLockKey, getUserById, getUserByEmail, createUser, changeUserEmail, deleteUser } = require('./utils/userRepository');
+
+const newUser = (overrides = {}) => ({ userId: 'user-1', email: 'Patient@Example.com', role: 'patient', ...overrides });
+
+describe('userRepository', () => {
+  beforeEach(() => {
+    mockItems.clear();
+  });
+
+  test('creating a user claims the EMAIL# lock', async () => {
+    await createUser(newUser());
+
+    expect(mockItems.get(emailLockKey('patient@example.com'))).toMatchObject({ entityType: 'emailLock', ownerUserId: 'user-1' });
+    expect(await getUserByEmail(' PATIENT@example.com ')).toMatchObject({ userId: 'user-1', normalizedEmail: 'patient@example.com' });
+  });
+
+  test("marker items aren't users", async () => {
+    await createUser(newUser());
+    mockItems.set('legacy-marker', { userId: 'legacy-marker', entityType: 'pendingLoginSession', ownerUserId: 'user-1' });
+
+    expect(await getUserById(emailLockKey('patient@example.com'))).toBeNull();
+    expect(await getUserById('LOGIN_SESSION#session-1')).toBeNull();
+    expect(await getUserById('legacy-marker')).toBeNull();
+    expect(await getUserById('user-1')).toMatchObject({ userId: 'user-1' });
+  });
+
+  test('a second account with the same email is refused', async () => {
+    await createUser(newUser());
+
+    await expect(createUser(newUser({ userId: 'user-2', email: 'patient@EXAMPLE.com' })))
+      .rejects.toMatchObject({ code: 'EmailAlreadyExistsException' });
+    expect(mockItems.has('user-2')).toBe(false);
+  });
+
+  test('changing email moves the lock', async () => {
+    await createUser(newUser());
+
+    await changeUserEmail('user-1', 'patient@example.com', 'New@Example.com ');
+
+    expect(mockItems.has(emailLockKey('patient@example.com'))).toBe(false);
+    expect(mockItems.get(emailLockKey('new@example.com')).ownerUserId).toBe('user-1');
+    expect(mockItems.get('user-1')).toMatchObject({ email: 'New@Example.com', normalizedEmail: 'new@example.com' });
+    // The old address is free again
+    await createUser(newUser({ userId: 'user-2', email: 'patient@example.com' }));
+  });
+
+  test("can't change to an email another account holds", async () => {
+    await createUser(newUser());
+    await createUser(newUser({ userId: 'user-2', email: 'taken@example.com' }));
+
+    await expect(changeUserEmail('user-1', 'patient@example.com', 'taken@example.com'))
+      .rejects.toMatchObject({ code: 'EmailAlreadyExistsException' });
+    expect(mockItems.get('user-1').email).toBe('Patient@Example.com');
+    expect(mockItems.get(emailLockKey('patient@example.com')).ownerUserId).toBe('user-1');
+  });
+
+  test("deleting a user releases their email but not someone else's lock", async () => {
+    await createUser(newUser());
+
+    await deleteUser({ userId: 'user-1', email: 'patient@example.com' });
+    expect(mockItems.size).toBe(0);
+
+    await createUser(newUser({ userId: 'user-2' }));
+    await expect(deleteUser({ userId: 'user-1', email: 'patient@example.com' })).rejects.toMatchObject({ code: 'TransactionCanceledException' });
+    expect(mockItems.get(emailLockKey('patient@example.com')).ownerUserId).toBe('user-2');
+  });
+});
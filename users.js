@@ -1,4 +1,5 @@
 const { getUserByEmail } = require('../models/user');
+const { toPublicProfile } = require('../utils/userProfile');
 
 const jsonResponse = (statusCode, payload) => ({
     statusCode,
@@ -24,9 +25,7 @@ exports.getUserDetails = async (event) => {
             return jsonResponse(404, { message: 'User not found' });
         }
 
-        const { hashedPassword, ...safeUser } = user;
-
-        return jsonResponse(200, safeUser);
+        return jsonResponse(200, toPublicProfile(user));
     } catch (error) {
         console.error('Failed to fetch user', error);
         return jsonResponse(500, { message: 'Unable to fetch user profile' });
@@ -0,0 +1,134 @@
+const AWS = require('aws-sdk');
+const JSZip = require('jszip');
+
+const s3 = new AWS.S3();
+
+const UPLOADS_BUCKET = process.env.UPLOADS_BUCKET || 'myvision-uploads';
+const EXPORT_URL_TTL_SECONDS = 15 * 60;
+
+/**
+ * Prefix holding finished export bundles for a user
+ * Kept outside `${userId}/` so exports don't end up inside later exports.
+ */
+const exportPrefix = (userId) => `exports/${userId}/`;
+
+/**
+ * List every object under a prefix in the uploads bucket
+ */
+const listObjects = async (prefix) => {
+  const objects = [];
+  let continuationToken;
+
+  do {
+    const result = await s3.listObjectsV2({
+      Bucket: UPLOADS_BUCKET,
+      Prefix: prefix,
+      ContinuationToken: continuationToken
+    }).promise();
+
+    objects.push(...(result.Contents || []));
+    continuationToken = result.IsTruncated ? result.NextContinuationToken : undefined;
+  } while (continuationToken);
+
+  return objects;
+};
+
+/**
+ * Login history section of an export
+ */
+const buildLoginHistory = (user) => ({
+  lastLoginTime: user.lastLoginTime || null,
+  lastLoginIP: user.lastLoginIP || null,
+  lastLoginLocation: user.lastLoginLocation || null,
+  lastLoginDevice: user.lastLoginDevice || null,
+  loginHistory: user.loginHistory || [],
+  loginTimes: user.loginTimes || [],
+});
+
+/**
+ * Export as JSON: profile, login history and the list of uploads
+ * with short-lived download links
+ */
+const buildJsonExport = async (userId, profile, user) => {
+  const objects = await listObjects(`${userId}/`);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile,
+    loginHistory: buildLoginHistory(user),
+    uploads: objects.map((object) => ({
+      key: object.Key,
+      size: object.Size,
+      lastModified: object.LastModified,
+      url: s3.getSignedUrl('getObject', { Bucket: UPLOADS_BUCKET, Key: object.Key, Expires: EXPORT_URL_TTL_SECONDS })
+    })),
+  };
+};
+
+/**
+ * Export as ZIP: profile.json, login-history.json and every upload under
+ * uploads/. The bundle is too large to return from Lambda, so it is stored
+ * in the bucket and a signed download URL is returned.
+ */
+const buildZipExport = async (userId, profile, user) => {
+  const zip = new JSZip();
+  const exportedAt = new Date().toISOString();
+
+  zip.file('profile.json', JSON.stringify(profile, null, 2));
+  zip.file('login-history.json', JSON.stringify(buildLoginHistory(user), null, 2));
+
+  const objects = await listObjects(`${userId}/`);
+  for (const object of objects) {
+    const file = await s3.getObject({ Bucket: UPLOADS_BUCKET, Key: object.Key }).promise();
+    zip.file(`uploads/${object.Key.slice(userId.length + 1)}`, file.Body);
+  }
+
+  const body = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+  const key = `${exportPrefix(userId)}${exportedAt.replace(/[:.]/g, '-')}.zip`;
+
+  await s3.putObject({
+    Bucket: UPLOADS_BUCKET,
+    Key: key,
+    Body: body,
+    ContentType: 'application/zip',
+    ServerSideEncryption: 'AES256'
+  }).promise();
+
+  return {
+    exportedAt,
+    fileCount: objects.length,
+    size: body.length,
+    url: s3.getSignedUrl('getObject', { Bucket: UPLOADS_BUCKET, Key: key, Expires: EXPORT_URL_TTL_SECONDS }),
+    expiresIn: EXPORT_URL_TTL_SECONDS,
+  };
+};
+
+/**
+ * Delete every upload and export bundle belonging to a user
+ * Returns the number of objects removed.
+ */
+const purgeUserObjects = async (userId) => {
+  const objects = [
+    ...(await listObjects(`${userId}/`)),
+    ...(await listObjects(exportPrefix(userId))),
+  ];
+
+  // deleteObjects takes at most 1000 keys per call
+  for (let i = 0; i < objects.length; i += 1000) {
+    await s3.deleteObjects({
+      Bucket: UPLOADS_BUCKET,
+      Delete: {
+        Objects: objects.slice(i, i + 1000).map((object) => ({ Key: object.Key })),
+        Quiet: true
+      }
+    }).promise();
+  }
+
+  return objects.length;
+};
+
+module.exports = {
+  buildJsonExport,
+  buildZipExport,
+  purgeUserObjects,
+};
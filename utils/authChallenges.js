@@ -0,0 +1,71 @@
+const AWS = require('aws-sdk');
+const { v4: uuidv4 } = require('uuid');
+
+const dynamo = new AWS.DynamoDB.DocumentClient();
+
+const AUTH_CHALLENGES_TABLE = process.env.AUTH_CHALLENGES_TABLE || 'myvision-auth-challenges';
+
+/**
+ * Store a short-lived, single-use challenge (WebAuthn ceremonies, emailed links, ...)
+ *
+ * @param {string} type - What the challenge is for, e.g. 'passkey_registration'
+ * @param {object} data - Payload to hand back when the challenge is consumed
+ * @param {number} ttlSeconds - Lifetime of the challenge
+ * @returns {string} - The challenge ID
+ */
+const saveChallenge = async (type, data = {}, ttlSeconds = 300) => {
+  const challengeId = uuidv4();
+  const now = Date.now();
+
+  await dynamo.put({
+    TableName: AUTH_CHALLENGES_TABLE,
+    Item: {
+      challengeId,
+      type,
+      ...data,
+      createdAt: new Date(now).toISOString(),
+      // DynamoDB TTL attribute (epoch seconds)
+      expiresAt: Math.floor(now / 1000) + ttlSeconds
+    },
+    ConditionExpression: 'attribute_not_exists(challengeId)'
+  }).promise();
+
+  return challengeId;
+};
+
+/**
+ * Atomically delete a challenge and return it
+ * Returns null if it doesn't exist, has a different type, was already used or has expired
+ */
+const consumeChallenge = async (challengeId, type) => {
+  if (!challengeId) return null;
+
+  try {
+    const result = await dynamo.delete({
+      TableName: AUTH_CHALLENGES_TABLE,
+      Key: { challengeId },
+      ConditionExpression: '#type = :type',
+      ExpressionAttributeNames: { '#type': 'type' },
+      ExpressionAttributeValues: { ':type': type },
+      ReturnValues: 'ALL_OLD'
+    }).promise();
+
+    const challenge = result.Attributes;
+    // TTL deletion is lazy, so expired items can still be around
+    if (!challenge || challenge.expiresAt <= Math.floor(Date.now() / 1000)) {
+      return null;
+    }
+
+    return challenge;
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  saveChallenge,
+  consumeChallenge,
+};
@@ -0,0 +1,171 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Local verification of Cognito ID and access tokens
+ *
+ * Tokens are checked against the user pool's JWKS (fetched once and cached)
+ * instead of calling Cognito on every request: signature, issuer, expiry,
+ * token_use and the app client (aud for ID tokens, client_id for access
+ * tokens).
+ */
+
+const JWKS_CACHE_TTL_MS = 60 * 60 * 1000;
+// Unknown kids trigger a refetch (key rotation), but not more often than this
+const JWKS_MIN_REFETCH_MS = 60 * 1000;
+const TOKEN_USES = ['id', 'access'];
+
+/**
+ * Issuer URL of a user pool; the region is the pool ID prefix
+ */
+const getIssuer = (userPoolId, region) => {
+  const poolRegion = region || String(userPoolId).split('_')[0];
+  return `https://cognito-idp.${poolRegion}.amazonaws.com/${userPoolId}`;
+};
+
+/**
+ * Download a JWKS document
+ */
+const fetchJwksFromUrl = async (url) => {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`JWKS request failed with status ${response.status}`);
+  }
+  return response.json();
+};
+
+const invalid = (message) => ({ success: false, error: 'INVALID_TOKEN', message });
+
+/**
+ * Create a verifier for one user pool and app client
+ *
+ * @param {object} options
+ * @param {string} options.userPoolId - e.g. us-east-1_AbCdEf
+ * @param {string|string[]} options.clientId - App client ID(s) tokens must be issued to
+ * @param {function} [options.fetchJwks] - (url) => JWKS; defaults to an HTTPS fetch
+ */
+const createCognitoJwtVerifier = ({ userPoolId, clientId, region, fetchJwks = fetchJwksFromUrl }) => {
+  const issuer = getIssuer(userPoolId, region);
+  const jwksUrl = `${issuer}/.well-known/jwks.json`;
+  const clientIds = [].concat(clientId || []);
+
+  let keys = new Map();
+  let fetchedAt = 0;
+  let pendingFetch = null;
+
+  const refreshKeys = async () => {
+    if (!pendingFetch) {
+      pendingFetch = (async () => {
+        try {
+          const jwks = await fetchJwks(jwksUrl);
+          keys = new Map((jwks.keys || [])
+            .filter((jwk) => jwk.kty === 'RSA' && jwk.kid)
+            .map((jwk) => [
+              jwk.kid,
+              crypto.createPublicKey({ key: jwk, format: 'jwk' }).export({ type: 'spki', format: 'pem' })
+            ]));
+          fetchedAt = Date.now();
+        } finally {
+          pendingFetch = null;
+        }
+      })();
+    }
+    return pendingFetch;
+  };
+
+  const getKey = async (kid) => {
+    const age = Date.now() - fetchedAt;
+    if (!fetchedAt || age > JWKS_CACHE_TTL_MS || (!keys.has(kid) && age > JWKS_MIN_REFETCH_MS)) {
+      await refreshKeys();
+    }
+    return keys.get(kid) || null;
+  };
+
+  /**
+   * Whether a token claims to come from this user pool (not verified)
+   */
+  const isCognitoToken = (token) => {
+    const decoded = jwt.decode(token);
+    return !!decoded && decoded.iss === issuer;
+  };
+
+  /**
+   * Verify an ID or access token
+   * Returns { success, claims } or { success: false, error, message }
+   */
+  const verify = async (token, { tokenUse = TOKEN_USES } = {}) => {
+    if (!userPoolId || !clientIds.length) {
+      return { success: false, error: 'CONFIG_ERROR', message: 'Cognito is not configured.' };
+    }
+
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded || !decoded.header || decoded.header.alg !== 'RS256' || !decoded.header.kid) {
+      return invalid('Token is malformed.');
+    }
+
+    let key;
+    try {
+      key = await getKey(decoded.header.kid);
+    } catch (error) {
+      console.error('❌ JWKS fetch failed:', error.message);
+      return { success: false, error: 'JWKS_UNAVAILABLE', message: 'Unable to verify token right now.' };
+    }
+    if (!key) {
+      return invalid('Token was signed with an unknown key.');
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(token, key, { algorithms: ['RS256'], issuer });
+    } catch (error) {
+      return invalid(error.name === 'TokenExpiredError' ? 'Token has expired.' : 'Invalid token.');
+    }
+
+    const allowedUses = [].concat(tokenUse);
+    if (!allowedUses.includes(claims.token_use)) {
+      return invalid(`Token use must be one of: ${allowedUses.join(', ')}.`);
+    }
+
+    // ID tokens name the app client in aud, access tokens in client_id
+    const audience = claims.token_use === 'id' ? claims.aud : claims.client_id;
+    if (!clientIds.includes(audience)) {
+      return invalid('Token was issued to a different app client.');
+    }
+
+    return {
+      success: true,
+      claims: {
+        sub: claims.sub,
+        email: claims.email || null,
+        emailVerified: claims.email_verified === true || claims.email_verified === 'true',
+        username: claims['cognito:username'] || claims.username || claims.sub,
+        groups: claims['cognito:groups'] || [],
+        tokenUse: claims.token_use,
+        expiresAt: claims.exp
+      }
+    };
+  };
+
+  return { issuer, isCognitoToken, verify };
+};
+
+let defaultVerifier = null;
+
+/**
+ * Verifier for the user pool configured in the environment
+ */
+const getCognitoJwtVerifier = () => {
+  if (!defaultVerifier) {
+    defaultVerifier = createCognitoJwtVerifier({
+      userPoolId: process.env.COGNITO_USER_POOL_ID,
+      clientId: process.env.COGNITO_CLIENT_ID
+    });
+  }
+  return defaultVerifier;
+};
+
+module.exports = {
+  getIssuer,
+  createCognitoJwtVerifier,
+  getCognitoJwtVerifier,
+};
@@ -0,0 +1,87 @@
+const { hasUnacceptedInvitation } = require('./staffInvitations');
+
+/**
+ * Moving DynamoDB users into the Cognito user pool
+ *
+ * Users are migrated either lazily by the UserMigration trigger on their
+ * first Cognito sign-in, or ahead of time by migrate-users.js. Passwords
+ * are never reset: both paths check the password against the bcrypt
+ * passwordHash we already have.
+ */
+
+const TRIGGER_SOURCES = {
+  AUTHENTICATION: 'UserMigration_Authentication',
+  FORGOT_PASSWORD: 'UserMigration_ForgotPassword',
+};
+
+/**
+ * Why a user can't be migrated, or null if they can
+ */
+const getMigrationBlocker = (user) => {
+  if (!user) return 'NOT_FOUND';
+  if (!user.email) return 'NO_EMAIL';
+  if (user.deletedAt) return 'DELETED';
+  // Invited staff set their password through the invitation link first
+  if (hasUnacceptedInvitation(user)) return 'INVITED';
+  if (user.lockedAt) return 'LOCKED';
+  if (!user.passwordHash) return 'NO_PASSWORD';
+  return null;
+};
+
+/**
+ * What migrate-users.js should do with a user
+ * Returns { action: 'create', passwordPending } or { action: 'skip', reason }.
+ * Users without a password are created anyway and set one with a reset.
+ */
+const planUserMigration = (user) => {
+  if (user && user.cognitoMigratedAt) {
+    return { action: 'skip', reason: 'ALREADY_MIGRATED' };
+  }
+
+  const blocker = getMigrationBlocker(user);
+  if (blocker && blocker !== 'NO_PASSWORD') {
+    return { action: 'skip', reason: blocker };
+  }
+
+  return { action: 'create', passwordPending: !blocker };
+};
+
+/**
+ * Cognito attributes for a user (string values, as Cognito expects)
+ */
+const toCognitoAttributes = (user) => {
+  const attributes = {
+    email: user.email,
+    email_verified: user.isEmailVerified ? 'true' : 'false',
+  };
+  if (user.name) {
+    attributes.name = user.name;
+  }
+  return attributes;
+};
+
+/**
+ * Attribute map -> [{ Name, Value }] for AdminCreateUser
+ */
+const toAttributeList = (attributes) => {
+  return Object.entries(attributes).map(([Name, Value]) => ({ Name, Value }));
+};
+
+/**
+ * Response for a UserMigration trigger event
+ * The user is created as confirmed and Cognito sends no welcome message.
+ */
+const buildMigrationResponse = (user) => ({
+  userAttributes: toCognitoAttributes(user),
+  finalUserStatus: 'CONFIRMED',
+  messageAction: 'SUPPRESS',
+});
+
+module.exports = {
+  TRIGGER_SOURCES,
+  getMigrationBlocker,
+  planUserMigration,
+  toCognitoAttributes,
+  toAttributeList,
+  buildMigrationResponse,
+};
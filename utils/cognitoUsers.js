@@ -0,0 +1,63 @@
+const { v4: uuidv4 } = require('uuid');
+const { getUserByEmail, createUser } = require('./userRepository');
+const { getCognitoRole } = require('./permissions');
+const { getUserAttributes } = require('./cognitoAuth');
+
+/**
+ * DynamoDB user records for Cognito-issued tokens
+ *
+ * With AUTH_PROVIDER=cognito clients hold Cognito tokens, but profiles,
+ * MFA, passkeys and uploads still live on the DynamoDB user record. A
+ * Cognito user is matched to that record by email; users who signed up
+ * through Cognito get one the first time they use it.
+ */
+
+/**
+ * Verified email of a Cognito user, or null
+ * ID tokens carry it; for access tokens Cognito is asked. The username is
+ * never used: anyone can sign up with someone else's address as their
+ * username while verifying an email of their own.
+ */
+const getCognitoEmail = async (claims, token) => {
+  if (claims.email) return claims.emailVerified ? claims.email : null;
+
+  const result = await getUserAttributes(token);
+  return result.success && result.user.emailVerified ? result.user.email : null;
+};
+
+/**
+ * DynamoDB user for verified Cognito token claims, created on first use
+ * Returns null when the token doesn't lead to a verified email.
+ */
+const findOrCreateCognitoUser = async (claims, token) => {
+  const email = await getCognitoEmail(claims, token);
+  if (!email) return null;
+
+  const existingUser = await getUserByEmail(email);
+  if (existingUser) return existingUser;
+
+  const now = new Date().toISOString();
+  try {
+    return await createUser({
+      userId: uuidv4(),
+      email,
+      isEmailVerified: true,
+      role: getCognitoRole(claims.groups),
+      cognitoSub: claims.sub,
+      cognitoMigratedAt: now,
+      createdAt: now,
+      updatedAt: now
+    });
+  } catch (error) {
+    // A concurrent request created the record first
+    if (error.code === 'EmailAlreadyExistsException') {
+      return getUserByEmail(email);
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  getCognitoEmail,
+  findOrCreateCognitoUser,
+};
@@ -0,0 +1,79 @@
+/**
+ * Impossible-travel detection
+ *
+ * Compares a login's coordinates and time with the previous login's and
+ * flags journeys that would need to be faster than any plausible travel.
+ * IP geolocation is only accurate to a city or so, so short hops are
+ * never flagged.
+ */
+
+const MAX_TRAVEL_SPEED_KMH = parseInt(process.env.IMPOSSIBLE_TRAVEL_SPEED_KMH || '900', 10);
+const MIN_TRAVEL_DISTANCE_KM = parseInt(process.env.IMPOSSIBLE_TRAVEL_MIN_DISTANCE_KM || '100', 10);
+
+/**
+ * Calculate distance between two locations (in km)
+ * Simple Haversine formula implementation
+ */
+const calculateDistance = (lat1, lon1, lat2, lon2) => {
+  const R = 6371; // Earth's radius in km
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+};
+
+const hasCoordinates = (location) => {
+  return !!location && Number.isFinite(location.lat) && Number.isFinite(location.lon);
+};
+
+/**
+ * Distance and speed from the previous login to this one
+ * Returns null when either login has no coordinates or time, otherwise
+ * { distanceKm, elapsedHours, speedKmh, impossible }. speedKmh is null
+ * when no time has passed.
+ *
+ * @param {object} previous - { location: { lat, lon }, timestamp }
+ * @param {object} current - { location: { lat, lon }, timestamp }
+ */
+const checkTravelVelocity = (previous, current) => {
+  if (!previous || !current || !hasCoordinates(previous.location) || !hasCoordinates(current.location)) {
+    return null;
+  }
+
+  const previousTime = new Date(previous.timestamp).getTime();
+  const currentTime = new Date(current.timestamp).getTime();
+  if (!Number.isFinite(previousTime) || !Number.isFinite(currentTime)) {
+    return null;
+  }
+
+  const distanceKm = calculateDistance(
+    previous.location.lat,
+    previous.location.lon,
+    current.location.lat,
+    current.location.lon
+  );
+  const elapsedHours = Math.max(currentTime - previousTime, 0) / (60 * 60 * 1000);
+  const speedKmh = elapsedHours > 0 ? distanceKm / elapsedHours : null;
+  const impossible = distanceKm >= MIN_TRAVEL_DISTANCE_KM &&
+    (speedKmh === null || speedKmh > MAX_TRAVEL_SPEED_KMH);
+
+  return {
+    distanceKm: Math.round(distanceKm),
+    elapsedHours: Math.round(elapsedHours * 100) / 100,
+    speedKmh: speedKmh === null ? null : Math.round(speedKmh),
+    impossible,
+  };
+};
+
+module.exports = {
+  MAX_TRAVEL_SPEED_KMH,
+  MIN_TRAVEL_DISTANCE_KM,
+  calculateDistance,
+  checkTravelVelocity,
+};
@@ -0,0 +1,158 @@
+const net = require('net');
+
+/**
+ * IP address and CIDR helpers (IPv4 and IPv6)
+ *
+ * Addresses are compared as BigInts, so one code path covers both
+ * versions. IPv4-mapped IPv6 addresses (::ffff:203.0.113.7) are treated
+ * as the IPv4 address they carry.
+ */
+
+const BITS = { 4: 32, 6: 128 };
+
+/**
+ * Plain address from a header value: drops ports, brackets and zone IDs
+ * Returns null if it isn't an IP address.
+ */
+const normalizeIp = (value) => {
+  if (typeof value !== 'string') return null;
+
+  let ip = value.trim();
+  const bracketed = ip.match(/^\[([^\]]+)\](?::\d+)?$/);
+  if (bracketed) {
+    ip = bracketed[1];
+  } else if (/^\d{1,3}(\.\d{1,3}){3}:\d+$/.test(ip)) {
+    ip = ip.slice(0, ip.lastIndexOf(':'));
+  }
+  ip = ip.replace(/%.*$/, '');
+
+  const mapped = ip.match(/^::ffff:(\d{1,3}(\.\d{1,3}){3})$/i);
+  if (mapped) {
+    ip = mapped[1];
+  }
+
+  return net.isIP(ip) ? ip.toLowerCase() : null;
+};
+
+const ipv4ToBigInt = (ip) => ip.split('.').reduce((value, octet) => (value << 8n) + BigInt(octet), 0n);
+
+const ipv6ToBigInt = (ip) => {
+  let address = ip;
+  // Embedded IPv4 tail, e.g. 64:ff9b::192.0.2.33
+  const ipv4Tail = address.match(/(\d{1,3}(\.\d{1,3}){3})$/);
+  if (ipv4Tail) {
+    const value = ipv4ToBigInt(ipv4Tail[1]);
+    address = `${address.slice(0, -ipv4Tail[1].length)}${(value >> 16n).toString(16)}:${(value & 0xffffn).toString(16)}`;
+  }
+
+  const [head, tail] = address.split('::');
+  const headGroups = head ? head.split(':') : [];
+  const tailGroups = tail ? tail.split(':') : [];
+  const missing = tail === undefined ? 0 : 8 - headGroups.length - tailGroups.length;
+  const groups = [...headGroups, ...Array(missing).fill('0'), ...tailGroups];
+
+  return groups.reduce((value, group) => (value << 16n) + BigInt(parseInt(group, 16)), 0n);
+};
+
+/**
+ * { version, value } for an address, or null if it isn't one
+ */
+const parseIp = (value) => {
+  const ip = normalizeIp(value);
+  if (!ip) return null;
+
+  const version = net.isIP(ip);
+  return { version, value: version === 4 ? ipv4ToBigInt(ip) : ipv6ToBigInt(ip) };
+};
+
+const maskFor = (version, prefix) => {
+  const bits = BigInt(BITS[version]);
+  const all = (1n << bits) - 1n;
+  return all ^ ((1n << (bits - BigInt(prefix))) - 1n);
+};
+
+/**
+ * { version, network, prefix } for "10.0.0.0/8", "2001:db8::/32" or a
+ * single address, or null if it isn't valid. Host bits are ignored.
+ */
+const parseCidr = (cidr) => {
+  if (typeof cidr !== 'string') return null;
+
+  const [address, prefixText, ...rest] = cidr.trim().split('/');
+  const ip = parseIp(address);
+  if (!ip || rest.length || (prefixText !== undefined && !/^\d{1,3}$/.test(prefixText))) {
+    return null;
+  }
+
+  const prefix = prefixText === undefined ? BITS[ip.version] : parseInt(prefixText, 10);
+  if (prefix > BITS[ip.version]) return null;
+
+  return { version: ip.version, network: ip.value & maskFor(ip.version, prefix), prefix };
+};
+
+/**
+ * Whether an address falls inside a parsed CIDR range
+ */
+const isIpInRange = (ip, range) => {
+  const parsed = typeof ip === 'string' ? parseIp(ip) : ip;
+  if (!parsed || !range || parsed.version !== range.version) return false;
+  return (parsed.value & maskFor(range.version, range.prefix)) === range.network;
+};
+
+/**
+ * Parsed ranges from a comma-separated list; invalid entries are skipped
+ */
+const parseCidrList = (value) => {
+  return String(value || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const range = parseCidr(entry);
+      if (!range) console.warn(`Ignoring invalid CIDR "${entry}"`);
+      return range;
+    })
+    .filter(Boolean);
+};
+
+// Proxies/load balancers in front of the API whose X-Forwarded-For entries we believe
+const TRUSTED_PROXIES = parseCidrList(process.env.TRUSTED_PROXIES);
+
+/**
+ * Client address for a request
+ * Starts at the connecting address and walks X-Forwarded-For from the
+ * right, skipping trusted proxies: the first untrusted hop is the client.
+ * With no trusted proxies only the connecting address counts, since
+ * anyone can send X-Forwarded-For.
+ *
+ * @param {object} request
+ * @param {string} [request.sourceIp] - Address that connected to us
+ * @param {string} [request.forwardedFor] - X-Forwarded-For header
+ * @param {object[]} [trustedProxies] - Parsed ranges, from TRUSTED_PROXIES by default
+ */
+const resolveClientIp = ({ sourceIp, forwardedFor } = {}, trustedProxies = TRUSTED_PROXIES) => {
+  const hops = [...String(forwardedFor || '').split(','), sourceIp || '']
+    .map((hop) => hop.trim())
+    .filter(Boolean);
+
+  let client = null;
+  for (let index = hops.length - 1; index >= 0; index -= 1) {
+    const ip = parseIp(hops[index]);
+    // Nothing left of a malformed hop can be trusted
+    if (!ip) break;
+
+    client = normalizeIp(hops[index]);
+    if (!trustedProxies.some((range) => isIpInRange(ip, range))) break;
+  }
+
+  return client || 'unknown';
+};
+
+module.exports = {
+  normalizeIp,
+  parseIp,
+  parseCidr,
+  isIpInRange,
+  parseCidrList,
+  resolveClientIp,
+};
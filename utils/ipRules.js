@@ -0,0 +1,208 @@
+const AWS = require('aws-sdk');
+const { v4: uuidv4 } = require('uuid');
+const { parseIp, parseCidr, isIpInRange } = require('./ipAddress');
+
+/**
+ * IP allow/deny rules
+ *
+ * Each rule is an IPv4 or IPv6 CIDR range with an action, a reason and an
+ * optional expiry. An allowed address skips the login risk checks; a
+ * denied one can't log in at all. When several rules match, the most
+ * specific range wins, and deny beats allow between equally specific ones.
+ */
+
+const dynamo = new AWS.DynamoDB.DocumentClient();
+
+const IP_RULES_TABLE = process.env.IP_RULES_TABLE || 'myvision-ip-rules';
+// Rules are read on every login, so each Lambda instance keeps them this long
+const IP_RULES_CACHE_SECONDS = parseInt(process.env.IP_RULES_CACHE_SECONDS || '60', 10);
+const MAX_REASON_LENGTH = 200;
+
+const IP_RULE_ACTIONS = {
+  ALLOW: 'allow',
+  DENY: 'deny',
+};
+
+const isRuleActive = (rule, now = Date.now()) => {
+  return !rule.expiresAt || rule.expiresAt > Math.floor(now / 1000);
+};
+
+/**
+ * Rule deciding what happens to an address, or null if none applies
+ */
+const findMatchingRule = (ip, rules, now = Date.now()) => {
+  const address = parseIp(ip);
+  if (!address) return null;
+
+  const matches = rules
+    .filter((rule) => isRuleActive(rule, now))
+    .map((rule) => ({ rule, range: parseCidr(rule.cidr) }))
+    .filter(({ range }) => isIpInRange(address, range))
+    .sort((a, b) => {
+      if (a.range.prefix !== b.range.prefix) return b.range.prefix - a.range.prefix;
+      return (b.rule.action === IP_RULE_ACTIONS.DENY) - (a.rule.action === IP_RULE_ACTIONS.DENY);
+    });
+
+  return matches.length ? matches[0].rule : null;
+};
+
+/**
+ * Validate a new rule
+ * Returns { rule, errors }: the fields to store and per-field messages.
+ */
+const validateIpRule = (input, now = Date.now()) => {
+  const errors = {};
+  const { cidr, action, reason, expiresAt } = input || {};
+
+  if (!parseCidr(cidr)) {
+    errors.cidr = 'CIDR must be an IPv4 or IPv6 address or range, e.g. "203.0.113.0/24" or "2001:db8::/32"';
+  }
+  if (!Object.values(IP_RULE_ACTIONS).includes(action)) {
+    errors.action = `Action must be one of: ${Object.values(IP_RULE_ACTIONS).join(', ')}`;
+  }
+  if (typeof reason !== 'string' || !reason.trim()) {
+    errors.reason = 'Reason is required';
+  } else if (reason.trim().length > MAX_REASON_LENGTH) {
+    errors.reason = `Reason must be at most ${MAX_REASON_LENGTH} characters`;
+  }
+
+  let expiresAtSeconds = null;
+  if (expiresAt !== undefined && expiresAt !== null) {
+    const time = Date.parse(expiresAt);
+    if (typeof expiresAt !== 'string' || Number.isNaN(time)) {
+      errors.expiresAt = 'Expiry must be an ISO 8601 date';
+    } else if (time <= now) {
+      errors.expiresAt = 'Expiry must be in the future';
+    } else {
+      expiresAtSeconds = Math.floor(time / 1000);
+    }
+  }
+
+  if (Object.keys(errors).length) {
+    return { rule: null, errors };
+  }
+
+  return {
+    rule: { cidr: cidr.trim().toLowerCase(), action, reason: reason.trim(), expiresAt: expiresAtSeconds },
+    errors,
+  };
+};
+
+// Last rules read successfully, and when a read was last attempted
+let cachedRules = null;
+let cachedAt = 0;
+
+/**
+ * Every stored rule, including expired ones DynamoDB hasn't removed yet
+ */
+const listIpRules = async () => {
+  const rules = [];
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamo.scan({
+      TableName: IP_RULES_TABLE,
+      ExclusiveStartKey: lastEvaluatedKey
+    }).promise();
+
+    rules.push(...(result.Items || []));
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return rules;
+};
+
+/**
+ * Rules for this instance, re-read once the cache period is up
+ * A failed read keeps enforcing the last rules read and is retried after
+ * another cache period rather than on every login. Until the table has
+ * been read once, logins carry on without rules.
+ */
+const getCachedRules = async () => {
+  if (Date.now() - cachedAt > IP_RULES_CACHE_SECONDS * 1000) {
+    cachedAt = Date.now();
+    try {
+      cachedRules = await listIpRules();
+    } catch (error) {
+      if (cachedRules) {
+        console.error('IP rules refresh failed, keeping the last rules read:', error);
+      } else {
+        console.error('IP rules could not be read, logins are not checked against them:', error);
+      }
+    }
+  }
+  return cachedRules || [];
+};
+
+/**
+ * Rule that applies to an address, or null
+ */
+const checkIpRules = async (ip) => findMatchingRule(ip, await getCachedRules());
+
+/**
+ * Store a validated rule
+ */
+const createIpRule = async (rule, createdBy) => {
+  const item = {
+    ruleId: uuidv4(),
+    ...rule,
+    createdBy,
+    createdAt: new Date().toISOString(),
+  };
+  // DynamoDB TTL attribute (epoch seconds); rules without one never expire
+  if (!item.expiresAt) delete item.expiresAt;
+
+  await dynamo.put({
+    TableName: IP_RULES_TABLE,
+    Item: item,
+    ConditionExpression: 'attribute_not_exists(ruleId)'
+  }).promise();
+
+  cachedAt = 0;
+  return item;
+};
+
+/**
+ * Delete a rule; returns false if it didn't exist
+ */
+const deleteIpRule = async (ruleId) => {
+  try {
+    await dynamo.delete({
+      TableName: IP_RULES_TABLE,
+      Key: { ruleId },
+      ConditionExpression: 'attribute_exists(ruleId)'
+    }).promise();
+    cachedAt = 0;
+    return true;
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Rule fields an admin sees
+ */
+const toIpRuleSummary = (rule, now = Date.now()) => ({
+  ruleId: rule.ruleId,
+  cidr: rule.cidr,
+  action: rule.action,
+  reason: rule.reason,
+  createdBy: rule.createdBy,
+  createdAt: rule.createdAt,
+  expiresAt: rule.expiresAt ? new Date(rule.expiresAt * 1000).toISOString() : null,
+  active: isRuleActive(rule, now),
+});
+
+module.exports = {
+  IP_RULE_ACTIONS,
+  findMatchingRule,
+  validateIpRule,
+  listIpRules,
+  checkIpRules,
+  createIpRule,
+  deleteIpRule,
+  toIpRuleSummary,
+};
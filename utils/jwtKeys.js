@@ -0,0 +1,172 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * Asymmetric signing keys for our access tokens
+ *
+ * JWT_SIGNING_KEYS is a JSON array of { kid, privateKey, publicKey, alg }
+ * entries (PEM keys, alg RS256 or ES256, inferred from the key if omitted).
+ * Tokens are signed with JWT_ACTIVE_KID (default: the first key with a
+ * private key) and carry its kid; every listed key is accepted when
+ * verifying and published in the JWKS. To rotate, add the new key, make it
+ * active, and drop the old one once its tokens have expired. Entries with
+ * only a publicKey are verify-only.
+ */
+
+const DEFAULT_SECRET = 'super_secure_fallback_secret';
+const MIN_RSA_BITS = 2048;
+
+const configError = (message) => {
+  const error = new Error(message);
+  error.code = 'JWT_CONFIG_ERROR';
+  return error;
+};
+
+/**
+ * Algorithm for a key, checking it matches the key type
+ */
+const getAlgorithm = (kid, publicKey, alg) => {
+  const { asymmetricKeyType, asymmetricKeyDetails = {} } = publicKey;
+
+  if (asymmetricKeyType === 'rsa' && (!alg || alg === 'RS256')) {
+    if (asymmetricKeyDetails.modulusLength < MIN_RSA_BITS) {
+      throw configError(`Signing key "${kid}" must be at least ${MIN_RSA_BITS} bits`);
+    }
+    return 'RS256';
+  }
+  if (asymmetricKeyType === 'ec' && asymmetricKeyDetails.namedCurve === 'prime256v1' && (!alg || alg === 'ES256')) {
+    return 'ES256';
+  }
+
+  throw configError(`Signing key "${kid}" must be an RSA key for RS256 or a P-256 key for ES256`);
+};
+
+const loadKey = ({ kid, privateKey, publicKey, alg }) => {
+  if (!kid) {
+    throw configError('Every signing key needs a kid');
+  }
+  if (!privateKey && !publicKey) {
+    throw configError(`Signing key "${kid}" has neither a private nor a public key`);
+  }
+
+  const privateKeyObject = privateKey ? crypto.createPrivateKey(privateKey) : null;
+  const publicKeyObject = crypto.createPublicKey(privateKeyObject || publicKey);
+
+  return {
+    kid,
+    alg: getAlgorithm(kid, publicKeyObject, alg),
+    // jsonwebtoken 8 takes PEM strings rather than KeyObjects
+    privatePem: privateKeyObject ? privateKeyObject.export({ type: 'pkcs8', format: 'pem' }) : null,
+    publicPem: publicKeyObject.export({ type: 'spki', format: 'pem' }),
+    publicJwk: publicKeyObject.export({ format: 'jwk' }),
+  };
+};
+
+/**
+ * Build a key ring from key entries
+ * Throws JWT_CONFIG_ERROR if there is nothing to sign with.
+ */
+const createKeyRing = (entries, activeKid) => {
+  if (!Array.isArray(entries) || !entries.length) {
+    throw configError('No JWT signing keys configured');
+  }
+
+  const keys = new Map();
+  entries.forEach((entry) => {
+    const key = loadKey(entry);
+    if (keys.has(key.kid)) {
+      throw configError(`Duplicate signing key "${key.kid}"`);
+    }
+    keys.set(key.kid, key);
+  });
+
+  const activeKey = activeKid
+    ? keys.get(activeKid)
+    : [...keys.values()].find((key) => key.privatePem);
+  if (!activeKey || !activeKey.privatePem) {
+    throw configError(activeKid
+      ? `Active signing key "${activeKid}" is missing or has no private key`
+      : 'No signing key has a private key');
+  }
+
+  /**
+   * Sign a payload with the active key (jsonwebtoken sign options apply)
+   */
+  const sign = (payload, options = {}) => {
+    return jwt.sign(payload, activeKey.privatePem, { ...options, algorithm: activeKey.alg, keyid: activeKey.kid });
+  };
+
+  /**
+   * Verify a token with the key named by its kid
+   * Throws jsonwebtoken errors, like jwt.verify.
+   */
+  const verify = (token, options = {}) => {
+    const decoded = jwt.decode(token, { complete: true });
+    const key = decoded && decoded.header && keys.get(decoded.header.kid);
+    if (!key) {
+      throw new jwt.JsonWebTokenError('invalid signing key');
+    }
+    return jwt.verify(token, key.publicPem, { ...options, algorithms: [key.alg] });
+  };
+
+  /**
+   * Public keys as a JWKS document
+   */
+  const getJwks = () => ({
+    keys: [...keys.values()].map((key) => ({ ...key.publicJwk, kid: key.kid, alg: key.alg, use: 'sig' })),
+  });
+
+  return { activeKid: activeKey.kid, sign, verify, getJwks };
+};
+
+const parseKeyEntries = (value) => {
+  if (!value) return [];
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw configError('JWT_SIGNING_KEYS must be a JSON array of keys');
+  }
+};
+
+let defaultKeyRing = null;
+
+/**
+ * Key ring configured in the environment
+ */
+const getKeyRing = () => {
+  if (!defaultKeyRing) {
+    defaultKeyRing = createKeyRing(parseKeyEntries(process.env.JWT_SIGNING_KEYS), process.env.JWT_ACTIVE_KID);
+  }
+  return defaultKeyRing;
+};
+
+/**
+ * Throw unless a secret is set and isn't the old hardcoded default
+ */
+const requireSecret = (name, value = process.env[name]) => {
+  if (!value) {
+    throw configError(`${name} is not set`);
+  }
+  if (value === DEFAULT_SECRET) {
+    throw configError(`${name} is still the default value; set a real secret`);
+  }
+  return value;
+};
+
+/**
+ * Startup check: refuse to run without usable signing keys and secrets
+ */
+const assertSigningConfig = () => {
+  getKeyRing();
+  requireSecret('JWT_SECRET');
+  if (process.env.DEVICE_TOKEN_SECRET) {
+    requireSecret('DEVICE_TOKEN_SECRET');
+  }
+};
+
+module.exports = {
+  createKeyRing,
+  getKeyRing,
+  requireSecret,
+  assertSigningConfig,
+};
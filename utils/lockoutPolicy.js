@@ -0,0 +1,82 @@
+/**
+ * Progressive account lockout
+ *
+ * Only failed password attempts count. After BACKOFF_THRESHOLD failures
+ * the account is locked for an exponentially growing period; after
+ * PERMANENT_LOCK_THRESHOLD failures it stays locked until the user
+ * follows the emailed unlock link, resets their password, or an admin
+ * unlocks it. Failures are forgotten after a quiet period.
+ */
+
+const BACKOFF_THRESHOLD = parseInt(process.env.LOCKOUT_BACKOFF_THRESHOLD || '3', 10);
+const PERMANENT_LOCK_THRESHOLD = parseInt(process.env.LOCKOUT_PERMANENT_THRESHOLD || '10', 10);
+const BASE_LOCKOUT_SECONDS = parseInt(process.env.LOCKOUT_BASE_SECONDS || '30', 10);
+const MAX_LOCKOUT_SECONDS = parseInt(process.env.LOCKOUT_MAX_SECONDS || `${60 * 60}`, 10);
+const FAILURE_RESET_HOURS = parseInt(process.env.LOCKOUT_FAILURE_RESET_HOURS || '24', 10);
+
+/**
+ * Whether previous failures are old enough to be forgotten
+ */
+const areFailuresStale = (lastFailedLoginAt, now = Date.now()) => {
+  if (!lastFailedLoginAt) return true;
+  return now - new Date(lastFailedLoginAt).getTime() > FAILURE_RESET_HOURS * 60 * 60 * 1000;
+};
+
+/**
+ * Temporary lockout length after `failureCount` consecutive failures
+ */
+const getBackoffSeconds = (failureCount) => {
+  if (failureCount < BACKOFF_THRESHOLD) return 0;
+  const exponent = failureCount - BACKOFF_THRESHOLD;
+  return Math.min(BASE_LOCKOUT_SECONDS * 2 ** exponent, MAX_LOCKOUT_SECONDS);
+};
+
+/**
+ * Current lockout state of a user record
+ */
+const getLockoutStatus = (user, now = Date.now()) => {
+  if (user.lockedAt) {
+    return { locked: true, permanent: true, retryAfterSeconds: null };
+  }
+
+  if (user.lockoutUntil) {
+    const remainingMs = new Date(user.lockoutUntil).getTime() - now;
+    if (remainingMs > 0) {
+      return { locked: true, permanent: false, retryAfterSeconds: Math.ceil(remainingMs / 1000) };
+    }
+  }
+
+  return { locked: false, permanent: false, retryAfterSeconds: 0 };
+};
+
+/**
+ * Oldest lastFailedLoginAt whose failures still count, as an ISO timestamp
+ */
+const getFailureCutoff = (now = Date.now()) => {
+  return new Date(now - FAILURE_RESET_HOURS * 60 * 60 * 1000).toISOString();
+};
+
+/**
+ * Lockout fields to store once the failure count has reached `failedLoginCount`
+ */
+const lockoutAfterFailures = (failedLoginCount, now = Date.now()) => {
+  const permanent = failedLoginCount >= PERMANENT_LOCK_THRESHOLD;
+  const backoffSeconds = permanent ? 0 : getBackoffSeconds(failedLoginCount);
+
+  return {
+    failedLoginCount,
+    lastFailedLoginAt: new Date(now).toISOString(),
+    lockoutUntil: backoffSeconds > 0 ? new Date(now + backoffSeconds * 1000).toISOString() : null,
+    permanent,
+  };
+};
+
+module.exports = {
+  BACKOFF_THRESHOLD,
+  PERMANENT_LOCK_THRESHOLD,
+  areFailuresStale,
+  getBackoffSeconds,
+  getLockoutStatus,
+  getFailureCutoff,
+  lockoutAfterFailures,
+};
@@ -0,0 +1,124 @@
+const AWS = require('aws-sdk');
+const { saveChallenge } = require('./authChallenges');
+const { sendAccountUnlockEmail } = require('./emailService');
+const { PERMANENT_LOCK_THRESHOLD, getFailureCutoff, lockoutAfterFailures } = require('./lockoutPolicy');
+
+/**
+ * Stored lockout counters
+ *
+ * Every place that checks a password against the user record (DynamoDB
+ * login, password re-checks, the Cognito legacy-password fallback) records
+ * failures here, so they all count towards the same lockout.
+ */
+
+const dynamo = new AWS.DynamoDB.DocumentClient();
+
+const USERS_TABLE = process.env.USERS_TABLE || 'myvision-users';
+const APP_BASE_URL = process.env.APP_BASE_URL || 'http://localhost:3000';
+const UNLOCK_LINK_TTL_SECONDS = 24 * 60 * 60;
+
+/**
+ * Email a single-use link that lifts a permanent lockout
+ */
+const sendUnlockLink = async (user) => {
+  const token = await saveChallenge('account_unlock', { userId: user.userId }, UNLOCK_LINK_TTL_SECONDS);
+  const unlockUrl = `${APP_BASE_URL}/unlock-account?token=${encodeURIComponent(token)}`;
+  return sendAccountUnlockEmail(user.email, unlockUrl);
+};
+
+const isConditionFailure = (error) => error.code === 'ConditionalCheckFailedException';
+
+/**
+ * Add one to the stored failure count and return the new count
+ * The count is incremented in DynamoDB rather than from the loaded user, so
+ * parallel guesses each count. Stale failures start the count again at 1.
+ */
+const incrementFailedLogins = async (userId, time, cutoff) => {
+  for (let attempt = 0; attempt < 3; attempt += 1) {
+    try {
+      const result = await dynamo.update({
+        TableName: USERS_TABLE,
+        Key: { userId },
+        UpdateExpression: 'SET lastFailedLoginAt = :time ADD failedLoginCount :one REMOVE loginAttempts',
+        ConditionExpression: 'lastFailedLoginAt > :cutoff',
+        ExpressionAttributeValues: { ':time': time, ':one': 1, ':cutoff': cutoff },
+        ReturnValues: 'ALL_NEW'
+      }).promise();
+      return result.Attributes.failedLoginCount;
+    } catch (error) {
+      if (!isConditionFailure(error)) throw error;
+    }
+
+    try {
+      await dynamo.update({
+        TableName: USERS_TABLE,
+        Key: { userId },
+        UpdateExpression: 'SET failedLoginCount = :one, lastFailedLoginAt = :time REMOVE loginAttempts',
+        ConditionExpression: 'attribute_not_exists(lastFailedLoginAt) OR lastFailedLoginAt <= :cutoff',
+        ExpressionAttributeValues: { ':time': time, ':one': 1, ':cutoff': cutoff }
+      }).promise();
+      return 1;
+    } catch (error) {
+      // A parallel failure restarted the count first; add to it instead
+      if (!isConditionFailure(error)) throw error;
+    }
+  }
+
+  throw new Error(`Could not record a failed login for ${userId}`);
+};
+
+/**
+ * Count a wrong password towards the lockout; drops the old attempt log
+ */
+const recordFailedLogin = async (user) => {
+  const now = Date.now();
+  const failedLoginCount = await incrementFailedLogins(user.userId, new Date(now).toISOString(), getFailureCutoff(now));
+  const failure = lockoutAfterFailures(failedLoginCount, now);
+
+  if (failure.lockoutUntil || failure.permanent) {
+    try {
+      // Only the latest count's lockout is kept; a parallel failure with a
+      // higher count sets its own
+      await dynamo.update({
+        TableName: USERS_TABLE,
+        Key: { userId: user.userId },
+        UpdateExpression: failure.permanent
+          ? 'SET lockoutUntil = :until, lockedAt = :time'
+          : 'SET lockoutUntil = :until',
+        ConditionExpression: 'failedLoginCount = :count',
+        ExpressionAttributeValues: {
+          ':count': failure.failedLoginCount,
+          ':time': failure.lastFailedLoginAt,
+          ':until': failure.lockoutUntil
+        }
+      }).promise();
+    } catch (error) {
+      if (!isConditionFailure(error)) throw error;
+    }
+  }
+
+  // Each count is handed out once, so the unlock link is only sent once
+  if (failure.failedLoginCount === PERMANENT_LOCK_THRESHOLD) {
+    console.warn(`🔒 Account ${user.userId} locked after ${failure.failedLoginCount} failed login attempts`);
+    await sendUnlockLink(user);
+  }
+
+  return failure;
+};
+
+/**
+ * Reset the lockout counters (successful login, unlock, password reset)
+ */
+const clearFailedLogins = async (userId) => {
+  await dynamo.update({
+    TableName: USERS_TABLE,
+    Key: { userId },
+    UpdateExpression: 'SET failedLoginCount = :zero REMOVE lastFailedLoginAt, lockoutUntil, lockedAt, loginAttempts',
+    ExpressionAttributeValues: { ':zero': 0 }
+  }).promise();
+};
+
+module.exports = {
+  recordFailedLogin,
+  clearFailedLogins,
+};
@@ -0,0 +1,173 @@
+/**
+ * Unusual login time detection
+ *
+ * Login times are kept as { at, timezone } in a rolling loginTimes list
+ * (longer than loginHistory) and compared in the user's local time. Times
+ * are points on a circle, so 23:00 and 01:00 are two hours apart rather
+ * than averaging to noon: a von Mises kernel density estimate gives how
+ * common a time is, as a multiple of a uniform spread. A login is unusual
+ * when it is rare both for its hour of the week and for its time of day,
+ * so a weekday-morning user logging in on a Saturday morning isn't flagged.
+ */
+
+const LOGIN_TIME_HISTORY_SIZE = parseInt(process.env.LOGIN_TIME_HISTORY_SIZE || '200', 10);
+const LOGIN_TIME_MIN_SAMPLES = parseInt(process.env.LOGIN_TIME_MIN_SAMPLES || '10', 10);
+// Below this multiple of the uniform density a time counts as rare
+const UNUSUAL_DENSITY = parseFloat(process.env.LOGIN_TIME_UNUSUAL_DENSITY || '0.25');
+// Kernel width: logins within about this many hours support each other
+const BANDWIDTH_HOURS = 2;
+
+const HOURS_PER_DAY = 24;
+const HOURS_PER_WEEK = 7 * HOURS_PER_DAY;
+const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string' || !timezone || timezone === 'unknown') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Timezone to read a user's login times in: their profile setting, then
+ * the geo lookup for this login, then UTC
+ */
+const resolveTimezone = (user, location) => {
+  if (user && isValidTimezone(user.timezone)) return user.timezone;
+  if (location && isValidTimezone(location.timezone)) return location.timezone;
+  return 'UTC';
+};
+
+/**
+ * Hours since Monday 00:00 local time (fractional, 0 to 168)
+ */
+const getHourOfWeek = (date, timezone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: isValidTimezone(timezone) ? timezone : 'UTC',
+    weekday: 'short',
+    hour: 'numeric',
+    minute: 'numeric',
+    hourCycle: 'h23',
+  }).formatToParts(new Date(date)).reduce((values, { type, value }) => ({ ...values, [type]: value }), {});
+
+  return WEEKDAYS.indexOf(parts.weekday) * HOURS_PER_DAY + Number(parts.hour) + Number(parts.minute) / 60;
+};
+
+const toAngle = (hours, period) => 2 * Math.PI * (hours % period) / period;
+
+/**
+ * Modified Bessel function I0, scaled by e^-x to avoid overflow
+ */
+const besselI0Scaled = (x) => {
+  if (x > 15) {
+    return (1 + 1 / (8 * x) + 9 / (128 * x * x)) / Math.sqrt(2 * Math.PI * x);
+  }
+  let term = 1;
+  let sum = 1;
+  for (let k = 1; k < 50; k += 1) {
+    term *= (x / (2 * k)) ** 2;
+    sum += term;
+  }
+  return sum * Math.exp(-x);
+};
+
+/**
+ * Kernel density at `hours` as a multiple of the uniform density
+ * (1 = as common as if logins were spread evenly over the period)
+ */
+const densityRatio = (samples, hours, period) => {
+  const sigma = toAngle(BANDWIDTH_HOURS, period);
+  const kappa = 1 / (sigma * sigma);
+  const angle = toAngle(hours, period);
+
+  const total = samples.reduce((sum, sample) => {
+    return sum + Math.exp(kappa * (Math.cos(angle - toAngle(sample, period)) - 1));
+  }, 0);
+
+  return total / samples.length / besselI0Scaled(kappa);
+};
+
+/**
+ * Circular mean and resultant length (0 = spread out, 1 = always the same time)
+ */
+const circularMean = (samples, period) => {
+  const x = samples.reduce((sum, sample) => sum + Math.cos(toAngle(sample, period)), 0) / samples.length;
+  const y = samples.reduce((sum, sample) => sum + Math.sin(toAngle(sample, period)), 0) / samples.length;
+  const meanAngle = Math.atan2(y, x);
+
+  return {
+    mean: ((meanAngle < 0 ? meanAngle + 2 * Math.PI : meanAngle) / (2 * Math.PI)) * period,
+    resultantLength: Math.sqrt(x * x + y * y),
+  };
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Compare a login time with the user's previous ones
+ * Returns { unusual, sampleSize, timezone, hourOfWeek, ... }; unusual is
+ * always false below LOGIN_TIME_MIN_SAMPLES previous logins.
+ *
+ * @param {object[]} loginTimes - Previous { at, timezone } entries
+ * @param {object} current - { at, timezone } of this login
+ */
+const analyzeLoginTime = (loginTimes, current) => {
+  const hourOfWeek = getHourOfWeek(current.at, current.timezone);
+  const samples = (loginTimes || []).map(({ at, timezone }) => getHourOfWeek(at, timezone));
+  const result = {
+    unusual: false,
+    sampleSize: samples.length,
+    timezone: current.timezone,
+    hourOfWeek: round(hourOfWeek),
+    weekday: WEEKDAYS[Math.floor(hourOfWeek / HOURS_PER_DAY)],
+  };
+
+  if (samples.length < LOGIN_TIME_MIN_SAMPLES) {
+    return result;
+  }
+
+  const weekDensity = densityRatio(samples, hourOfWeek, HOURS_PER_WEEK);
+  const dayDensity = densityRatio(samples, hourOfWeek, HOURS_PER_DAY);
+  const { mean, resultantLength } = circularMean(samples, HOURS_PER_DAY);
+
+  return {
+    ...result,
+    unusual: weekDensity < UNUSUAL_DENSITY && dayDensity < UNUSUAL_DENSITY,
+    weekDensity: round(weekDensity),
+    dayDensity: round(dayDensity),
+    usualHourOfDay: round(mean) % HOURS_PER_DAY,
+    concentration: round(resultantLength),
+  };
+};
+
+/**
+ * Previous login times, falling back to loginHistory for users who
+ * haven't logged in since loginTimes was added
+ */
+const getLoginTimes = (user) => {
+  if (Array.isArray(user.loginTimes)) return user.loginTimes;
+  return (user.loginHistory || [])
+    .filter((login) => login.timestamp)
+    .map((login) => ({ at: login.timestamp, timezone: resolveTimezone(user, login.location) }));
+};
+
+/**
+ * loginTimes to store after a login (oldest entries drop off)
+ */
+const appendLoginTime = (user, entry) => {
+  return [...getLoginTimes(user), entry].slice(-LOGIN_TIME_HISTORY_SIZE);
+};
+
+module.exports = {
+  LOGIN_TIME_HISTORY_SIZE,
+  LOGIN_TIME_MIN_SAMPLES,
+  isValidTimezone,
+  resolveTimezone,
+  getHourOfWeek,
+  analyzeLoginTime,
+  getLoginTimes,
+  appendLoginTime,
+};
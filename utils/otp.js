@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+
+/**
+ * One-time codes sent by email
+ *
+ * Codes are generated with a CSPRNG and only a salted hash is stored on the
+ * user record. Length, lifetime and attempt limit are configured per purpose.
+ */
+
+const PURPOSES = ['signup', 'login', 'reset', 'email_change'];
+
+const DEFAULT_POLICY = {
+  length: 6,
+  ttlMinutes: 5,
+  maxAttempts: 3,
+};
+
+const readInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value > 0 ? value : fallback;
+};
+
+/**
+ * Policy for a purpose, overridable with e.g. OTP_LOGIN_LENGTH,
+ * OTP_LOGIN_TTL_MINUTES and OTP_LOGIN_MAX_ATTEMPTS
+ */
+const getOTPPolicy = (purpose) => {
+  if (!PURPOSES.includes(purpose)) {
+    throw new Error(`Unknown OTP purpose: ${purpose}`);
+  }
+
+  const prefix = `OTP_${purpose.toUpperCase()}`;
+  return {
+    purpose,
+    length: Math.min(readInt(`${prefix}_LENGTH`, DEFAULT_POLICY.length), 10),
+    ttlMinutes: readInt(`${prefix}_TTL_MINUTES`, DEFAULT_POLICY.ttlMinutes),
+    maxAttempts: readInt(`${prefix}_MAX_ATTEMPTS`, DEFAULT_POLICY.maxAttempts),
+  };
+};
+
+/**
+ * Random numeric code of the given length (leading zeros allowed)
+ */
+const generateOTP = (length = DEFAULT_POLICY.length) => {
+  return String(crypto.randomInt(0, 10 ** length)).padStart(length, '0');
+};
+
+/**
+ * Expiry timestamp `ttlMinutes` from now
+ */
+const generateOTPExpiry = (ttlMinutes = DEFAULT_POLICY.ttlMinutes) => {
+  return new Date(Date.now() + ttlMinutes * 60 * 1000).toISOString();
+};
+
+/**
+ * Validate OTP expiry
+ */
+const isOTPExpired = (otpExpiry) => {
+  if (!otpExpiry) return true;
+  return new Date() > new Date(otpExpiry);
+};
+
+/**
+ * Salted hash of a code, stored as "salt:hash"
+ * scrypt rather than a plain digest, since a short numeric code is
+ * otherwise trivial to brute force from a leaked hash.
+ */
+const hashOTP = (otp) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(otp), salt, 32).toString('hex');
+  return `${salt}:${hash}`;
+};
+
+/**
+ * Constant-time check of a submitted code against a stored hash
+ */
+const verifyOTP = (otp, storedHash) => {
+  if (!otp || !storedHash) return false;
+
+  const [salt, hash] = String(storedHash).split(':');
+  if (!salt || !hash || hash.length !== 64) return false;
+
+  const candidate = crypto.scryptSync(String(otp).trim(), salt, 32);
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+};
+
+/**
+ * New code for a purpose: the plaintext (to email) plus what to store
+ */
+const createOTP = (purpose) => {
+  const policy = getOTPPolicy(purpose);
+  const otp = generateOTP(policy.length);
+
+  return {
+    otp,
+    otpHash: hashOTP(otp),
+    otpExpiry: generateOTPExpiry(policy.ttlMinutes),
+    policy,
+  };
+};
+
+module.exports = {
+  getOTPPolicy,
+  generateOTP,
+  generateOTPExpiry,
+  isOTPExpired,
+  hashOTP,
+  verifyOTP,
+  createOTP,
+};
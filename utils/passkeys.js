@@ -0,0 +1,266 @@
+const AWS = require('aws-sdk');
+const {
+  generateRegistrationOptions,
+  verifyRegistrationResponse,
+  generateAuthenticationOptions,
+  verifyAuthenticationResponse,
+} = require('@simplewebauthn/server');
+const { saveChallenge, consumeChallenge } = require('./authChallenges');
+
+const dynamo = new AWS.DynamoDB.DocumentClient();
+
+const PASSKEYS_TABLE = process.env.PASSKEYS_TABLE || 'myvision-passkeys';
+const RP_ID = process.env.WEBAUTHN_RP_ID || 'localhost';
+const RP_NAME = process.env.WEBAUTHN_RP_NAME || 'MyVision';
+// Comma-separated list of origins allowed to run WebAuthn ceremonies
+const EXPECTED_ORIGINS = (process.env.WEBAUTHN_ORIGIN || 'http://localhost:3000').split(',').map((origin) => origin.trim());
+const CHALLENGE_TTL_SECONDS = 5 * 60;
+
+/**
+ * List all passkeys registered by a user
+ */
+const listPasskeys = async (userId) => {
+  const result = await dynamo.query({
+    TableName: PASSKEYS_TABLE,
+    IndexName: 'userId-index',
+    KeyConditionExpression: 'userId = :userId',
+    ExpressionAttributeValues: { ':userId': userId }
+  }).promise();
+
+  return result.Items || [];
+};
+
+/**
+ * Fetch a passkey by credential ID
+ */
+const getPasskey = async (credentialId) => {
+  if (!credentialId) return null;
+
+  const result = await dynamo.get({
+    TableName: PASSKEYS_TABLE,
+    Key: { credentialId }
+  }).promise();
+
+  return result.Item || null;
+};
+
+/**
+ * Remove one of the user's passkeys
+ */
+const deletePasskey = async (userId, credentialId) => {
+  try {
+    await dynamo.delete({
+      TableName: PASSKEYS_TABLE,
+      Key: { credentialId },
+      ConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: { ':userId': userId }
+    }).promise();
+    return true;
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Public fields of a stored passkey
+ */
+const toPasskeySummary = (passkey) => ({
+  credentialId: passkey.credentialId,
+  name: passkey.name,
+  deviceType: passkey.deviceType,
+  backedUp: passkey.backedUp,
+  createdAt: passkey.createdAt,
+  lastUsedAt: passkey.lastUsedAt || null
+});
+
+/**
+ * Start a passkey registration ceremony for a logged-in user
+ */
+const startRegistration = async (user) => {
+  const existing = await listPasskeys(user.userId);
+
+  const options = await generateRegistrationOptions({
+    rpName: RP_NAME,
+    rpID: RP_ID,
+    userName: user.email,
+    userID: Buffer.from(user.userId),
+    attestationType: 'none',
+    // Stops the same authenticator being registered twice
+    excludeCredentials: existing.map((passkey) => ({
+      id: passkey.credentialId,
+      transports: passkey.transports
+    })),
+    authenticatorSelection: {
+      residentKey: 'preferred',
+      userVerification: 'required'
+    }
+  });
+
+  const challengeId = await saveChallenge('passkey_registration', {
+    userId: user.userId,
+    challenge: options.challenge
+  }, CHALLENGE_TTL_SECONDS);
+
+  return { challengeId, options };
+};
+
+/**
+ * Verify the browser's registration response and store the new credential
+ */
+const finishRegistration = async (user, challengeId, response, name) => {
+  const challenge = await consumeChallenge(challengeId, 'passkey_registration');
+  if (!challenge || challenge.userId !== user.userId) {
+    return { success: false, error: 'INVALID_CHALLENGE', message: 'Registration challenge is invalid or has expired.' };
+  }
+
+  let verification;
+  try {
+    verification = await verifyRegistrationResponse({
+      response,
+      expectedChallenge: challenge.challenge,
+      expectedOrigin: EXPECTED_ORIGINS,
+      expectedRPID: RP_ID,
+      requireUserVerification: true
+    });
+  } catch (error) {
+    console.error('❌ Passkey registration verification failed:', error.message);
+    return { success: false, error: 'VERIFICATION_FAILED', message: 'Passkey could not be verified.' };
+  }
+
+  if (!verification.verified) {
+    return { success: false, error: 'VERIFICATION_FAILED', message: 'Passkey could not be verified.' };
+  }
+
+  const { credential, credentialDeviceType, credentialBackedUp } = verification.registrationInfo;
+  const passkey = {
+    credentialId: credential.id,
+    userId: user.userId,
+    publicKey: Buffer.from(credential.publicKey).toString('base64url'),
+    counter: credential.counter,
+    transports: credential.transports || [],
+    deviceType: credentialDeviceType,
+    backedUp: credentialBackedUp,
+    name: name || 'Passkey',
+    createdAt: new Date().toISOString()
+  };
+
+  try {
+    await dynamo.put({
+      TableName: PASSKEYS_TABLE,
+      Item: passkey,
+      ConditionExpression: 'attribute_not_exists(credentialId)'
+    }).promise();
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return { success: false, error: 'ALREADY_REGISTERED', message: 'This passkey is already registered.' };
+    }
+    throw error;
+  }
+
+  return { success: true, passkey: toPasskeySummary(passkey) };
+};
+
+/**
+ * Start a passkey sign-in ceremony
+ * With a user, only their credentials are allowed; without one the browser
+ * offers any discoverable passkey for this site.
+ */
+const startAuthentication = async (user = null) => {
+  const allowCredentials = user
+    ? (await listPasskeys(user.userId)).map((passkey) => ({
+      id: passkey.credentialId,
+      transports: passkey.transports
+    }))
+    : undefined;
+
+  const options = await generateAuthenticationOptions({
+    rpID: RP_ID,
+    allowCredentials,
+    userVerification: 'required'
+  });
+
+  const challengeId = await saveChallenge('passkey_authentication', {
+    challenge: options.challenge
+  }, CHALLENGE_TTL_SECONDS);
+
+  return { challengeId, options };
+};
+
+/**
+ * Verify the browser's assertion and return the user it belongs to
+ */
+const finishAuthentication = async (challengeId, response) => {
+  const challenge = await consumeChallenge(challengeId, 'passkey_authentication');
+  if (!challenge) {
+    return { success: false, error: 'INVALID_CHALLENGE', message: 'Sign-in challenge is invalid or has expired.' };
+  }
+
+  const passkey = await getPasskey(response && response.id);
+  if (!passkey) {
+    return { success: false, error: 'UNKNOWN_CREDENTIAL', message: 'This passkey is not registered.' };
+  }
+
+  let verification;
+  try {
+    verification = await verifyAuthenticationResponse({
+      response,
+      expectedChallenge: challenge.challenge,
+      expectedOrigin: EXPECTED_ORIGINS,
+      expectedRPID: RP_ID,
+      requireUserVerification: true,
+      credential: {
+        id: passkey.credentialId,
+        publicKey: Buffer.from(passkey.publicKey, 'base64url'),
+        counter: passkey.counter,
+        transports: passkey.transports
+      }
+    });
+  } catch (error) {
+    console.error('❌ Passkey authentication verification failed:', error.message);
+    return { success: false, error: 'VERIFICATION_FAILED', message: 'Passkey could not be verified.' };
+  }
+
+  if (!verification.verified) {
+    return { success: false, error: 'VERIFICATION_FAILED', message: 'Passkey could not be verified.' };
+  }
+
+  // Signature counter must move forward; a counter that doesn't suggests a
+  // cloned authenticator. Authenticators that don't implement a counter
+  // always report 0.
+  const { newCounter } = verification.authenticationInfo;
+  const counterSupported = passkey.counter > 0 || newCounter > 0;
+
+  try {
+    await dynamo.update({
+      TableName: PASSKEYS_TABLE,
+      Key: { credentialId: passkey.credentialId },
+      UpdateExpression: 'SET #counter = :newCounter, lastUsedAt = :now',
+      ConditionExpression: counterSupported ? '#counter < :newCounter' : '#counter = :zero',
+      ExpressionAttributeNames: { '#counter': 'counter' },
+      ExpressionAttributeValues: counterSupported
+        ? { ':newCounter': newCounter, ':now': new Date().toISOString() }
+        : { ':newCounter': newCounter, ':now': new Date().toISOString(), ':zero': 0 }
+    }).promise();
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      console.warn(`⚠️ Passkey signature counter did not increase for credential ${passkey.credentialId} (user ${passkey.userId})`);
+      return { success: false, error: 'COUNTER_MISMATCH', message: 'Passkey could not be verified.' };
+    }
+    throw error;
+  }
+
+  return { success: true, userId: passkey.userId, credentialId: passkey.credentialId };
+};
+
+module.exports = {
+  listPasskeys,
+  deletePasskey,
+  toPasskeySummary,
+  startRegistration,
+  finishRegistration,
+  startAuthentication,
+  finishAuthentication,
+};
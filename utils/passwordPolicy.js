@@ -0,0 +1,232 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Password policy shared by every signup, reset and change path
+ *
+ * validatePassword returns structured violations ({ code, message }) so
+ * clients can show every problem at once. Reuse of recent passwords needs
+ * the stored hashes, so callers check it with getPasswordHistoryHashes.
+ */
+
+const POLICY = {
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH || '8', 10),
+  // bcrypt ignores everything after 72 bytes
+  maxBytes: 72,
+  minCharacterClasses: parseInt(process.env.PASSWORD_MIN_CHARACTER_CLASSES || '2', 10),
+  // 0-4, like zxcvbn
+  minScore: parseInt(process.env.PASSWORD_MIN_SCORE || '3', 10),
+  historySize: parseInt(process.env.PASSWORD_HISTORY_SIZE || '5', 10),
+};
+
+const CHARACTER_CLASSES = [
+  { name: 'lowercase', pattern: /[a-z]/, size: 26 },
+  { name: 'uppercase', pattern: /[A-Z]/, size: 26 },
+  { name: 'digit', pattern: /[0-9]/, size: 10 },
+  { name: 'symbol', pattern: /[^a-zA-Z0-9]/, size: 33 },
+];
+
+const COMMON_PASSWORDS = new Set(
+  fs.readFileSync(path.join(__dirname, 'data', 'common-passwords.txt'), 'utf8')
+    .split('\n')
+    .map((line) => line.trim().toLowerCase())
+    .filter((line) => line && !line.startsWith('#'))
+);
+
+const KEYBOARD_ROWS = ['1234567890', 'qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+const L33T_SUBSTITUTIONS = { '@': 'a', '4': 'a', '3': 'e', '1': 'i', '!': 'i', '0': 'o', '$': 's', '5': 's', '7': 't' };
+
+// log10 of the guesses needed for each kind of match
+const DICTIONARY_GUESSES_LOG10 = Math.log10(COMMON_PASSWORDS.size * 10);
+const YEAR_GUESSES_LOG10 = 2;
+const MIN_DICTIONARY_MATCH = 4;
+const MIN_PATTERN_MATCH = 3;
+// Guesses (log10) needed for scores 1, 2, 3 and 4
+const SCORE_THRESHOLDS = [3, 6, 8, 10];
+
+const unleet = (value) => value.replace(/[@4310!$57]/g, (char) => L33T_SUBSTITUTIONS[char]);
+
+const isKeyboardNeighbour = (a, b) => KEYBOARD_ROWS.some((row) => {
+  const index = row.indexOf(a);
+  return index !== -1 && (row[index + 1] === b || row[index - 1] === b);
+});
+
+/**
+ * Length of the sequence, repeat or keyboard run starting at index
+ */
+const patternLengthAt = (value, index) => {
+  const step = value.charCodeAt(index + 1) - value.charCodeAt(index);
+  const isSequenceStep = Math.abs(step) <= 1;
+  let end = index + 1;
+
+  while (end < value.length) {
+    const previous = value[end - 1];
+    const current = value[end];
+    const continues = isSequenceStep
+      ? current.charCodeAt(0) - previous.charCodeAt(0) === step
+      : isKeyboardNeighbour(previous, current);
+    if (!continues) break;
+    end += 1;
+  }
+
+  return end - index;
+};
+
+const dictionaryMatchAt = (lower, leet, index, dictionary) => {
+  for (let end = lower.length; end - index >= MIN_DICTIONARY_MATCH; end -= 1) {
+    if (dictionary.has(lower.slice(index, end)) || dictionary.has(leet.slice(index, end))) {
+      return end - index;
+    }
+  }
+  return 0;
+};
+
+/**
+ * zxcvbn-style strength estimate
+ * Splits the password into dictionary words, years, sequences/repeats/
+ * keyboard runs and leftover characters, and adds up how many guesses
+ * each part would take. Returns { score: 0-4, guessesLog10 }.
+ *
+ * @param {string} password
+ * @param {string[]} userInputs - Extra words to treat as known (email, name)
+ */
+const estimateStrength = (password, userInputs = []) => {
+  const lower = password.toLowerCase();
+  const leet = unleet(lower);
+  const dictionary = new Set([...COMMON_PASSWORDS, ...userInputs.map((input) => input.toLowerCase())]);
+  const charsetSize = CHARACTER_CLASSES
+    .filter(({ pattern }) => pattern.test(password))
+    .reduce((total, { size }) => total + size, 0);
+
+  let guessesLog10 = 0;
+  let index = 0;
+
+  while (index < password.length) {
+    const wordLength = dictionaryMatchAt(lower, leet, index, dictionary);
+    const runLength = index + 1 < lower.length ? patternLengthAt(lower, index) : 1;
+
+    // Whichever pattern explains more of the password wins
+    if (wordLength && wordLength >= runLength) {
+      const word = password.slice(index, index + wordLength);
+      // Capitalising only the first letter barely helps; other mixed case does
+      const capitalisation = /[A-Z]/.test(word.slice(1)) ? 1 : /[A-Z]/.test(word[0]) ? 0.3 : 0;
+      guessesLog10 += DICTIONARY_GUESSES_LOG10 + capitalisation;
+      index += wordLength;
+      continue;
+    }
+
+    const year = lower.slice(index, index + 4);
+    if (/^(19|20)\d\d$/.test(year)) {
+      guessesLog10 += YEAR_GUESSES_LOG10;
+      index += 4;
+      continue;
+    }
+
+    if (runLength >= MIN_PATTERN_MATCH) {
+      guessesLog10 += Math.log10(charsetSize * runLength);
+      index += runLength;
+      continue;
+    }
+
+    guessesLog10 += Math.log10(charsetSize);
+    index += 1;
+  }
+
+  const score = SCORE_THRESHOLDS.filter((threshold) => guessesLog10 >= threshold).length;
+  return { score, guessesLog10 };
+};
+
+const emailParts = (email) => {
+  const normalized = String(email || '').trim().toLowerCase();
+  if (!normalized) return [];
+  const localPart = normalized.split('@')[0];
+  return [normalized, localPart].filter((part) => part.length >= 3);
+};
+
+/**
+ * Check a password against the policy
+ *
+ * @param {string} password
+ * @param {object} [context]
+ * @param {string} [context.email] - Rejected if the password contains it
+ * @returns {object} - { valid, score, violations: [{ code, message }] }
+ */
+const validatePassword = (password, { email } = {}) => {
+  if (typeof password !== 'string' || !password) {
+    return { valid: false, score: 0, violations: [{ code: 'PASSWORD_REQUIRED', message: 'Password is required' }] };
+  }
+
+  const violations = [];
+  const lower = password.toLowerCase();
+  const userInputs = emailParts(email);
+
+  if (password.length < POLICY.minLength) {
+    violations.push({ code: 'PASSWORD_TOO_SHORT', message: `Password must be at least ${POLICY.minLength} characters long` });
+  }
+  if (Buffer.byteLength(password, 'utf8') > POLICY.maxBytes) {
+    violations.push({ code: 'PASSWORD_TOO_LONG', message: `Password must be at most ${POLICY.maxBytes} bytes long` });
+  }
+
+  const classCount = CHARACTER_CLASSES.filter(({ pattern }) => pattern.test(password)).length;
+  if (classCount < POLICY.minCharacterClasses) {
+    violations.push({
+      code: 'PASSWORD_MISSING_CHARACTER_CLASSES',
+      message: `Password must use at least ${POLICY.minCharacterClasses} of: lowercase letters, uppercase letters, digits, symbols`
+    });
+  }
+
+  if (userInputs.some((part) => lower.includes(part))) {
+    violations.push({ code: 'PASSWORD_CONTAINS_EMAIL', message: 'Password must not contain your email address' });
+  }
+
+  if (COMMON_PASSWORDS.has(lower) || COMMON_PASSWORDS.has(unleet(lower))) {
+    violations.push({ code: 'PASSWORD_COMMON', message: 'This password is too common or has appeared in a data breach' });
+  }
+
+  const { score } = estimateStrength(password, userInputs);
+  if (score < POLICY.minScore) {
+    violations.push({ code: 'PASSWORD_TOO_WEAK', message: 'Password is too easy to guess. Try a longer phrase or fewer common words and patterns' });
+  }
+
+  return { valid: violations.length === 0, score, violations };
+};
+
+/**
+ * Hashes of the user's current and recent passwords, newest first
+ * A new password matching any of them counts as reuse.
+ */
+const getPasswordHistoryHashes = (user) => {
+  return [user && user.passwordHash, ...((user && user.passwordHistory) || [])]
+    .filter(Boolean)
+    .slice(0, POLICY.historySize);
+};
+
+/**
+ * passwordHistory to store when the user's password changes
+ * (the outgoing hash joins the history, the oldest entries drop off)
+ */
+const nextPasswordHistory = (user) => getPasswordHistoryHashes(user).slice(0, Math.max(POLICY.historySize - 1, 0));
+
+const PASSWORD_REUSED = {
+  code: 'PASSWORD_REUSED',
+  message: `Password must be different from your last ${POLICY.historySize} passwords`,
+};
+
+/**
+ * Response body for a password that breaks the policy
+ */
+const toPolicyErrorBody = (violations) => ({
+  message: violations[0].message,
+  error: 'PASSWORD_POLICY_VIOLATION',
+  violations,
+});
+
+module.exports = {
+  POLICY,
+  PASSWORD_REUSED,
+  estimateStrength,
+  validatePassword,
+  getPasswordHistoryHashes,
+  nextPasswordHistory,
+  toPolicyErrorBody,
+};
@@ -0,0 +1,90 @@
+/**
+ * Role-based access control
+ *
+ * Every user has exactly one role, stored on the user record and embedded
+ * in their access token. Handlers declare the permissions they need and
+ * the role determines whether the caller has them.
+ */
+
+const ROLES = {
+  PATIENT: 'patient',
+  OPTOMETRIST: 'optometrist',
+  RECEPTIONIST: 'receptionist',
+  ADMIN: 'admin',
+};
+
+const DEFAULT_ROLE = ROLES.PATIENT;
+const STAFF_ROLES = [ROLES.OPTOMETRIST, ROLES.RECEPTIONIST, ROLES.ADMIN];
+
+const PATIENT_PERMISSIONS = [
+  'profile:read',
+  'profile:update',
+  'uploads:read:own',
+  'uploads:write:own',
+];
+
+const STAFF_PERMISSIONS = [
+  ...PATIENT_PERMISSIONS,
+  'users:read:any',
+  'uploads:read:any',
+];
+
+const ROLE_PERMISSIONS = {
+  [ROLES.PATIENT]: PATIENT_PERMISSIONS,
+  [ROLES.RECEPTIONIST]: STAFF_PERMISSIONS,
+  [ROLES.OPTOMETRIST]: STAFF_PERMISSIONS,
+  [ROLES.ADMIN]: [
+    ...STAFF_PERMISSIONS,
+    'users:manage_roles',
+    'users:unlock',
+    'users:invite',
+    'security:ip_rules',
+  ],
+};
+
+/**
+ * Check that a role name is one we know about
+ */
+const isValidRole = (role) => Object.values(ROLES).includes(role);
+
+/**
+ * Role of a user record or decoded token, falling back to patient for
+ * accounts created before roles existed
+ */
+const getRole = (principal) => {
+  const role = principal && principal.role;
+  return isValidRole(role) ? role : DEFAULT_ROLE;
+};
+
+/**
+ * Role for a Cognito user: group names double as roles and the first one
+ * we know wins
+ */
+const getCognitoRole = (groups = []) => getRole({ role: groups.find(isValidRole) });
+
+/**
+ * Check whether a role grants a permission
+ */
+const hasPermission = (role, permission) => {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+/**
+ * Permissions from the list that the role does NOT grant
+ */
+const missingPermissions = (role, permissions = []) => {
+  return permissions.filter((permission) => !hasPermission(role, permission));
+};
+
+const isStaff = (role) => STAFF_ROLES.includes(role);
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  isValidRole,
+  getRole,
+  getCognitoRole,
+  hasPermission,
+  missingPermissions,
+  isStaff,
+};
@@ -0,0 +1,150 @@
+const { areFailuresStale } = require('./lockoutPolicy');
+
+/**
+ * Weighted login risk score
+ *
+ * Each signal is a value from 0 (no risk) to 1 (full risk) and adds
+ * value * weight points to the score. The total decides whether the login
+ * is allowed, needs a step-up OTP or is denied. Weights and thresholds come
+ * from RISK_* environment variables, so each stage can be tuned without a
+ * code change; a weight of 0 turns a signal off.
+ */
+
+const SIGNALS = ['location', 'travelVelocity', 'device', 'time', 'ipReputation', 'recentFailures', 'accountAge'];
+
+const RISK_DECISIONS = {
+  ALLOW: 'allow',
+  STEP_UP: 'step_up',
+  DENY: 'deny',
+};
+
+// Shown to the user (e.g. in the login OTP email) when a signal contributes
+const SIGNAL_REASONS = {
+  location: 'Login from new location',
+  travelVelocity: 'Login too far from your last one to have travelled in time',
+  device: 'Login from new device or browser',
+  time: 'Login at unusual time',
+  ipReputation: 'Login from an untrusted network',
+  recentFailures: 'Recent failed login attempts',
+  accountAge: 'Recently created account',
+};
+
+const DEFAULT_WEIGHTS = {
+  location: 40,
+  travelVelocity: 45,
+  device: 35,
+  time: 20,
+  ipReputation: 60,
+  recentFailures: 30,
+  accountAge: 15,
+};
+
+const readNumber = (env, name, fallback) => {
+  const value = parseFloat(env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+// RISK_WEIGHT_IP_REPUTATION for ipReputation, and so on
+const weightVariable = (signal) => `RISK_WEIGHT_${signal.replace(/[A-Z]/g, (char) => `_${char}`).toUpperCase()}`;
+
+/**
+ * Risk settings from environment variables
+ */
+const loadRiskConfig = (env = process.env) => ({
+  weights: SIGNALS.reduce((weights, signal) => {
+    weights[signal] = readNumber(env, weightVariable(signal), DEFAULT_WEIGHTS[signal]);
+    return weights;
+  }, {}),
+  stepUpScore: readNumber(env, 'RISK_STEP_UP_SCORE', 35),
+  denyScore: readNumber(env, 'RISK_DENY_SCORE', 90),
+  // Failures (within the lockout window) that count as full risk
+  failuresForMaxRisk: Math.max(readNumber(env, 'RISK_FAILURES_FOR_MAX', 5), 1),
+  newAccountDays: readNumber(env, 'RISK_NEW_ACCOUNT_DAYS', 7),
+  ipDenylist: (env.RISK_IP_DENYLIST || '').split(',').map((ip) => ip.trim()).filter(Boolean),
+});
+
+const RISK_CONFIG = loadRiskConfig();
+
+/**
+ * Recent failed passwords, from the lockout counters
+ */
+const recentFailuresSignal = (user, config = RISK_CONFIG, now = Date.now()) => {
+  if (!user.failedLoginCount || areFailuresStale(user.lastFailedLoginAt, now)) {
+    return { value: 0 };
+  }
+  return {
+    value: Math.min(user.failedLoginCount / config.failuresForMaxRisk, 1),
+    detail: `${user.failedLoginCount} failed attempts`,
+  };
+};
+
+/**
+ * Newer accounts are riskier, fading to nothing after newAccountDays
+ */
+const accountAgeSignal = (user, config = RISK_CONFIG, now = Date.now()) => {
+  const createdAt = new Date(user.createdAt).getTime();
+  if (!config.newAccountDays || !Number.isFinite(createdAt)) {
+    return { value: 0 };
+  }
+
+  const ageDays = Math.max(now - createdAt, 0) / (24 * 60 * 60 * 1000);
+  if (ageDays >= config.newAccountDays) {
+    return { value: 0 };
+  }
+  return { value: 1 - ageDays / config.newAccountDays, detail: `account is ${Math.floor(ageDays)} days old` };
+};
+
+/**
+ * Denylisted addresses are full risk; an address we couldn't read is half
+ */
+const ipReputationSignal = (ip, config = RISK_CONFIG) => {
+  if (!ip || ip === 'unknown') {
+    return { value: 0.5, detail: 'IP address unknown' };
+  }
+  if (config.ipDenylist.includes(ip)) {
+    return { value: 1, detail: 'IP address is denylisted' };
+  }
+  return { value: 0 };
+};
+
+const clamp = (value) => Math.min(Math.max(Number(value) || 0, 0), 1);
+
+/**
+ * Score a login from its signal values
+ * Returns { score, decision, reasons, breakdown }. breakdown lists every
+ * signal with its value, weight and points so a decision can be explained.
+ *
+ * @param {object} signals - { [signal]: { value, detail } } for any of SIGNALS
+ * @param {object} [config] - From loadRiskConfig
+ */
+const scoreLoginRisk = (signals, config = RISK_CONFIG) => {
+  const breakdown = SIGNALS.map((signal) => {
+    const { value = 0, detail = null } = signals[signal] || {};
+    const weight = config.weights[signal];
+    const points = Math.round(clamp(value) * weight * 100) / 100;
+    return { signal, value: clamp(value), weight, points, detail };
+  });
+
+  const score = Math.round(breakdown.reduce((total, { points }) => total + points, 0) * 100) / 100;
+  let decision = RISK_DECISIONS.ALLOW;
+  if (score >= config.denyScore) {
+    decision = RISK_DECISIONS.DENY;
+  } else if (score >= config.stepUpScore) {
+    decision = RISK_DECISIONS.STEP_UP;
+  }
+
+  const reasons = breakdown.filter(({ points }) => points > 0).map(({ signal }) => SIGNAL_REASONS[signal]);
+
+  return { score, decision, reasons, breakdown };
+};
+
+module.exports = {
+  SIGNALS,
+  RISK_DECISIONS,
+  RISK_CONFIG,
+  loadRiskConfig,
+  recentFailuresSignal,
+  accountAgeSignal,
+  ipReputationSignal,
+  scoreLoginRisk,
+};
@@ -0,0 +1,223 @@
+const AWS = require('aws-sdk');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const dynamo = new AWS.DynamoDB.DocumentClient();
+
+const SESSIONS_TABLE = process.env.SESSIONS_TABLE || 'myvision-sessions';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+
+/**
+ * Hash a refresh token secret - only hashes are stored in DynamoDB
+ */
+const hashSecret = (secret) => {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+};
+
+/**
+ * Constant-time comparison of two hex digests
+ */
+const hashesMatch = (a, b) => {
+  if (!a || !b || a.length !== b.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+};
+
+/**
+ * Refresh tokens look like "<sessionId>.<secret>"
+ */
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+
+  const separator = refreshToken.indexOf('.');
+  if (separator <= 0) return null;
+
+  const sessionId = refreshToken.slice(0, separator);
+  const secret = refreshToken.slice(separator + 1);
+  return secret ? { sessionId, secret } : null;
+};
+
+const generateSecret = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Check whether a session can still be used
+ */
+const isSessionActive = (session) => {
+  if (!session || session.revoked) return false;
+  return session.expiresAt > Math.floor(Date.now() / 1000);
+};
+
+/**
+ * Create a new server-side session and its first refresh token
+ */
+const createSession = async (userId, metadata = {}) => {
+  const sessionId = uuidv4();
+  const secret = generateSecret();
+  const now = new Date();
+
+  await dynamo.put({
+    TableName: SESSIONS_TABLE,
+    Item: {
+      sessionId,
+      userId,
+      refreshTokenHash: hashSecret(secret),
+      generation: 0,
+      revoked: false,
+      ip: metadata.ip || 'unknown',
+      device: metadata.device || null,
+      createdAt: now.toISOString(),
+      lastRefreshedAt: now.toISOString(),
+      // DynamoDB TTL attribute (epoch seconds)
+      expiresAt: Math.floor(now.getTime() / 1000) + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60
+    },
+    ConditionExpression: 'attribute_not_exists(sessionId)'
+  }).promise();
+
+  return { sessionId, refreshToken: `${sessionId}.${secret}` };
+};
+
+/**
+ * Fetch a session by ID
+ */
+const getSession = async (sessionId) => {
+  if (!sessionId) return null;
+
+  const result = await dynamo.get({
+    TableName: SESSIONS_TABLE,
+    Key: { sessionId }
+  }).promise();
+
+  return result.Item || null;
+};
+
+/**
+ * Revoke a single session
+ */
+const revokeSession = async (sessionId, reason = 'logout') => {
+  await dynamo.update({
+    TableName: SESSIONS_TABLE,
+    Key: { sessionId },
+    UpdateExpression: 'SET revoked = :true, revokedAt = :now, revokedReason = :reason',
+    ConditionExpression: 'attribute_exists(sessionId)',
+    ExpressionAttributeValues: {
+      ':true': true,
+      ':now': new Date().toISOString(),
+      ':reason': reason
+    }
+  }).promise();
+};
+
+/**
+ * Revoke every active session belonging to a user
+ * Pass exceptSessionId to keep the caller's own session alive
+ */
+const revokeUserSessions = async (userId, reason = 'logout_all', { exceptSessionId } = {}) => {
+  let revokedCount = 0;
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamo.query({
+      TableName: SESSIONS_TABLE,
+      IndexName: 'userId-index',
+      KeyConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: { ':userId': userId },
+      ExclusiveStartKey: lastEvaluatedKey
+    }).promise();
+
+    for (const session of result.Items || []) {
+      if (session.revoked || session.sessionId === exceptSessionId) continue;
+      await revokeSession(session.sessionId, reason);
+      revokedCount += 1;
+    }
+
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return revokedCount;
+};
+
+/**
+ * Exchange a refresh token for a new one (rotation)
+ *
+ * Each refresh token can be used exactly once. Presenting an already-rotated
+ * token means it was copied, so the whole session is revoked.
+ */
+const rotateRefreshToken = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return { success: false, error: 'INVALID_REFRESH_TOKEN', message: 'Invalid refresh token.' };
+  }
+
+  const session = await getSession(parsed.sessionId);
+  if (!session) {
+    return { success: false, error: 'INVALID_REFRESH_TOKEN', message: 'Invalid refresh token.' };
+  }
+
+  if (!isSessionActive(session)) {
+    return { success: false, error: 'SESSION_REVOKED', message: 'Session has expired or been revoked. Please login again.' };
+  }
+
+  const presentedHash = hashSecret(parsed.secret);
+
+  if (!hashesMatch(presentedHash, session.refreshTokenHash)) {
+    console.warn(`⚠️ Refresh token reuse detected for session ${session.sessionId} (user ${session.userId})`);
+    await revokeSession(session.sessionId, 'refresh_token_reuse');
+    return { success: false, error: 'REFRESH_TOKEN_REUSED', message: 'Refresh token reuse detected. Please login again.' };
+  }
+
+  const newSecret = generateSecret();
+
+  try {
+    await dynamo.update({
+      TableName: SESSIONS_TABLE,
+      Key: { sessionId: session.sessionId },
+      UpdateExpression: 'SET refreshTokenHash = :newHash, generation = generation + :inc, lastRefreshedAt = :now',
+      // Guards against two concurrent refreshes with the same token
+      ConditionExpression: 'refreshTokenHash = :oldHash AND revoked = :false',
+      ExpressionAttributeValues: {
+        ':newHash': hashSecret(newSecret),
+        ':oldHash': presentedHash,
+        ':inc': 1,
+        ':now': new Date().toISOString(),
+        ':false': false
+      }
+    }).promise();
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      console.warn(`⚠️ Concurrent refresh token use for session ${session.sessionId}`);
+      await revokeSession(session.sessionId, 'refresh_token_reuse');
+      return { success: false, error: 'REFRESH_TOKEN_REUSED', message: 'Refresh token reuse detected. Please login again.' };
+    }
+    throw error;
+  }
+
+  return {
+    success: true,
+    session,
+    refreshToken: `${session.sessionId}.${newSecret}`
+  };
+};
+
+/**
+ * Find the session a refresh token belongs to, without rotating it
+ */
+const getSessionForRefreshToken = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const session = await getSession(parsed.sessionId);
+  if (!session || !hashesMatch(hashSecret(parsed.secret), session.refreshTokenHash)) {
+    return null;
+  }
+
+  return session;
+};
+
+module.exports = {
+  createSession,
+  getSession,
+  getSessionForRefreshToken,
+  isSessionActive,
+  revokeSession,
+  revokeUserSessions,
+  rotateRefreshToken,
+};
@@ -0,0 +1,78 @@
+const { hasUnacceptedInvitation } = require('./staffInvitations');
+
+/**
+ * What a signup does when the email may already be registered
+ *
+ * Signup never overwrites an account. A verified owner is emailed instead,
+ * and an abandoned unverified signup can be taken over only after a
+ * cooldown, with the new password held as pendingPasswordHash until the
+ * email is verified. Every outcome gets the same response, so signup
+ * can't be used to find out which emails have accounts.
+ */
+
+const SIGNUP_REPLACE_COOLDOWN_MINUTES = parseInt(process.env.SIGNUP_REPLACE_COOLDOWN_MINUTES || '60', 10);
+// At most one "account already exists" email per account in this window
+const ACCOUNT_EXISTS_NOTICE_INTERVAL_MINUTES = 15;
+
+const SIGNUP_ACTIONS = {
+  CREATE: 'create',
+  REPLACE_PENDING: 'replace_pending',
+  NOTIFY_EXISTING: 'notify_existing',
+  IGNORE: 'ignore',
+};
+
+const minutesSince = (timestamp, now) => (now - new Date(timestamp).getTime()) / (60 * 1000);
+
+/**
+ * When the last signup for an unverified account started
+ */
+const getLastSignupAt = (user) => user.lastSignupAt || user.createdAt;
+
+/**
+ * Decide what a signup for this email should do
+ * Returns { action, reason } where reason says why a signup was ignored.
+ *
+ * @param {object|null} existingUser - User currently holding the email
+ * @param {number} [now] - Current time in ms
+ */
+const planSignup = (existingUser, now = Date.now()) => {
+  if (!existingUser) {
+    return { action: SIGNUP_ACTIONS.CREATE };
+  }
+  // Accounts waiting to be purged keep their email until they are gone
+  if (existingUser.deletedAt) {
+    return { action: SIGNUP_ACTIONS.IGNORE, reason: 'DELETED' };
+  }
+  // Invited staff accounts are set up through the invitation link
+  if (hasUnacceptedInvitation(existingUser)) {
+    return { action: SIGNUP_ACTIONS.IGNORE, reason: 'INVITED' };
+  }
+
+  if (existingUser.isEmailVerified) {
+    const lastNotice = existingUser.lastAccountExistsNoticeAt;
+    if (lastNotice && minutesSince(lastNotice, now) < ACCOUNT_EXISTS_NOTICE_INTERVAL_MINUTES) {
+      return { action: SIGNUP_ACTIONS.IGNORE, reason: 'NOTICE_THROTTLED' };
+    }
+    return { action: SIGNUP_ACTIONS.NOTIFY_EXISTING };
+  }
+
+  if (minutesSince(getLastSignupAt(existingUser), now) < SIGNUP_REPLACE_COOLDOWN_MINUTES) {
+    return { action: SIGNUP_ACTIONS.IGNORE, reason: 'COOLDOWN' };
+  }
+  return { action: SIGNUP_ACTIONS.REPLACE_PENDING };
+};
+
+/**
+ * The one response body every signup gets
+ */
+const genericSignupBody = (email) => ({
+  message: 'If this email can be registered, we have sent a verification code to it. Already have an account? Check your email for next steps.',
+  email,
+});
+
+module.exports = {
+  SIGNUP_REPLACE_COOLDOWN_MINUTES,
+  SIGNUP_ACTIONS,
+  planSignup,
+  genericSignupBody,
+};
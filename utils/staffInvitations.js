@@ -0,0 +1,122 @@
+const { v4: uuidv4 } = require('uuid');
+const { getKeyRing } = require('./jwtKeys');
+const { ROLES } = require('./permissions');
+
+/**
+ * Staff invitations
+ *
+ * An invited staff member gets a user record straight away, with
+ * invitationStatus tracking the invite. The emailed link is a signed token
+ * naming the record's current invitationId, so resending or revoking an
+ * invitation invalidates every earlier link.
+ */
+
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS || '7', 10);
+const INVITATION_AUDIENCE = 'staff-invitation';
+// Wrong authenticator codes allowed before the invitation is revoked
+const INVITATION_MAX_ATTEMPTS = parseInt(process.env.INVITATION_MAX_ATTEMPTS || '5', 10);
+
+// Roles that can be invited; admins are promoted through the role endpoint
+const INVITABLE_ROLES = [ROLES.OPTOMETRIST, ROLES.RECEPTIONIST];
+
+const INVITATION_STATUS = {
+  PENDING: 'pending',
+  ACCEPTED: 'accepted',
+  REVOKED: 'revoked',
+  EXPIRED: 'expired',
+};
+
+/**
+ * Current status of a user's invitation, or null if they weren't invited
+ * Expiry isn't stored: a pending invitation past its expiry reads as expired.
+ */
+const getInvitationStatus = (user, now = Date.now()) => {
+  if (!user || !user.invitationStatus) return null;
+
+  if (user.invitationStatus === INVITATION_STATUS.PENDING &&
+      new Date(user.invitationExpiresAt).getTime() <= now) {
+    return INVITATION_STATUS.EXPIRED;
+  }
+  return user.invitationStatus;
+};
+
+/**
+ * Invited users can't sign in until they have accepted
+ */
+const hasUnacceptedInvitation = (user) => {
+  return !!user && !!user.invitationStatus && user.invitationStatus !== INVITATION_STATUS.ACCEPTED;
+};
+
+/**
+ * Whether an email held by this user can be invited again
+ */
+const canReinvite = (user, now = Date.now()) => {
+  const status = getInvitationStatus(user, now);
+  return status === INVITATION_STATUS.REVOKED || status === INVITATION_STATUS.EXPIRED;
+};
+
+/**
+ * Fields that (re)start an invitation on a user record
+ */
+const newInvitationFields = (now = new Date()) => ({
+  invitationId: uuidv4(),
+  invitationStatus: INVITATION_STATUS.PENDING,
+  invitationExpiresAt: new Date(now.getTime() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+  invitationAttempts: 0,
+});
+
+/**
+ * Signed invite token for the user's current invitation
+ */
+const signInvitationToken = (user) => {
+  const expiresIn = Math.max(1, Math.floor((new Date(user.invitationExpiresAt).getTime() - Date.now()) / 1000));
+  return getKeyRing().sign(
+    { sub: user.userId, jti: user.invitationId },
+    { audience: INVITATION_AUDIENCE, expiresIn }
+  );
+};
+
+/**
+ * Check an invite token's signature and expiry
+ * Returns { userId, invitationId } or null. The caller still has to check
+ * the invitation is pending and the ID is the user's current one.
+ */
+const verifyInvitationToken = (token) => {
+  try {
+    const decoded = getKeyRing().verify(token, { audience: INVITATION_AUDIENCE });
+    return decoded.sub && decoded.jti ? { userId: decoded.sub, invitationId: decoded.jti } : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Invitation fields an admin sees
+ */
+const toInvitationSummary = (user, now = Date.now()) => ({
+  userId: user.userId,
+  email: user.email,
+  name: user.name || null,
+  role: user.role,
+  status: getInvitationStatus(user, now),
+  invitedBy: user.invitedBy,
+  invitedAt: user.invitedAt,
+  expiresAt: user.invitationExpiresAt || null,
+  acceptedAt: user.invitationAcceptedAt || null,
+  revokedAt: user.invitationRevokedAt || null,
+  revokedReason: user.invitationRevokedReason || null,
+});
+
+module.exports = {
+  INVITATION_TTL_DAYS,
+  INVITATION_MAX_ATTEMPTS,
+  INVITABLE_ROLES,
+  INVITATION_STATUS,
+  getInvitationStatus,
+  hasUnacceptedInvitation,
+  canReinvite,
+  newInvitationFields,
+  signInvitationToken,
+  verifyInvitationToken,
+  toInvitationSummary,
+};
@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_STEP_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'MyVision';
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string (case-insensitive, padding and spaces ignored)
+ */
+const base32Decode = (input) => {
+  const cleaned = String(input).toUpperCase().replace(/[\s=]/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character: ${char}`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Generate a new random TOTP secret (base32)
+ */
+const generateSecret = (byteLength = 20) => base32Encode(crypto.randomBytes(byteLength));
+
+/**
+ * Time step counter for a given timestamp (ms)
+ */
+const getTimeStep = (time = Date.now()) => Math.floor(time / 1000 / TOTP_STEP_SECONDS);
+
+/**
+ * HOTP value (RFC 4226) for a counter
+ */
+const generateHOTP = (secret, counter, digits = TOTP_DIGITS) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary =
+    ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+/**
+ * TOTP value (RFC 6238) for a timestamp (ms)
+ */
+const generateTOTP = (secret, time = Date.now(), digits = TOTP_DIGITS) => {
+  return generateHOTP(secret, getTimeStep(time), digits);
+};
+
+/**
+ * Verify a TOTP code, allowing +/- `window` steps of clock drift
+ * Returns the matching time step (so callers can reject replays) or null
+ */
+const verifyTOTP = (secret, token, { window = 1, time = Date.now() } = {}) => {
+  const code = String(token || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(code) || code.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const currentStep = getTimeStep(time);
+  for (let offset = -window; offset <= window; offset += 1) {
+    const step = currentStep + offset;
+    const expected = generateHOTP(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * otpauth:// URI to render as a QR code in the authenticator app
+ */
+const buildProvisioningURI = (secret, accountName, issuer = TOTP_ISSUER) => {
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS),
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Normalize a recovery code as typed by the user
+ */
+const normalizeRecoveryCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+/**
+ * Generate one-time recovery codes, formatted as XXXXX-XXXXX
+ */
+const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => {
+  return Array.from({ length: count }, () => {
+    const code = base32Encode(crypto.randomBytes(7)).slice(0, 10);
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+};
+
+/**
+ * Salted hash of a recovery code, stored as "salt:hash"
+ */
+const hashRecoveryCode = (code) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.createHash('sha256').update(`${salt}:${normalizeRecoveryCode(code)}`).digest('hex');
+  return `${salt}:${hash}`;
+};
+
+/**
+ * Find a recovery code among stored hashes
+ * Returns its index (so it can be removed) or -1
+ */
+const findRecoveryCode = (code, hashedCodes = []) => {
+  const normalized = normalizeRecoveryCode(code);
+  if (!normalized) return -1;
+
+  return hashedCodes.findIndex((stored) => {
+    const [salt, hash] = String(stored).split(':');
+    if (!salt || !hash || hash.length !== 64) return false;
+
+    const candidate = crypto.createHash('sha256').update(`${salt}:${normalized}`).digest('hex');
+    return crypto.timingSafeEqual(Buffer.from(candidate, 'hex'), Buffer.from(hash, 'hex'));
+  });
+};
+
+module.exports = {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateTOTP,
+  verifyTOTP,
+  buildProvisioningURI,
+  generateRecoveryCodes,
+  hashRecoveryCode,
+  findRecoveryCode,
+};
@@ -0,0 +1,191 @@
+const AWS = require('aws-sdk');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const { requireSecret } = require('./jwtKeys');
+
+const dynamo = new AWS.DynamoDB.DocumentClient();
+
+const TRUSTED_DEVICES_TABLE = process.env.TRUSTED_DEVICES_TABLE || 'myvision-trusted-devices';
+const TRUSTED_DEVICE_DAYS = parseInt(process.env.TRUSTED_DEVICE_DAYS || '30', 10);
+const DEVICE_COOKIE_NAME = 'myvision_device';
+
+const getSigningSecret = () => process.env.DEVICE_TOKEN_SECRET || requireSecret('JWT_SECRET');
+
+/**
+ * HMAC binding a device ID to its user
+ */
+const sign = (deviceId, userId) => {
+  return crypto.createHmac('sha256', getSigningSecret()).update(`${deviceId}:${userId}`).digest('base64url');
+};
+
+/**
+ * Device tokens look like "<deviceId>.<signature>"
+ */
+const parseDeviceToken = (deviceToken) => {
+  if (typeof deviceToken !== 'string') return null;
+
+  const separator = deviceToken.indexOf('.');
+  if (separator <= 0) return null;
+
+  const deviceId = deviceToken.slice(0, separator);
+  const signature = deviceToken.slice(separator + 1);
+  return signature ? { deviceId, signature } : null;
+};
+
+/**
+ * Device token from the request body or the device cookie
+ */
+const getDeviceTokenFromEvent = (event, body = {}) => {
+  if (body.deviceToken) return body.deviceToken;
+
+  const cookies = event?.cookies ||
+    String(event?.headers?.cookie || event?.headers?.Cookie || '').split(';');
+
+  for (const cookie of cookies) {
+    const [name, ...value] = cookie.trim().split('=');
+    if (name === DEVICE_COOKIE_NAME) {
+      return value.join('=');
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Set-Cookie value carrying a device token
+ */
+const buildDeviceCookie = (deviceToken) => {
+  const maxAge = TRUSTED_DEVICE_DAYS * 24 * 60 * 60;
+  return `${DEVICE_COOKIE_NAME}=${deviceToken}; Max-Age=${maxAge}; Path=/; HttpOnly; Secure; SameSite=Strict`;
+};
+
+/**
+ * Remember a device for a user
+ * Returns the device token to hand back to the client.
+ */
+const trustDevice = async (userId, { device, ip, location, name } = {}) => {
+  const deviceId = uuidv4();
+  const now = new Date();
+
+  await dynamo.put({
+    TableName: TRUSTED_DEVICES_TABLE,
+    Item: {
+      deviceId,
+      userId,
+      name: name || [device && device.browser, device && device.os].filter(Boolean).join(' on ') || 'Unknown device',
+      device: device || null,
+      ip: ip || null,
+      location: location || null,
+      createdAt: now.toISOString(),
+      lastUsedAt: now.toISOString(),
+      // DynamoDB TTL attribute (epoch seconds)
+      expiresAt: Math.floor(now.getTime() / 1000) + TRUSTED_DEVICE_DAYS * 24 * 60 * 60
+    }
+  }).promise();
+
+  return {
+    deviceId,
+    deviceToken: `${deviceId}.${sign(deviceId, userId)}`,
+    expiresIn: TRUSTED_DEVICE_DAYS * 24 * 60 * 60
+  };
+};
+
+/**
+ * Look up the trusted device a token refers to
+ * Returns null if the token is forged, belongs to another user, was revoked or has expired
+ */
+const findTrustedDevice = async (userId, deviceToken) => {
+  const parsed = parseDeviceToken(deviceToken);
+  if (!parsed || !userId) return null;
+
+  const expected = Buffer.from(sign(parsed.deviceId, userId));
+  const provided = Buffer.from(parsed.signature);
+  if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+    return null;
+  }
+
+  const result = await dynamo.get({
+    TableName: TRUSTED_DEVICES_TABLE,
+    Key: { deviceId: parsed.deviceId }
+  }).promise();
+
+  const trustedDevice = result.Item;
+  // TTL deletion is lazy, so expired items can still be around
+  if (!trustedDevice || trustedDevice.userId !== userId || trustedDevice.expiresAt <= Math.floor(Date.now() / 1000)) {
+    return null;
+  }
+
+  return trustedDevice;
+};
+
+/**
+ * Record that a trusted device was used to sign in
+ */
+const touchTrustedDevice = async (deviceId) => {
+  await dynamo.update({
+    TableName: TRUSTED_DEVICES_TABLE,
+    Key: { deviceId },
+    UpdateExpression: 'SET lastUsedAt = :now',
+    ConditionExpression: 'attribute_exists(deviceId)',
+    ExpressionAttributeValues: { ':now': new Date().toISOString() }
+  }).promise();
+};
+
+/**
+ * List a user's trusted devices
+ */
+const listTrustedDevices = async (userId) => {
+  const result = await dynamo.query({
+    TableName: TRUSTED_DEVICES_TABLE,
+    IndexName: 'userId-index',
+    KeyConditionExpression: 'userId = :userId',
+    ExpressionAttributeValues: { ':userId': userId }
+  }).promise();
+
+  const now = Math.floor(Date.now() / 1000);
+  return (result.Items || []).filter((trustedDevice) => trustedDevice.expiresAt > now);
+};
+
+/**
+ * Forget one of a user's trusted devices
+ */
+const revokeTrustedDevice = async (userId, deviceId) => {
+  try {
+    await dynamo.delete({
+      TableName: TRUSTED_DEVICES_TABLE,
+      Key: { deviceId },
+      ConditionExpression: 'userId = :userId',
+      ExpressionAttributeValues: { ':userId': userId }
+    }).promise();
+    return true;
+  } catch (error) {
+    if (error.code === 'ConditionalCheckFailedException') {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Public fields of a trusted device
+ */
+const toTrustedDeviceSummary = (trustedDevice) => ({
+  deviceId: trustedDevice.deviceId,
+  name: trustedDevice.name,
+  device: trustedDevice.device,
+  location: trustedDevice.location,
+  createdAt: trustedDevice.createdAt,
+  lastUsedAt: trustedDevice.lastUsedAt,
+  expiresAt: new Date(trustedDevice.expiresAt * 1000).toISOString()
+});
+
+module.exports = {
+  getDeviceTokenFromEvent,
+  buildDeviceCookie,
+  trustDevice,
+  findTrustedDevice,
+  touchTrustedDevice,
+  listTrustedDevices,
+  revokeTrustedDevice,
+  toTrustedDeviceSummary,
+};
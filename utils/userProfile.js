@@ -0,0 +1,177 @@
+const { isValidTimezone } = require('./loginTimePattern');
+
+/**
+ * Public user profile
+ *
+ * toPublicProfile is the only way a user record should leave the API:
+ * fields are whitelisted, so new internal attributes (hashes, codes,
+ * pending sessions, ...) stay private by default.
+ */
+
+const PUBLIC_PROFILE_FIELDS = [
+  'userId',
+  'email',
+  'role',
+  'isEmailVerified',
+  'name',
+  'phone',
+  'dateOfBirth',
+  'preferredLanguage',
+  'timezone',
+  'communicationPreferences',
+  'pendingEmail',
+  'totpEnabled',
+  'mfaRequired',
+  'lastLoginTime',
+  'lastLoginLocation',
+  'passwordChangedAt',
+  'deletedAt',
+  'purgeAfter',
+  'createdAt',
+  'updatedAt',
+];
+
+// Fields the user can change through PATCH /users
+const EDITABLE_PROFILE_FIELDS = ['name', 'phone', 'dateOfBirth', 'preferredLanguage', 'timezone', 'communicationPreferences'];
+
+const COMMUNICATION_CHANNELS = ['email', 'sms', 'phone'];
+const COMMUNICATION_TOPICS = ['appointmentReminders', 'results', 'marketing'];
+
+const MAX_NAME_LENGTH = 100;
+const MAX_AGE_YEARS = 130;
+
+/**
+ * Whitelisted copy of a user record
+ */
+const toPublicProfile = (user) => {
+  if (!user) return null;
+
+  return PUBLIC_PROFILE_FIELDS.reduce((profile, field) => {
+    if (user[field] !== undefined) {
+      profile[field] = user[field];
+    }
+    return profile;
+  }, {});
+};
+
+const validateName = (name) => {
+  if (typeof name !== 'string' || !name.trim()) return 'Name must be a non-empty string';
+  if (name.trim().length > MAX_NAME_LENGTH) return `Name must be at most ${MAX_NAME_LENGTH} characters`;
+  return null;
+};
+
+const validatePhone = (phone) => {
+  if (typeof phone !== 'string') return 'Phone must be a string';
+  // E.164: optional +, 8-15 digits once separators are removed
+  const digits = phone.replace(/[\s\-().]/g, '');
+  if (!/^\+?[1-9]\d{7,14}$/.test(digits)) return 'Phone must be a valid international phone number';
+  return null;
+};
+
+const validateDateOfBirth = (dateOfBirth, now = new Date()) => {
+  if (typeof dateOfBirth !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dateOfBirth)) {
+    return 'Date of birth must be a date in YYYY-MM-DD format';
+  }
+
+  const date = new Date(`${dateOfBirth}T00:00:00Z`);
+  // Rejects dates like 2020-02-31 that Date would silently roll over
+  if (Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== dateOfBirth) {
+    return 'Date of birth is not a valid date';
+  }
+
+  if (date > now) return 'Date of birth can\'t be in the future';
+  if (now.getUTCFullYear() - date.getUTCFullYear() > MAX_AGE_YEARS) return 'Date of birth is too far in the past';
+  return null;
+};
+
+const validatePreferredLanguage = (language) => {
+  // BCP 47 language tag such as "en", "hi" or "en-IN"
+  if (typeof language !== 'string' || !/^[a-z]{2,3}(-[A-Z]{2})?$/.test(language)) {
+    return 'Preferred language must be a language code such as "en" or "en-IN"';
+  }
+  return null;
+};
+
+const validateTimezone = (timezone) => {
+  // IANA name such as "Asia/Kolkata"; used to judge whether a login time is unusual
+  if (!isValidTimezone(timezone)) {
+    return 'Timezone must be an IANA timezone such as "Asia/Kolkata"';
+  }
+  return null;
+};
+
+const validateCommunicationPreferences = (preferences) => {
+  if (!preferences || typeof preferences !== 'object' || Array.isArray(preferences)) {
+    return 'Communication preferences must be an object';
+  }
+
+  for (const [key, value] of Object.entries(preferences)) {
+    if (key === 'channels') {
+      if (!Array.isArray(value) || value.some((channel) => !COMMUNICATION_CHANNELS.includes(channel))) {
+        return `Communication channels must be a list of: ${COMMUNICATION_CHANNELS.join(', ')}`;
+      }
+    } else if (COMMUNICATION_TOPICS.includes(key)) {
+      if (typeof value !== 'boolean') return `Communication preference "${key}" must be true or false`;
+    } else {
+      return `Unknown communication preference "${key}"`;
+    }
+  }
+
+  return null;
+};
+
+const VALIDATORS = {
+  name: validateName,
+  phone: validatePhone,
+  dateOfBirth: validateDateOfBirth,
+  preferredLanguage: validatePreferredLanguage,
+  timezone: validateTimezone,
+  communicationPreferences: validateCommunicationPreferences,
+};
+
+/**
+ * Validate a profile update
+ * Returns { updates, removals, errors }: values to set, fields cleared
+ * with null, and per-field validation messages.
+ */
+const validateProfileUpdate = (input) => {
+  const updates = {};
+  const removals = [];
+  const errors = {};
+
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { updates, removals, errors: { body: 'Request body must be a JSON object' } };
+  }
+
+  for (const [field, value] of Object.entries(input)) {
+    if (!EDITABLE_PROFILE_FIELDS.includes(field)) {
+      errors[field] = 'This field can\'t be changed';
+      continue;
+    }
+
+    // Name is required once set; everything else may be cleared
+    if (value === null && field !== 'name') {
+      removals.push(field);
+      continue;
+    }
+
+    const error = VALIDATORS[field](value);
+    if (error) {
+      errors[field] = error;
+    } else {
+      updates[field] = typeof value === 'string' ? value.trim() : value;
+    }
+  }
+
+  if (!Object.keys(errors).length && !Object.keys(updates).length && !removals.length) {
+    errors.body = `Provide at least one of: ${EDITABLE_PROFILE_FIELDS.join(', ')}`;
+  }
+
+  return { updates, removals, errors };
+};
+
+module.exports = {
+  EDITABLE_PROFILE_FIELDS,
+  toPublicProfile,
+  validateProfileUpdate,
+};
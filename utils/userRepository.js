@@ -0,0 +1,331 @@
+const AWS = require('aws-sdk');
+
+const dynamo = new AWS.DynamoDB.DocumentClient();
+
+const USERS_TABLE = process.env.USERS_TABLE || 'myvision-users';
+const EMAIL_INDEX = 'normalizedEmail-index';
+const PENDING_LOGIN_SESSION_TTL_SECONDS = 24 * 60 * 60;
+
+/**
+ * Normalize an email for lookups and uniqueness checks
+ */
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Keys of the marker items stored next to user records.
+ * An EMAIL# item exists for every registered email and is what makes
+ * emails unique; a LOGIN_SESSION# item points a pending login OTP
+ * session at its user.
+ */
+const MARKER_KEY_PREFIXES = ['EMAIL#', 'LOGIN_SESSION#'];
+const emailLockKey = (normalizedEmail) => `EMAIL#${normalizedEmail}`;
+const pendingLoginSessionKey = (sessionId) => `LOGIN_SESSION#${sessionId}`;
+
+const isMarkerKey = (userId) => MARKER_KEY_PREFIXES.some((prefix) => String(userId).startsWith(prefix));
+
+const emailExistsError = () => {
+  const error = new Error('An account with this email already exists');
+  error.code = 'EmailAlreadyExistsException';
+  return error;
+};
+
+/**
+ * Fetch a user by ID
+ * Marker items share the table but are never returned as users.
+ */
+const getUserById = async (userId) => {
+  if (!userId || isMarkerKey(userId)) return null;
+
+  const result = await dynamo.get({
+    TableName: USERS_TABLE,
+    Key: { userId }
+  }).promise();
+
+  if (!result.Item || result.Item.entityType) return null;
+  return result.Item;
+};
+
+/**
+ * Fetch a user by email using the normalized email GSI
+ */
+const getUserByEmail = async (email) => {
+  const normalizedEmail = normalizeEmail(email);
+  if (!normalizedEmail) return null;
+
+  const result = await dynamo.query({
+    TableName: USERS_TABLE,
+    IndexName: EMAIL_INDEX,
+    KeyConditionExpression: 'normalizedEmail = :email',
+    ExpressionAttributeValues: { ':email': normalizedEmail }
+  }).promise();
+
+  return (result.Items && result.Items[0]) || null;
+};
+
+/**
+ * Create a new user
+ * The user record and its email marker are written in one transaction,
+ * so two concurrent signups for the same email can't both succeed.
+ */
+const createUser = async (user) => {
+  const normalizedEmail = normalizeEmail(user.email);
+  const item = { ...user, normalizedEmail };
+
+  try {
+    await dynamo.transactWrite({
+      TransactItems: [
+        {
+          Put: {
+            TableName: USERS_TABLE,
+            Item: item,
+            ConditionExpression: 'attribute_not_exists(userId)'
+          }
+        },
+        {
+          Put: {
+            TableName: USERS_TABLE,
+            Item: {
+              userId: emailLockKey(normalizedEmail),
+              entityType: 'emailLock',
+              ownerUserId: user.userId,
+              createdAt: new Date().toISOString()
+            },
+            ConditionExpression: 'attribute_not_exists(userId)'
+          }
+        }
+      ]
+    }).promise();
+  } catch (error) {
+    if (error.code === 'TransactionCanceledException') {
+      throw emailExistsError();
+    }
+    throw error;
+  }
+
+  return item;
+};
+
+/**
+ * Overwrite an existing user record (the email must not change)
+ */
+const replaceUser = async (user) => {
+  const item = { ...user, normalizedEmail: normalizeEmail(user.email) };
+
+  await dynamo.put({
+    TableName: USERS_TABLE,
+    Item: item,
+    ConditionExpression: 'attribute_exists(userId) AND normalizedEmail = :email',
+    ExpressionAttributeValues: { ':email': item.normalizedEmail }
+  }).promise();
+
+  return item;
+};
+
+/**
+ * Move a user to a new email address
+ * Claims the new email marker, releases the old one and updates the user
+ * in one transaction. Also clears any pending email change.
+ */
+const changeUserEmail = async (userId, currentEmail, newEmail) => {
+  const currentNormalized = normalizeEmail(currentEmail);
+  const newNormalized = normalizeEmail(newEmail);
+  const now = new Date().toISOString();
+
+  try {
+    await dynamo.transactWrite({
+      TransactItems: [
+        {
+          Put: {
+            TableName: USERS_TABLE,
+            Item: {
+              userId: emailLockKey(newNormalized),
+              entityType: 'emailLock',
+              ownerUserId: userId,
+              createdAt: now
+            },
+            ConditionExpression: 'attribute_not_exists(userId)'
+          }
+        },
+        {
+          Delete: {
+            TableName: USERS_TABLE,
+            Key: { userId: emailLockKey(currentNormalized) },
+            ConditionExpression: 'attribute_not_exists(userId) OR ownerUserId = :userId',
+            ExpressionAttributeValues: { ':userId': userId }
+          }
+        },
+        {
+          Update: {
+            TableName: USERS_TABLE,
+            Key: { userId },
+            UpdateExpression: 'SET email = :email, normalizedEmail = :normalized, emailChangedAt = :now, updatedAt = :now REMOVE pendingEmail, pendingEmailOTPHash, pendingEmailOTPExpiry, pendingEmailOTPAttempts',
+            ConditionExpression: 'normalizedEmail = :current',
+            ExpressionAttributeValues: {
+              ':email': newEmail.trim(),
+              ':normalized': newNormalized,
+              ':current': currentNormalized,
+              ':now': now
+            }
+          }
+        }
+      ]
+    }).promise();
+  } catch (error) {
+    if (error.code === 'TransactionCanceledException') {
+      throw emailExistsError();
+    }
+    throw error;
+  }
+};
+
+/**
+ * Soft-deleted users whose grace period has ended
+ */
+const listUsersDueForPurge = async (now = new Date().toISOString()) => {
+  const users = [];
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamo.scan({
+      TableName: USERS_TABLE,
+      FilterExpression: 'attribute_exists(deletedAt) AND purgeAfter <= :now',
+      ExpressionAttributeValues: { ':now': now },
+      ExclusiveStartKey: lastEvaluatedKey
+    }).promise();
+
+    users.push(...(result.Items || []));
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return users;
+};
+
+/**
+ * Permanently remove a user record and release its email
+ */
+const deleteUser = async (user) => {
+  await dynamo.transactWrite({
+    TransactItems: [
+      {
+        Delete: {
+          TableName: USERS_TABLE,
+          Key: { userId: user.userId }
+        }
+      },
+      {
+        Delete: {
+          TableName: USERS_TABLE,
+          Key: { userId: emailLockKey(normalizeEmail(user.email)) },
+          ConditionExpression: 'attribute_not_exists(userId) OR ownerUserId = :userId',
+          ExpressionAttributeValues: { ':userId': user.userId }
+        }
+      }
+    ]
+  }).promise();
+};
+
+/**
+ * Point a pending login OTP session at its user
+ */
+const savePendingLoginSession = async (sessionId, userId) => {
+  await dynamo.put({
+    TableName: USERS_TABLE,
+    Item: {
+      userId: pendingLoginSessionKey(sessionId),
+      entityType: 'pendingLoginSession',
+      ownerUserId: userId,
+      createdAt: new Date().toISOString(),
+      ttl: Math.floor(Date.now() / 1000) + PENDING_LOGIN_SESSION_TTL_SECONDS
+    }
+  }).promise();
+};
+
+/**
+ * Fetch the user that owns a pending login OTP session
+ * Returns null if the session was superseded by a newer login attempt
+ */
+const getUserByPendingSessionId = async (sessionId) => {
+  if (!sessionId) return null;
+
+  const result = await dynamo.get({
+    TableName: USERS_TABLE,
+    Key: { userId: pendingLoginSessionKey(sessionId) }
+  }).promise();
+
+  if (!result.Item) return null;
+
+  const user = await getUserById(result.Item.ownerUserId);
+  if (!user || user.pendingSessionId !== sessionId) return null;
+
+  return user;
+};
+
+/**
+ * Remove a pending login OTP session pointer
+ */
+const deletePendingLoginSession = async (sessionId) => {
+  if (!sessionId) return;
+
+  await dynamo.delete({
+    TableName: USERS_TABLE,
+    Key: { userId: pendingLoginSessionKey(sessionId) }
+  }).promise();
+};
+
+/**
+ * All users created through a staff invitation (any status)
+ */
+const listInvitedUsers = async () => {
+  const users = [];
+  let lastEvaluatedKey;
+
+  do {
+    const result = await dynamo.scan({
+      TableName: USERS_TABLE,
+      FilterExpression: 'attribute_exists(invitationStatus)',
+      ExclusiveStartKey: lastEvaluatedKey
+    }).promise();
+
+    users.push(...(result.Items || []));
+    lastEvaluatedKey = result.LastEvaluatedKey;
+  } while (lastEvaluatedKey);
+
+  return users;
+};
+
+/**
+ * Record that a user now exists in the Cognito user pool
+ * passwordPending marks users pre-created by migrate-users.js, whose
+ * password is copied over on their first Cognito sign-in.
+ */
+const markUserMigratedToCognito = async (userId, { passwordPending = false } = {}) => {
+  await dynamo.update({
+    TableName: USERS_TABLE,
+    Key: { userId },
+    UpdateExpression: passwordPending
+      ? 'SET cognitoMigratedAt = :now, cognitoPasswordPending = :true'
+      : 'SET cognitoMigratedAt = :now REMOVE cognitoPasswordPending',
+    ConditionExpression: 'attribute_exists(userId)',
+    ExpressionAttributeValues: {
+      ':now': new Date().toISOString(),
+      ...(passwordPending ? { ':true': true } : {})
+    }
+  }).promise();
+};
+
+module.exports = {
+  normalizeEmail,
+  emailLockKey,
+  getUserById,
+  getUserByEmail,
+  createUser,
+  replaceUser,
+  changeUserEmail,
+  listUsersDueForPurge,
+  deleteUser,
+  listInvitedUsers,
+  savePendingLoginSession,
+  getUserByPendingSessionId,
+  deletePendingLoginSession,
+  markUserMigratedToCognito,
+};